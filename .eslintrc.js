@@ -0,0 +1,38 @@
+module.exports = {
+  root: true,
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true },
+  },
+  env: {
+    es2022: true,
+    node: true,
+  },
+  globals: {
+    __DEV__: 'readonly',
+    window: 'readonly',
+  },
+  settings: {
+    react: { version: 'detect' },
+  },
+  plugins: ['react', 'react-hooks'],
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react-hooks/recommended',
+  ],
+  rules: {
+    'react/prop-types': 'off',
+    'react/display-name': 'off',
+    // Text in React Native is not HTML, quotes need no escaping
+    'react/no-unescaped-entities': 'off',
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+  },
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js', 'jest.setup.js'],
+      env: { jest: true },
+    },
+  ],
+};
@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, AppState, Platform } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -7,7 +8,30 @@ import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 
 // Initialize NFC
-import { initNfcManager } from './src/utils/nfc-manager';
+import { initNfcManager, setNfcProvider } from './src/utils/nfc-manager';
+import { deviceNfcProvider, createSimulatedNfcProvider, SAMPLE_CARDS } from './src/utils/nfc-providers';
+import { getSettings, subscribeSettings } from './src/utils/settings';
+import NfcSimulatorPanel from './src/components/NfcSimulatorPanel';
+
+// Receipt printer
+import TcpSocket from 'react-native-tcp-socket';
+import { createTransportFromSettings, setPrinterTransport } from './src/utils/receipt-printer';
+
+// Operator sessions
+import {
+  getSession,
+  subscribeSession,
+  recordActivity,
+  checkInactivity,
+  hasPermission,
+} from './src/api/auth';
+
+// Server connectivity
+import {
+  startConnectivityMonitor,
+  stopConnectivityMonitor,
+  checkConnectivity,
+} from './src/api/connectivity';
 
 // Import screens
 import HomeScreen from './src/screens/HomeScreen';
@@ -19,11 +43,47 @@ import SettingsScreen from './src/screens/SettingsScreen';
 import ApiSettingsScreen from './src/screens/ApiSettingsScreen';
 import TransactionHistoryScreen from './src/screens/TransactionHistoryScreen';
 import CustomerRegistrationScreen from './src/screens/CustomerRegistrationScreen';
+import LoginScreen from './src/screens/LoginScreen';
+import OutboxScreen from './src/screens/OutboxScreen';
+import ReconciliationScreen from './src/screens/ReconciliationScreen';
+import RefundScreen from './src/screens/RefundScreen';
+import AdjustBalanceScreen from './src/screens/AdjustBalanceScreen';
+import ReplaceCardScreen from './src/screens/ReplaceCardScreen';
+import QrScanScreen from './src/screens/QrScanScreen';
+import ReceiptScreen from './src/screens/ReceiptScreen';
 
 // Create navigators
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
 
+// Only render a screen if the operator's role allows it
+const withPermission = (Component, permission) => {
+  const GuardedScreen = (props) => {
+    if (hasPermission(permission)) {
+      return <Component {...props} />;
+    }
+
+    return (
+      <View style={styles.accessDenied}>
+        <Ionicons name="lock-closed-outline" size={64} color="#FF3B30" />
+        <Text style={styles.accessDeniedTitle}>Access Denied</Text>
+        <Text style={styles.accessDeniedText}>
+          Your role does not allow access to this screen. Ask a supervisor for help.
+        </Text>
+      </View>
+    );
+  };
+  return GuardedScreen;
+};
+
+const GuardedPaymentScreen = withPermission(PaymentScreen, 'payment');
+const GuardedReloadAccountScreen = withPermission(ReloadAccountScreen, 'reload');
+const GuardedRefundScreen = withPermission(RefundScreen, 'refund');
+const GuardedAdjustBalanceScreen = withPermission(AdjustBalanceScreen, 'adjustment');
+const GuardedReplaceCardScreen = withPermission(ReplaceCardScreen, 'manageCards');
+const GuardedApiSettingsScreen = withPermission(ApiSettingsScreen, 'apiSettings');
+const GuardedCustomerRegistrationScreen = withPermission(CustomerRegistrationScreen, 'registerCustomer');
+
 // Main tab navigator
 const TabNavigator = () => (
   <Tab.Navigator
@@ -56,67 +116,197 @@ const TabNavigator = () => (
 
 // Main app component
 export default function App() {
-  const [isNfcInitialized, setIsNfcInitialized] = useState(false);
+  const [, setIsNfcInitialized] = useState(false);
+  const [nfcSimulator, setNfcSimulator] = useState(null);
+  const [session, setSession] = useState(getSession());
 
-  // Initialize NFC when app loads
+  // Track operator session changes
+  useEffect(() => subscribeSession(setSession), []);
+
+  // Watch server connectivity in the background
+  useEffect(() => {
+    startConnectivityMonitor();
+    return () => stopConnectivityMonitor();
+  }, []);
+
+  // Lock if the app was idle in the background for too long,
+  // and recheck the connection since it may have changed meanwhile
   useEffect(() => {
-    const initNfc = async () => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        checkInactivity();
+        checkConnectivity().catch(() => {});
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Initialize NFC when app loads, on virtual cards for web or when the simulator is turned on
+  useEffect(() => {
+    let simulate = null;
+
+    const initNfc = async (useSimulator) => {
+      const simulator = useSimulator ? createSimulatedNfcProvider({ cards: SAMPLE_CARDS }) : null;
+      setNfcProvider(simulator || deviceNfcProvider);
+      setNfcSimulator(simulator);
       const nfcSupported = await initNfcManager();
       setIsNfcInitialized(nfcSupported);
-      console.log('NFC initialized:', nfcSupported);
+      console.log('NFC initialized:', nfcSupported, simulator ? '(simulated)' : '');
+    };
+
+    const applySettings = (current) => {
+      const next = Platform.OS === 'web' || Boolean(current.nfcSimulator);
+      if (next !== simulate) {
+        simulate = next;
+        initNfc(next);
+      }
     };
 
-    initNfc();
+    getSettings().then(applySettings);
+    return subscribeSettings(applySettings);
   }, []);
 
+  // Print receipts on the printer chosen in settings
+  useEffect(() => {
+    const applySettings = (current) => {
+      setPrinterTransport(createTransportFromSettings(current, { createConnection: TcpSocket.createConnection }));
+    };
+
+    getSettings().then(applySettings);
+    return subscribeSettings(applySettings);
+  }, []);
+
+  if (!session) {
+    return (
+      <SafeAreaProvider>
+        <LoginScreen />
+        <StatusBar style="auto" />
+      </SafeAreaProvider>
+    );
+  }
+
   return (
     <SafeAreaProvider>
-      <NavigationContainer>
-        <Stack.Navigator
-          initialRouteName="Main"
-          screenOptions={{
-            headerStyle: {
-              backgroundColor: '#007AFF',
-            },
-            headerTintColor: '#fff',
-            headerTitleStyle: {
-              fontWeight: 'bold',
-            },
-          }}
-        >
-          <Stack.Screen 
-            name="Main" 
-            component={TabNavigator} 
-            options={{ headerShown: false }} 
-          />
-          <Stack.Screen 
-            name="CustomerDetails" 
-            component={CustomerDetailsScreen} 
-            options={{ title: 'Customer Details' }} 
-          />
-          <Stack.Screen 
-            name="Payment" 
-            component={PaymentScreen} 
-            options={{ title: 'Make Payment' }} 
-          />
-          <Stack.Screen 
-            name="ReloadAccount" 
-            component={ReloadAccountScreen} 
-            options={{ title: 'Reload Account' }} 
-          />
-          <Stack.Screen 
-            name="ApiSettings" 
-            component={ApiSettingsScreen} 
-            options={{ title: 'API Settings' }} 
-          />
-          <Stack.Screen 
-            name="CustomerRegistration" 
-            component={CustomerRegistrationScreen} 
-            options={{ title: 'Register Customer' }} 
-          />
-        </Stack.Navigator>
-      </NavigationContainer>
+      <View
+        style={styles.root}
+        onStartShouldSetResponderCapture={() => {
+          recordActivity();
+          return false;
+        }}
+      >
+        <NavigationContainer>
+          <Stack.Navigator
+            initialRouteName="Main"
+            screenOptions={{
+              headerStyle: {
+                backgroundColor: '#007AFF',
+              },
+              headerTintColor: '#fff',
+              headerTitleStyle: {
+                fontWeight: 'bold',
+              },
+            }}
+          >
+            <Stack.Screen 
+              name="Main" 
+              component={TabNavigator} 
+              options={{ headerShown: false }} 
+            />
+            <Stack.Screen 
+              name="CustomerDetails" 
+              component={CustomerDetailsScreen} 
+              options={{ title: 'Customer Details' }} 
+            />
+            <Stack.Screen 
+              name="QrScan" 
+              component={QrScanScreen} 
+              options={{ title: 'Scan QR Code' }} 
+            />
+            <Stack.Screen 
+              name="Payment" 
+              component={GuardedPaymentScreen} 
+              options={{ title: 'Make Payment' }} 
+            />
+            <Stack.Screen 
+              name="ReloadAccount" 
+              component={GuardedReloadAccountScreen} 
+              options={{ title: 'Reload Account' }} 
+            />
+            <Stack.Screen 
+              name="Refund" 
+              component={GuardedRefundScreen} 
+              options={{ title: 'Refund Payment' }} 
+            />
+            <Stack.Screen 
+              name="AdjustBalance" 
+              component={GuardedAdjustBalanceScreen} 
+              options={{ title: 'Adjust Balance' }} 
+            />
+            <Stack.Screen 
+              name="ReplaceCard" 
+              component={GuardedReplaceCardScreen} 
+              options={{ title: 'Replace Card' }} 
+            />
+            <Stack.Screen 
+              name="ApiSettings" 
+              component={GuardedApiSettingsScreen} 
+              options={{ title: 'API Settings' }} 
+            />
+            <Stack.Screen 
+              name="CustomerRegistration" 
+              component={GuardedCustomerRegistrationScreen} 
+              options={{ title: 'Register Customer' }} 
+            />
+            <Stack.Screen 
+              name="Outbox" 
+              component={OutboxScreen} 
+              options={{ title: 'Sync Queue' }} 
+            />
+            <Stack.Screen 
+              name="Reconciliation" 
+              component={ReconciliationScreen} 
+              options={{ title: 'Reconciliation' }} 
+            />
+            <Stack.Screen 
+              name="Receipt" 
+              component={ReceiptScreen} 
+              options={{ title: 'Receipt' }} 
+            />
+          </Stack.Navigator>
+        </NavigationContainer>
+        {nfcSimulator && <NfcSimulatorPanel simulator={nfcSimulator} />}
+      </View>
+      {session.locked && (
+        <View style={StyleSheet.absoluteFill}>
+          <LoginScreen />
+        </View>
+      )}
       <StatusBar style="auto" />
     </SafeAreaProvider>
   );
-}
\ No newline at end of file
+}
+
+const styles = StyleSheet.create({
+  root: {
+    flex: 1,
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: '#f5f5f5',
+  },
+  accessDeniedTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 12,
+  },
+  accessDeniedText: {
+    fontSize: 16,
+    color: '#555',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Native modules the tests reach, replaced with in-memory versions
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('react-native-nfc-manager/src/NativeNfcManager', () => ({
+  NativeNfcManager: {},
+  NfcManagerEmitter: { addListener: () => ({ remove: () => {} }) },
+  callNative: async (name) => {
+    throw new Error(`No NFC reader in tests (${name})`);
+  },
+}));
+jest.mock('expo-secure-store', () => {
+  const items = new Map();
+  return {
+    isAvailableAsync: async () => true,
+    getItemAsync: async key => (items.has(key) ? items.get(key) : null),
+    setItemAsync: async (key, value) => {
+      items.set(key, value);
+    },
+    deleteItemAsync: async (key) => {
+      items.delete(key);
+    },
+  };
+});
@@ -0,0 +1,404 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { httpClient, createInProcessTransport } from '../http-client';
+import { setOfflineStoreBackend } from '../../storage/offline-store';
+import { createMemoryBackend } from '../../storage/backends';
+import { login, logout } from '../auth';
+import { checkConnectivity, getConnectivity } from '../connectivity';
+import { getOutboxEntries } from '../outbox';
+import { ClientError } from '../http-client';
+import { cardAPI, customerAPI, reconcileBalances, transactionAPI } from '../api';
+import { getDiscrepancies } from '../reconciliation';
+import { CardBlockedError } from '../../utils/card-status';
+import { deriveCardKey, nextRecord, readCard, writeCard } from '../../utils/stored-value';
+import { assertQrTokenUnused } from '../../utils/qr-payment';
+
+const API_PREFIX = '/api';
+
+/**
+ * Create an API server kept in memory
+ * Idempotency keys are scoped to the whole server, as the strictest server does:
+ * a repeated key is answered as already processed whatever the endpoint.
+ * @returns {object} Server with its customers, transactions and the requests it got
+ */
+const createFakeServer = () => {
+  const server = {
+    customers: new Map([[1, { id: 1, name: 'Ana', cardId: '04A1B2C3', balance: 1000 }]]),
+    transactions: [],
+    blocklist: [],
+    requests: [],
+    keys: new Map(),
+    // Answers that replace the normal ones, by path pattern
+    failures: [],
+  };
+
+  const routes = [
+    ['GET', /^\/health$/, () => ({ body: { status: 'ok' } })],
+    ['POST', /^\/auth\/login$/, ({ body }) => ({
+      body: { token: 'token', operator: { id: 1, username: body.username, role: 'supervisor' } },
+    })],
+    ['POST', /^\/transactions$/, ({ body }) => {
+      const transaction = { ...body, transactionId: `tx-${server.transactions.length + 1}`, status: 'completed' };
+      server.transactions.push(transaction);
+      return { status: 201, body: transaction };
+    }],
+    ['GET', /^\/transactions\/([^/]+)$/, (request, id) => {
+      const transaction = server.transactions.find(t => t.transactionId === id);
+      return transaction ? { body: { ...transaction } } : { status: 404, body: { message: 'Not found' } };
+    }],
+    ['POST', /^\/customers\/(\d+)\/balance$/, ({ body }, id) => {
+      const customer = server.customers.get(Number(id));
+      customer.balance += body.amount;
+      return { body: { ...customer } };
+    }],
+    ['GET', /^\/customers\/(\d+)$/, (request, id) => ({ body: { ...server.customers.get(Number(id)) } })],
+    ['PUT', /^\/customers\/(\d+)$/, ({ body }, id) => {
+      const customer = server.customers.get(Number(id));
+      Object.assign(customer, body);
+      return { body: { ...customer } };
+    }],
+    ['GET', /^\/cards\/blocklist$/, () => ({ body: server.blocklist.map(entry => ({ ...entry })) })],
+    ['GET', /^\/customers\/card\/([^/]+)$/, (request, cardId) => {
+      const customer = [...server.customers.values()].find(c => c.cardId === cardId);
+      return customer ? { body: { ...customer } } : { status: 404, body: { message: 'Not found' } };
+    }],
+  ];
+
+  server.handle = async (request) => {
+    const path = request.path.slice(API_PREFIX.length);
+    server.requests.push({ ...request, path });
+
+    const failure = server.failures.find(({ pattern }) => pattern.test(path));
+    if (failure) {
+      return { status: failure.status, body: failure.body || { message: 'Failed' } };
+    }
+
+    const key = request.headers['Idempotency-Key'];
+    if (key && server.keys.has(key)) {
+      return { status: 409, body: { code: 'already_processed', record: server.keys.get(key) } };
+    }
+
+    for (const [method, pattern, handler] of routes) {
+      const match = request.method === method && pattern.exec(path);
+      if (match) {
+        const response = handler(request, ...match.slice(1));
+        if (key && response.status !== 404) {
+          server.keys.set(key, response.body);
+        }
+        return response;
+      }
+    }
+    return { status: 404, body: { message: `No route for ${request.method} ${path}` } };
+  };
+
+  return server;
+};
+
+let server;
+
+/**
+ * Bring the server back and wait for the reconnect sync to finish
+ */
+const reconnect = async () => {
+  server.failures = [];
+  await checkConnectivity();
+  while (getConnectivity().syncing) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await AsyncStorage.clear();
+  setOfflineStoreBackend(createMemoryBackend());
+  server = createFakeServer();
+  httpClient.setTransport(createInProcessTransport(server.handle));
+  await login('ana', '1234');
+});
+
+afterEach(async () => {
+  await reconnect();
+  await logout();
+  jest.restoreAllMocks();
+});
+
+describe('transactions', () => {
+  it('change the balance under an idempotency key of their own', async () => {
+    const transaction = await transactionAPI.create({ type: 'payment', customerId: 1, amount: 2.5 });
+
+    const balanceRequest = server.requests.find(request => request.path === '/customers/1/balance');
+    expect(balanceRequest.headers['Idempotency-Key']).toBe(`${transaction.idempotencyKey}:balance`);
+    expect(server.customers.get(1).balance).toBe(750);
+  });
+
+  it('send what can still be refunded, counting earlier refunds, for the server to check', async () => {
+    const payment = await transactionAPI.create({ type: 'payment', customerId: 1, amount: 10 });
+    await transactionAPI.refundPayment(payment.transactionId, 6);
+
+    await expect(transactionAPI.refundPayment(payment.transactionId, 6)).rejects.toThrow('capped');
+    await transactionAPI.refundPayment(payment.transactionId, 4);
+
+    const refunds = server.transactions.filter(transaction => transaction.type === 'refund');
+    expect(refunds.map(refund => [refund.amount, refund.refundableAmount])).toEqual([[600, 1000], [400, 400]]);
+  });
+});
+
+describe('customer balances', () => {
+  it('are not queued offline when the server rejects the change', async () => {
+    await customerAPI.cacheOfflineCustomer({ ...server.customers.get(1) });
+    server.failures.push({ pattern: /\/balance$/, status: 422 });
+
+    await expect(customerAPI.updateBalance(1, -20)).rejects.toBeInstanceOf(ClientError);
+    expect(await getOutboxEntries()).toEqual([]);
+    expect((await customerAPI.getOfflineCustomerById(1)).balance).toBe(1000);
+  });
+
+  it('are queued offline and synced later when the server is unavailable', async () => {
+    await customerAPI.cacheOfflineCustomer({ ...server.customers.get(1) });
+    server.failures.push({ pattern: /\/balance$/, status: 503 });
+
+    await customerAPI.updateBalance(1, 5);
+    expect((await customerAPI.getOfflineCustomerById(1)).balance).toBe(1500);
+    expect(server.customers.get(1).balance).toBe(1000);
+
+    await reconnect();
+    expect(server.customers.get(1).balance).toBe(1500);
+  });
+
+  it('are synced after the next login when the server comes back with nobody logged in', async () => {
+    await customerAPI.cacheOfflineCustomer({ ...server.customers.get(1) });
+    server.failures.push({ pattern: /\/balance$/, status: 503 });
+    await customerAPI.updateBalance(1, 5);
+    await logout();
+
+    const seen = server.requests.length;
+    await reconnect();
+    expect(server.requests.slice(seen).map(request => request.path)).toEqual(['/health']);
+    expect((await getOutboxEntries()).map(entry => entry.status)).toEqual(['pending']);
+
+    await login('ana', '1234');
+    for (let tick = 0; tick < 100 && server.customers.get(1).balance !== 1500; tick++) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    expect(server.customers.get(1).balance).toBe(1500);
+  });
+});
+
+describe('reconciled balances', () => {
+  it('are recorded where the server disagrees, and the server balance is taken', async () => {
+    await customerAPI.cacheOfflineCustomer({ ...server.customers.get(1), balance: 1200 });
+
+    const discrepancies = await reconcileBalances({ 1: 1200 });
+    expect(discrepancies).toEqual([expect.objectContaining({ customerId: 1, expectedBalance: 1200, serverBalance: 1000, difference: -200 })]);
+    expect(await getDiscrepancies()).toEqual(discrepancies);
+    expect((await customerAPI.getOfflineCustomerById(1)).balance).toBe(1000);
+  });
+
+  it('leave nothing to record when the balances match', async () => {
+    expect(await reconcileBalances({ 1: 1000 })).toEqual([]);
+    expect(await getDiscrepancies()).toEqual([]);
+  });
+
+  it('skip customers with changes still queued', async () => {
+    await customerAPI.cacheOfflineCustomer({ ...server.customers.get(1) });
+    server.failures.push({ pattern: /\/balance$/, status: 503 });
+    await customerAPI.updateBalance(1, 5);
+
+    expect(await reconcileBalances({ 1: 1500 })).toEqual([]);
+    expect(server.requests.some(request => request.method === 'GET' && request.path === '/customers/1')).toBe(false);
+    expect((await customerAPI.getOfflineCustomerById(1)).balance).toBe(1500);
+  });
+});
+
+describe('blocked and replaced cards', () => {
+  beforeEach(async () => {
+    server.customers.set(2, { id: 2, name: 'Ben', cardId: '04B5B6B7', balance: 1000 });
+    server.blocklist = [
+      { cardId: '04a1b2c3', status: 'blocked', reason: 'fraud' },
+      { cardId: '04C1C2C3', status: 'replaced', replacedBy: '04B5B6B7' },
+    ];
+    await customerAPI.cacheOfflineCustomer({ ...server.customers.get(1) });
+    await customerAPI.cacheOfflineCustomer({ ...server.customers.get(2) });
+  });
+
+  it('are refused offline once the blocklist is downloaded', async () => {
+    expect(await cardAPI.refreshBlocklist()).toBe(2);
+    server.failures.push({ pattern: /./, status: 503 });
+
+    await expect(customerAPI.getByCardId('04A1B2C3')).rejects.toBeInstanceOf(CardBlockedError);
+    await expect(customerAPI.getByCardId('04C1C2C3')).rejects.toBeInstanceOf(CardBlockedError);
+    await expect(transactionAPI.create({ type: 'payment', customerId: 1, cardId: '04A1B2C3', amount: 1 }))
+      .rejects.toBeInstanceOf(CardBlockedError);
+    await expect(transactionAPI.create({ type: 'reload', customerId: 2, cardId: '04C1C2C3', amount: 1, paymentMethod: 'cash' }))
+      .rejects.toBeInstanceOf(CardBlockedError);
+
+    // The replacement card works
+    expect((await customerAPI.getByCardId('04B5B6B7')).id).toBe(2);
+    expect(await transactionAPI.create({ type: 'payment', customerId: 2, cardId: '04B5B6B7', amount: 1 }))
+      .toMatchObject({ offlineCreated: true });
+    expect(server.transactions).toEqual([]);
+  });
+
+  it('stay refused when a blocklist refresh fails', async () => {
+    await cardAPI.refreshBlocklist();
+    server.failures.push({ pattern: /./, status: 503 });
+
+    expect(await cardAPI.refreshBlocklist()).toBeNull();
+    await expect(customerAPI.getByCardId('04A1B2C3')).rejects.toBeInstanceOf(CardBlockedError);
+  });
+
+  it('are let through again once the server unblocks them', async () => {
+    await cardAPI.refreshBlocklist();
+    server.blocklist = server.blocklist.filter(entry => entry.status !== 'blocked');
+    await cardAPI.refreshBlocklist();
+    server.failures.push({ pattern: /./, status: 503 });
+
+    expect((await customerAPI.getByCardId('04A1B2C3')).id).toBe(1);
+  });
+});
+
+describe('cards enrolled by older versions', () => {
+  // ID versions that read the hex UID as base64 gave the card 04A1B2C3D4E580
+  const CARD_ID = '04A1B2C3D4E580';
+  const LEGACY_ID = 'D380350760B70F8139F3';
+
+  it('are found by their legacy ID and moved to their UID', async () => {
+    server.customers.set(2, { id: 2, name: 'Ben', cardId: LEGACY_ID, balance: 300 });
+
+    const customer = await customerAPI.getByCardId(CARD_ID);
+    expect(customer).toMatchObject({ id: 2, cardId: CARD_ID });
+    expect(server.customers.get(2).cardId).toBe(CARD_ID);
+  });
+
+  it('are moved offline too, and the move is synced later', async () => {
+    await customerAPI.cacheOfflineCustomer({ id: 2, name: 'Ben', cardId: LEGACY_ID, balance: 300 });
+    server.customers.set(2, { id: 2, name: 'Ben', cardId: LEGACY_ID, balance: 300 });
+    server.failures.push({ pattern: /^\/customers/, status: 503 });
+
+    expect(await customerAPI.getByCardId(CARD_ID)).toMatchObject({ id: 2, cardId: CARD_ID });
+
+    await reconnect();
+    expect(server.customers.get(2).cardId).toBe(CARD_ID);
+  });
+
+  it('are refused when blocked under their legacy ID', async () => {
+    await customerAPI.cacheOfflineCustomer({ id: 2, name: 'Ben', cardId: LEGACY_ID, cardStatus: 'blocked', balance: 300 });
+
+    await expect(customerAPI.getByCardId(CARD_ID)).rejects.toBeInstanceOf(CardBlockedError);
+  });
+});
+
+describe('stored value cards', () => {
+  const MASTER_KEY = '11'.repeat(32);
+  const CARD_ID = '04A1B2C3';
+  const cardKey = deriveCardKey(MASTER_KEY, CARD_ID);
+
+  /**
+   * Create a card session over slots kept in memory
+   * @param {object} [options] - Session options
+   * @param {boolean} [options.authenticated=true] - Whether the card passed its SUN check
+   * @returns {object} Session, as withTagSession gives
+   */
+  const createCardSession = ({ authenticated = true } = {}) => {
+    let slots = [];
+    return {
+      uid: CARD_ID,
+      auth: { authenticated },
+      readExternal: async () => slots,
+      writeExternal: async (type, payloads) => {
+        slots = payloads;
+      },
+    };
+  };
+
+  const issueCard = async (session, balance) => {
+    const card = await readCard(session, cardKey);
+    await writeCard(session, cardKey, card, nextRecord(card.record, { balance, key: 'issue' }));
+  };
+
+  const cardBalance = async session => (await readCard(session, cardKey)).record.balance;
+
+  const charge = (session, changes) => transactionAPI.chargeStoredValue(session, {
+    type: 'payment',
+    customerId: 1,
+    cardId: CARD_ID,
+    amount: 2,
+    ...changes,
+  }, MASTER_KEY);
+
+  it('take an online payment off the card, not raise it to the server balance', async () => {
+    const session = createCardSession();
+    await issueCard(session, 500);
+
+    await charge(session);
+    expect(server.customers.get(1).balance).toBe(800);
+    expect(await cardBalance(session)).toBe(300);
+  });
+
+  it('come down to a server balance below the card balance', async () => {
+    server.customers.get(1).balance = 250;
+    const session = createCardSession();
+    await issueCard(session, 500);
+
+    await charge(session);
+    expect(await cardBalance(session)).toBe(50);
+  });
+
+  it('are raised by online reloads', async () => {
+    const session = createCardSession();
+    await issueCard(session, 500);
+
+    await charge(session, { type: 'reload', amount: 3, paymentMethod: 'cash' });
+    expect(server.customers.get(1).balance).toBe(1300);
+    expect(await cardBalance(session)).toBe(800);
+  });
+
+  it('are taken over from a record signed for the card\'s legacy ID', async () => {
+    const session = createCardSession();
+    const legacyUid = 'D380350760B7';
+    const legacySession = { ...session, uid: legacyUid };
+    const legacyKey = deriveCardKey(MASTER_KEY, legacyUid);
+    const card = await readCard(legacySession, legacyKey);
+    await writeCard(legacySession, legacyKey, card, nextRecord(card.record, { balance: 500, key: 'issue' }));
+
+    await charge(session);
+    expect(await cardBalance(session)).toBe(300);
+  });
+
+  it('are refused unless the card authenticated as a secure card', async () => {
+    const session = createCardSession({ authenticated: false });
+    await issueCard(session, 500);
+
+    await expect(charge(session)).rejects.toMatchObject({ code: 'not_secure' });
+    expect(server.transactions).toEqual([]);
+    expect(await cardBalance(session)).toBe(500);
+  });
+});
+
+describe('QR code payments', () => {
+  const qrToken = { accountRef: '1', nonce: 'cd'.repeat(16), expiresAt: Math.floor(Date.now() / 1000) + 60 };
+  const pay = () => transactionAPI.create({ type: 'payment', customerId: 1, amount: 2, qrToken });
+
+  it('spend the token once the payment is recorded, and send its nonce', async () => {
+    await pay();
+
+    expect(server.transactions[0].qrTokenNonce).toBe(qrToken.nonce);
+    expect(server.transactions[0]).not.toHaveProperty('qrToken');
+    await expect(assertQrTokenUnused(qrToken.nonce)).rejects.toMatchObject({ code: 'replayed' });
+    await expect(pay()).rejects.toMatchObject({ code: 'replayed' });
+  });
+
+  it('leave the token unspent when the payment is rejected', async () => {
+    server.failures.push({ pattern: /^\/transactions$/, status: 422 });
+
+    await expect(pay()).rejects.toBeInstanceOf(ClientError);
+    await expect(assertQrTokenUnused(qrToken.nonce)).resolves.toBeUndefined();
+  });
+
+  it('are refused when the server has seen the token at another terminal', async () => {
+    server.failures.push({ pattern: /^\/transactions$/, status: 409, body: { code: 'qr_token_used' } });
+
+    await expect(pay()).rejects.toMatchObject({ name: 'QrPaymentError', code: 'replayed' });
+    await expect(assertQrTokenUnused(qrToken.nonce)).rejects.toMatchObject({ code: 'replayed' });
+  });
+});
@@ -0,0 +1,85 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { httpClient, createInProcessTransport } from '../http-client';
+import { login, logout, getCurrentOperator, hasPermission } from '../auth';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operators the server knows, by username
+let operators;
+let serverUp;
+
+beforeAll(() => {
+  httpClient.setTransport(createInProcessTransport(async ({ path, body }) => {
+    if (!serverUp) {
+      throw new Error('Network request failed');
+    }
+    if (path.endsWith('/auth/login')) {
+      const operator = operators[body.username];
+      if (!operator || operator.pin !== body.password) {
+        return { status: 401, body: { message: 'Invalid credentials' } };
+      }
+      return { body: { token: `token-${body.username}`, operator: { username: body.username, role: operator.role } } };
+    }
+    return { body: {} };
+  }));
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await AsyncStorage.clear();
+  operators = { ana: { pin: '1234', role: 'cashier' } };
+  serverUp = true;
+});
+
+afterEach(async () => {
+  serverUp = false;
+  await logout();
+  jest.restoreAllMocks();
+});
+
+describe('offline login', () => {
+  it('works with the credentials cached by an online login', async () => {
+    await login('ana', '1234');
+    await logout();
+
+    serverUp = false;
+    const session = await login('ana', '1234');
+    expect(session.offline).toBe(true);
+    await expect(login('ana', '0000')).rejects.toThrow('Invalid username or PIN');
+  });
+
+  it('is refused once the operator has not logged in online for too long', async () => {
+    await login('ana', '1234');
+    await logout();
+
+    serverUp = false;
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 8 * DAY_MS);
+    await expect(login('ana', '1234')).rejects.toThrow('has not logged in online for over 7 days');
+  });
+
+  it('is refused after the server rejected the PIN', async () => {
+    await login('ana', '1234');
+    await logout();
+
+    operators.ana.pin = '5678';
+    await expect(login('ana', '1234')).rejects.toThrow('Invalid username or PIN');
+
+    serverUp = false;
+    await expect(login('ana', '1234')).rejects.toThrow('never logged in online');
+  });
+
+  it('uses the role of the last online login', async () => {
+    await login('ana', '1234');
+    await logout();
+    operators.ana.role = 'supervisor';
+    await login('ana', '1234');
+    await logout();
+
+    serverUp = false;
+    await login('ana', '1234');
+    expect(getCurrentOperator().role).toBe('supervisor');
+    expect(hasPermission('refund')).toBe(true);
+  });
+});
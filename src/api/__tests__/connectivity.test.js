@@ -0,0 +1,55 @@
+import { httpClient, createInProcessTransport } from '../http-client';
+import { checkConnectivity, getConnectivity, onReconnect } from '../connectivity';
+
+let serverUp = true;
+const reconnects = jest.fn();
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  httpClient.setTransport(createInProcessTransport(async () => {
+    if (!serverUp) {
+      return { status: 503, body: { message: 'Unavailable' } };
+    }
+    return { body: { status: 'ok' } };
+  }));
+  onReconnect(reconnects);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Wait for the reconnect handlers started by a probe to finish
+ */
+const settle = async () => {
+  while (getConnectivity().syncing) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+};
+
+describe('reconnect handlers', () => {
+  it('run after the first successful probe, for changes left by the previous session', async () => {
+    expect(getConnectivity().online).toBeNull();
+
+    await expect(checkConnectivity()).resolves.toBe(true);
+    await settle();
+    expect(reconnects).toHaveBeenCalledTimes(1);
+  });
+
+  it('do not run again while the server stays reachable', async () => {
+    await checkConnectivity();
+    await settle();
+    expect(reconnects).toHaveBeenCalledTimes(1);
+  });
+
+  it('run when the server comes back after being unreachable', async () => {
+    serverUp = false;
+    await expect(checkConnectivity()).resolves.toBe(false);
+
+    serverUp = true;
+    await expect(checkConnectivity()).resolves.toBe(true);
+    await settle();
+    expect(reconnects).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,30 @@
+import { createHttpClient, NetworkError, TimeoutError } from '../http-client';
+
+/**
+ * Create a transport whose responses send their headers and then stall
+ * @param {Function} [text] - Body reader of the responses
+ * @returns {Function} fetch-compatible transport
+ */
+const createStallingTransport = (text = () => new Promise(() => {})) => async () => ({
+  ok: true,
+  status: 200,
+  headers: {},
+  text,
+});
+
+describe('http client', () => {
+  it('times out a response whose body never finishes', async () => {
+    const client = createHttpClient({ transport: createStallingTransport(), timeout: 50, retries: 0 });
+
+    await expect(client.get('/customers/1')).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  it('reports a body cut off mid-way as a network failure', async () => {
+    const transport = createStallingTransport(async () => {
+      throw new Error('Connection reset');
+    });
+    const client = createHttpClient({ transport, timeout: 50, retries: 0 });
+
+    await expect(client.get('/customers/1')).rejects.toBeInstanceOf(NetworkError);
+  });
+});
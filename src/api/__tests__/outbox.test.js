@@ -0,0 +1,141 @@
+import { httpClient, createInProcessTransport } from '../http-client';
+import { setOfflineStoreBackend } from '../../storage/offline-store';
+import { createMemoryBackend } from '../../storage/backends';
+import { createTempId, enqueue, getOutboxEntries, replayOutbox, resolveId, OUTBOX_STATUS } from '../outbox';
+
+// Requests the server got, as "METHOD path"
+let received;
+// Status the server answers every request with, null to handle them
+let refuseWith;
+
+beforeAll(() => {
+  httpClient.setTransport(createInProcessTransport(async ({ method, path, body }) => {
+    received.push(`${method} ${path.replace(/^\/api/, '')}`);
+    if (refuseWith) {
+      return { status: refuseWith, body: { message: 'Not logged in' } };
+    }
+    if (method === 'POST' && path.endsWith('/customers')) {
+      return { status: 201, body: { ...body, id: 42 } };
+    }
+    return { body: body || {} };
+  }));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  received = [];
+  refuseWith = null;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Queue the offline registration of a customer and a reload for them
+ * @returns {Promise<string>} Temporary customer ID
+ */
+const queueRegistration = async () => {
+  const tempId = createTempId();
+  await enqueue({ type: 'register', method: 'POST', path: '/customers', body: { name: 'Ana' }, produces: tempId });
+  await enqueue({ type: 'transaction', method: 'POST', path: '/transactions', body: { customerId: tempId, amount: 500 } });
+  return tempId;
+};
+
+describe('outbox', () => {
+  it('replays entries in order, with the server ID of a record created offline', async () => {
+    setOfflineStoreBackend(createMemoryBackend());
+    const tempId = await queueRegistration();
+
+    expect(await replayOutbox()).toEqual({ success: 2, failed: 0, total: 2 });
+    expect(received).toEqual(['POST /customers', 'POST /transactions']);
+    expect(await resolveId(tempId)).toBe(42);
+    expect((await getOutboxEntries()).map(entry => entry.status)).toEqual([OUTBOX_STATUS.DONE, OUTBOX_STATUS.DONE]);
+  });
+
+  it.each([401, 403])('keeps the queue when the server answers %i and replays it after login', async (status) => {
+    setOfflineStoreBackend(createMemoryBackend());
+    const tempId = await queueRegistration();
+
+    refuseWith = status;
+    expect(await replayOutbox()).toEqual({ success: 0, failed: 1, total: 1 });
+    expect(received).toEqual(['POST /customers']);
+    expect((await getOutboxEntries()).map(entry => entry.status)).toEqual([OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PENDING]);
+
+    refuseWith = null;
+    received = [];
+    expect(await replayOutbox()).toEqual({ success: 2, failed: 0, total: 2 });
+    expect(received).toEqual(['POST /customers', 'POST /transactions']);
+    expect(await resolveId(tempId)).toBe(42);
+  });
+
+  it('writes only the entry that changed, however long the queue is', async () => {
+    const backend = createMemoryBackend();
+    let keysWritten = 0;
+    setOfflineStoreBackend({
+      ...backend,
+      multiSet: (pairs) => {
+        keysWritten += pairs.length;
+        return backend.multiSet(pairs);
+      },
+    });
+    for (let number = 0; number < 50; number++) {
+      await enqueue({ type: 'transaction', method: 'POST', path: '/transactions', body: { amount: number } });
+    }
+
+    keysWritten = 0;
+    await enqueue({ type: 'transaction', method: 'POST', path: '/transactions', body: { amount: 50 } });
+    // The entry and its status index entry
+    expect(keysWritten).toBe(2);
+  });
+
+  it('forgets the server ID of a record once its entry is pruned and nothing refers to it', async () => {
+    setOfflineStoreBackend(createMemoryBackend());
+    const tempId = await queueRegistration();
+    for (let number = 0; number < 98; number++) {
+      await enqueue({ type: 'transaction', method: 'POST', path: '/transactions', body: { amount: number } });
+    }
+
+    await replayOutbox();
+    expect(await resolveId(tempId)).toBe(42);
+
+    await enqueue({ type: 'transaction', method: 'POST', path: '/transactions', body: { amount: 98 } });
+    await replayOutbox();
+    expect((await getOutboxEntries()).length).toBe(100);
+    expect(await resolveId(tempId)).toBe(tempId);
+  });
+
+  it('takes over the queue and ID map written by older versions', async () => {
+    const entry = {
+      id: 'entry-1',
+      seq: 1,
+      type: 'transaction',
+      method: 'POST',
+      path: '/transactions',
+      body: { customerId: 'offline-00000000-0000-0000-0000-000000000001', amount: 500 },
+      idempotencyKey: 'key-1',
+      group: null,
+      produces: null,
+      producesKey: 'id',
+      ref: null,
+      description: 'Reload',
+      dependsOn: [],
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      completedAt: null,
+    };
+    const backend = createMemoryBackend({
+      offline_outbox: JSON.stringify([entry]),
+      offline_outbox_id_map: JSON.stringify({ 'offline-00000000-0000-0000-0000-000000000001': 7 }),
+    });
+    setOfflineStoreBackend(backend);
+
+    expect(await getOutboxEntries()).toEqual([entry]);
+    expect(await resolveId('offline-00000000-0000-0000-0000-000000000001')).toBe(7);
+    expect(backend.dump().offline_outbox).toBeUndefined();
+  });
+});
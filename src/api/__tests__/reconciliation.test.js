@@ -0,0 +1,108 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { httpClient, createInProcessTransport } from '../http-client';
+import { setOfflineStoreBackend } from '../../storage/offline-store';
+import { createMemoryBackend } from '../../storage/backends';
+import { login, logout } from '../auth';
+import {
+  acknowledgeDiscrepancy,
+  compareBalance,
+  getDiscrepancies,
+  getOpenDiscrepancyCount,
+  recordDiscrepancies,
+} from '../reconciliation';
+
+const CUSTOMER = { id: 1, name: 'Ana', cardId: '04A1B2C3', balance: 1000 };
+
+beforeAll(() => {
+  httpClient.setTransport(createInProcessTransport(async ({ body }) => ({
+    body: { token: 'token', operator: { id: 1, username: body.username, role: 'supervisor' } },
+  })));
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await AsyncStorage.clear();
+  setOfflineStoreBackend(createMemoryBackend());
+  await login('ana', '1234');
+});
+
+afterEach(async () => {
+  await logout();
+  jest.restoreAllMocks();
+});
+
+describe('compareBalance', () => {
+  it('finds nothing when the balances match', () => {
+    expect(compareBalance(CUSTOMER, 1000)).toBeNull();
+  });
+
+  it('reports how far the server balance is from the one expected', () => {
+    expect(compareBalance(CUSTOMER, 1250)).toMatchObject({
+      customerId: 1,
+      customerName: 'Ana',
+      cardId: '04A1B2C3',
+      expectedBalance: 1250,
+      serverBalance: 1000,
+      difference: -250,
+      acknowledgedAt: null,
+    });
+  });
+});
+
+describe('discrepancies', () => {
+  it('are kept newest first and counted until acknowledged', async () => {
+    const older = { ...compareBalance(CUSTOMER, 900), detectedAt: '2026-01-01T00:00:00.000Z' };
+    const newer = { ...compareBalance({ ...CUSTOMER, id: 2 }, 900), detectedAt: '2026-01-02T00:00:00.000Z' };
+    await recordDiscrepancies([older]);
+    await recordDiscrepancies([newer]);
+
+    expect((await getDiscrepancies()).map(d => d.id)).toEqual([newer.id, older.id]);
+    expect(await getOpenDiscrepancyCount()).toBe(2);
+
+    const acknowledged = await acknowledgeDiscrepancy(older.id, '  Paid at another terminal ');
+    expect(acknowledged).toMatchObject({ acknowledgedBy: 'ana', note: 'Paid at another terminal' });
+    expect(await getOpenDiscrepancyCount()).toBe(1);
+    expect((await getDiscrepancies())[1].acknowledgedAt).toBe(acknowledged.acknowledgedAt);
+  });
+
+  it('are stored one record each, so acknowledging one writes only that one', async () => {
+    const backend = createMemoryBackend();
+    setOfflineStoreBackend(backend);
+    const recorded = Array.from({ length: 20 }, (_, index) => compareBalance({ ...CUSTOMER, id: index + 1 }, 900));
+    await recordDiscrepancies(recorded);
+
+    const before = backend.dump();
+    await acknowledgeDiscrepancy(recorded[5].id);
+    const changed = Object.keys(backend.dump()).filter(key => backend.dump()[key] !== before[key]);
+    // The record and its status index entries
+    expect(changed.filter(key => key.includes(recorded[5].id)).length).toBe(changed.length);
+  });
+
+  it('keep the newest acknowledged ones only', async () => {
+    const acknowledged = Array.from({ length: 201 }, (_, index) => ({
+      ...compareBalance({ ...CUSTOMER, id: index + 1 }, 900),
+      detectedAt: new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString(),
+      acknowledgedAt: '2026-02-01T00:00:00.000Z',
+    }));
+    const open = compareBalance(CUSTOMER, 900);
+    await recordDiscrepancies([...acknowledged, open]);
+
+    const kept = await getDiscrepancies();
+    expect(kept).toHaveLength(201);
+    expect(kept.map(d => d.id)).not.toContain(acknowledged[0].id);
+    expect(kept.map(d => d.id)).toContain(open.id);
+  });
+
+  it('are taken over from the list older versions kept', async () => {
+    const legacy = [compareBalance(CUSTOMER, 900)];
+    const backend = createMemoryBackend({ reconciliation_discrepancies: JSON.stringify(legacy) });
+    setOfflineStoreBackend(backend);
+
+    expect(await getDiscrepancies()).toEqual(legacy);
+    expect(backend.dump().reconciliation_discrepancies).toBeUndefined();
+  });
+
+  it('cannot be acknowledged when unknown', async () => {
+    await expect(acknowledgeDiscrepancy('missing')).rejects.toThrow('Discrepancy not found');
+  });
+});
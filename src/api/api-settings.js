@@ -2,13 +2,10 @@
  * API Settings Module
  * Handles storage and retrieval of API configuration
  */
-import AsyncStorage from '@react-native-async-storage/async-storage';
-
-// Storage key for API URL
-const API_URL_KEY = 'api_url';
+import { getSetting, updateSettings, DEFAULT_SETTINGS } from '../utils/settings';
 
 // Default API URL (fallback if none is stored)
-const DEFAULT_API_URL = 'http://10.0.2.2:5000/api';
+const DEFAULT_API_URL = DEFAULT_SETTINGS.apiUrl;
 
 /**
  * Save API URL to persistent storage
@@ -17,7 +14,7 @@ const DEFAULT_API_URL = 'http://10.0.2.2:5000/api';
  */
 export const saveApiUrl = async (url) => {
   try {
-    await AsyncStorage.setItem(API_URL_KEY, url);
+    await updateSettings({ apiUrl: url });
     console.log('API URL saved:', url);
   } catch (error) {
     console.error('Failed to save API URL:', error);
@@ -31,7 +28,7 @@ export const saveApiUrl = async (url) => {
  */
 export const getApiUrl = async () => {
   try {
-    const url = await AsyncStorage.getItem(API_URL_KEY);
+    const url = await getSetting('apiUrl');
     if (url) {
       return url;
     }
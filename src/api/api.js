@@ -1,29 +1,70 @@
+import 'react-native-get-random-values';
+import { v4 as uuidv4 } from 'uuid';
 import { getApiUrl, saveApiUrl } from './api-settings';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { amountToCents, centsToAmount } from '../utils/formatters';
-
-// Offline storage keys
-const OFFLINE_TRANSACTIONS_KEY = 'offline_transactions';
-const OFFLINE_MODE_KEY = 'offline_mode';
-const OFFLINE_CUSTOMERS_KEY = 'offline_customers';
-const OFFLINE_CUSTOMERS_BY_CARD_KEY = 'offline_customers_by_card';
+import { httpClient, ClientError, NetworkError, TimeoutError, ServerError } from './http-client';
+import { amountToCents, centsToAmount, formatCurrency, formatTransactionType, normalizeCardId } from '../utils/formatters';
+import { getCachedSettings, getSettings, loadSettings, updateSettings } from '../utils/settings';
+import { assertPermission, getAuthHeaders, getCurrentOperator, getSession, subscribeSession, PERMISSIONS } from './auth';
+import { isOnline, isServerReachable, onReconnect } from './connectivity';
+import { evaluateOfflineRisk, OfflineRiskError } from '../utils/offline-risk';
+import { getBalanceChange } from '../utils/balance-changes';
+import { isReversal, validateReversal, getReversalSummary, RefundError } from '../utils/refunds';
+import { requiresApproval, validateAdjustment, AdjustmentError, getAdjustmentReasonLabel } from '../utils/adjustments';
+import {
+  StoredValueError,
+  getStoredValueKey,
+  deriveCardKey,
+  nextRecord,
+  readCard,
+  writeCard,
+} from '../utils/stored-value';
+import { withTagSession } from '../utils/nfc-manager';
+import { getLegacyTagUid } from '../utils/nfc-tag';
+import { assertQrTokenUnused, consumeQrPaymentToken, QrPaymentError } from '../utils/qr-payment';
+import {
+  CARD_STATUS,
+  CardBlockedError,
+  CardStatusError,
+  canChangeCardStatus,
+  getCardStatusLabel,
+  getCardStatusReasonLabel,
+  isCardUsable,
+} from '../utils/card-status';
+import { compareBalance, recordDiscrepancies, getOpenDiscrepancyCount } from './reconciliation';
+import {
+  offlineStore,
+  customers as cachedCustomers,
+  transactions as cachedTransactions,
+  cards as cachedCards,
+  blocklist as cachedBlocklist,
+} from '../storage/offline-store';
+import {
+  postMovement,
+  syncCustomerAccount,
+  moveCustomerAccount,
+  checkLedgerIntegrity,
+} from '../storage/ledger';
+import {
+  IDEMPOTENCY_HEADER,
+  OUTBOX_STATUS,
+  isTempId,
+  createTempId,
+  resolveId,
+  getAlreadyProcessedRecord,
+  enqueue,
+  registerOutboxHandler,
+  replayOutbox,
+  getOutboxEntries,
+  clearOutbox,
+} from './outbox';
 
 // API version
 export const API_VERSION = '2.0.2';
 
-// Track offline mode
-let offlineMode = false;
-
-// Initialize offline mode from storage
-(async () => {
-  try {
-    const storedOfflineMode = await AsyncStorage.getItem(OFFLINE_MODE_KEY);
-    offlineMode = storedOfflineMode === 'true';
-    console.log(`Initialized offline mode: ${offlineMode}`);
-  } catch (error) {
-    console.error('Failed to initialize offline mode:', error);
-  }
-})();
+// Initialize offline mode from settings
+loadSettings().then((settings) => {
+  console.log(`Initialized offline mode: ${settings.offlineMode}`);
+});
 
 /**
  * Save and verify API URL - wrapper around the original saveApiUrl 
@@ -64,23 +105,11 @@ export const checkApiStatus = async () => {
   }
 
   try {
-    const apiUrl = await getApiUrl();
-    const response = await fetch(`${apiUrl}/status`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      return { online: false, version: API_VERSION };
-    }
-
-    const data = await response.json();
+    const data = await httpClient.get('/status', { retries: 0 });
     return { 
       online: true, 
-      version: data.version || API_VERSION,
-      serverTime: data.serverTime,
+      version: (data && data.version) || API_VERSION,
+      serverTime: data && data.serverTime,
     };
   } catch (error) {
     console.error('API status check failed:', error);
@@ -93,8 +122,7 @@ export const checkApiStatus = async () => {
  * @param {boolean} value - Whether to enable offline mode
  */
 export const setOfflineMode = (value) => {
-  offlineMode = value;
-  AsyncStorage.setItem(OFFLINE_MODE_KEY, value.toString());
+  updateSettings({ offlineMode: value }).catch(() => {});
   console.log(`Offline mode set to: ${value}`);
 };
 
@@ -102,35 +130,303 @@ export const setOfflineMode = (value) => {
  * Check if offline mode is enabled
  * @returns {boolean} Whether offline mode is enabled
  */
-export const isOfflineMode = () => offlineMode;
+export const isOfflineMode = () => getCachedSettings().offlineMode;
 
 /**
  * Determine if we should operate in offline mode
- * Either manual offline mode is enabled or we can't reach the API
+ * Either manual offline mode is enabled or the server was unreachable at the last check
  * @returns {Promise<boolean>} Whether to operate in offline mode
  */
 export const shouldOperateOffline = async () => {
   // If offline mode is explicitly enabled, use that
-  if (offlineMode) {
+  if ((await getSettings()).offlineMode) {
     return true;
   }
 
-  // Otherwise, check if API is reachable
-  try {
-    const apiUrl = await getApiUrl();
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 3000);
+  // Otherwise use the cached connectivity state, probing only if it is unknown
+  return !(await isServerReachable());
+};
 
-    const response = await fetch(`${apiUrl}/health`, {
-      method: 'GET',
-      signal: controller.signal,
+/**
+ * Post a transaction with an idempotency key
+ * Safe to retry, and a repeated request resolves to the record the server already has
+ * @param {string} path - API path
+ * @param {object} data - Transaction data including idempotencyKey
+ * @returns {Promise<{record: object, alreadyProcessed: boolean}>} Server record
+ */
+const postTransaction = async (path, data) => {
+  try {
+    const record = await httpClient.post(path, data, {
+      headers: { [IDEMPOTENCY_HEADER]: data.idempotencyKey },
+      idempotent: true,
     });
-    
-    clearTimeout(timeoutId);
-    return !response.ok;
+    return { record: record || {}, alreadyProcessed: false };
   } catch (error) {
-    console.log('API unreachable, operating in offline mode:', error.message);
-    return true;
+    const record = getAlreadyProcessedRecord(error);
+    if (record) {
+      console.log(`Transaction ${data.idempotencyKey} was already processed by the server`);
+      return { record, alreadyProcessed: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record an offline change in the outbox
+ * Replays right away if the server is reachable, e.g. for changes to a customer
+ * that was registered offline and has not been synced yet
+ * @param {object} mutation - Mutation, see outbox enqueue
+ * @returns {Promise<object>} Outbox entry
+ */
+const queueMutation = async (mutation) => {
+  const entry = await enqueue(mutation);
+  if (isOnline() && !getCachedSettings().offlineMode) {
+    replayOutbox().catch(error => console.error('Outbox replay failed:', error));
+  }
+  return entry;
+};
+
+/**
+ * Refuse a card record older than the last one this terminal saw on the card
+ * Catches a copy of an earlier, fuller record written back to the card
+ * @param {string} cardId - Card UID
+ * @param {object|null} record - Record read from the card
+ * @throws {StoredValueError} If the record was replayed
+ */
+const assertCardNotReplayed = async (cardId, record) => {
+  const seen = await cachedCards.get(cardId);
+  if (!seen || !record) return;
+
+  if (record.counter < seen.counter
+    || (record.counter === seen.counter && record.lastTxHash !== seen.lastTxHash)) {
+    throw new StoredValueError(
+      'This card carries an older balance than it had here before and cannot be used offline',
+      'replayed',
+      { seenCounter: seen.counter, counter: record.counter }
+    );
+  }
+};
+
+/**
+ * Remember the newest record written to a card
+ * @param {string} cardId - Card UID
+ * @param {object} record - Record on the card
+ * @returns {Promise<void>}
+ */
+const rememberCardRecord = async (cardId, record) => {
+  const seen = await cachedCards.get(cardId);
+  return cachedCards.put({
+    ...seen,
+    cardId,
+    counter: record.counter,
+    lastTxHash: record.lastTxHash,
+    balance: record.balance,
+    seenAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Refuse a card that is blocked, reported lost or replaced
+ * Checks the blocklist cached on this terminal and the cached customer, so it holds offline,
+ * under the card's ID and the legacy ID older versions gave it
+ * @param {string} cardId - Card ID
+ * @throws {CardBlockedError} If the card cannot be used
+ */
+const assertCardUsable = async (cardId) => {
+  const id = normalizeCardId(cardId);
+  if (!id) return;
+
+  for (const knownAs of [id, getLegacyTagUid(id)].filter(Boolean)) {
+    const entry = await cachedBlocklist.get(knownAs);
+    if (entry && !isCardUsable(entry.status)) {
+      throw new CardBlockedError(id, entry.status);
+    }
+
+    const customer = await cachedCustomers.findOneBy('cardId', knownAs);
+    if (!entry && customer && !isCardUsable(customer.cardStatus)) {
+      throw new CardBlockedError(id, customer.cardStatus);
+    }
+  }
+};
+
+/**
+ * Read the stored value on a card
+ * Records written before tag UIDs were read as hex are signed for the card's
+ * legacy ID; they are read with it and the next write signs the card for its UID.
+ * @param {object} session - Open card session from withTagSession
+ * @param {string} masterKey - Stored value master key as hex
+ * @param {Uint8Array} cardKey - Card key for the session UID
+ * @returns {Promise<object>} Card state from readCard
+ */
+const readStoredValueCard = async (session, masterKey, cardKey) => {
+  try {
+    return await readCard(session, cardKey);
+  } catch (error) {
+    const legacyUid = getLegacyTagUid(session.uid);
+    if (!(error instanceof StoredValueError) || error.code !== 'invalid' || !legacyUid) {
+      throw error;
+    }
+    const legacy = await readCard({ ...session, uid: legacyUid }, deriveCardKey(masterKey, legacyUid));
+    return { ...legacy, uid: session.uid };
+  }
+};
+
+/**
+ * Get the customers that open outbox entries belong to
+ * @param {object[]} entries - Outbox entries
+ * @returns {string[]} Customer IDs as used in the entries, possibly temporary
+ */
+const getQueuedCustomerIds = (entries) => {
+  const ids = new Set();
+  for (const entry of entries) {
+    const isOpenEntry = entry.status === OUTBOX_STATUS.PENDING || entry.status === OUTBOX_STATUS.FAILED;
+    if (isOpenEntry && entry.group && entry.group.startsWith('customer:')) {
+      ids.add(entry.group.slice('customer:'.length));
+    }
+  }
+  return [...ids];
+};
+
+/**
+ * Pull authoritative balances after a sync and compare them with what the terminal expected
+ * Customers that still have unsent changes are skipped until those are synced
+ * @param {object} expectedBalances - Expected balance in cents by customer ID
+ * @returns {Promise<object[]>} Recorded discrepancies
+ */
+export const reconcileBalances = async (expectedBalances) => {
+  const stillQueued = new Set();
+  for (const id of getQueuedCustomerIds(await getOutboxEntries())) {
+    stillQueued.add(String(await resolveId(id)));
+  }
+
+  const discrepancies = [];
+  for (const [localId, expectedBalance] of Object.entries(expectedBalances)) {
+    const customerId = await resolveId(localId);
+    if (isTempId(customerId) || stillQueued.has(String(customerId))) {
+      continue;
+    }
+
+    try {
+      const customer = await httpClient.get(`/customers/${customerId}`);
+
+      // The server balance wins
+      await customerAPI.cacheOfflineCustomer(customer);
+
+      const discrepancy = compareBalance(customer, expectedBalance);
+      if (discrepancy) {
+        discrepancies.push(discrepancy);
+      }
+    } catch (error) {
+      console.error(`Failed to reconcile customer ${customerId}:`, error);
+    }
+  }
+
+  await recordDiscrepancies(discrepancies);
+  return discrepancies;
+};
+
+/**
+ * Build the outbox mutation that syncs an offline transaction
+ * @param {object} transaction - Offline transaction
+ * @returns {object} Outbox mutation
+ */
+const transactionMutation = (transaction) => {
+  // Remove offline-specific properties
+  const { offlineCreated, ...syncData } = transaction;
+
+  return {
+    type: 'transaction',
+    method: 'POST',
+    path: '/transactions/sync',
+    body: syncData,
+    idempotencyKey: transaction.idempotencyKey,
+    group: transaction.customerId ? `customer:${transaction.customerId}` : null,
+    // Refunds of this transaction refer to its offline ID until it is synced
+    produces: transaction.transactionId,
+    producesKey: 'transactionId',
+    ref: transaction.transactionId,
+    description: `${formatTransactionType(transaction.type)} of ${formatCurrency(centsToAmount(transaction.amount))}`,
+  };
+};
+
+/**
+ * Check a transaction amount against the terminal's per-transaction limits
+ * @param {object} transactionData - Transaction data with amount in pesos
+ * @returns {Promise<void>} Rejects if the amount exceeds the limit
+ */
+export const checkTransactionLimits = async (transactionData) => {
+  const settings = await getSettings();
+  const limits = {
+    payment: settings.maxPaymentAmount,
+    reload: settings.maxReloadAmount,
+  };
+
+  const limit = limits[transactionData.type];
+  const amount = typeof transactionData.amount === 'number'
+    ? transactionData.amount
+    : centsToAmount(transactionData.amount);
+
+  if (limit > 0 && amount > limit) {
+    throw new Error(`Amount exceeds the ${transactionData.type} limit of ${limit.toFixed(2)}`);
+  }
+};
+
+/**
+ * Get the number of records and bytes held in the offline cache
+ * @returns {Promise<{customers: number, transactions: number, pendingTransactions: number, ledgerEntries: number, pendingChanges: number, failedChanges: number, openDiscrepancies: number, blockedCards: number, bytes: number}>} Cache info
+ */
+export const getOfflineCacheInfo = async () => {
+  const { bytes } = await offlineStore.getStats();
+  const customers = await cachedCustomers.count();
+  const transactions = await cachedTransactions.count();
+  const pending = await cachedTransactions.findBy('status', 'pending');
+  const ledgerEntries = await offlineStore.collections.journal.count();
+  const outbox = await getOutboxEntries();
+  const openDiscrepancies = await getOpenDiscrepancyCount();
+  const blockedCards = (await cachedBlocklist.getAll()).filter(e => !isCardUsable(e.status)).length;
+
+  return {
+    customers,
+    transactions,
+    pendingTransactions: pending.filter(t => t.offlineCreated).length,
+    ledgerEntries,
+    pendingChanges: outbox.filter(e => e.status === OUTBOX_STATUS.PENDING || e.status === OUTBOX_STATUS.FAILED).length,
+    failedChanges: outbox.filter(e => e.status === OUTBOX_STATUS.DEAD).length,
+    openDiscrepancies,
+    blockedCards,
+    bytes,
+  };
+};
+
+/**
+ * Check that the ledger balances and that every cached balance matches its ledger account
+ * @returns {Promise<object>} Result of checkLedgerIntegrity
+ */
+export const verifyLedger = async () => {
+  const result = await checkLedgerIntegrity(offlineStore.collections);
+  if (!result.ok) {
+    console.error(
+      `Ledger check failed: ${result.unbalancedEntries.length} unbalanced entries, `
+      + `${result.mismatches.length} balances differ from the ledger`
+    );
+  }
+  return result;
+};
+
+/**
+ * Remove all cached customers and transactions, the ledger and the outbox, including unsynced changes
+ * @returns {Promise<void>}
+ */
+export const clearOfflineData = async () => {
+  assertPermission('clearOfflineData');
+
+  try {
+    await offlineStore.clear();
+    await clearOutbox();
+    console.log('Offline data cleared');
+  } catch (error) {
+    console.error('Failed to clear offline data:', error);
+    throw error;
   }
 };
 
@@ -138,34 +434,51 @@ export const shouldOperateOffline = async () => {
 export const customerAPI = {
   /**
    * Get customer by card ID
+   * A customer enrolled by an older version under the card's legacy ID is
+   * found by it and moved to the card's ID, see getLegacyTagUid
    * @param {string} cardId - Card ID
    * @returns {Promise<any>} Customer data
+   * @throws {CardBlockedError} If the card is blocked, reported lost or replaced
    */
   async getByCardId(cardId) {
+    await assertCardUsable(cardId);
+
+    const customer = await this.findByCardId(cardId);
+    const legacyId = customer ? null : getLegacyTagUid(normalizeCardId(cardId));
+    if (!legacyId) {
+      return customer;
+    }
+
+    const enrolled = await this.findByCardId(legacyId);
+    return enrolled ? this.moveToCardId(enrolled, normalizeCardId(cardId)) : null;
+  },
+
+  /**
+   * Look up the customer of a card, without checking the blocklist first
+   * @param {string} cardId - Card ID
+   * @returns {Promise<any>} Customer data, or null if no customer has the card
+   * @throws {CardBlockedError} If the server reports the card blocked, lost or replaced
+   */
+  async findByCardId(cardId) {
     if (await shouldOperateOffline()) {
       return this.getOfflineCustomerByCardId(cardId);
     }
 
     try {
-      const apiUrl = await getApiUrl();
-      const response = await fetch(`${apiUrl}/customers/card/${cardId}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get customer: ${response.status}`);
-      }
-
-      const customer = await response.json();
+      const customer = await httpClient.get(`/customers/card/${cardId}`);
       
       // Cache customer data for offline use
       this.cacheOfflineCustomer(customer);
+
+      if (customer && !isCardUsable(customer.cardStatus)) {
+        throw new CardBlockedError(normalizeCardId(cardId), customer.cardStatus);
+      }
       
       return customer;
     } catch (error) {
+      if (error instanceof CardBlockedError) {
+        throw error;
+      }
       console.error(`Failed to get customer for card ${cardId}:`, error);
       // Try to get from offline cache as a fallback
       return this.getOfflineCustomerByCardId(cardId);
@@ -178,33 +491,24 @@ export const customerAPI = {
    * @returns {Promise<any>} Customer data
    */
   async getById(id) {
-    if (await shouldOperateOffline()) {
-      return this.getOfflineCustomerById(id);
+    // Customers registered offline are known by a temporary ID until synced
+    const customerId = await resolveId(id);
+
+    if (isTempId(customerId) || await shouldOperateOffline()) {
+      return this.getOfflineCustomerById(customerId);
     }
 
     try {
-      const apiUrl = await getApiUrl();
-      const response = await fetch(`${apiUrl}/customers/${id}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get customer: ${response.status}`);
-      }
-
-      const customer = await response.json();
+      const customer = await httpClient.get(`/customers/${customerId}`);
       
       // Cache customer data for offline use
       this.cacheOfflineCustomer(customer);
       
       return customer;
     } catch (error) {
-      console.error(`Failed to get customer ${id}:`, error);
+      console.error(`Failed to get customer ${customerId}:`, error);
       // Try to get from offline cache as a fallback
-      return this.getOfflineCustomerById(id);
+      return this.getOfflineCustomerById(customerId);
     }
   },
 
@@ -214,25 +518,19 @@ export const customerAPI = {
    * @returns {Promise<any>} Created customer
    */
   async register(customerData) {
+    assertPermission('registerCustomer');
+
+    const idempotencyKey = uuidv4();
+
     if (await shouldOperateOffline()) {
-      throw new Error('Cannot register new customers in offline mode');
+      return this.registerOffline(customerData, idempotencyKey);
     }
 
     try {
-      const apiUrl = await getApiUrl();
-      const response = await fetch(`${apiUrl}/customers`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(customerData),
+      const customer = await httpClient.post('/customers', customerData, {
+        headers: { [IDEMPOTENCY_HEADER]: idempotencyKey },
+        idempotent: true,
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to register customer: ${response.status}`);
-      }
-
-      const customer = await response.json();
       
       // Cache customer data for offline use
       this.cacheOfflineCustomer(customer);
@@ -240,47 +538,162 @@ export const customerAPI = {
       return customer;
     } catch (error) {
       console.error('Failed to register customer:', error);
-      throw error;
+
+      // The server rejected the registration itself, queueing it would not help
+      if (error instanceof ClientError) {
+        throw error;
+      }
+
+      // Queue it under the same key in case the server registered it before the response was lost
+      return this.registerOffline(customerData, idempotencyKey);
+    }
+  },
+
+  /**
+   * Register a customer offline under a temporary ID
+   * The registration is queued and the ID replaced once the server has assigned one
+   * @param {object} customerData - Customer data
+   * @param {string} idempotencyKey - Key sent when the registration is replayed
+   * @returns {Promise<any>} Created customer
+   */
+  async registerOffline(customerData, idempotencyKey) {
+    const customer = {
+      ...customerData,
+      id: createTempId(),
+      balance: 0,
+      offlineCreated: true,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.cacheOfflineCustomer(customer);
+    await queueMutation({
+      type: 'registerCustomer',
+      method: 'POST',
+      path: '/customers',
+      body: customerData,
+      idempotencyKey,
+      group: `customer:${customer.id}`,
+      produces: customer.id,
+      ref: customer.id,
+      description: `Register ${customerData.name}`,
+    });
+
+    return customer;
+  },
+
+  /**
+   * Move a customer enrolled under a card's legacy ID to the card's ID
+   * The terminal makes this change itself, so it needs no editCustomer permission
+   * @param {object} customer - Customer found by the legacy ID
+   * @param {string} cardId - Card ID
+   * @returns {Promise<any>} Updated customer, or the customer as found if the server refused
+   */
+  async moveToCardId(customer, cardId) {
+    console.log(`Card ${customer.cardId} of customer ${customer.id} is now known as ${cardId}`);
+    try {
+      return await this.applyUpdate(customer.id, { cardId });
+    } catch (error) {
+      console.error(`Failed to move customer ${customer.id} to card ${cardId}:`, error);
+      return customer;
+    }
+  },
+
+  /**
+   * Update customer details
+   * @param {number|string} id - Customer ID
+   * @param {object} changes - Fields to change, e.g. name, email, phone
+   * @returns {Promise<any>} Updated customer
+   */
+  async update(id, changes) {
+    assertPermission('editCustomer');
+    return this.applyUpdate(id, changes);
+  },
+
+  /**
+   * Update customer details without checking the operator's permission, see update
+   * @param {number|string} id - Customer ID
+   * @param {object} changes - Fields to change
+   * @returns {Promise<any>} Updated customer
+   */
+  async applyUpdate(id, changes) {
+    const customerId = await resolveId(id);
+    const idempotencyKey = uuidv4();
+
+    if (!isTempId(customerId) && !(await shouldOperateOffline())) {
+      try {
+        const customer = await httpClient.put(`/customers/${customerId}`, changes, {
+          headers: { [IDEMPOTENCY_HEADER]: idempotencyKey },
+        });
+        this.cacheOfflineCustomer(customer);
+        return customer;
+      } catch (error) {
+        console.error(`Failed to update customer ${customerId}:`, error);
+        if (error instanceof ClientError) {
+          throw error;
+        }
+      }
+    }
+
+    // Apply the change locally and queue it for the server
+    const cached = await this.getOfflineCustomerById(customerId);
+    if (!cached) {
+      throw new Error(`Customer ${customerId} not found in offline cache`);
     }
+    const customer = { ...cached, ...changes };
+    await this.cacheOfflineCustomer(customer);
+    await queueMutation({
+      type: 'updateCustomer',
+      method: 'PUT',
+      path: `/customers/${customerId}`,
+      body: changes,
+      idempotencyKey,
+      group: `customer:${customerId}`,
+      ref: customerId,
+      description: `Update ${customer.name || `customer ${customerId}`}`,
+    });
+
+    return customer;
   },
 
   /**
    * Update customer balance
-   * @param {number} customerId - Customer ID
+   * @param {number|string} id - Customer ID
    * @param {number} amount - Amount to add or subtract (positive to add, negative to subtract)
+   * @param {string} [idempotencyKey] - Key that stops a repeated request from changing the balance twice
+   * @param {object} [movement={}] - Ledger details: the transaction `type` and `transactionId`
    * @returns {Promise<any>} Updated customer
    */
-  async updateBalance(customerId, amount) {
-    if (await shouldOperateOffline()) {
-      return this.updateOfflineBalance(customerId, amount);
+  async updateBalance(id, amount, idempotencyKey = uuidv4(), movement = {}) {
+    const customerId = await resolveId(id);
+
+    if (isTempId(customerId) || await shouldOperateOffline()) {
+      return this.updateOfflineBalance(customerId, amount, idempotencyKey, movement);
     }
 
     try {
-      const apiUrl = await getApiUrl();
       const amountInCents = amountToCents(amount);
-      
-      const response = await fetch(`${apiUrl}/customers/${customerId}/balance`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ amount: amountInCents }),
+      const customer = await httpClient.post(`/customers/${customerId}/balance`, { amount: amountInCents }, {
+        headers: { [IDEMPOTENCY_HEADER]: idempotencyKey },
+        idempotent: true,
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to update balance: ${response.status}`);
-      }
-
-      const customer = await response.json();
       
-      // Update cache
-      this.cacheOfflineCustomer(customer);
+      // Update cache and record the movement in the ledger
+      await this.cacheOfflineCustomer(customer, {
+        type: movement.type || 'adjustment',
+        transactionId: movement.transactionId,
+        amount: amountInCents,
+        key: idempotencyKey,
+      });
       
       return customer;
     } catch (error) {
       console.error(`Failed to update balance for customer ${customerId}:`, error);
-      // Try offline update as a fallback
-      return this.updateOfflineBalance(customerId, amount);
+
+      // Queue it only if the server could not take it; a rejected change would be rejected again
+      if (!(error instanceof NetworkError || error instanceof TimeoutError || error instanceof ServerError)) {
+        throw error;
+      }
+      return this.updateOfflineBalance(customerId, amount, idempotencyKey, movement);
     }
   },
 
@@ -294,31 +707,16 @@ export const customerAPI = {
     }
 
     try {
-      const apiUrl = await getApiUrl();
-      const response = await fetch(`${apiUrl}/customers`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get customers: ${response.status}`);
-      }
-
-      const customers = await response.json();
-      
-      // Cache all customers for offline use
-      await AsyncStorage.setItem(OFFLINE_CUSTOMERS_KEY, JSON.stringify(customers));
+      const customers = await httpClient.get(`/customers`);
       
-      // Update card ID index
-      const customersByCard = {};
-      for (const customer of customers) {
-        if (customer.cardId) {
-          customersByCard[customer.cardId] = customer;
+      // Cache all customers for offline use, keeping those the server does not know yet
+      await offlineStore.transaction(async (store) => {
+        const registeredOffline = (await store.customers.getAll()).filter(c => isTempId(c.id));
+        await store.customers.replaceAll([...customers, ...registeredOffline]);
+        for (const customer of customers) {
+          await syncCustomerAccount(store, customer);
         }
-      }
-      await AsyncStorage.setItem(OFFLINE_CUSTOMERS_BY_CARD_KEY, JSON.stringify(customersByCard));
+      });
       
       return customers;
     } catch (error) {
@@ -330,32 +728,21 @@ export const customerAPI = {
 
   /**
    * Cache customer data for offline use
+   * The cached balance is taken as authoritative. The movement that explains the
+   * change is posted to the ledger if given; any difference left is posted as a
+   * discrepancy, see syncCustomerAccount
    * @param {object} customer - Customer data
+   * @param {object} [movement] - Balance movement that led to this record, see postMovement
    */
-  async cacheOfflineCustomer(customer) {
+  async cacheOfflineCustomer(customer, movement) {
     try {
-      // Get current customer cache
-      const customersStr = await AsyncStorage.getItem(OFFLINE_CUSTOMERS_KEY);
-      let customers = customersStr ? JSON.parse(customersStr) : [];
-      
-      // Update or add customer
-      const index = customers.findIndex(c => c.id === customer.id);
-      if (index >= 0) {
-        customers[index] = customer;
-      } else {
-        customers.push(customer);
-      }
-      
-      // Save updated cache
-      await AsyncStorage.setItem(OFFLINE_CUSTOMERS_KEY, JSON.stringify(customers));
-      
-      // Update card ID index
-      if (customer.cardId) {
-        const cardIndexStr = await AsyncStorage.getItem(OFFLINE_CUSTOMERS_BY_CARD_KEY);
-        const cardIndex = cardIndexStr ? JSON.parse(cardIndexStr) : {};
-        cardIndex[customer.cardId] = customer;
-        await AsyncStorage.setItem(OFFLINE_CUSTOMERS_BY_CARD_KEY, JSON.stringify(cardIndex));
-      }
+      await offlineStore.transaction(async (store) => {
+        if (movement) {
+          await postMovement(store, { ...movement, customerId: customer.id });
+        }
+        await store.customers.put(customer);
+        await syncCustomerAccount(store, customer);
+      });
     } catch (error) {
       console.error('Failed to cache customer:', error);
     }
@@ -368,10 +755,7 @@ export const customerAPI = {
    */
   async getOfflineCustomerByCardId(cardId) {
     try {
-      const cardIndexStr = await AsyncStorage.getItem(OFFLINE_CUSTOMERS_BY_CARD_KEY);
-      const cardIndex = cardIndexStr ? JSON.parse(cardIndexStr) : {};
-      
-      return cardIndex[cardId] || null;
+      return await cachedCustomers.findOneBy('cardId', cardId);
     } catch (error) {
       console.error(`Failed to get offline customer for card ${cardId}:`, error);
       return null;
@@ -385,10 +769,7 @@ export const customerAPI = {
    */
   async getOfflineCustomerById(id) {
     try {
-      const customersStr = await AsyncStorage.getItem(OFFLINE_CUSTOMERS_KEY);
-      const customers = customersStr ? JSON.parse(customersStr) : [];
-      
-      return customers.find(c => c.id === id) || null;
+      return await cachedCustomers.get(id);
     } catch (error) {
       console.error(`Failed to get offline customer ${id}:`, error);
       return null;
@@ -401,8 +782,7 @@ export const customerAPI = {
    */
   async getAllOfflineCustomers() {
     try {
-      const customersStr = await AsyncStorage.getItem(OFFLINE_CUSTOMERS_KEY);
-      return customersStr ? JSON.parse(customersStr) : [];
+      return await cachedCustomers.getAll();
     } catch (error) {
       console.error('Failed to get offline customers:', error);
       return [];
@@ -410,24 +790,70 @@ export const customerAPI = {
   },
 
   /**
-   * Update customer balance in offline cache
-   * @param {number} customerId - Customer ID
+   * Replace a customer registered offline with the record the server created
+   * @param {string} tempId - Temporary customer ID
+   * @param {object} customer - Server customer record
+   */
+  async replaceOfflineCustomer(tempId, customer) {
+    try {
+      await offlineStore.transaction(async (store) => {
+        await store.customers.remove(tempId);
+        await moveCustomerAccount(store, tempId, customer.id);
+        await store.customers.put(customer);
+        await syncCustomerAccount(store, customer);
+
+        // Point offline transactions at the new ID
+        for (const transaction of await store.transactions.findBy('customerId', tempId)) {
+          await store.transactions.put({ ...transaction, customerId: customer.id });
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to replace offline customer ${tempId}:`, error);
+    }
+  },
+
+  /**
+   * Update customer balance in offline cache and queue the change for the server
+   * @param {number|string} customerId - Customer ID
    * @param {number} amount - Amount to add or subtract (positive to add, negative to subtract)
+   * @param {string} [idempotencyKey] - Key sent when the change is replayed
+   * @param {object} [movement={}] - Ledger details: the transaction `type` and `transactionId`
    * @returns {Promise<any>} Updated customer
    */
-  async updateOfflineBalance(customerId, amount) {
+  async updateOfflineBalance(customerId, amount, idempotencyKey = uuidv4(), movement = {}) {
     try {
-      const customer = await this.getOfflineCustomerById(customerId);
+      // The balance and its ledger entry are written together under the store lock
+      const amountInCents = amountToCents(amount);
+      const customer = await offlineStore.transaction(async (store) => {
+        const updated = await store.customers.update(customerId, (cached) => {
+          cached.balance += amountInCents;
+        });
+        if (updated) {
+          await postMovement(store, {
+            type: movement.type || 'adjustment',
+            transactionId: movement.transactionId,
+            customerId,
+            amount: amountInCents,
+            key: idempotencyKey,
+          });
+        }
+        return updated;
+      });
       if (!customer) {
         throw new Error(`Customer ${customerId} not found in offline cache`);
       }
       
-      // Update balance in pesos
-      const amountInCents = amountToCents(amount);
-      customer.balance += amountInCents;
-      
-      // Save updated customer
-      await this.cacheOfflineCustomer(customer);
+      // Queue the change so the server balance follows
+      await queueMutation({
+        type: 'balance',
+        method: 'POST',
+        path: `/customers/${customerId}/balance`,
+        body: { amount: amountInCents },
+        idempotencyKey,
+        group: `customer:${customerId}`,
+        ref: customerId,
+        description: `Balance ${amountInCents < 0 ? 'debit' : 'credit'} of ${formatCurrency(Math.abs(amount))} for ${customer.name || `customer ${customerId}`}`,
+      });
       
       return customer;
     } catch (error) {
@@ -437,21 +863,569 @@ export const customerAPI = {
   }
 };
 
+// Card API methods
+export const cardAPI = {
+  /**
+   * Download the blocklist and cache it for offline use
+   * Entries changed on this terminal and not yet synced are kept
+   * @returns {Promise<number|null>} Number of blocked cards, or null if the download failed
+   */
+  async refreshBlocklist() {
+    try {
+      const entries = await httpClient.get('/cards/blocklist');
+      return await offlineStore.transaction(async (store) => {
+        const pending = (await store.blocklist.getAll()).filter(e => e.pending);
+        const pendingIds = new Set(pending.map(e => e.cardId));
+        const downloaded = (entries || [])
+          .map(entry => ({ ...entry, cardId: normalizeCardId(entry.cardId) }))
+          .filter(entry => !pendingIds.has(entry.cardId));
+        await store.blocklist.replaceAll([...downloaded, ...pending]);
+        return downloaded.length + pending.filter(e => !isCardUsable(e.status)).length;
+      });
+    } catch (error) {
+      console.error('Failed to refresh the card blocklist:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Get the status of a card as known on this terminal
+   * @param {string} cardId - Card ID
+   * @returns {Promise<{cardId: string, status: string, reason?: string, replacedBy?: string, customerId?: number|string}>} Status
+   */
+  async getStatus(cardId) {
+    const id = normalizeCardId(cardId);
+    const entry = await cachedBlocklist.get(id);
+    if (entry) {
+      return entry;
+    }
+
+    const customer = await cachedCustomers.findOneBy('cardId', id);
+    return {
+      cardId: id,
+      status: (customer && customer.cardStatus) || CARD_STATUS.ACTIVE,
+      reason: customer ? customer.cardStatusReason : undefined,
+      customerId: customer ? customer.id : undefined,
+    };
+  },
+
+  /**
+   * Get a customer whose card is being changed
+   * @param {number|string} customerId - Customer ID
+   * @returns {Promise<object>} Customer
+   */
+  async getCustomer(customerId) {
+    const customer = await customerAPI.getById(customerId);
+    if (!customer) {
+      throw new CardStatusError(`Customer ${customerId} is not available on this terminal`);
+    }
+    if (!customer.cardId) {
+      throw new CardStatusError(`${customer.name || `Customer ${customerId}`} has no card`);
+    }
+    return customer;
+  },
+
+  /**
+   * Block, report lost or unblock a customer's card
+   * Takes effect on this terminal right away and is queued for the server when offline
+   * @param {number|string} customerId - Customer ID
+   * @param {string} status - CARD_STATUS.ACTIVE, BLOCKED or LOST; use replaceCard to replace
+   * @param {string} [reason] - Code from CARD_STATUS_REASONS
+   * @returns {Promise<any>} Updated customer
+   */
+  async setStatus(customerId, status, reason = null) {
+    assertPermission('manageCards');
+
+    if (status === CARD_STATUS.REPLACED) {
+      throw new CardStatusError('Replace the card with a new one instead');
+    }
+    const customer = await this.getCustomer(customerId);
+    const current = customer.cardStatus || CARD_STATUS.ACTIVE;
+    if (!canChangeCardStatus(current, status)) {
+      throw new CardStatusError(
+        `A ${getCardStatusLabel(current).toLowerCase()} card cannot be made ${getCardStatusLabel(status).toLowerCase()}`
+      );
+    }
+
+    const body = { cardId: customer.cardId, status, reason };
+    const changes = {
+      cardStatus: status,
+      cardStatusReason: reason,
+      cardStatusChangedAt: new Date().toISOString(),
+    };
+    const server = await this.sendCardChange(customer, 'cardStatus', `/customers/${customer.id}/card/status`, 'PUT', body,
+      `${status === CARD_STATUS.ACTIVE ? 'Unblock' : `Mark ${getCardStatusLabel(status).toLowerCase()}`} card of ${customer.name || `customer ${customer.id}`}`);
+
+    const updated = { ...customer, ...(server.record || {}), ...changes };
+    await offlineStore.transaction(async (store) => {
+      await store.customers.put(updated);
+      await syncCustomerAccount(store, updated);
+
+      // An unblocked card stays listed as active only until the server knows, so a refresh does not block it again
+      if (status === CARD_STATUS.ACTIVE && server.pendingKey === null) {
+        await store.blocklist.remove(normalizeCardId(customer.cardId));
+      } else {
+        await store.blocklist.put({
+          cardId: normalizeCardId(customer.cardId),
+          customerId: customer.id,
+          status,
+          reason,
+          changedAt: changes.cardStatusChangedAt,
+          pending: server.pendingKey !== null,
+          pendingKey: server.pendingKey,
+        });
+      }
+    });
+
+    console.log(`Card ${customer.cardId} is now ${status}${reason ? ` (${getCardStatusReasonLabel(reason)})` : ''}`);
+    return updated;
+  },
+
+  /**
+   * Move a customer to a new card
+   * The old card is blocklisted as replaced and the balance, held on the
+   * customer's account, follows the customer to the new card.
+   * @param {number|string} customerId - Customer ID
+   * @param {string} newCardId - Card ID of the newly scanned card
+   * @param {string} [reason] - Code from CARD_STATUS_REASONS
+   * @returns {Promise<any>} Updated customer
+   */
+  async replaceCard(customerId, newCardId, reason = null) {
+    assertPermission('manageCards');
+
+    const customer = await this.getCustomer(customerId);
+    const oldCardId = normalizeCardId(customer.cardId);
+    const cardId = normalizeCardId(newCardId);
+    if (!cardId) {
+      throw new CardStatusError('Scan the new card first');
+    }
+    if (cardId === oldCardId) {
+      throw new CardStatusError('The new card is the customer\'s current card');
+    }
+    if (!canChangeCardStatus(customer.cardStatus, CARD_STATUS.REPLACED)) {
+      throw new CardStatusError(`A ${getCardStatusLabel(customer.cardStatus).toLowerCase()} card cannot be replaced`);
+    }
+    await assertCardUsable(cardId);
+    const owner = await cachedCustomers.findOneBy('cardId', cardId);
+    if (owner) {
+      throw new CardStatusError(`The new card already belongs to ${owner.name || `customer ${owner.id}`}`);
+    }
+
+    const server = await this.sendCardChange(customer, 'replaceCard', `/customers/${customer.id}/card/replace`, 'POST',
+      { oldCardId, newCardId: cardId, reason },
+      `Replace card of ${customer.name || `customer ${customer.id}`}`);
+
+    const replacedAt = new Date().toISOString();
+    const updated = {
+      ...customer,
+      ...(server.record || {}),
+      cardId,
+      cardStatus: CARD_STATUS.ACTIVE,
+      cardStatusReason: null,
+      cardStatusChangedAt: replacedAt,
+      cardHistory: [
+        ...(customer.cardHistory || []),
+        { cardId: oldCardId, status: CARD_STATUS.REPLACED, reason, replacedBy: cardId, replacedAt },
+      ],
+    };
+    await offlineStore.transaction(async (store) => {
+      await store.customers.put(updated);
+      await syncCustomerAccount(store, updated);
+      await store.blocklist.put({
+        cardId: oldCardId,
+        customerId: customer.id,
+        status: CARD_STATUS.REPLACED,
+        reason,
+        replacedBy: cardId,
+        changedAt: replacedAt,
+        pending: server.pendingKey !== null,
+        pendingKey: server.pendingKey,
+      });
+    });
+
+    console.log(`Card ${oldCardId} replaced by ${cardId} for customer ${customer.id}`);
+    return updated;
+  },
+
+  /**
+   * Send a card change to the server, or queue it when that is not possible
+   * @param {object} customer - Customer whose card changes
+   * @param {string} type - Outbox mutation type
+   * @param {string} path - API path
+   * @param {string} method - HTTP method
+   * @param {object} body - Request body
+   * @param {string} description - Description shown in the outbox
+   * @returns {Promise<{record: object|null, pendingKey: string|null}>} Server customer, or the key of the queued change
+   */
+  async sendCardChange(customer, type, path, method, body, description) {
+    const idempotencyKey = uuidv4();
+
+    if (!isTempId(customer.id) && !(await shouldOperateOffline())) {
+      try {
+        const record = await httpClient.request(method, path, {
+          body,
+          headers: { [IDEMPOTENCY_HEADER]: idempotencyKey },
+          idempotent: true,
+        });
+        return { record, pendingKey: null };
+      } catch (error) {
+        console.error(`Failed to change card of customer ${customer.id}:`, error);
+        if (error instanceof ClientError) {
+          throw error;
+        }
+      }
+    }
+
+    await queueMutation({
+      type,
+      method,
+      path,
+      body,
+      idempotencyKey,
+      group: `customer:${customer.id}`,
+      ref: customer.id,
+      description,
+    });
+    return { record: null, pendingKey: idempotencyKey };
+  },
+};
+
+// Transaction types that need a usable card
+const CARD_TRANSACTION_TYPES = ['payment', 'reload'];
+
+// Refunds and voids run one at a time so two cannot both pass the refund cap
+let reversalQueue = Promise.resolve();
+
+// Card writes that could not be read back, by idempotency key, checked when the card is tapped again
+const pendingCardWrites = new Map();
+
 // Transaction API methods
 export const transactionAPI = {
   /**
    * Create a new transaction
+   * Offline transactions must pass the offline risk limits; pass `riskOverride`
+   * (a supervisor approval from approveWithSecondOperator) to record one anyway.
+   * Refunds and voids need the `originalTransactionId` of the payment they give back.
+   * A payment by QR code passes the accepted token as `qrToken`; it is spent once the
+   * payment is recorded.
    * @param {object} transactionData - Transaction data
    * @returns {Promise<any>} Created transaction
    */
   async create(transactionData) {
-    const shouldOffline = await shouldOperateOffline();
+    if (isReversal(transactionData)) {
+      const run = reversalQueue.then(() => this.createTransaction(transactionData));
+      reversalQueue = run.catch(() => {});
+      return run;
+    }
+    return this.createTransaction(transactionData);
+  },
+
+  /**
+   * Refund part or all of a payment
+   * @param {string} originalTransactionId - Payment to refund
+   * @param {number} amount - Amount in pesos
+   * @param {object} [details={}] - Extra transaction fields, e.g. reason or riskOverride
+   * @returns {Promise<any>} Refund transaction
+   */
+  async refundPayment(originalTransactionId, amount, details = {}) {
+    return this.create({ ...details, type: 'refund', originalTransactionId, amount });
+  },
+
+  /**
+   * Void a payment made by mistake, giving back its full amount
+   * @param {string} originalTransactionId - Payment to void
+   * @param {object} [details={}] - Extra transaction fields, e.g. reason or riskOverride
+   * @returns {Promise<any>} Void transaction
+   */
+  async voidPayment(originalTransactionId, details = {}) {
+    return this.create({ ...details, type: 'void', originalTransactionId });
+  },
+
+  /**
+   * Correct a customer balance by hand
+   * Adjustments above the approval threshold need `approval` from approveWithSecondOperator
+   * with the 'approveAdjustment' permission, given by an operator other than the one logged in.
+   * @param {number|string} customerId - Customer to adjust
+   * @param {object} adjustment - Adjustment
+   * @param {string} adjustment.direction - 'credit' or 'debit'
+   * @param {number} adjustment.amount - Amount in pesos
+   * @param {string} adjustment.reasonCode - Code from ADJUSTMENT_REASONS
+   * @param {string} adjustment.note - Why the balance was wrong
+   * @param {object} [adjustment.approval] - Second operator approval
+   * @param {object} [adjustment.riskOverride] - Supervisor override of the offline risk limits
+   * @returns {Promise<any>} Adjustment transaction
+   */
+  async adjustBalance(customerId, { direction, amount, reasonCode, note, approval, riskOverride }) {
+    assertPermission('adjustment');
+
+    const customer = await customerAPI.getById(customerId);
+    if (!customer) {
+      throw new AdjustmentError(`Customer ${customerId} is not available on this terminal`);
+    }
+    validateAdjustment({ direction, amount, reasonCode, note }, customer);
+
+    const settings = await getSettings();
+    if (requiresApproval(amount, settings)) {
+      const operator = getCurrentOperator();
+      if (!approval || approval.permission !== 'approveAdjustment') {
+        throw new AdjustmentError(
+          `Adjustments over ${formatCurrency(settings.adjustmentApprovalThreshold)} need a second operator's approval`
+        );
+      }
+      if (operator && approval.approvedBy.username.toLowerCase() === operator.username.toLowerCase()) {
+        throw new AdjustmentError('Approval must come from a different operator');
+      }
+    }
+
+    return this.create({
+      type: 'adjustment',
+      direction,
+      amount,
+      customerId: customer.id,
+      cardId: customer.cardId,
+      reasonCode,
+      description: `${getAdjustmentReasonLabel(reasonCode)}: ${note.trim()}`,
+      note: note.trim(),
+      approval: approval || null,
+      riskOverride,
+    });
+  },
+
+  /**
+   * Take a payment from the customer's card on the reader
+   * With stored value enabled the card's signed balance record is updated in
+   * the same tap: debited before an offline payment is recorded, and after an
+   * online one by the payment, or down to the server balance if that is lower.
+   * Without it this is create.
+   * @param {object} transactionData - Payment data, as for create
+   * @returns {Promise<any>} Created transaction
+   */
+  async payWithCard(transactionData) {
+    const settings = await getSettings();
+    const masterKey = settings.storedValueEnabled ? await getStoredValueKey() : '';
+    if (!masterKey) {
+      return this.create(transactionData);
+    }
+    return withTagSession(session => this.chargeStoredValue(session, transactionData, masterKey));
+  },
+
+  /**
+   * Reload the customer's account and the stored value on the card on the reader
+   * The card is credited in the same tap, as payWithCard debits it; reloads
+   * are the only transactions that raise the balance on a card.
+   * @param {object} transactionData - Reload data, as for create
+   * @returns {Promise<any>} Created transaction
+   */
+  async reloadWithCard(transactionData) {
+    return this.payWithCard(transactionData);
+  },
+
+  /**
+   * Record a payment or reload against the stored value on a card, see payWithCard
+   * A StoredValueError with code 'uncertain' carries the idempotencyKey to
+   * retry with; the retry finds out from the card whether the debit went through.
+   * @param {object} session - Open card session from withTagSession
+   * @param {object} transactionData - Transaction data, as for create
+   * @param {string} masterKey - Stored value master key as hex
+   * @returns {Promise<any>} Created transaction
+   */
+  async chargeStoredValue(session, transactionData, masterKey) {
+    if (!session.uid || session.uid !== String(transactionData.cardId || '').toUpperCase()) {
+      throw new StoredValueError('This is not the customer\'s card', 'wrong_card');
+    }
+    if (!session.auth || !session.auth.authenticated) {
+      throw new StoredValueError(
+        'Stored value needs a secure card, this card did not authenticate',
+        'not_secure'
+      );
+    }
+
+    const cardKey = deriveCardKey(masterKey, session.uid);
+    const key = transactionData.idempotencyKey || uuidv4();
+    const card = await readStoredValueCard(session, masterKey, cardKey);
+    await assertCardNotReplayed(session.uid, card.record);
+
+    // A retry after an unconfirmed write may find the card already debited
+    const pending = pendingCardWrites.get(key);
+    const applied = Boolean(pending && card.record
+      && card.record.counter === pending.expected.counter
+      && card.record.lastTxHash === pending.expected.lastTxHash);
+    const previous = applied ? pending.previous : card.record;
+
+    // Offline payments are taken off the card before they are recorded
+    let written = null;
+    const cardWrite = async (transaction) => {
+      written = applied
+        ? card.record
+        : await writeCard(session, cardKey, card, nextRecord(previous, { amount: getBalanceChange(transaction), key }));
+      await rememberCardRecord(session.uid, written);
+      return {
+        counter: written.counter,
+        lastTxHash: written.lastTxHash,
+        previousTxHash: previous.lastTxHash,
+        balanceBefore: previous.balance,
+        balanceAfter: written.balance,
+      };
+    };
+
+    let transaction;
+    try {
+      transaction = await this.create({
+        ...transactionData,
+        idempotencyKey: key,
+        // Cards without stored value yet pay from the cached balance
+        ...(previous ? { storedValue: { balanceBefore: previous.balance }, cardWrite } : {}),
+      });
+    } catch (error) {
+      if (error instanceof StoredValueError && error.code === 'uncertain') {
+        pendingCardWrites.set(key, { expected: error.expected, previous: error.previous });
+        error.idempotencyKey = key;
+      } else if (written) {
+        await this.restoreCard(session, cardKey, previous, key);
+      }
+      throw error;
+    }
+    pendingCardWrites.delete(key);
+
+    if (!transaction.offlineCreated) {
+      // Online the card takes this transaction only, capped at the server balance, which may
+      // know of spending elsewhere. A cached balance never raises the card: it may predate
+      // offline payments other terminals have not synced yet. A card without stored value
+      // starts from the server balance.
+      try {
+        const customer = await customerAPI.getOfflineCustomerById(transaction.customerId);
+        if (customer && Number.isInteger(customer.balance)) {
+          const current = await readStoredValueCard(session, masterKey, cardKey);
+          const balance = current.record
+            ? Math.max(0, Math.min(current.record.balance + getBalanceChange(transaction), customer.balance))
+            : customer.balance;
+          const record = await writeCard(session, cardKey, current, nextRecord(current.record, { balance, key }));
+          await rememberCardRecord(session.uid, record);
+        }
+      } catch (error) {
+        console.error('Failed to update the balance on the card:', error);
+      }
+    }
+
+    return transaction;
+  },
+
+  /**
+   * Put a card back to its balance before a payment that could not be recorded
+   * The counter still moves forward, so the restore is a new record and not a replay.
+   * @param {object} session - Open card session
+   * @param {Uint8Array} cardKey - Card key
+   * @param {object} previous - Record before the payment
+   * @param {string} key - Idempotency key of the payment
+   * @returns {Promise<void>}
+   */
+  async restoreCard(session, cardKey, previous, key) {
+    try {
+      const current = await readCard(session, cardKey);
+      const record = await writeCard(session, cardKey, current, nextRecord(current.record, {
+        balance: previous.balance,
+        key: `${key}:rollback`,
+      }));
+      await rememberCardRecord(session.uid, record);
+      console.log(`Card ${session.uid} restored to its balance before the failed payment`);
+    } catch (error) {
+      console.error(`Failed to restore card ${session.uid} after a failed payment:`, error);
+    }
+  },
+
+  /**
+   * Get the refunds and voids recorded on this terminal for a payment
+   * @param {object} original - Original payment
+   * @returns {Promise<any[]>} Reversals, oldest first
+   */
+  async getReversals(original) {
+    // Refunds made before the payment synced still point at its offline ID
+    const ids = [original.transactionId, original.offlineTransactionId].filter(Boolean);
+    const found = {};
+    for (const id of ids) {
+      for (const reversal of await cachedTransactions.findBy('originalTransactionId', id)) {
+        found[reversal.transactionId] = reversal;
+      }
+    }
+    return Object.values(found).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  },
+
+  /**
+   * Link a refund or void to its payment and check it is allowed
+   * Voids give back the full payment; customer and card are taken from the payment
+   * @param {object} transactionData - Refund or void with originalTransactionId, amount in pesos
+   * @returns {Promise<object>} Transaction data to record
+   */
+  async prepareReversal(transactionData) {
+    const originalId = await resolveId(transactionData.originalTransactionId);
+    if (!originalId) {
+      throw new RefundError('A refund needs the ID of the original payment');
+    }
+
+    const original = await this.getById(originalId) || await this.getOfflineTransactionById(originalId);
+    if (!original) {
+      throw new RefundError(`Payment ${originalId} is not available on this terminal`);
+    }
+
+    const type = transactionData.type.toLowerCase();
+    const amount = type === 'void'
+      ? Math.abs(original.amount)
+      : amountToCents(Number(transactionData.amount) || 0);
+    const reversals = await this.getReversals(original);
+    validateReversal(original, reversals, { type, amount });
+
+    return {
+      ...transactionData,
+      type,
+      amount: centsToAmount(amount),
+      originalTransactionId: original.transactionId,
+      customerId: original.customerId,
+      cardId: original.cardId,
+      // What this terminal believes can still be given back, in cents. Sent so the
+      // server checks the cap against refunds made on other terminals as well,
+      // also when an offline refund is synced.
+      refundableAmount: getReversalSummary(original, reversals).remaining,
+    };
+  },
+
+  /**
+   * Record a transaction, see create
+   * @param {object} transactionData - Transaction data
+   * @returns {Promise<any>} Created transaction
+   */
+  async createTransaction({ riskOverride, cardWrite, qrToken, ...transactionData }) {
+    // Reject unknown types, unpermitted and over-limit transactions before anything is recorded
+    getBalanceChange(transactionData);
+    if (PERMISSIONS[transactionData.type]) {
+      assertPermission(transactionData.type);
+    }
+    if (isReversal(transactionData)) {
+      transactionData = await this.prepareReversal(transactionData);
+    }
+    await checkTransactionLimits(transactionData);
+
+    // The nonce lets the server refuse a QR code already paid with at another terminal
+    if (qrToken) {
+      await assertQrTokenUnused(qrToken.nonce);
+      transactionData = { ...transactionData, qrTokenNonce: qrToken.nonce };
+    }
+
+    // Blocked, lost and replaced cards cannot pay or be reloaded, even offline
+    if (CARD_TRANSACTION_TYPES.includes((transactionData.type || '').toLowerCase())) {
+      await assertCardUsable(transactionData.cardId);
+    }
+
+    // Transactions for a customer registered offline wait in the outbox behind the registration
+    const shouldOffline = isTempId(await resolveId(transactionData.customerId))
+      || await shouldOperateOffline();
     
     // Function to process the transaction
     const processTransaction = async () => {
       // Convert amounts to cents if needed
       const processedData = {
         ...transactionData,
+        // One key per transaction, reused by every retry and by the offline sync
+        idempotencyKey: transactionData.idempotencyKey || uuidv4(),
         amount: typeof transactionData.amount === 'number' 
           ? amountToCents(transactionData.amount) 
           : transactionData.amount,
@@ -470,43 +1444,75 @@ export const transactionAPI = {
         }));
       }
       
-      if (shouldOffline) {
+      // Offline transactions go through the risk limits first
+      const recordOffline = async () => {
+        await this.checkOfflineRisk(processedData, riskOverride);
+        // Stored value payments are taken off the card first, nothing is recorded if that fails
+        if (cardWrite) {
+          processedData.storedValue = await cardWrite(processedData);
+        }
         return this.createOfflineTransaction(processedData);
+      };
+      
+      if (shouldOffline) {
+        return recordOffline();
       }
       
       try {
-        const apiUrl = await getApiUrl();
-        const response = await fetch(`${apiUrl}/transactions`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(processedData),
-        });
+        const { record } = await postTransaction('/transactions', processedData);
+        const transaction = { ...processedData, ...record };
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Failed to create transaction: ${response.status} - ${errorText}`);
+        // Keep it for offline lookups, refunds need the payment and earlier refunds.
+        // Waited for, so the refund cap of the next reversal counts this one.
+        if (transaction.transactionId) {
+          try {
+            await cachedTransactions.put(transaction);
+          } catch (cacheError) {
+            console.error('Failed to cache transaction:', cacheError);
+          }
         }
-
-        return await response.json();
+        return transaction;
       } catch (error) {
         console.error('Failed to create transaction:', error);
         
-        // If online attempt fails, try offline as a fallback
-        return this.createOfflineTransaction(processedData);
+        // The server rejected the transaction itself, recording it offline would not help
+        if (error instanceof ClientError) {
+          if (qrToken && error.body && error.body.code === 'qr_token_used') {
+            await consumeQrPaymentToken(qrToken);
+            throw new QrPaymentError('This QR code was already used at another terminal, ask the customer to show a new one', 'replayed');
+          }
+          throw error;
+        }
+        
+        // If the server could not be reached, record it offline under the same key.
+        // The server may have committed it before the response was lost; the sync
+        // then gets an "already processed" answer instead of charging twice.
+        return recordOffline();
       }
     };
     
     // Process the transaction
     const transaction = await processTransaction();
+
+    if (qrToken) {
+      try {
+        await consumeQrPaymentToken(qrToken);
+      } catch (error) {
+        console.error('Failed to record the QR code as used:', error);
+      }
+    }
     
     // If we have a customer ID, update the customer's balance
     if (transaction && transaction.customerId) {
       try {
-        // For payment transactions, subtract the amount
-        const amount = -1 * centsToAmount(transaction.amount);
-        await customerAPI.updateBalance(transaction.customerId, amount);
+        // Debit or credit depending on the transaction type. The balance request gets
+        // its own key: a server that scopes keys globally would otherwise answer it
+        // as the transaction already processed and drop the balance change.
+        const amount = centsToAmount(getBalanceChange(transaction));
+        await customerAPI.updateBalance(transaction.customerId, amount, `${transaction.idempotencyKey}:balance`, {
+          type: transaction.type,
+          transactionId: transaction.transactionId,
+        });
       } catch (balanceError) {
         console.error('Failed to update customer balance:', balanceError);
         // Continue anyway, the transaction was already recorded
@@ -516,6 +1522,49 @@ export const transactionAPI = {
     return transaction;
   },
 
+  /**
+   * Check an offline transaction against the offline risk limits
+   * A supervisor approval overrides every limit except the balance checks,
+   * and is recorded on the transaction
+   * @param {object} transaction - Transaction data with amount in cents, updated in place
+   * @param {object} [riskOverride] - Supervisor approval
+   * @returns {Promise<void>} Rejects with OfflineRiskError if a limit is exceeded
+   */
+  async checkOfflineRisk(transaction, riskOverride) {
+    const customerId = await resolveId(transaction.customerId);
+    const [settings, customer, transactions] = await Promise.all([
+      getSettings(),
+      customerId !== undefined && customerId !== null ? customerAPI.getOfflineCustomerById(customerId) : null,
+      // Only transactions the server has not seen count against the limits
+      cachedTransactions.findBy('status', 'pending'),
+    ]);
+
+    // A verified card record is newer than the cached balance
+    const violations = evaluateOfflineRisk({
+      transaction,
+      balanceChange: getBalanceChange(transaction),
+      customer: transaction.storedValue
+        ? { ...customer, balance: transaction.storedValue.balanceBefore }
+        : customer,
+      transactions,
+      settings,
+    });
+    if (violations.length === 0) {
+      return;
+    }
+
+    const error = new OfflineRiskError(violations);
+    if (!riskOverride || riskOverride.permission !== 'overrideRiskLimits' || !error.overridable) {
+      throw error;
+    }
+
+    transaction.riskOverride = {
+      ...riskOverride,
+      rules: violations.map(violation => violation.rule),
+    };
+    console.log(`Offline risk limits overridden by ${riskOverride.approvedBy.username}: ${transaction.riskOverride.rules.join(', ')}`);
+  },
+
   /**
    * Get transaction by ID
    * @param {string} transactionId - Transaction ID
@@ -527,19 +1576,7 @@ export const transactionAPI = {
     }
 
     try {
-      const apiUrl = await getApiUrl();
-      const response = await fetch(`${apiUrl}/transactions/${transactionId}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get transaction: ${response.status}`);
-      }
-
-      return await response.json();
+      return await httpClient.get(`/transactions/${transactionId}`);
     } catch (error) {
       console.error(`Failed to get transaction ${transactionId}:`, error);
       // Try to get from offline cache as a fallback
@@ -557,23 +1594,12 @@ export const transactionAPI = {
     }
 
     try {
-      const apiUrl = await getApiUrl();
-      const response = await fetch(`${apiUrl}/transactions`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get transactions: ${response.status}`);
-      }
-
-      const transactions = await response.json();
-      
-      // Cache transactions for offline use
-      await AsyncStorage.setItem(OFFLINE_TRANSACTIONS_KEY, JSON.stringify(transactions));
+      const transactions = await httpClient.get(`/transactions`);
       
+      // Cache transactions for offline use; only new and changed ones are written,
+      // and those not synced yet stay as they are
+      await cachedTransactions.putMany(transactions);
+
       return transactions;
     } catch (error) {
       console.error('Failed to get transactions:', error);
@@ -593,19 +1619,7 @@ export const transactionAPI = {
     }
 
     try {
-      const apiUrl = await getApiUrl();
-      const response = await fetch(`${apiUrl}/transactions/card/${cardId}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get transactions for card: ${response.status}`);
-      }
-
-      return await response.json();
+      return await httpClient.get(`/transactions/card/${cardId}`);
     } catch (error) {
       console.error(`Failed to get transactions for card ${cardId}:`, error);
       // Try to get from offline cache as a fallback
@@ -620,27 +1634,22 @@ export const transactionAPI = {
    */
   async createOfflineTransaction(transactionData) {
     try {
-      // Generate a temporary ID for the transaction
-      const tmpId = `offline-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-      
-      // Create the transaction object
+      const idempotencyKey = transactionData.idempotencyKey || uuidv4();
+
+      // Create the transaction object with a temporary ID
       const transaction = {
         ...transactionData,
-        transactionId: tmpId,
+        idempotencyKey,
+        transactionId: `offline-${idempotencyKey}`,
         status: 'pending',
         offlineCreated: true,
         createdAt: new Date().toISOString(),
       };
       
-      // Get current offline transactions
-      const transactionsStr = await AsyncStorage.getItem(OFFLINE_TRANSACTIONS_KEY);
-      const transactions = transactionsStr ? JSON.parse(transactionsStr) : [];
-      
-      // Add the new transaction
-      transactions.push(transaction);
+      await cachedTransactions.put(transaction);
       
-      // Save updated transactions
-      await AsyncStorage.setItem(OFFLINE_TRANSACTIONS_KEY, JSON.stringify(transactions));
+      // Queue the transaction for the server
+      await queueMutation(transactionMutation(transaction));
       
       return transaction;
     } catch (error) {
@@ -656,10 +1665,7 @@ export const transactionAPI = {
    */
   async getOfflineTransactionById(transactionId) {
     try {
-      const transactionsStr = await AsyncStorage.getItem(OFFLINE_TRANSACTIONS_KEY);
-      const transactions = transactionsStr ? JSON.parse(transactionsStr) : [];
-      
-      return transactions.find(t => t.transactionId === transactionId) || null;
+      return await cachedTransactions.get(transactionId);
     } catch (error) {
       console.error(`Failed to get offline transaction ${transactionId}:`, error);
       return null;
@@ -672,8 +1678,7 @@ export const transactionAPI = {
    */
   async getAllOfflineTransactions() {
     try {
-      const transactionsStr = await AsyncStorage.getItem(OFFLINE_TRANSACTIONS_KEY);
-      return transactionsStr ? JSON.parse(transactionsStr) : [];
+      return await cachedTransactions.getAll();
     } catch (error) {
       console.error('Failed to get offline transactions:', error);
       return [];
@@ -687,8 +1692,7 @@ export const transactionAPI = {
    */
   async getOfflineTransactionsByCardId(cardId) {
     try {
-      const transactions = await this.getAllOfflineTransactions();
-      return transactions.filter(t => t.cardId === cardId);
+      return await cachedTransactions.findBy('cardId', cardId);
     } catch (error) {
       console.error(`Failed to get offline transactions for card ${cardId}:`, error);
       return [];
@@ -696,73 +1700,214 @@ export const transactionAPI = {
   },
 
   /**
-   * Sync offline transactions with the server
-   * @returns {Promise<{success: number, failed: number, total: number}>} Sync results
+   * Get transactions from offline cache by customer ID
+   * @param {number|string} customerId - Customer ID
+   * @returns {Promise<any[]>} List of transactions
+   */
+  async getOfflineTransactionsByCustomerId(customerId) {
+    try {
+      return await cachedTransactions.findBy('customerId', customerId);
+    } catch (error) {
+      console.error(`Failed to get offline transactions for customer ${customerId}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Get transactions from offline cache created between two days
+   * @param {string} [from] - First day as YYYY-MM-DD (UTC), inclusive
+   * @param {string} [to] - Last day as YYYY-MM-DD (UTC), inclusive
+   * @returns {Promise<any[]>} List of transactions, oldest first
+   */
+  async getOfflineTransactionsByDate(from, to) {
+    try {
+      return await cachedTransactions.findInRange('date', from, to);
+    } catch (error) {
+      console.error(`Failed to get offline transactions from ${from} to ${to}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Sync offline changes with the server
+   * Replays the outbox in order: transactions, balance changes, registrations and edits,
+   * then reconciles the cached balances of the customers involved with the server
+   * @returns {Promise<{success: number, failed: number, total: number, discrepancies: number}>} Sync results
    */
   async syncOfflineTransactions() {
     // Check if we're still offline
     if (await shouldOperateOffline()) {
       throw new Error('Cannot sync transactions while in offline mode');
     }
-    
-    // Get offline transactions
-    const transactions = await this.getAllOfflineTransactions();
-    const pendingTransactions = transactions.filter(t => t.offlineCreated && t.status === 'pending');
-    
-    if (pendingTransactions.length === 0) {
-      return { success: 0, failed: 0, total: 0 };
-    }
-    
-    // Track sync results
-    const results = {
-      success: 0,
-      failed: 0,
-      total: pendingTransactions.length,
-    };
-    
-    // Get API URL
-    const apiUrl = await getApiUrl();
-    
-    // Sync each transaction
-    for (const transaction of pendingTransactions) {
-      try {
-        // Remove offline-specific properties
-        const { offlineCreated, ...syncData } = transaction;
-        
-        // Send to server
-        const response = await fetch(`${apiUrl}/transactions/sync`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(syncData),
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Server returned ${response.status}`);
+
+    // Transactions recorded before the outbox existed are queued first
+    const queued = new Set((await getOutboxEntries()).map(entry => entry.ref));
+    const pending = await cachedTransactions.findBy('status', 'pending');
+    const unqueued = pending.filter(t => t.offlineCreated && !queued.has(t.transactionId));
+
+    if (unqueued.length > 0) {
+      // Store a key before posting so an interrupted sync can be repeated safely
+      await offlineStore.transaction(async (store) => {
+        for (const transaction of unqueued) {
+          transaction.idempotencyKey = transaction.idempotencyKey || uuidv4();
+          await store.transactions.put(transaction);
         }
-        
-        // Mark as synced
-        transaction.status = 'completed';
-        transaction.synced = true;
-        results.success++;
-      } catch (error) {
-        console.error(`Failed to sync transaction ${transaction.transactionId}:`, error);
-        transaction.syncError = error.message;
-        results.failed++;
+      });
+      for (const transaction of unqueued) {
+        await enqueue(transactionMutation(transaction));
       }
     }
-    
-    // Save updated transactions
-    await AsyncStorage.setItem(OFFLINE_TRANSACTIONS_KEY, JSON.stringify(transactions));
-    
-    return results;
+
+    // Remember the balances this terminal expects before the server answers
+    const expectedBalances = {};
+    for (const customerId of getQueuedCustomerIds(await getOutboxEntries())) {
+      const customer = await customerAPI.getOfflineCustomerById(customerId);
+      if (customer) {
+        expectedBalances[customerId] = customer.balance;
+      }
+    }
+
+    const results = await replayOutbox();
+    const discrepancies = await reconcileBalances(expectedBalances);
+    return { ...results, discrepancies: discrepancies.length };
+  },
+
+  /**
+   * Update an offline transaction in the cache
+   * @param {string} transactionId - Offline transaction ID
+   * @param {Function} update - Receives the transaction and changes it in place
+   */
+  async updateOfflineTransaction(transactionId, update) {
+    await cachedTransactions.update(transactionId, update);
   }
 };
 
+// Merge the server record into the offline transaction once it is synced
+registerOutboxHandler('transaction', {
+  onComplete: (entry, record, alreadyProcessed) => transactionAPI.updateOfflineTransaction(entry.ref, (transaction) => {
+    if (alreadyProcessed) {
+      console.log(`Transaction ${entry.idempotencyKey} was already processed by the server`);
+    }
+    // Keep the offline ID for reference
+    Object.assign(transaction, record, {
+      offlineTransactionId: transaction.transactionId,
+      transactionId: record.transactionId || transaction.transactionId,
+      offlineCreated: true,
+      status: record.status && record.status !== 'pending' ? record.status : 'completed',
+      synced: true,
+      alreadyProcessed,
+    });
+    delete transaction.syncError;
+  }),
+  onDead: entry => transactionAPI.updateOfflineTransaction(entry.ref, (transaction) => {
+    transaction.status = 'failed';
+    transaction.syncError = entry.lastError;
+  }),
+});
+
+// Replace the temporary customer once the server has registered it
+registerOutboxHandler('registerCustomer', {
+  onComplete: async (entry, record) => {
+    if (record.id === undefined) return;
+    const local = await customerAPI.getOfflineCustomerById(entry.ref);
+    // Keep the local balance, queued balance changes bring the server up to it
+    await customerAPI.replaceOfflineCustomer(entry.ref, {
+      ...record,
+      balance: local ? local.balance : record.balance,
+    });
+  },
+  onDead: async (entry) => {
+    const customer = await customerAPI.getOfflineCustomerById(entry.ref);
+    if (customer) {
+      await customerAPI.cacheOfflineCustomer({ ...customer, syncError: entry.lastError });
+    }
+  },
+});
+
+// Cache the customer the server returns for balance changes and edits
+const cacheReturnedCustomer = async (entry, record) => {
+  if (record && record.id !== undefined) {
+    await customerAPI.cacheOfflineCustomer(record);
+  }
+};
+registerOutboxHandler('balance', { onComplete: cacheReturnedCustomer });
+registerOutboxHandler('updateCustomer', { onComplete: cacheReturnedCustomer });
+
+// Card changes the server has accepted are no longer held back from blocklist refreshes
+const settleCardChange = async (entry, record) => {
+  await offlineStore.transaction(async (store) => {
+    for (const listed of await store.blocklist.findBy('customerId', entry.ref)) {
+      if (listed.pendingKey !== entry.idempotencyKey) continue;
+      if (isCardUsable(listed.status)) {
+        await store.blocklist.remove(listed.cardId);
+      } else {
+        await store.blocklist.put({ ...listed, pending: false, pendingKey: null });
+      }
+    }
+  });
+  await cacheReturnedCustomer(entry, record);
+};
+registerOutboxHandler('cardStatus', { onComplete: settleCardChange });
+registerOutboxHandler('replaceCard', { onComplete: settleCardChange });
+
+let reconnectSync = null;
+
+/**
+ * Sync offline changes and refresh the blocklist after the server came back
+ * Concurrent callers share the same run
+ * @returns {Promise<void>}
+ */
+const syncAfterReconnect = () => {
+  if (!reconnectSync) {
+    reconnectSync = (async () => {
+      const result = await transactionAPI.syncOfflineTransactions();
+      if (result.total > 0) {
+        console.log(`Synced ${result.success} of ${result.total} offline changes after reconnecting`);
+      }
+      if (result.discrepancies > 0) {
+        console.log(`${result.discrepancies} balances differ from the server, see the reconciliation screen`);
+      }
+      await cardAPI.refreshBlocklist();
+    })().finally(() => {
+      reconnectSync = null;
+    });
+  }
+  return reconnectSync;
+};
+
+// Set when the server came back while no operator held a server token
+let syncDeferred = false;
+
+// Sync offline transactions as soon as the server is reachable again, once an
+// operator holds a server token: without one every queued change would be refused
+onReconnect(async () => {
+  if (getSession()) {
+    // An offline session fetches its token here
+    await getAuthHeaders();
+  }
+  if (!getSession()?.token) {
+    console.log('Offline changes will sync once an operator logs in');
+    syncDeferred = true;
+    return;
+  }
+  syncDeferred = false;
+  await syncAfterReconnect();
+});
+
+// Run a deferred sync as soon as a session gets a server token
+subscribeSession((session) => {
+  if (syncDeferred && session && session.token && isOnline()) {
+    syncDeferred = false;
+    syncAfterReconnect().catch((error) => {
+      console.error('Sync after login failed:', error);
+    });
+  }
+});
+
 export default {
   customerAPI,
   transactionAPI,
+  cardAPI,
   saveAndVerifyApiUrl,
   getApiUrl,
   checkApiConnection,
@@ -770,5 +1915,10 @@ export default {
   setOfflineMode,
   isOfflineMode,
   shouldOperateOffline,
+  checkTransactionLimits,
+  getOfflineCacheInfo,
+  clearOfflineData,
+  verifyLedger,
+  reconcileBalances,
   API_VERSION,
-};
\ No newline at end of file
+};
@@ -0,0 +1,538 @@
+/**
+ * Operator Authentication Module
+ * Handles operator login, sessions, inactivity lock and role checks
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getRandomBytes } from 'expo-crypto';
+import { httpClient } from './http-client';
+import { getSettings, getCachedSettings } from '../utils/settings';
+import { bytesToHex, hexToBytes, pbkdf2Sha256, constantTimeEqual } from '../utils/crypto';
+
+// Storage key for credential hashes used by offline login
+const OPERATOR_CREDENTIALS_KEY = 'operator_credentials';
+
+// PBKDF2 iterations for cached credential hashes
+const HASH_ITERATIONS = 10000;
+
+// How often an offline session retries getting a server token
+const SESSION_REFRESH_INTERVAL_MS = 30000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operator roles, lowest to highest
+export const ROLES = {
+  CASHIER: 'cashier',
+  SUPERVISOR: 'supervisor',
+  ADMIN: 'admin',
+};
+
+const ROLE_LEVELS = {
+  [ROLES.CASHIER]: 1,
+  [ROLES.SUPERVISOR]: 2,
+  [ROLES.ADMIN]: 3,
+};
+
+// Minimum role required for each protected action
+export const PERMISSIONS = {
+  payment: ROLES.CASHIER,
+  reload: ROLES.SUPERVISOR,
+  refund: ROLES.SUPERVISOR,
+  void: ROLES.SUPERVISOR,
+  adjustment: ROLES.SUPERVISOR,
+  approveAdjustment: ROLES.SUPERVISOR,
+  registerCustomer: ROLES.SUPERVISOR,
+  editCustomer: ROLES.SUPERVISOR,
+  manageCards: ROLES.SUPERVISOR,
+  manageOutbox: ROLES.SUPERVISOR,
+  overrideRiskLimits: ROLES.SUPERVISOR,
+  reconcile: ROLES.SUPERVISOR,
+  settings: ROLES.SUPERVISOR,
+  apiSettings: ROLES.ADMIN,
+  clearOfflineData: ROLES.ADMIN,
+};
+
+// Current session, kept in memory only so a restart always asks for login
+let session = null;
+let pendingSecret = null;
+let lastRefreshAttempt = 0;
+let lockTimer = null;
+const listeners = new Set();
+
+/**
+ * Notify subscribers of a session change
+ */
+const notifyListeners = () => {
+  for (const listener of listeners) {
+    try {
+      listener(session);
+    } catch (error) {
+      console.error('Session listener failed:', error);
+    }
+  }
+};
+
+/**
+ * Hash a secret for offline verification
+ * @param {string} secret - PIN or password
+ * @param {Uint8Array} salt - Random salt
+ * @returns {string} Hex encoded hash
+ */
+const hashSecret = (secret, salt) => bytesToHex(pbkdf2Sha256(secret, salt, HASH_ITERATIONS));
+
+/**
+ * Read cached operator credentials
+ * @returns {Promise<object>} Credentials by username
+ */
+const getCachedCredentials = async () => {
+  try {
+    const credentialsStr = await AsyncStorage.getItem(OPERATOR_CREDENTIALS_KEY);
+    return credentialsStr ? JSON.parse(credentialsStr) : {};
+  } catch (error) {
+    console.error('Failed to read cached credentials:', error);
+    return {};
+  }
+};
+
+/**
+ * Cache a credential hash so the operator can log in offline
+ * @param {string} username - Username
+ * @param {string} secret - PIN or password
+ * @param {object} operator - Operator profile
+ */
+const cacheCredentials = async (username, secret, operator) => {
+  try {
+    const credentials = await getCachedCredentials();
+    const salt = getRandomBytes(16);
+    credentials[username.toLowerCase()] = {
+      salt: bytesToHex(salt),
+      hash: hashSecret(secret, salt),
+      operator,
+      cachedAt: new Date().toISOString(),
+    };
+    await AsyncStorage.setItem(OPERATOR_CREDENTIALS_KEY, JSON.stringify(credentials));
+  } catch (error) {
+    console.error('Failed to cache credentials:', error);
+  }
+};
+
+/**
+ * Drop the cached credentials of an operator the server no longer accepts
+ * @param {string} username - Username
+ */
+const forgetCredentials = async (username) => {
+  try {
+    const credentials = await getCachedCredentials();
+    if (credentials[username.toLowerCase()]) {
+      delete credentials[username.toLowerCase()];
+      await AsyncStorage.setItem(OPERATOR_CREDENTIALS_KEY, JSON.stringify(credentials));
+    }
+  } catch (error) {
+    console.error('Failed to forget cached credentials:', error);
+  }
+};
+
+/**
+ * Check if cached credentials are too old to trust without the server
+ * Credentials cached before timestamps were kept count as expired
+ * @param {object} entry - Cached credentials
+ * @returns {boolean} Whether the operator has to log in online first
+ */
+const isExpired = (entry) => {
+  const days = getCachedSettings().offlineLoginMaxDays;
+  if (!(days > 0)) {
+    return false;
+  }
+  const cachedAt = Date.parse(entry.cachedAt);
+  return !(cachedAt > Date.now() - days * DAY_MS);
+};
+
+/**
+ * Check a secret against the cached hash
+ * @param {string} username - Username
+ * @param {string} secret - PIN or password
+ * @returns {Promise<object|null>} Operator profile, or null if not verified
+ * @throws {Error} If the secret matches but the credentials have expired
+ */
+const verifyCachedCredentials = async (username, secret) => {
+  const credentials = await getCachedCredentials();
+  const entry = credentials[username.toLowerCase()];
+  if (!entry) {
+    return null;
+  }
+
+  const hash = hashSecret(secret, hexToBytes(entry.salt));
+  if (!constantTimeEqual(hexToBytes(hash), hexToBytes(entry.hash))) {
+    return null;
+  }
+  if (isExpired(entry)) {
+    throw new Error(
+      `${entry.operator.name || entry.operator.username} has not logged in online for over `
+      + `${getCachedSettings().offlineLoginMaxDays} days, connect to the server to log in`
+    );
+  }
+  return entry.operator;
+};
+
+/**
+ * Log in against the server
+ * @param {string} username - Username
+ * @param {string} secret - PIN or password
+ * @returns {Promise<{token: string, operator: object, expiresAt: string}>} Server session
+ */
+const loginOnline = async (username, secret) => {
+  try {
+    return await httpClient.post('/auth/login', { username, password: secret }, { skipAuth: true });
+  } catch (error) {
+    if (error.status === 401 || error.status === 403) {
+      const loginError = new Error('Invalid username or PIN');
+      loginError.unauthorized = true;
+      throw loginError;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Restart the inactivity timer
+ */
+const scheduleLock = () => {
+  if (lockTimer) {
+    clearTimeout(lockTimer);
+    lockTimer = null;
+  }
+
+  const minutes = getCachedSettings().autoLockMinutes;
+  if (session && !session.locked && minutes > 0) {
+    lockTimer = setTimeout(lockSession, minutes * 60 * 1000);
+  }
+};
+
+/**
+ * Start a session and notify subscribers
+ * @param {object} newSession - Session data
+ */
+const startSession = (newSession) => {
+  session = {
+    ...newSession,
+    locked: false,
+    lastActivity: Date.now(),
+  };
+  scheduleLock();
+  notifyListeners();
+};
+
+/**
+ * Log in an operator
+ * Uses the server when reachable and falls back to cached credentials offline
+ * @param {string} username - Username
+ * @param {string} secret - PIN or password
+ * @returns {Promise<object>} Session
+ */
+export const login = async (username, secret) => {
+  const name = username.trim();
+  if (!name || !secret) {
+    throw new Error('Username and PIN are required');
+  }
+
+  const settings = await getSettings();
+
+  if (!settings.offlineMode) {
+    try {
+      // Every online login refreshes the cached role and restarts the offline login period
+      const result = await loginOnline(name, secret);
+      await cacheCredentials(name, secret, result.operator);
+      pendingSecret = null;
+      startSession({
+        token: result.token,
+        expiresAt: result.expiresAt || null,
+        operator: result.operator,
+        offline: false,
+      });
+      console.log(`Operator ${result.operator.username} logged in`);
+      return session;
+    } catch (error) {
+      if (error.unauthorized) {
+        // A changed PIN or a removed operator must not keep working offline
+        await forgetCredentials(name);
+        throw error;
+      }
+      console.log('Online login unavailable, trying cached credentials:', error.message);
+    }
+  }
+
+  const operator = await verifyCachedCredentials(name, secret);
+  if (!operator) {
+    throw new Error('Invalid username or PIN, or this operator has never logged in online on this device');
+  }
+
+  // Keep the secret in memory so a server token can be fetched once online
+  pendingSecret = secret;
+  startSession({
+    token: null,
+    expiresAt: null,
+    operator,
+    offline: true,
+  });
+  console.log(`Operator ${operator.username} logged in offline`);
+  return session;
+};
+
+/**
+ * Log out the current operator
+ */
+export const logout = async () => {
+  const token = session?.token;
+
+  session = null;
+  pendingSecret = null;
+  scheduleLock();
+  notifyListeners();
+
+  if (token) {
+    try {
+      await httpClient.post('/auth/logout', undefined, {
+        skipAuth: true,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    } catch (error) {
+      console.log('Server logout failed:', error.message);
+    }
+  }
+};
+
+/**
+ * Lock the session after inactivity
+ * The operator stays signed in but has to re-enter their PIN
+ */
+export const lockSession = () => {
+  if (!session || session.locked) return;
+
+  session = { ...session, locked: true };
+  scheduleLock();
+  notifyListeners();
+  console.log('Session locked after inactivity');
+};
+
+/**
+ * Unlock a locked session
+ * @param {string} secret - PIN or password of the session operator
+ * @returns {Promise<object>} Session
+ */
+export const unlockSession = async (secret) => {
+  if (!session) {
+    throw new Error('No session to unlock');
+  }
+
+  const operator = await verifyCachedCredentials(session.operator.username, secret);
+  if (!operator) {
+    throw new Error('Incorrect PIN');
+  }
+
+  startSession({ ...session });
+  return session;
+};
+
+/**
+ * Record operator activity, postponing the inactivity lock
+ */
+export const recordActivity = () => {
+  if (!session || session.locked) return;
+
+  session.lastActivity = Date.now();
+  scheduleLock();
+};
+
+/**
+ * Lock the session if the inactivity timeout passed while the app was in the background
+ */
+export const checkInactivity = () => {
+  if (!session || session.locked) return;
+
+  const minutes = getCachedSettings().autoLockMinutes;
+  if (minutes > 0 && Date.now() - session.lastActivity >= minutes * 60 * 1000) {
+    lockSession();
+  }
+};
+
+/**
+ * Get the current session
+ * @returns {object|null} Session
+ */
+export const getSession = () => session;
+
+/**
+ * Get the logged in operator
+ * @returns {object|null} Operator profile
+ */
+export const getCurrentOperator = () => (session ? session.operator : null);
+
+/**
+ * Get headers that authenticate an API request
+ * Offline sessions try to obtain a server token first
+ * @returns {Promise<object>} Headers to merge into the request
+ */
+export const getAuthHeaders = async () => {
+  if (session && session.offline && pendingSecret
+    && Date.now() - lastRefreshAttempt > SESSION_REFRESH_INTERVAL_MS) {
+    lastRefreshAttempt = Date.now();
+    try {
+      const result = await loginOnline(session.operator.username, pendingSecret);
+      await cacheCredentials(session.operator.username, pendingSecret, result.operator);
+      session = {
+        ...session,
+        token: result.token,
+        expiresAt: result.expiresAt || null,
+        operator: result.operator,
+        offline: false,
+      };
+      pendingSecret = null;
+      notifyListeners();
+    } catch (error) {
+      console.log('Could not refresh offline session:', error.message);
+      if (error.unauthorized) {
+        await forgetCredentials(session.operator.username);
+        handleUnauthorized();
+      }
+    }
+  }
+
+  return session && session.token ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+/**
+ * Handle a request rejected by the server as unauthenticated
+ * Ends the session so the operator is asked to log in again
+ */
+export const handleUnauthorized = () => {
+  if (session) {
+    console.log('Server rejected session token, logging out');
+    session = null;
+    pendingSecret = null;
+    scheduleLock();
+    notifyListeners();
+  }
+};
+
+/**
+ * Check if a role meets a minimum role
+ * @param {string} role - Role to check
+ * @param {string} minimumRole - Required role
+ * @returns {boolean} Whether the role is sufficient
+ */
+export const roleAtLeast = (role, minimumRole) => {
+  return (ROLE_LEVELS[role] || 0) >= (ROLE_LEVELS[minimumRole] || Infinity);
+};
+
+/**
+ * Check if the current operator may perform an action
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean} Whether the action is allowed
+ */
+export const hasPermission = (permission) => {
+  if (!session || session.locked) return false;
+  return roleAtLeast(session.operator.role, PERMISSIONS[permission]);
+};
+
+/**
+ * Throw if the current operator may not perform an action
+ * @param {string} permission - Permission name from PERMISSIONS
+ */
+export const assertPermission = (permission) => {
+  if (!hasPermission(permission)) {
+    throw new Error(`Your role does not allow this action (${permission})`);
+  }
+};
+
+// Attach the session token to every API request
+httpClient.interceptors.request.use(async (config) => {
+  if (config.skipAuth) {
+    return config;
+  }
+  return {
+    ...config,
+    headers: {
+      ...config.headers,
+      ...(await getAuthHeaders()),
+    },
+  };
+});
+
+// End the session when the server no longer accepts its token
+httpClient.interceptors.response.use(null, (error, config) => {
+  if (error.status === 401 && !config.skipAuth) {
+    handleUnauthorized();
+  }
+});
+
+/**
+ * Have a second operator approve an action the current operator may not perform alone
+ * Checks the approver's cached credentials, so it works offline for anyone who has
+ * logged in on this device before
+ * @param {string} username - Approver username
+ * @param {string} secret - Approver PIN or password
+ * @param {string} permission - Permission name from PERMISSIONS the approver must hold
+ * @param {object} [options] - Approval options
+ * @param {boolean} [options.distinct] - Refuse approval by the logged in operator
+ * @returns {Promise<{approvedBy: object, approvedAt: string, permission: string}>} Approval record
+ */
+export const approveWithSecondOperator = async (username, secret, permission, { distinct = false } = {}) => {
+  const name = username.trim();
+  if (!name || !secret) {
+    throw new Error('Username and PIN are required');
+  }
+
+  const operator = await verifyCachedCredentials(name, secret);
+  if (!operator) {
+    throw new Error('Invalid username or PIN, or this operator has never logged in on this device');
+  }
+  if (distinct && session && session.operator.username.toLowerCase() === operator.username.toLowerCase()) {
+    throw new Error('Approval must come from a different operator');
+  }
+  if (!roleAtLeast(operator.role, PERMISSIONS[permission])) {
+    throw new Error(`${operator.name || operator.username} is not allowed to approve this`);
+  }
+
+  console.log(`${operator.username} approved ${permission}`);
+  return {
+    approvedBy: {
+      id: operator.id,
+      username: operator.username,
+      name: operator.name || null,
+      role: operator.role,
+    },
+    approvedAt: new Date().toISOString(),
+    permission,
+  };
+};
+
+/**
+ * Subscribe to session changes
+ * @param {Function} listener - Called with the session (or null) after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  login,
+  logout,
+  lockSession,
+  unlockSession,
+  recordActivity,
+  checkInactivity,
+  getSession,
+  getCurrentOperator,
+  getAuthHeaders,
+  handleUnauthorized,
+  roleAtLeast,
+  hasPermission,
+  assertPermission,
+  approveWithSecondOperator,
+  subscribeSession,
+};
@@ -0,0 +1,291 @@
+/**
+ * Connectivity Module
+ * Keeps a cached online/offline state so API calls do not probe the server first
+ */
+import { httpClient, NetworkError, TimeoutError } from './http-client';
+import { getCachedSettings, loadSettings, subscribeSettings } from '../utils/settings';
+
+// Probe interval while the server is reachable
+const ONLINE_PROBE_INTERVAL_MS = 30000;
+
+// First and longest probe delay while the server is unreachable
+const OFFLINE_PROBE_MIN_MS = 5000;
+const OFFLINE_PROBE_MAX_MS = 60000;
+
+// Timeout for a single health probe
+const PROBE_TIMEOUT_MS = 3000;
+
+// Gateway errors mean the server itself cannot be reached
+const UNREACHABLE_STATUSES = [502, 503, 504];
+
+// Current state; online is null until the first probe finishes
+let state = {
+  online: null,
+  checking: false,
+  syncing: false,
+  lastChecked: null,
+  lastOnline: null,
+  lastError: null,
+  nextProbeAt: null,
+};
+
+let probeTimer = null;
+let probePromise = null;
+let offlineDelay = OFFLINE_PROBE_MIN_MS;
+let running = false;
+const listeners = new Set();
+const reconnectHandlers = new Set();
+
+/**
+ * Notify subscribers of a state change
+ */
+const notifyListeners = () => {
+  for (const listener of listeners) {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('Connectivity listener failed:', error);
+    }
+  }
+};
+
+/**
+ * Update the state and notify subscribers
+ * @param {object} changes - State changes
+ */
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  notifyListeners();
+};
+
+/**
+ * Check if an error means the server could not be reached
+ * @param {Error} error - Request error
+ * @returns {boolean} Whether the server is unreachable
+ */
+const isUnreachableError = (error) => {
+  return error instanceof NetworkError
+    || error instanceof TimeoutError
+    || UNREACHABLE_STATUSES.includes(error && error.status);
+};
+
+/**
+ * Run the reconnect handlers, e.g. to sync offline transactions
+ */
+const runReconnectHandlers = async () => {
+  if (reconnectHandlers.size === 0) return;
+
+  setState({ syncing: true });
+  for (const handler of reconnectHandlers) {
+    try {
+      await handler();
+    } catch (error) {
+      console.error('Reconnect handler failed:', error);
+    }
+  }
+  setState({ syncing: false });
+};
+
+/**
+ * Schedule the next probe
+ * Probes slowly while online and backs off while offline
+ */
+const scheduleProbe = () => {
+  if (probeTimer) {
+    clearTimeout(probeTimer);
+    probeTimer = null;
+  }
+
+  if (!running || getCachedSettings().offlineMode) {
+    if (state.nextProbeAt) setState({ nextProbeAt: null });
+    return;
+  }
+
+  const delay = state.online === false ? offlineDelay : ONLINE_PROBE_INTERVAL_MS;
+  probeTimer = setTimeout(() => {
+    checkConnectivity().catch(() => {});
+  }, delay);
+  state = { ...state, nextProbeAt: Date.now() + delay };
+};
+
+/**
+ * Record that the server answered a request
+ * The first answer after startup counts as a reconnect too, so changes left
+ * in the outbox by the previous session are synced without waiting for a drop.
+ */
+const markOnline = () => {
+  const wasOffline = state.online !== true;
+  offlineDelay = OFFLINE_PROBE_MIN_MS;
+
+  setState({
+    online: true,
+    lastChecked: new Date().toISOString(),
+    lastOnline: new Date().toISOString(),
+    lastError: null,
+  });
+
+  if (wasOffline) {
+    console.log('Connection restored');
+    scheduleProbe();
+    runReconnectHandlers();
+  }
+};
+
+/**
+ * Record that the server could not be reached
+ * @param {Error} error - Error that showed the server is unreachable
+ */
+const markOffline = (error) => {
+  const wasOnline = state.online !== false;
+
+  setState({
+    online: false,
+    lastChecked: new Date().toISOString(),
+    lastError: error ? error.message : null,
+  });
+
+  if (wasOnline) {
+    console.log('Connection lost:', error ? error.message : 'unknown error');
+    offlineDelay = OFFLINE_PROBE_MIN_MS;
+  } else {
+    offlineDelay = Math.min(offlineDelay * 2, OFFLINE_PROBE_MAX_MS);
+  }
+  scheduleProbe();
+};
+
+/**
+ * Probe the server now
+ * Concurrent callers share the same probe
+ * @returns {Promise<boolean>} Whether the server is reachable
+ */
+export const checkConnectivity = () => {
+  if (!probePromise) {
+    probePromise = (async () => {
+      setState({ checking: true });
+      try {
+        // The response interceptor below marks the state online or offline
+        await httpClient.get('/health', { timeout: PROBE_TIMEOUT_MS, retries: 0, skipAuth: true });
+      } catch (error) {
+        if (!isUnreachableError(error)) {
+          // The server answered, even if the health check itself failed
+          markOnline();
+        }
+      } finally {
+        probePromise = null;
+        setState({ checking: false });
+        scheduleProbe();
+      }
+      return state.online === true;
+    })();
+  }
+  return probePromise;
+};
+
+/**
+ * Check if the server is reachable, probing only if the state is unknown
+ * @returns {Promise<boolean>} Whether the server is reachable
+ */
+export const isServerReachable = async () => {
+  if (state.online === null) {
+    return checkConnectivity();
+  }
+  return state.online;
+};
+
+/**
+ * Get the cached connectivity state without probing
+ * @returns {boolean} Whether the server was reachable at the last request or probe
+ */
+export const isOnline = () => state.online === true;
+
+/**
+ * Get the full connectivity state
+ * @returns {object} Connectivity state
+ */
+export const getConnectivity = () => state;
+
+/**
+ * Start probing the server in the background
+ */
+export const startConnectivityMonitor = () => {
+  if (running) return;
+  running = true;
+
+  loadSettings().then((settings) => {
+    if (running && !settings.offlineMode) {
+      checkConnectivity().catch(() => {});
+    }
+  });
+};
+
+/**
+ * Stop background probing
+ */
+export const stopConnectivityMonitor = () => {
+  running = false;
+  scheduleProbe();
+};
+
+/**
+ * Register a handler that runs when the server becomes reachable again
+ * @param {Function} handler - Async function, e.g. one that syncs offline transactions
+ * @returns {Function} Function that removes the handler
+ */
+export const onReconnect = (handler) => {
+  reconnectHandlers.add(handler);
+  return () => {
+    reconnectHandlers.delete(handler);
+  };
+};
+
+/**
+ * Subscribe to connectivity changes
+ * @param {Function} listener - Called with the state after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeConnectivity = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+// Every request doubles as a connectivity check
+httpClient.interceptors.response.use(
+  () => {
+    if (state.online !== true) {
+      markOnline();
+    }
+  },
+  (error) => {
+    if (isUnreachableError(error)) {
+      markOffline(error);
+    } else if (error && error.status && state.online !== true) {
+      markOnline();
+    }
+  }
+);
+
+// Stop probing in manual offline mode and probe right away when it is turned off
+let lastOfflineMode = getCachedSettings().offlineMode;
+subscribeSettings((settings) => {
+  if (settings.offlineMode === lastOfflineMode) return;
+  lastOfflineMode = settings.offlineMode;
+
+  if (settings.offlineMode) {
+    scheduleProbe();
+  } else if (running) {
+    checkConnectivity().catch(() => {});
+  }
+});
+
+export default {
+  checkConnectivity,
+  isServerReachable,
+  isOnline,
+  getConnectivity,
+  startConnectivityMonitor,
+  stopConnectivityMonitor,
+  onReconnect,
+  subscribeConnectivity,
+};
@@ -0,0 +1,411 @@
+/**
+ * HTTP Client Module
+ * Shared request layer with timeouts, retries, typed errors and interceptors
+ */
+import { getApiUrl } from './api-settings';
+
+// Default request timeout
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Default number of retries for idempotent requests
+const DEFAULT_RETRIES = 2;
+
+// Base delay for exponential backoff
+const DEFAULT_RETRY_DELAY_MS = 300;
+
+// Methods that can be retried without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+/**
+ * Base class for all request errors
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null, request = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.request = request;
+  }
+
+  /**
+   * Whether repeating the request may succeed
+   * @returns {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The server could not be reached
+ */
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request did not finish in time
+ */
+export class TimeoutError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The server rejected the request (4xx)
+ */
+export class ClientError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ClientError';
+  }
+
+  get retryable() {
+    // Rate limiting is the only client error worth repeating
+    return this.status === 429;
+  }
+}
+
+/**
+ * The server rejected the request data (400 or 422)
+ * Field errors from the server are available on `errors`
+ */
+export class ValidationError extends ClientError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.errors = (options.body && options.body.errors) || {};
+  }
+}
+
+/**
+ * The server failed to handle the request (5xx)
+ */
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * Read a response body as JSON when possible, otherwise as text
+ * @param {Response} response - Fetch response
+ * @returns {Promise<any>} Parsed body
+ */
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Describe a request for error reporting, leaving out headers and body
+ * so credentials do not end up in logs
+ * @param {object} request - Request config
+ * @returns {{method: string, path: string, url: string}} Request summary
+ */
+const describeRequest = (request) => ({
+  method: request.method,
+  path: request.path,
+  url: request.url,
+});
+
+/**
+ * Build the error for a non-OK response
+ * @param {object} request - Request config
+ * @param {number} status - HTTP status
+ * @param {any} body - Response body
+ * @returns {ApiError} Typed error
+ */
+const errorForStatus = (request, status, body) => {
+  const detail = body && typeof body === 'object' ? body.message || body.error : body;
+  const message = `${request.method} ${request.path} failed: ${status}${detail ? ` - ${detail}` : ''}`;
+  const options = { status, body, request: describeRequest(request) };
+
+  if (status === 400 || status === 422) return new ValidationError(message, options);
+  if (status >= 400 && status < 500) return new ClientError(message, options);
+  return new ServerError(message, options);
+};
+
+/**
+ * Wait before the next retry
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseDelay - Base delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const backoff = (attempt, baseDelay) => {
+  const delay = baseDelay * Math.pow(2, attempt);
+  const jitter = Math.random() * baseDelay;
+  return new Promise(resolve => setTimeout(resolve, delay + jitter));
+};
+
+/**
+ * Create an HTTP client
+ * @param {object} [options] - Client options
+ * @param {Function} [options.getBaseUrl] - Async function returning the base URL
+ * @param {Function} [options.transport] - fetch-compatible function used to send requests
+ * @param {number} [options.timeout] - Default timeout in milliseconds
+ * @param {number} [options.retries] - Default retries for idempotent requests
+ * @param {number} [options.retryDelay] - Base backoff delay in milliseconds
+ * @returns {object} Client with request helpers and interceptors
+ */
+export const createHttpClient = ({
+  getBaseUrl = async () => '',
+  transport = (...args) => fetch(...args),
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY_MS,
+} = {}) => {
+  let currentTransport = transport;
+  const requestInterceptors = [];
+  const responseInterceptors = [];
+
+  /**
+   * Send a request once, without retries
+   * @param {object} request - Request config
+   * @returns {Promise<{status: number, body: any, headers: object}>} Response
+   */
+  const sendOnce = async (request) => {
+    const controller = new AbortController();
+    let timeoutId;
+
+    // Race the transport so a transport that ignores the abort signal still times out
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        reject(new TimeoutError(`${request.method} ${request.path} timed out after ${request.timeout}ms`, {
+          request: describeRequest(request),
+        }));
+      }, request.timeout);
+    });
+
+    let response;
+    let body;
+    try {
+      response = await Promise.race([
+        currentTransport(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body !== undefined ? JSON.stringify(request.body) : undefined,
+          signal: controller.signal,
+        }),
+        timeoutPromise,
+      ]);
+      // The timeout covers the body too, a server can stall after the headers
+      body = await Promise.race([readBody(response), timeoutPromise]);
+    } catch (error) {
+      if (error instanceof TimeoutError) {
+        throw error;
+      }
+      throw new NetworkError(`${request.method} ${request.path} failed: ${error.message}`, {
+        request: describeRequest(request),
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      throw errorForStatus(request, response.status, body);
+    }
+
+    return { status: response.status, body, headers: response.headers };
+  };
+
+  /**
+   * Send a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the base URL, or an absolute URL
+   * @param {object} [options] - Request options
+   * @param {any} [options.body] - JSON body
+   * @param {object} [options.headers] - Extra headers
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {number} [options.retries] - Retries, only used for idempotent requests
+   * @param {boolean} [options.idempotent] - Override whether the request may be retried
+   * @param {boolean} [options.skipAuth] - Do not attach operator credentials
+   * @returns {Promise<any>} Parsed response body
+   */
+  const request = async (method, path, options = {}) => {
+    const upperMethod = method.toUpperCase();
+    const isAbsolute = /^https?:\/\//i.test(path);
+
+    let config = {
+      method: upperMethod,
+      path,
+      url: isAbsolute ? path : `${await getBaseUrl()}${path}`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+      body: options.body,
+      timeout: options.timeout || timeout,
+      retries: options.retries !== undefined ? options.retries : retries,
+      idempotent: options.idempotent !== undefined
+        ? options.idempotent
+        : IDEMPOTENT_METHODS.includes(upperMethod),
+      skipAuth: Boolean(options.skipAuth),
+    };
+
+    for (const interceptor of requestInterceptors) {
+      config = (await interceptor(config)) || config;
+    }
+
+    const maxAttempts = config.idempotent ? config.retries + 1 : 1;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (attempt > 0) {
+        await backoff(attempt - 1, retryDelay);
+      }
+
+      try {
+        let response = await sendOnce(config);
+        for (const { onFulfilled } of responseInterceptors) {
+          if (onFulfilled) {
+            response = (await onFulfilled(response, config)) || response;
+          }
+        }
+        return response.body;
+      } catch (error) {
+        lastError = error;
+        if (!(error instanceof ApiError) || !error.retryable) {
+          break;
+        }
+      }
+    }
+
+    for (const { onRejected } of responseInterceptors) {
+      if (onRejected) {
+        await onRejected(lastError, config);
+      }
+    }
+    throw lastError;
+  };
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+    put: (path, body, options = {}) => request('PUT', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+
+    interceptors: {
+      request: {
+        /**
+         * Add a request interceptor
+         * @param {Function} interceptor - Receives and returns the request config
+         * @returns {Function} Function that removes the interceptor
+         */
+        use(interceptor) {
+          requestInterceptors.push(interceptor);
+          return () => {
+            const index = requestInterceptors.indexOf(interceptor);
+            if (index >= 0) requestInterceptors.splice(index, 1);
+          };
+        },
+      },
+      response: {
+        /**
+         * Add a response interceptor
+         * @param {Function} [onFulfilled] - Receives the response and request config
+         * @param {Function} [onRejected] - Receives the final error and request config
+         * @returns {Function} Function that removes the interceptor
+         */
+        use(onFulfilled, onRejected) {
+          const entry = { onFulfilled, onRejected };
+          responseInterceptors.push(entry);
+          return () => {
+            const index = responseInterceptors.indexOf(entry);
+            if (index >= 0) responseInterceptors.splice(index, 1);
+          };
+        },
+      },
+    },
+
+    /**
+     * Replace the transport, e.g. with an in-process fake server
+     * @param {Function} newTransport - fetch-compatible function
+     */
+    setTransport(newTransport) {
+      currentTransport = newTransport;
+    },
+  };
+};
+
+/**
+ * Adapt a request handler into a fetch-compatible transport
+ * Lets the API module run against an in-process fake server
+ * @param {Function} handler - Receives {method, url, path, headers, body} and returns {status, body}
+ * @returns {Function} fetch-compatible transport
+ */
+export const createInProcessTransport = (handler) => async (url, options = {}) => {
+  if (options.signal && options.signal.aborted) {
+    throw new Error('Aborted');
+  }
+
+  const parsed = /^https?:\/\/[^/]+(\/.*)?$/i.exec(url);
+  const result = await handler({
+    method: options.method || 'GET',
+    url,
+    path: parsed ? parsed[1] || '/' : url,
+    headers: options.headers || {},
+    body: options.body ? JSON.parse(options.body) : undefined,
+  });
+
+  const status = result.status || 200;
+  const text = result.body === undefined || result.body === null
+    ? ''
+    : typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: result.headers || {},
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+};
+
+// Shared client for the configured API server
+export const httpClient = createHttpClient({ getBaseUrl: getApiUrl });
+
+// Log failed requests in one place
+httpClient.interceptors.response.use(null, (error) => {
+  console.error(`API request failed [${error.name}]:`, error.message);
+});
+
+export default {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  ClientError,
+  ValidationError,
+  ServerError,
+  createHttpClient,
+  createInProcessTransport,
+  httpClient,
+};
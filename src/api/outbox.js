@@ -0,0 +1,554 @@
+/**
+ * Outbox Module
+ * Durable, ordered queue of mutations made while offline, replayed on reconnect.
+ * Entries and the server IDs of records created offline are kept one record
+ * each in the offline store, so a change to one entry writes only that entry.
+ */
+import 'react-native-get-random-values';
+import { v4 as uuidv4 } from 'uuid';
+import { httpClient, ClientError, NetworkError, TimeoutError } from './http-client';
+import { offlineStore, outbox as storedEntries, outboxIds as storedIds } from '../storage/offline-store';
+
+// Header the server uses to recognize a repeated request
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Prefix of IDs given to records created offline
+export const TEMP_ID_PREFIX = 'offline-';
+
+// Attempts before an entry that keeps failing is moved to the dead letters
+const MAX_ATTEMPTS = 5;
+
+// Backoff between attempts of a failing entry
+const RETRY_BASE_DELAY_MS = 30000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+
+// Completed entries kept for the sync queue screen
+const COMPLETED_RETENTION = 100;
+
+// Entry statuses
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed',
+  DONE: 'done',
+  DEAD: 'dead',
+  DISCARDED: 'discarded',
+};
+
+const listeners = new Set();
+const handlers = {};
+let lock = Promise.resolve();
+let replayPromise = null;
+
+/**
+ * Run a function while holding the outbox lock
+ * Keeps concurrent reads and writes of the queue from overwriting each other
+ * @param {Function} fn - Async function
+ * @returns {Promise<any>} Result of fn
+ */
+const withLock = (fn) => {
+  const run = lock.then(fn, fn);
+  lock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Notify subscribers that the queue changed
+ * @param {object[]} entries - Current entries
+ */
+const notifyListeners = (entries) => {
+  for (const listener of listeners) {
+    try {
+      listener(entries);
+    } catch (error) {
+      console.error('Outbox listener failed:', error);
+    }
+  }
+};
+
+/**
+ * Read the queue from storage
+ * @returns {Promise<object[]>} Entries in order
+ */
+const readEntries = () => storedEntries.getAll();
+
+/**
+ * Write changed entries to storage
+ * @param {object[]} entries - All entries in order, passed to subscribers
+ * @param {object[]} [changed=entries] - Entries to write
+ */
+const writeEntries = async (entries, changed = entries) => {
+  await storedEntries.putMany(changed);
+  notifyListeners(entries);
+};
+
+/**
+ * Read the map from temporary IDs to server IDs
+ * @returns {Promise<object>} ID map
+ */
+const readIdMap = async () => {
+  const idMap = {};
+  for (const { tempId, id } of await storedIds.getAll()) {
+    idMap[tempId] = id;
+  }
+  return idMap;
+};
+
+/**
+ * Check if an ID was given to a record created offline
+ * @param {any} id - Record ID
+ * @returns {boolean} Whether the ID is temporary
+ */
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+/**
+ * Create a temporary ID for a record created offline
+ * @returns {string} Temporary ID
+ */
+export const createTempId = () => `${TEMP_ID_PREFIX}${uuidv4()}`;
+
+/**
+ * Replace temporary IDs with server IDs, recursively
+ * @param {any} value - Value to resolve
+ * @param {object} idMap - Map from temporary IDs to server IDs
+ * @returns {any} Resolved value
+ */
+const resolveRefs = (value, idMap) => {
+  if (typeof value === 'string') {
+    if (value in idMap) return idMap[value];
+    return value.replace(/offline-[0-9a-f-]{36}/g, match => (match in idMap ? String(idMap[match]) : match));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveRefs(item, idMap));
+  }
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveRefs(item, idMap);
+    }
+    return resolved;
+  }
+  return value;
+};
+
+/**
+ * Get the server ID for a record created offline
+ * @param {any} id - Record ID, temporary or not
+ * @returns {Promise<any>} Server ID, or the given ID if it is not known yet
+ */
+export const resolveId = async (id) => {
+  if (!isTempId(id)) return id;
+  const mapped = await storedIds.get(id);
+  return mapped ? mapped.id : id;
+};
+
+/**
+ * Get the server record from an "already processed" response
+ * The server answers 409 when it has already handled a request with the same idempotency key
+ * @param {Error} error - Request error
+ * @returns {object|null} Server record, an empty object if the server sent none, or null
+ */
+export const getAlreadyProcessedRecord = (error) => {
+  if (!(error instanceof ClientError) || error.status !== 409) {
+    return null;
+  }
+
+  const body = error.body && typeof error.body === 'object' ? error.body : {};
+  const record = body.record || body.transaction || body.customer;
+  if (record) {
+    return record;
+  }
+  if (body.code === 'already_processed' || body.alreadyProcessed) {
+    return {};
+  }
+  return null;
+};
+
+/**
+ * Check if an entry is still waiting to be sent
+ * @param {object} entry - Outbox entry
+ * @returns {boolean} Whether the entry is open
+ */
+const isOpen = (entry) => entry.status === OUTBOX_STATUS.PENDING || entry.status === OUTBOX_STATUS.FAILED;
+
+/**
+ * Add a mutation to the outbox
+ * The entry waits for earlier open entries in the same group, and for the entries
+ * that create any temporary ID it refers to
+ * @param {object} mutation - Mutation to record
+ * @param {string} mutation.type - Handler type, e.g. 'transaction'
+ * @param {string} mutation.method - HTTP method
+ * @param {string} mutation.path - API path, may contain temporary IDs
+ * @param {object} [mutation.body] - JSON body, may contain temporary IDs
+ * @param {string} [mutation.idempotencyKey] - Key sent with every attempt
+ * @param {string} [mutation.group] - Entries in the same group are replayed one after another
+ * @param {string} [mutation.produces] - Temporary ID the server assigns a real ID to
+ * @param {string} [mutation.producesKey='id'] - Field of the server record holding the real ID
+ * @param {string} [mutation.ref] - Local record the entry belongs to
+ * @param {string} [mutation.description] - Text shown in the sync queue
+ * @returns {Promise<object>} New entry
+ */
+export const enqueue = (mutation) => withLock(async () => {
+  const entries = await readEntries();
+  const serialized = JSON.stringify([mutation.path, mutation.body]);
+
+  const dependsOn = entries
+    .filter(entry => isOpen(entry) && (
+      (mutation.group && entry.group === mutation.group)
+      || (entry.produces && serialized.includes(entry.produces))
+    ))
+    .map(entry => entry.id);
+
+  const entry = {
+    id: uuidv4(),
+    seq: entries.length > 0 ? entries[entries.length - 1].seq + 1 : 1,
+    type: mutation.type,
+    method: mutation.method,
+    path: mutation.path,
+    body: mutation.body,
+    idempotencyKey: mutation.idempotencyKey || uuidv4(),
+    group: mutation.group || null,
+    produces: mutation.produces || null,
+    producesKey: mutation.producesKey || 'id',
+    ref: mutation.ref || null,
+    description: mutation.description || `${mutation.method} ${mutation.path}`,
+    dependsOn,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+  };
+
+  entries.push(entry);
+  await writeEntries(entries, [entry]);
+  return entry;
+});
+
+/**
+ * Register callbacks for an entry type
+ * Callbacks run while the queue is locked, so they must not call back into the outbox
+ * @param {string} type - Entry type
+ * @param {object} handler - Callbacks
+ * @param {Function} [handler.onComplete] - Called with (entry, record, alreadyProcessed) once the server accepted the entry
+ * @param {Function} [handler.onDead] - Called with (entry) once the entry is given up on
+ */
+export const registerOutboxHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Run a handler callback, logging failures
+ * @param {object} entry - Outbox entry
+ * @param {string} name - Callback name
+ * @param {...any} args - Callback arguments
+ */
+const runHandler = async (entry, name, ...args) => {
+  const handler = handlers[entry.type];
+  if (!handler || !handler[name]) return;
+
+  try {
+    await handler[name](entry, ...args);
+  } catch (error) {
+    console.error(`Outbox ${name} handler failed for ${entry.type}:`, error);
+  }
+};
+
+/**
+ * Send one entry to the server
+ * @param {object} entry - Outbox entry
+ * @param {object} idMap - Map from temporary IDs to server IDs
+ * @returns {Promise<{record: object, alreadyProcessed: boolean}>} Server record
+ */
+const sendEntry = async (entry, idMap) => {
+  try {
+    const record = await httpClient.request(entry.method, resolveRefs(entry.path, idMap), {
+      body: resolveRefs(entry.body, idMap),
+      headers: { [IDEMPOTENCY_HEADER]: entry.idempotencyKey },
+      idempotent: true,
+    });
+    return { record: record || {}, alreadyProcessed: false };
+  } catch (error) {
+    const record = getAlreadyProcessedRecord(error);
+    if (record) {
+      return { record, alreadyProcessed: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give up on an entry and on every open entry that depends on it
+ * @param {object[]} entries - All entries
+ * @param {object} entry - Entry to give up on
+ * @param {string} reason - Error message
+ * @returns {object[]} Entries moved to the dead letters
+ */
+const markDead = (entries, entry, reason) => {
+  entry.status = OUTBOX_STATUS.DEAD;
+  entry.lastError = reason;
+  entry.nextAttemptAt = null;
+
+  const dead = [entry];
+  for (const other of entries) {
+    if (isOpen(other) && other.dependsOn.includes(entry.id)) {
+      dead.push(...markDead(entries, other, `Depends on a failed change: ${entry.description}`));
+    }
+  }
+  return dead;
+};
+
+/**
+ * Check whether a request was refused for want of a valid login
+ * @param {Error} error - Request error
+ * @returns {boolean} Whether the server answered 401 or 403
+ */
+const isAuthError = (error) => error instanceof ClientError && (error.status === 401 || error.status === 403);
+
+/**
+ * Drop old completed entries
+ * The server ID of a record they created is dropped with them once no open
+ * entry refers to it any more; by then every local copy carries the server ID.
+ * @param {object[]} entries - All entries
+ * @returns {Promise<object[]>} Entries kept
+ */
+const pruneEntries = async (entries) => {
+  const closed = entries.filter(entry => entry.status === OUTBOX_STATUS.DONE || entry.status === OUTBOX_STATUS.DISCARDED);
+  if (closed.length <= COMPLETED_RETENTION) {
+    return entries;
+  }
+
+  const dropped = closed.slice(0, closed.length - COMPLETED_RETENTION);
+  const drop = new Set(dropped.map(entry => entry.id));
+  const kept = entries.filter(entry => !drop.has(entry.id));
+  const referenced = JSON.stringify(kept.filter(isOpen).map(entry => [entry.path, entry.body]));
+
+  await offlineStore.transaction(async (store) => {
+    for (const entry of dropped) {
+      await store.outbox.remove(entry.id);
+      if (entry.produces && !referenced.includes(entry.produces)) {
+        await store.outboxIds.remove(entry.produces);
+      }
+    }
+  });
+  return kept;
+};
+
+/**
+ * Send open entries to the server in order
+ * Entries wait for their dependencies; connection and login failures stop the run, other
+ * failures are retried with backoff and moved to the dead letters after MAX_ATTEMPTS,
+ * rejected requests are moved there right away
+ * @returns {Promise<{success: number, failed: number, total: number}>} Replay results
+ */
+const runReplay = () => withLock(async () => {
+  let entries = await readEntries();
+  const idMap = await readIdMap();
+  const results = { success: 0, failed: 0, total: 0 };
+  const now = Date.now();
+
+  for (const entry of entries) {
+    if (!isOpen(entry) || (entry.nextAttemptAt && entry.nextAttemptAt > now)) {
+      continue;
+    }
+
+    const dependencies = entries.filter(other => entry.dependsOn.includes(other.id));
+    if (dependencies.some(other => !isOpen(other) && other.status !== OUTBOX_STATUS.DONE)) {
+      results.total++;
+      results.failed++;
+      const dead = markDead(entries, entry, 'Depends on a change that was not applied');
+      await writeEntries(entries, dead);
+      for (const deadEntry of dead) {
+        await runHandler(deadEntry, 'onDead');
+      }
+      continue;
+    }
+    if (dependencies.some(isOpen)) {
+      continue;
+    }
+
+    results.total++;
+    entry.attempts++;
+    try {
+      const { record, alreadyProcessed } = await sendEntry(entry, idMap);
+
+      entry.status = OUTBOX_STATUS.DONE;
+      entry.lastError = null;
+      entry.nextAttemptAt = null;
+      entry.completedAt = new Date().toISOString();
+      const producedId = entry.produces ? record[entry.producesKey || 'id'] : undefined;
+      if (producedId !== undefined) {
+        idMap[entry.produces] = producedId;
+      }
+      results.success++;
+      // The entry and the server ID it produced are saved together
+      await offlineStore.transaction(async (store) => {
+        await store.outbox.put(entry);
+        if (producedId !== undefined) {
+          await store.outboxIds.put({ tempId: entry.produces, id: producedId });
+        }
+      });
+      notifyListeners(entries);
+      await runHandler(entry, 'onComplete', record, alreadyProcessed);
+    } catch (error) {
+      console.error(`Outbox entry ${entry.seq} (${entry.description}) failed:`, error.message);
+      results.failed++;
+
+      if (error instanceof NetworkError || error instanceof TimeoutError) {
+        // The server is gone again, keep the entry and stop
+        entry.lastError = error.message;
+        await writeEntries(entries, [entry]);
+        break;
+      }
+
+      if (isAuthError(error)) {
+        // The request went out without a valid login, keep the entry for the next session
+        entry.lastError = error.message;
+        await writeEntries(entries, [entry]);
+        break;
+      }
+
+      if (!error.retryable || entry.attempts >= MAX_ATTEMPTS) {
+        const dead = markDead(entries, entry, error.message);
+        await writeEntries(entries, dead);
+        for (const deadEntry of dead) {
+          await runHandler(deadEntry, 'onDead');
+        }
+      } else {
+        const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, entry.attempts - 1), RETRY_MAX_DELAY_MS);
+        entry.status = OUTBOX_STATUS.FAILED;
+        entry.lastError = error.message;
+        entry.nextAttemptAt = Date.now() + delay;
+        await writeEntries(entries, [entry]);
+      }
+    }
+  }
+
+  entries = await pruneEntries(entries);
+  notifyListeners(entries);
+  return results;
+});
+
+/**
+ * Replay the outbox
+ * Concurrent callers share the same run
+ * @returns {Promise<{success: number, failed: number, total: number}>} Replay results
+ */
+export const replayOutbox = () => {
+  if (!replayPromise) {
+    replayPromise = runReplay().finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
+
+/**
+ * Get all entries in order
+ * @returns {Promise<object[]>} Outbox entries
+ */
+export const getOutboxEntries = () => withLock(readEntries);
+
+/**
+ * Count entries by status
+ * @returns {Promise<object>} Count per status
+ */
+export const getOutboxCounts = async () => {
+  const entries = await getOutboxEntries();
+  const counts = Object.values(OUTBOX_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  for (const entry of entries) {
+    counts[entry.status]++;
+  }
+  return counts;
+};
+
+/**
+ * Put a dead entry, and the entries that failed because of it, back in the queue
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<void>}
+ */
+export const retryOutboxEntry = (entryId) => withLock(async () => {
+  const entries = await readEntries();
+  const entry = entries.find(e => e.id === entryId);
+  if (!entry || entry.status !== OUTBOX_STATUS.DEAD) {
+    throw new Error('Only failed changes can be retried');
+  }
+
+  const revived = [];
+  const revive = (target) => {
+    revived.push(target);
+    target.status = OUTBOX_STATUS.PENDING;
+    target.attempts = 0;
+    target.lastError = null;
+    target.nextAttemptAt = null;
+    for (const other of entries) {
+      if (other.status === OUTBOX_STATUS.DEAD && other.dependsOn.includes(target.id)) {
+        revive(other);
+      }
+    }
+  };
+  revive(entry);
+
+  await writeEntries(entries, revived);
+});
+
+/**
+ * Give up on a dead entry for good
+ * The server never receives the change, so the local record keeps its failed state
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<void>}
+ */
+export const discardOutboxEntry = (entryId) => withLock(async () => {
+  const entries = await readEntries();
+  const entry = entries.find(e => e.id === entryId);
+  if (!entry || entry.status !== OUTBOX_STATUS.DEAD) {
+    throw new Error('Only failed changes can be discarded');
+  }
+
+  entry.status = OUTBOX_STATUS.DISCARDED;
+  entry.completedAt = new Date().toISOString();
+  await writeEntries(entries, [entry]);
+});
+
+/**
+ * Remove every entry, including unsent ones
+ * @returns {Promise<void>}
+ */
+export const clearOutbox = () => withLock(async () => {
+  await offlineStore.transaction(async (store) => {
+    await store.outbox.clear();
+    await store.outboxIds.clear();
+  });
+  notifyListeners([]);
+});
+
+/**
+ * Subscribe to outbox changes
+ * @param {Function} listener - Called with all entries after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export default {
+  IDEMPOTENCY_HEADER,
+  TEMP_ID_PREFIX,
+  OUTBOX_STATUS,
+  isTempId,
+  createTempId,
+  resolveId,
+  getAlreadyProcessedRecord,
+  enqueue,
+  registerOutboxHandler,
+  replayOutbox,
+  getOutboxEntries,
+  getOutboxCounts,
+  retryOutboxEntry,
+  discardOutboxEntry,
+  clearOutbox,
+  subscribeOutbox,
+};
@@ -0,0 +1,112 @@
+/**
+ * Reconciliation Module
+ * Keeps the balances that differed from the server after an offline sync,
+ * one record each in the offline store
+ */
+import 'react-native-get-random-values';
+import { v4 as uuidv4 } from 'uuid';
+import { assertPermission, getCurrentOperator } from './auth';
+import { offlineStore, discrepancies as storedDiscrepancies } from '../storage/offline-store';
+
+// Acknowledged discrepancies kept for reference
+const ACKNOWLEDGED_RETENTION = 200;
+
+/**
+ * Read all discrepancies
+ * @returns {Promise<object[]>} Discrepancies, newest first
+ */
+export const getDiscrepancies = async () => {
+  try {
+    return await storedDiscrepancies.getAll();
+  } catch (error) {
+    console.error('Failed to read discrepancies:', error);
+    return [];
+  }
+};
+
+/**
+ * Count discrepancies nobody has looked at yet
+ * @returns {Promise<number>} Open discrepancies
+ */
+export const getOpenDiscrepancyCount = async () => {
+  try {
+    return (await storedDiscrepancies.findBy('status', 'open')).length;
+  } catch (error) {
+    console.error('Failed to count discrepancies:', error);
+    return 0;
+  }
+};
+
+/**
+ * Compare a locally expected balance with the server balance
+ * @param {object} customer - Customer record from the server, balance in cents
+ * @param {number} expectedBalance - Balance the terminal expected in cents
+ * @returns {object|null} Discrepancy, or null if the balances match
+ */
+export const compareBalance = (customer, expectedBalance) => {
+  if (customer.balance === expectedBalance) {
+    return null;
+  }
+
+  return {
+    id: uuidv4(),
+    customerId: customer.id,
+    customerName: customer.name || null,
+    cardId: customer.cardId || null,
+    expectedBalance,
+    serverBalance: customer.balance,
+    difference: customer.balance - expectedBalance,
+    detectedAt: new Date().toISOString(),
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    note: null,
+  };
+};
+
+/**
+ * Store new discrepancies
+ * Only the newest ACKNOWLEDGED_RETENTION acknowledged ones are kept
+ * @param {object[]} discrepancies - Discrepancies from compareBalance
+ * @returns {Promise<void>}
+ */
+export const recordDiscrepancies = async (discrepancies) => {
+  if (discrepancies.length === 0) return;
+
+  await offlineStore.transaction(async (store) => {
+    await store.discrepancies.putMany(discrepancies);
+    const acknowledged = await store.discrepancies.findBy('status', 'acknowledged');
+    for (const old of acknowledged.slice(ACKNOWLEDGED_RETENTION)) {
+      await store.discrepancies.remove(old.id);
+    }
+  });
+  console.log(`Recorded ${discrepancies.length} balance discrepancies after sync`);
+};
+
+/**
+ * Mark a discrepancy as reviewed
+ * @param {string} discrepancyId - Discrepancy ID
+ * @param {string} [note] - What was found or done
+ * @returns {Promise<object>} Updated discrepancy
+ */
+export const acknowledgeDiscrepancy = async (discrepancyId, note) => {
+  assertPermission('reconcile');
+
+  const operator = getCurrentOperator();
+  const discrepancy = await storedDiscrepancies.update(discrepancyId, (record) => {
+    record.acknowledgedAt = new Date().toISOString();
+    record.acknowledgedBy = operator ? operator.username : null;
+    record.note = note ? note.trim() || null : null;
+  });
+  if (!discrepancy) {
+    throw new Error('Discrepancy not found');
+  }
+  return discrepancy;
+};
+
+export default {
+  getDiscrepancies,
+  getOpenDiscrepancyCount,
+  compareBalance,
+  recordDiscrepancies,
+  acknowledgeDiscrepancy,
+};
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SAMPLE_CARDS } from '../utils/nfc-providers';
+import { formatCardId } from '../utils/formatters';
+
+/**
+ * Describe what the simulated reader is doing
+ * @param {object} state - Simulator state
+ * @returns {string} Description
+ */
+const describeState = (state) => {
+  if (!state.enabled) return 'NFC is turned off';
+  const waiting = state.waiting === 'read'
+    ? 'Waiting for a card'
+    : state.waiting === 'discovery' ? 'Listening for cards' : 'Reader idle';
+  return state.queued > 0 ? `${waiting}, ${state.queued} queued` : waiting;
+};
+
+/**
+ * Floating panel to tap virtual cards on the simulated NFC reader
+ * @param {object} props - Component props
+ * @param {object} props.simulator - Provider from createSimulatedNfcProvider
+ */
+export default function NfcSimulatorPanel({ simulator }) {
+  const [state, setState] = useState(simulator.getState());
+  const [isOpen, setIsOpen] = useState(false);
+  const [customUid, setCustomUid] = useState('');
+
+  useEffect(() => {
+    setState(simulator.getState());
+    return simulator.subscribe(setState);
+  }, [simulator]);
+
+  // Tap a card typed in by hand
+  const handleTapCustom = () => {
+    const uid = customUid.replace(/[\s:]/g, '').toUpperCase();
+    if (!/^([0-9A-F]{2}){4,10}$/.test(uid)) return;
+    simulator.tap(uid);
+  };
+
+  const isWaiting = state.enabled && state.waiting !== null;
+
+  if (!isOpen) {
+    return (
+      <TouchableOpacity
+        style={[styles.fab, isWaiting && styles.fabWaiting]}
+        onPress={() => setIsOpen(true)}
+      >
+        <Ionicons name="card-outline" size={24} color="#fff" />
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <View>
+          <Text style={styles.title}>NFC Simulator</Text>
+          <Text style={[styles.status, isWaiting && styles.statusWaiting]}>{describeState(state)}</Text>
+        </View>
+        <TouchableOpacity onPress={() => setIsOpen(false)}>
+          <Ionicons name="close" size={24} color="#666" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.list}>
+        {SAMPLE_CARDS.map(card => (
+          <TouchableOpacity
+            key={card.uid}
+            style={styles.cardRow}
+            onPress={() => simulator.tap(card.uid)}
+            disabled={!state.enabled}
+          >
+            <Ionicons name="card" size={20} color="#007AFF" />
+            <View style={styles.cardText}>
+              <Text style={styles.cardLabel}>{card.label}</Text>
+              <Text style={styles.cardHint}>{card.hint || formatCardId(card.uid)}</Text>
+            </View>
+          </TouchableOpacity>
+        ))}
+
+        <View style={styles.customRow}>
+          <TextInput
+            style={styles.input}
+            value={customUid}
+            onChangeText={setCustomUid}
+            placeholder="Card UID (hex)"
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+          <TouchableOpacity style={styles.smallButton} onPress={handleTapCustom} disabled={!state.enabled}>
+            <Text style={styles.smallButtonText}>Tap</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => simulator.tap({ error: 'Tag connection lost' })}
+          >
+            <Text style={styles.actionText}>Read Error</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => simulator.tap({ timeout: true })}>
+            <Text style={styles.actionText}>Timeout</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => simulator.clear()}>
+            <Text style={styles.actionText}>Clear Queue</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.switchRow}>
+          <Text style={styles.cardLabel}>NFC Enabled</Text>
+          <Switch value={state.enabled} onValueChange={value => simulator.setEnabled(value)} />
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  fab: {
+    position: 'absolute',
+    right: 16,
+    bottom: 96,
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#8E8E93',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 4,
+  },
+  fabWaiting: {
+    backgroundColor: '#34C759',
+  },
+  panel: {
+    position: 'absolute',
+    left: 12,
+    right: 12,
+    bottom: 96,
+    maxHeight: 420,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  status: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 2,
+  },
+  statusWaiting: {
+    color: '#34C759',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  cardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  cardText: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  cardLabel: {
+    fontSize: 15,
+    color: '#333',
+  },
+  cardHint: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  customRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 8,
+    fontSize: 15,
+  },
+  smallButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 9,
+    paddingHorizontal: 16,
+    marginLeft: 8,
+  },
+  smallButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingVertical: 8,
+    marginRight: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+});
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { approveWithSecondOperator } from '../api/auth';
+
+/**
+ * Modal asking a supervisor to approve an action with their username and PIN
+ * @param {object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {string} props.title - Modal title
+ * @param {string} [props.message] - What is being approved
+ * @param {string} props.permission - Permission the approver must hold
+ * @param {boolean} [props.distinct] - Require someone other than the logged in operator
+ * @param {Function} props.onApproved - Called with the approval record
+ * @param {Function} props.onCancel - Called when the modal is dismissed
+ */
+export default function SupervisorApprovalModal({
+  visible,
+  title,
+  message,
+  permission,
+  distinct = false,
+  onApproved,
+  onCancel,
+}) {
+  const [username, setUsername] = useState('');
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  // Start empty every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setUsername('');
+      setSecret('');
+      setError(null);
+    }
+  }, [visible]);
+
+  const handleApprove = async () => {
+    setIsVerifying(true);
+    setError(null);
+    try {
+      const approval = await approveWithSecondOperator(username, secret, permission, { distinct });
+      onApproved(approval);
+    } catch (approvalError) {
+      setError(approvalError.message);
+      setSecret('');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={styles.dialog}>
+          <View style={styles.header}>
+            <Ionicons name="shield-checkmark" size={28} color="#5856D6" />
+            <Text style={styles.title}>{title}</Text>
+          </View>
+
+          {message ? <Text style={styles.message}>{message}</Text> : null}
+
+          <TextInput
+            style={styles.input}
+            value={username}
+            onChangeText={setUsername}
+            placeholder="Supervisor username"
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isVerifying}
+          />
+          <TextInput
+            style={styles.input}
+            value={secret}
+            onChangeText={setSecret}
+            placeholder="PIN or password"
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            onSubmitEditing={handleApprove}
+            editable={!isVerifying}
+          />
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              onPress={onCancel}
+              disabled={isVerifying}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.approveButton]}
+              onPress={handleApprove}
+              disabled={isVerifying}
+            >
+              {isVerifying ? (
+                <ActivityIndicator color="#fff" size="small" />
+              ) : (
+                <Text style={styles.approveButtonText}>Approve</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginLeft: 8,
+  },
+  message: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 16,
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  button: {
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+    marginLeft: 10,
+    minWidth: 90,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#eee',
+  },
+  cancelButtonText: {
+    color: '#333',
+    fontWeight: 'bold',
+  },
+  approveButton: {
+    backgroundColor: '#5856D6',
+  },
+  approveButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
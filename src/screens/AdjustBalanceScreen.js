@@ -0,0 +1,418 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { transactionAPI } from '../api/api';
+import { formatCurrency, centsToAmount, amountToCents, formatCardId } from '../utils/formatters';
+import { getSettings, subscribeSettings } from '../utils/settings';
+import {
+  ADJUSTMENT_REASONS,
+  AdjustmentError,
+  requiresApproval,
+  validateAdjustment,
+} from '../utils/adjustments';
+import { OfflineRiskError } from '../utils/offline-risk';
+import SupervisorApprovalModal from '../components/SupervisorApprovalModal';
+
+export default function AdjustBalanceScreen({ route, navigation }) {
+  const { customer } = route.params;
+  const [settings, setSettings] = useState(null);
+  const [direction, setDirection] = useState('credit');
+  const [amountInput, setAmountInput] = useState('');
+  const [reasonCode, setReasonCode] = useState(null);
+  const [note, setNote] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [isApproving, setIsApproving] = useState(false);
+  const [approval, setApproval] = useState(null);
+  const [riskError, setRiskError] = useState(null);
+
+  // The approval threshold comes from the terminal settings
+  useEffect(() => {
+    getSettings().then(setSettings);
+    return subscribeSettings(setSettings);
+  }, []);
+
+  if (!settings) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  const amount = parseFloat(amountInput) || 0;
+  const needsApproval = requiresApproval(amount, settings);
+  const newBalance = customer.balance + (direction === 'debit' ? -1 : 1) * amountToCents(amount);
+
+  // Validate and confirm the adjustment
+  const handleSubmit = () => {
+    try {
+      validateAdjustment({ direction, amount, reasonCode, note }, customer);
+    } catch (error) {
+      if (error instanceof AdjustmentError) {
+        Alert.alert('Incomplete Adjustment', error.message);
+        return;
+      }
+      throw error;
+    }
+
+    Alert.alert(
+      'Confirm Adjustment',
+      `${direction === 'debit' ? 'Debit' : 'Credit'} ${formatCurrency(amount)} ${direction === 'debit' ? 'from' : 'to'} ${customer.name}'s balance?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Adjust',
+          style: 'destructive',
+          onPress: () => (needsApproval ? setIsApproving(true) : submitAdjustment(null)),
+        },
+      ]
+    );
+  };
+
+  // Record the adjustment with the second operator's approval and any offline override
+  const submitAdjustment = async (adjustmentApproval, riskOverride) => {
+    setApproval(adjustmentApproval);
+    setIsProcessing(true);
+    try {
+      const transaction = await transactionAPI.adjustBalance(customer.id, {
+        direction,
+        amount,
+        reasonCode,
+        note,
+        approval: adjustmentApproval,
+        riskOverride,
+      });
+
+      Alert.alert(
+        'Balance Adjusted',
+        transaction.offlineCreated
+          ? 'Adjustment recorded offline and will be synced when the connection is restored.'
+          : `New balance: ${formatCurrency(centsToAmount(newBalance))}`,
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Failed to adjust balance:', error);
+
+      if (error instanceof OfflineRiskError) {
+        Alert.alert(
+          'Offline Limit Reached',
+          error.message,
+          error.overridable
+            ? [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Supervisor Override', onPress: () => setRiskError(error) },
+            ]
+            : [{ text: 'OK' }]
+        );
+      } else {
+        Alert.alert('Error', error.message);
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {/* Customer */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{customer.name}</Text>
+          <View style={styles.row}>
+            <Text style={styles.label}>Card</Text>
+            <Text style={styles.value}>{formatCardId(customer.cardId)}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Current Balance</Text>
+            <Text style={styles.value}>{formatCurrency(centsToAmount(customer.balance))}</Text>
+          </View>
+          {amount > 0 && (
+            <View style={[styles.row, styles.newBalanceRow]}>
+              <Text style={styles.newBalanceLabel}>New Balance</Text>
+              <Text style={[styles.newBalanceValue, newBalance < 0 && styles.errorValue]}>
+                {formatCurrency(centsToAmount(newBalance))}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        {/* Adjustment */}
+        <View style={styles.card}>
+          <View style={styles.modeRow}>
+            <TouchableOpacity
+              style={[styles.modeButton, direction === 'credit' && styles.modeButtonSelected]}
+              onPress={() => setDirection('credit')}
+              disabled={isProcessing}
+            >
+              <Text style={[styles.modeText, direction === 'credit' && styles.modeTextSelected]}>Credit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.modeButton, direction === 'debit' && styles.modeButtonSelected]}
+              onPress={() => setDirection('debit')}
+              disabled={isProcessing}
+            >
+              <Text style={[styles.modeText, direction === 'debit' && styles.modeTextSelected]}>Debit</Text>
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.inputLabel}>Amount</Text>
+          <TextInput
+            style={styles.input}
+            value={amountInput}
+            onChangeText={setAmountInput}
+            placeholder="Enter amount"
+            keyboardType="decimal-pad"
+            editable={!isProcessing}
+          />
+          {needsApproval && (
+            <Text style={styles.hintText}>
+              Adjustments over {formatCurrency(settings.adjustmentApprovalThreshold)} need a second operator's approval.
+            </Text>
+          )}
+
+          <Text style={styles.inputLabel}>Reason</Text>
+          <View style={styles.reasonContainer}>
+            {ADJUSTMENT_REASONS.map(option => (
+              <TouchableOpacity
+                key={option.code}
+                style={[styles.reasonChip, reasonCode === option.code && styles.reasonChipSelected]}
+                onPress={() => setReasonCode(option.code)}
+                disabled={isProcessing}
+              >
+                <Text style={[styles.reasonText, reasonCode === option.code && styles.reasonTextSelected]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.inputLabel}>Note</Text>
+          <TextInput
+            style={[styles.input, styles.noteInput]}
+            value={note}
+            onChangeText={setNote}
+            placeholder="Explain why the balance is being adjusted"
+            multiline
+            editable={!isProcessing}
+          />
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, (amount <= 0 || !reasonCode || !note.trim()) && styles.disabledButton]}
+          onPress={handleSubmit}
+          disabled={isProcessing || amount <= 0 || !reasonCode || !note.trim()}
+        >
+          {isProcessing ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <>
+              <Ionicons name="create-outline" size={24} color="#fff" />
+              <Text style={styles.buttonText}>
+                {direction === 'debit' ? 'Debit' : 'Credit'} {formatCurrency(amount)}
+              </Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+
+      <SupervisorApprovalModal
+        visible={isApproving}
+        title="Approve Adjustment"
+        message={`${direction === 'debit' ? 'Debit' : 'Credit'} of ${formatCurrency(amount)} for ${customer.name}. A second operator must approve it.`}
+        permission="approveAdjustment"
+        distinct
+        onApproved={(adjustmentApproval) => {
+          setIsApproving(false);
+          submitAdjustment(adjustmentApproval);
+        }}
+        onCancel={() => setIsApproving(false)}
+      />
+
+      <SupervisorApprovalModal
+        visible={Boolean(riskError)}
+        title="Override Offline Limit"
+        message={riskError ? riskError.message : ''}
+        permission="overrideRiskLimits"
+        onApproved={(riskOverride) => {
+          setRiskError(null);
+          submitAdjustment(approval, riskOverride);
+        }}
+        onCancel={() => setRiskError(null)}
+      />
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  label: {
+    fontSize: 15,
+    color: '#555',
+  },
+  value: {
+    fontSize: 15,
+    color: '#333',
+  },
+  newBalanceRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    marginTop: 6,
+    paddingTop: 10,
+  },
+  newBalanceLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  newBalanceValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  errorValue: {
+    color: '#FF3B30',
+  },
+  modeRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    alignItems: 'center',
+  },
+  modeButtonSelected: {
+    backgroundColor: '#007AFF',
+  },
+  modeText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  modeTextSelected: {
+    color: '#fff',
+  },
+  inputLabel: {
+    fontSize: 16,
+    marginTop: 8,
+    marginBottom: 5,
+    color: '#555',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  noteInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 6,
+  },
+  reasonContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  reasonChip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  reasonChipSelected: {
+    borderColor: '#007AFF',
+    backgroundColor: '#f0f7ff',
+  },
+  reasonText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  reasonTextSelected: {
+    color: '#007AFF',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+    borderRadius: 8,
+    backgroundColor: '#5856D6',
+    marginBottom: 24,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
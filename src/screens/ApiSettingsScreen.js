@@ -12,7 +12,7 @@ import {
   Platform,
 } from 'react-native';
 import { getApiUrl, saveApiUrl, checkApiUrl } from '../api/api-settings';
-import { checkApiStatus, saveAndVerifyApiUrl } from '../api/api';
+import { checkApiStatus } from '../api/api';
 
 export default function ApiSettingsScreen() {
   const [apiUrl, setApiUrl] = useState('');
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -11,11 +11,35 @@ import {
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
-import { formatCurrency, centsToAmount, formatDate, formatCardId } from '../utils/formatters';
-import { customerAPI, transactionAPI } from '../api/api';
+import {
+  formatCurrency,
+  centsToAmount,
+  formatDate,
+  formatCardId,
+  formatTransactionType,
+} from '../utils/formatters';
+import { customerAPI, transactionAPI, cardAPI } from '../api/api';
+import { getBalanceChange } from '../utils/balance-changes';
+import { hasPermission } from '../api/auth';
+import {
+  CARD_STATUS,
+  canChangeCardStatus,
+  getCardStatusLabel,
+  getCardStatusReasonLabel,
+  isCardUsable,
+} from '../utils/card-status';
+
+// Whether a transaction reduced the customer's balance
+const isDebit = (transaction) => {
+  try {
+    return getBalanceChange(transaction) < 0;
+  } catch (error) {
+    return false;
+  }
+};
 
 export default function CustomerDetailsScreen({ route, navigation }) {
-  const { customer: initialCustomer } = route.params;
+  const { customer: initialCustomer, qrToken } = route.params;
   const [customer, setCustomer] = useState(initialCustomer);
   const [isLoading, setIsLoading] = useState(false);
   const [transactions, setTransactions] = useState([]);
@@ -66,7 +90,7 @@ export default function CustomerDetailsScreen({ route, navigation }) {
 
   // Handle Make Payment
   const handleMakePayment = () => {
-    navigation.navigate('Payment', { customer });
+    navigation.navigate('Payment', { customer, qrToken });
   };
 
   // Handle Reload Account
@@ -74,6 +98,60 @@ export default function CustomerDetailsScreen({ route, navigation }) {
     navigation.navigate('ReloadAccount', { customer });
   };
 
+  // Handle Adjust Balance
+  const handleAdjustBalance = () => {
+    navigation.navigate('AdjustBalance', { customer });
+  };
+
+  // Change the card status after confirming
+  const changeCardStatus = async (status, reason) => {
+    setIsLoading(true);
+    try {
+      const updated = await cardAPI.setStatus(customer.id, status, reason);
+      setCustomer(updated);
+    } catch (error) {
+      console.error('Failed to change card status:', error);
+      Alert.alert('Error', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Handle Card Status: offer the changes allowed from the current status
+  const handleCardStatus = () => {
+    const current = customer.cardStatus || CARD_STATUS.ACTIVE;
+    const options = [
+      { text: 'Unblock', status: CARD_STATUS.ACTIVE, reason: null },
+      { text: 'Block', status: CARD_STATUS.BLOCKED, reason: 'customer_request' },
+      { text: 'Report Lost', status: CARD_STATUS.LOST, reason: 'lost' },
+    ].filter(option => canChangeCardStatus(current, option.status));
+
+    if (options.length === 0) {
+      Alert.alert('Card Status', `This card is ${getCardStatusLabel(current).toLowerCase()}. Replace it to issue a new card.`);
+      return;
+    }
+
+    Alert.alert(
+      'Card Status',
+      current === CARD_STATUS.ACTIVE
+        ? 'A blocked or lost card is refused on every terminal, including offline.'
+        : `This card is ${getCardStatusLabel(current).toLowerCase()}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        ...options.map(option => ({
+          text: option.text,
+          style: option.status === CARD_STATUS.ACTIVE ? 'default' : 'destructive',
+          onPress: () => changeCardStatus(option.status, option.reason),
+        })),
+      ]
+    );
+  };
+
+  // Handle Replace Card
+  const handleReplaceCard = () => {
+    navigation.navigate('ReplaceCard', { customer });
+  };
+
   // Handle View All Transactions
   const handleViewAllTransactions = () => {
     // For now, just show last 10 transactions
@@ -115,6 +193,21 @@ export default function CustomerDetailsScreen({ route, navigation }) {
             <Text style={styles.detailLabel}>Card ID:</Text>
             <Text style={styles.detailValue}>{formatCardId(customer.cardId)}</Text>
           </View>
+
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Card Status:</Text>
+            <Text style={[styles.detailValue, !isCardUsable(customer.cardStatus) && styles.blockedValue]}>
+              {getCardStatusLabel(customer.cardStatus)}
+              {customer.cardStatusReason ? ` (${getCardStatusReasonLabel(customer.cardStatusReason)})` : ''}
+            </Text>
+          </View>
+
+          {qrToken ? (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Identified By:</Text>
+              <Text style={styles.detailValue}>QR code</Text>
+            </View>
+          ) : null}
           
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Email:</Text>
@@ -151,6 +244,38 @@ export default function CustomerDetailsScreen({ route, navigation }) {
           <Text style={styles.actionButtonText}>Reload Account</Text>
         </TouchableOpacity>
       </View>
+
+      {hasPermission('adjustment') && (
+        <TouchableOpacity
+          style={[styles.actionButton, styles.adjustButton]}
+          onPress={handleAdjustBalance}
+        >
+          <Ionicons name="create-outline" size={24} color="#fff" />
+          <Text style={styles.actionButtonText}>Adjust Balance</Text>
+        </TouchableOpacity>
+      )}
+
+      {hasPermission('manageCards') && customer.cardId && (
+        <View style={styles.actionButtons}>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.cardStatusButton]}
+            onPress={handleCardStatus}
+            disabled={isLoading}
+          >
+            <Ionicons name="lock-closed-outline" size={24} color="#fff" />
+            <Text style={styles.actionButtonText}>Card Status</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.actionButton, styles.replaceCardButton]}
+            onPress={handleReplaceCard}
+            disabled={isLoading || !canChangeCardStatus(customer.cardStatus, CARD_STATUS.REPLACED)}
+          >
+            <Ionicons name="swap-horizontal-outline" size={24} color="#fff" />
+            <Text style={styles.actionButtonText}>Replace Card</Text>
+          </TouchableOpacity>
+        </View>
+      )}
       
       {/* Recent Transactions */}
       <View style={styles.transactionsContainer}>
@@ -168,13 +293,13 @@ export default function CustomerDetailsScreen({ route, navigation }) {
             <View key={transaction.transactionId} style={styles.transactionItem}>
               <View style={styles.transactionHeader}>
                 <Text style={styles.transactionType}>
-                  {transaction.type === 'payment' ? 'Payment' : 'Reload'}
+                  {formatTransactionType(transaction.type)}
                 </Text>
                 <Text style={[
                   styles.transactionAmount,
-                  transaction.type === 'payment' ? styles.paymentAmount : styles.reloadAmount,
+                  isDebit(transaction) ? styles.paymentAmount : styles.reloadAmount,
                 ]}>
-                  {transaction.type === 'payment' ? '-' : '+'}
+                  {isDebit(transaction) ? '-' : '+'}
                   {formatCurrency(centsToAmount(transaction.amount))}
                 </Text>
               </View>
@@ -286,6 +411,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#333',
   },
+  blockedValue: {
+    color: '#FF3B30',
+    fontWeight: 'bold',
+  },
   actionButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -306,6 +435,18 @@ const styles = StyleSheet.create({
   reloadButton: {
     backgroundColor: '#34C759',
   },
+  cardStatusButton: {
+    backgroundColor: '#8E8E93',
+  },
+  replaceCardButton: {
+    backgroundColor: '#FF9500',
+  },
+  adjustButton: {
+    flex: 0,
+    backgroundColor: '#5856D6',
+    marginTop: -12,
+    marginBottom: 24,
+  },
   actionButtonText: {
     color: '#fff',
     fontWeight: 'bold',
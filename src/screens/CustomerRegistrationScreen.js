@@ -0,0 +1,463 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Image,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { Ionicons } from '@expo/vector-icons';
+import { customerAPI } from '../api/api';
+import { readNfcTag, cleanupNfcManager } from '../utils/nfc-manager';
+import { CardAuthError, isStrictCardAuth } from '../utils/card-auth';
+import { CardBlockedError } from '../utils/card-status';
+import { formatCardId, prepareCardIdForApi } from '../utils/formatters';
+import { validateName, validateEmail, validatePhone, validateCardId } from '../utils/validators';
+
+// Options shared by camera and library pickers
+const PHOTO_OPTIONS = {
+  mediaTypes: ImagePicker.MediaTypeOptions.Images,
+  allowsEditing: true,
+  aspect: [1, 1],
+  quality: 0.5,
+  base64: true,
+};
+
+export default function CustomerRegistrationScreen({ route, navigation }) {
+  const initialCardId = route.params?.cardId ? prepareCardIdForApi(route.params.cardId) : '';
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [phone, setPhone] = useState('');
+  const [cardId, setCardId] = useState(initialCardId);
+  const [photo, setPhoto] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isScanning, setIsScanning] = useState(false);
+  const [isCheckingCard, setIsCheckingCard] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Stop any pending NFC read when leaving the screen
+  useEffect(() => {
+    return () => {
+      cleanupNfcManager();
+    };
+  }, []);
+
+  /**
+   * Check that no other customer is bound to the card
+   * @param {string} id - Normalized card ID
+   * @returns {Promise<boolean>} Whether the card can be enrolled
+   */
+  const checkCardAvailable = useCallback(async (id) => {
+    setIsCheckingCard(true);
+    try {
+      const existing = await customerAPI.getByCardId(id);
+      if (existing) {
+        setErrors(prev => ({ ...prev, cardId: `Card is already registered to ${existing.name}` }));
+        return false;
+      }
+      setErrors(prev => ({ ...prev, cardId: null }));
+      return true;
+    } catch (error) {
+      if (error instanceof CardBlockedError) {
+        setErrors(prev => ({ ...prev, cardId: error.message }));
+        return false;
+      }
+      console.error('Failed to check card:', error);
+      return true;
+    } finally {
+      setIsCheckingCard(false);
+    }
+  }, []);
+
+  // Make sure a pre-filled card is not already taken
+  useEffect(() => {
+    if (initialCardId) {
+      checkCardAvailable(initialCardId);
+    }
+  }, [initialCardId, checkCardAvailable]);
+
+  // Scan the card to enroll
+  const handleScanCard = async () => {
+    setIsScanning(true);
+    try {
+      const tag = await readNfcTag();
+      if (!tag) {
+        Alert.alert('Scan Failed', 'No card detected. Please try again or enter the card ID manually.');
+        return;
+      }
+
+      const normalized = prepareCardIdForApi(tag.uid);
+      setCardId(normalized);
+      await checkCardAvailable(normalized);
+    } catch (error) {
+      if (!(error instanceof CardAuthError)) throw error;
+      Alert.alert('Card Refused', `${error.message}. Only secure cards can be enrolled on this terminal.`);
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  // Check manually entered card IDs once editing finishes
+  const handleCardIdBlur = () => {
+    const normalized = prepareCardIdForApi(cardId);
+    setCardId(normalized);
+    if (normalized && !validateCardId(normalized)) {
+      checkCardAvailable(normalized);
+    }
+  };
+
+  // Take a photo with the camera
+  const handleTakePhoto = async () => {
+    const permission = await ImagePicker.requestCameraPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert('Permission Required', 'Camera access is needed to take a customer photo.');
+      return;
+    }
+
+    try {
+      const result = await ImagePicker.launchCameraAsync(PHOTO_OPTIONS);
+      if (!result.canceled && result.assets?.length) {
+        setPhoto(result.assets[0]);
+      }
+    } catch (error) {
+      console.error('Failed to take photo:', error);
+      Alert.alert('Error', 'Failed to take photo');
+    }
+  };
+
+  // Choose a photo from the library
+  const handleChoosePhoto = async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert('Permission Required', 'Photo library access is needed to choose a customer photo.');
+      return;
+    }
+
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync(PHOTO_OPTIONS);
+      if (!result.canceled && result.assets?.length) {
+        setPhoto(result.assets[0]);
+      }
+    } catch (error) {
+      console.error('Failed to choose photo:', error);
+      Alert.alert('Error', 'Failed to choose photo');
+    }
+  };
+
+  // Validate all fields, returns whether the form is valid
+  const validateForm = () => {
+    const normalizedCardId = prepareCardIdForApi(cardId);
+    const formErrors = {
+      name: validateName(name),
+      email: validateEmail(email),
+      phone: validatePhone(phone),
+      cardId: validateCardId(normalizedCardId),
+    };
+
+    setErrors(formErrors);
+    return !Object.values(formErrors).some(Boolean);
+  };
+
+  // Register the customer
+  const handleSubmit = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    const normalizedCardId = prepareCardIdForApi(cardId);
+
+    setIsSubmitting(true);
+    try {
+      // Re-check right before submitting in case the card was enrolled elsewhere
+      if (!(await checkCardAvailable(normalizedCardId))) {
+        return;
+      }
+
+      const customer = await customerAPI.register({
+        name: name.trim(),
+        email: email.trim() || null,
+        phone: phone.trim() || null,
+        cardId: normalizedCardId,
+        photoUrl: photo?.base64 ? `data:image/jpeg;base64,${photo.base64}` : null,
+      });
+
+      Alert.alert(
+        'Customer Registered',
+        customer.offlineCreated
+          ? `${customer.name} has been registered offline and will be synced when the server is reachable.`
+          : `${customer.name} has been registered successfully.`,
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.replace('CustomerDetails', { customer }),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Failed to register customer:', error);
+      Alert.alert('Registration Failed', error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const isBusy = isSubmitting || isScanning;
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {/* Photo */}
+        <View style={styles.photoContainer}>
+          {photo ? (
+            <Image source={{ uri: photo.uri }} style={styles.photo} />
+          ) : (
+            <View style={styles.photoPlaceholder}>
+              <Ionicons name="person" size={80} color="#ccc" />
+            </View>
+          )}
+
+          <View style={styles.photoButtons}>
+            <TouchableOpacity style={styles.photoButton} onPress={handleTakePhoto} disabled={isBusy}>
+              <Ionicons name="camera-outline" size={20} color="#007AFF" />
+              <Text style={styles.photoButtonText}>Take Photo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.photoButton} onPress={handleChoosePhoto} disabled={isBusy}>
+              <Ionicons name="images-outline" size={20} color="#007AFF" />
+              <Text style={styles.photoButtonText}>Choose Photo</Text>
+            </TouchableOpacity>
+            {photo && (
+              <TouchableOpacity style={styles.photoButton} onPress={() => setPhoto(null)} disabled={isBusy}>
+                <Ionicons name="trash-outline" size={20} color="#FF3B30" />
+                <Text style={[styles.photoButtonText, styles.removeText]}>Remove</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        {/* Customer Details */}
+        <View style={styles.card}>
+          <Text style={styles.label}>Full Name *</Text>
+          <TextInput
+            style={[styles.input, errors.name && styles.inputError]}
+            value={name}
+            onChangeText={setName}
+            placeholder="Juan Dela Cruz"
+            autoCapitalize="words"
+            editable={!isBusy}
+          />
+          {errors.name ? <Text style={styles.errorText}>{errors.name}</Text> : null}
+
+          <Text style={styles.label}>Email</Text>
+          <TextInput
+            style={[styles.input, errors.email && styles.inputError]}
+            value={email}
+            onChangeText={setEmail}
+            placeholder="name@example.com"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="email-address"
+            editable={!isBusy}
+          />
+          {errors.email ? <Text style={styles.errorText}>{errors.email}</Text> : null}
+
+          <Text style={styles.label}>Phone</Text>
+          <TextInput
+            style={[styles.input, errors.phone && styles.inputError]}
+            value={phone}
+            onChangeText={setPhone}
+            placeholder="+63 912 345 6789"
+            keyboardType="phone-pad"
+            editable={!isBusy}
+          />
+          {errors.phone ? <Text style={styles.errorText}>{errors.phone}</Text> : null}
+        </View>
+
+        {/* Card Enrollment */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>NFC Card *</Text>
+
+          <TouchableOpacity
+            style={[styles.button, styles.scanButton]}
+            onPress={handleScanCard}
+            disabled={isBusy}
+          >
+            {isScanning ? (
+              <>
+                <ActivityIndicator color="#fff" size="small" />
+                <Text style={styles.buttonText}>Hold card near device...</Text>
+              </>
+            ) : (
+              <>
+                <Ionicons name="scan-circle-outline" size={22} color="#fff" />
+                <Text style={styles.buttonText}>Scan Card</Text>
+              </>
+            )}
+          </TouchableOpacity>
+
+          <Text style={styles.label}>Card ID</Text>
+          <View style={styles.cardIdRow}>
+            <TextInput
+              style={[styles.input, styles.cardIdInput, errors.cardId && styles.inputError]}
+              value={cardId}
+              onChangeText={setCardId}
+              onBlur={handleCardIdBlur}
+              placeholder={isStrictCardAuth() ? 'Scan the card' : 'Scan or enter card ID'}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              editable={!isBusy && !isStrictCardAuth()}
+            />
+            {isCheckingCard && <ActivityIndicator size="small" color="#007AFF" />}
+          </View>
+          {cardId && !errors.cardId ? (
+            <Text style={styles.hint}>{formatCardId(cardId)}</Text>
+          ) : null}
+          {errors.cardId ? <Text style={styles.errorText}>{errors.cardId}</Text> : null}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, styles.submitButton]}
+          onPress={handleSubmit}
+          disabled={isBusy || isCheckingCard}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <>
+              <Ionicons name="person-add-outline" size={22} color="#fff" />
+              <Text style={styles.buttonText}>Register Customer</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  photoContainer: {
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  photo: {
+    width: 160,
+    height: 160,
+    borderRadius: 80,
+    marginBottom: 12,
+  },
+  photoPlaceholder: {
+    width: 160,
+    height: 160,
+    borderRadius: 80,
+    marginBottom: 12,
+    backgroundColor: '#f0f0f0',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  photoButtons: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  photoButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 8,
+  },
+  photoButtonText: {
+    color: '#007AFF',
+    fontSize: 14,
+    marginLeft: 4,
+  },
+  removeText: {
+    color: '#FF3B30',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 16,
+    marginTop: 8,
+    marginBottom: 5,
+    color: '#555',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#777',
+    marginTop: 4,
+  },
+  cardIdRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  cardIdInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+    borderRadius: 8,
+  },
+  scanButton: {
+    backgroundColor: '#007AFF',
+    marginBottom: 8,
+  },
+  submitButton: {
+    backgroundColor: '#34C759',
+    marginBottom: 24,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
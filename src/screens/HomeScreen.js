@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -10,7 +10,9 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { customerAPI, transactionAPI, checkApiStatus, isOfflineMode } from '../api/api';
+import { customerAPI, transactionAPI, cardAPI, checkApiStatus, isOfflineMode } from '../api/api';
+import { getConnectivity, subscribeConnectivity } from '../api/connectivity';
+import { getOpenDiscrepancyCount } from '../api/reconciliation';
 import { formatCurrency, centsToAmount, formatDate } from '../utils/formatters';
 
 export default function HomeScreen({ navigation }) {
@@ -22,14 +24,28 @@ export default function HomeScreen({ navigation }) {
     totalTransactions: 0,
     offlineMode: false,
     offlineTransactions: 0,
+    openDiscrepancies: 0,
     apiStatus: { online: false, version: '' },
   });
+  const [connectivity, setConnectivity] = useState(getConnectivity());
+  const wasSyncing = useRef(connectivity.syncing);
 
   // Load data when component mounts
   useEffect(() => {
     loadData();
   }, []);
 
+  // Keep the status bar in step with the connection
+  useEffect(() => subscribeConnectivity(setConnectivity), []);
+
+  // Refresh the counts once an automatic sync after reconnecting has finished
+  useEffect(() => {
+    if (wasSyncing.current && !connectivity.syncing) {
+      loadData();
+    }
+    wasSyncing.current = connectivity.syncing;
+  }, [connectivity.syncing]);
+
   // Load dashboard data
   const loadData = async () => {
     setIsLoading(true);
@@ -42,6 +58,11 @@ export default function HomeScreen({ navigation }) {
       
       // Get customers
       const customers = await customerAPI.getAll();
+
+      // Keep the blocklist current so lost cards are refused offline too
+      if (!offlineMode) {
+        await cardAPI.refreshBlocklist();
+      }
       
       // Get transactions
       const transactions = await transactionAPI.getAll();
@@ -49,6 +70,9 @@ export default function HomeScreen({ navigation }) {
       // Get offline transactions
       const offlineTransactions = transactions.filter(t => t.offlineCreated && t.status === 'pending');
       
+      // Balances that differed from the server at the last sync
+      const openDiscrepancies = await getOpenDiscrepancyCount();
+      
       // Calculate total transaction value
       const totalTransactions = transactions.reduce((sum, t) => sum + t.amount, 0);
       
@@ -59,6 +83,7 @@ export default function HomeScreen({ navigation }) {
         totalTransactions,
         offlineMode,
         offlineTransactions: offlineTransactions.length,
+        openDiscrepancies,
         apiStatus,
       });
     } catch (error) {
@@ -83,7 +108,7 @@ export default function HomeScreen({ navigation }) {
       return;
     }
     
-    if (!stats.apiStatus.online) {
+    if (stats.offlineMode || !connectivity.online) {
       Alert.alert('Offline Mode', 'Cannot sync while in offline mode. Please connect to the API first.');
       return;
     }
@@ -97,7 +122,16 @@ export default function HomeScreen({ navigation }) {
       // Show result
       Alert.alert(
         'Sync Complete',
-        `Synced ${result.success} of ${result.total} transactions\n${result.failed} failed`
+        `Synced ${result.success} of ${result.total} changes\n${result.failed} failed`
+          + (result.discrepancies > 0
+            ? `\n\n${result.discrepancies} balance${result.discrepancies === 1 ? '' : 's'} differ from the server`
+            : ''),
+        result.discrepancies > 0
+          ? [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Review', onPress: () => navigation.navigate('Reconciliation') },
+          ]
+          : undefined
       );
       
       // Reload data
@@ -110,6 +144,19 @@ export default function HomeScreen({ navigation }) {
     }
   };
 
+  // Describe the connection for the status bar
+  const getStatusText = () => {
+    if (stats.offlineMode) return 'Offline Mode';
+    if (connectivity.syncing) return 'Syncing offline transactions...';
+    if (connectivity.online === null) return 'Checking connection...';
+    if (!connectivity.online) return 'Server unreachable - working offline';
+    return stats.apiStatus.version
+      ? `Connected to API v${stats.apiStatus.version}`
+      : 'Connected to API';
+  };
+
+  const isConnected = !stats.offlineMode && connectivity.online === true;
+
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
@@ -128,12 +175,8 @@ export default function HomeScreen({ navigation }) {
       }
     >
       {/* Status Bar */}
-      <View style={[styles.statusBar, stats.apiStatus.online ? styles.statusOnline : styles.statusOffline]}>
-        <Text style={styles.statusText}>
-          {stats.apiStatus.online
-            ? `Connected to API v${stats.apiStatus.version}`
-            : 'Offline Mode'}
-        </Text>
+      <View style={[styles.statusBar, isConnected ? styles.statusOnline : styles.statusOffline]}>
+        <Text style={styles.statusText}>{getStatusText()}</Text>
       </View>
 
       {/* Header */}
@@ -182,13 +225,30 @@ export default function HomeScreen({ navigation }) {
           <TouchableOpacity
             style={styles.syncButton}
             onPress={handleSync}
-            disabled={!stats.apiStatus.online}
+            disabled={!isConnected || connectivity.syncing}
           >
             <Text style={styles.syncButtonText}>Sync Now</Text>
           </TouchableOpacity>
         </View>
       )}
 
+      {/* Balance Discrepancies */}
+      {stats.openDiscrepancies > 0 && (
+        <TouchableOpacity
+          style={styles.offlineCard}
+          onPress={() => navigation.navigate('Reconciliation')}
+        >
+          <View style={styles.cardHeader}>
+            <Ionicons name="git-compare" size={24} color="#FF9500" />
+            <Text style={styles.cardTitle}>Balance Discrepancies</Text>
+          </View>
+          <Text style={styles.discrepancyText}>
+            {stats.openDiscrepancies} cached balance{stats.openDiscrepancies === 1 ? '' : 's'} differed
+            from the server after sync. Tap to review.
+          </Text>
+        </TouchableOpacity>
+      )}
+
       {/* Quick Actions */}
       <View style={styles.actionsContainer}>
         <Text style={styles.sectionTitle}>Quick Actions</Text>
@@ -336,6 +396,10 @@ const styles = StyleSheet.create({
     color: '#FF3B30',
     marginVertical: 5,
   },
+  discrepancyText: {
+    fontSize: 14,
+    color: '#555',
+  },
   syncButton: {
     backgroundColor: '#007AFF',
     padding: 8,
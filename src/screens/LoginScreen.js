@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { login, logout, unlockSession, getSession } from '../api/auth';
+import { getSettings } from '../utils/settings';
+
+export default function LoginScreen() {
+  const session = getSession();
+  const isLocked = Boolean(session && session.locked);
+  const [username, setUsername] = useState('');
+  const [secret, setSecret] = useState('');
+  const [terminalName, setTerminalName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Show which terminal the operator is signing in to
+  useEffect(() => {
+    getSettings().then(settings => setTerminalName(settings.terminalName));
+  }, []);
+
+  // Log in or unlock
+  const handleSubmit = async () => {
+    if (!secret) {
+      Alert.alert('PIN Required', 'Please enter your PIN or password');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      if (isLocked) {
+        await unlockSession(secret);
+      } else {
+        await login(username, secret);
+      }
+    } catch (error) {
+      console.error('Login failed:', error);
+      Alert.alert(isLocked ? 'Unlock Failed' : 'Login Failed', error.message);
+      setSecret('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Sign out the locked operator so someone else can log in
+  const handleSwitchOperator = () => {
+    setSecret('');
+    logout();
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <View style={styles.content}>
+        <Ionicons name={isLocked ? 'lock-closed' : 'person-circle'} size={96} color="#007AFF" />
+        <Text style={styles.title}>{isLocked ? 'Terminal Locked' : 'Operator Login'}</Text>
+        <Text style={styles.subtitle}>{terminalName}</Text>
+
+        {isLocked ? (
+          <Text style={styles.lockedText}>
+            Signed in as {session.operator.name || session.operator.username}
+          </Text>
+        ) : (
+          <TextInput
+            style={styles.input}
+            value={username}
+            onChangeText={setUsername}
+            placeholder="Username"
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isSubmitting}
+          />
+        )}
+
+        <TextInput
+          style={styles.input}
+          value={secret}
+          onChangeText={setSecret}
+          placeholder="PIN or password"
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          onSubmitEditing={handleSubmit}
+          editable={!isSubmitting}
+        />
+
+        <TouchableOpacity
+          style={styles.button}
+          onPress={handleSubmit}
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <Text style={styles.buttonText}>{isLocked ? 'Unlock' : 'Log In'}</Text>
+          )}
+        </TouchableOpacity>
+
+        {isLocked && (
+          <TouchableOpacity onPress={handleSwitchOperator} disabled={isSubmitting}>
+            <Text style={styles.switchText}>Switch Operator</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 12,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 24,
+  },
+  lockedText: {
+    fontSize: 16,
+    color: '#555',
+    marginBottom: 12,
+  },
+  input: {
+    width: '100%',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  button: {
+    width: '100%',
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  switchText: {
+    color: '#007AFF',
+    fontSize: 16,
+    marginTop: 20,
+  },
+});
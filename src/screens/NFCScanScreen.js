@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -10,74 +10,118 @@ import {
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { customerAPI } from '../api/api';
-import { readNfcTag, cleanupNfcManager, registerTagEvent } from '../utils/nfc-manager';
+import { cleanupNfcManager } from '../utils/nfc-manager';
+import { createTagScanner, SCANNER_STATUS } from '../utils/tag-scanner';
+import { getCachedSettings, subscribeSettings } from '../utils/settings';
 import { formatCardId } from '../utils/formatters';
+import { formatTagTech } from '../utils/nfc-tag';
+import { isStrictCardAuth } from '../utils/card-auth';
+import { CardBlockedError } from '../utils/card-status';
+
+// What to tell the customer while the scanner is in each state
+const STATUS_MESSAGES = {
+  [SCANNER_STATUS.SCANNING]: 'Scanning for NFC Card...\nHold card near the back of your device',
+  [SCANNER_STATUS.PROCESSING]: 'Reading card...',
+  [SCANNER_STATUS.NFC_OFF]: 'NFC is turned off.\nTurn it on in the phone settings, scanning resumes by itself',
+  [SCANNER_STATUS.RECOVERING]: 'Card reader not responding.\nReconnecting...',
+  [SCANNER_STATUS.UNSUPPORTED]: 'This device cannot read NFC cards',
+};
 
 export default function NFCScanScreen({ navigation }) {
-  const [isScanning, setIsScanning] = useState(false);
+  const [settings, setSettings] = useState(getCachedSettings());
+  const [scannerStatus, setScannerStatus] = useState(SCANNER_STATUS.STOPPED);
   const [cardId, setCardId] = useState('');
+  const [tagTech, setTagTech] = useState('');
   const [error, setError] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
+  const scannerRef = useRef(null);
+  const handleTagRef = useRef(null);
+
+  const kioskMode = settings.continuousScan;
+  const isScanning = scannerStatus !== SCANNER_STATUS.STOPPED && scannerStatus !== SCANNER_STATUS.UNSUPPORTED;
+
+  useEffect(() => subscribeSettings(setSettings), []);
+
+  // One scanner for the life of the screen, so the last card is remembered between customers
+  const getScanner = useCallback(() => {
+    if (!scannerRef.current) {
+      scannerRef.current = createTagScanner({
+        onTag: (tag, auth) => handleTagRef.current(tag, auth),
+        onStatus: setScannerStatus,
+        // Later changes reach the scanner through setDuplicateWindow
+        duplicateWindowMs: getCachedSettings().duplicateTapSeconds * 1000,
+      });
+    }
+    return scannerRef.current;
+  }, []);
 
-  // Cleanup NFC when screen is unfocused
+  useEffect(() => {
+    if (scannerRef.current) {
+      scannerRef.current.setDuplicateWindow(settings.duplicateTapSeconds * 1000);
+    }
+  }, [settings.duplicateTapSeconds]);
+
+  // Kiosk mode scans whenever the screen is shown; any scan stops when it is left
   useFocusEffect(
     useCallback(() => {
+      if (kioskMode) {
+        setError('');
+        getScanner().start();
+      }
       return () => {
-        if (isScanning) {
-          stopScan();
+        if (scannerRef.current) {
+          scannerRef.current.stop();
         }
       };
-    }, [isScanning])
+    }, [kioskMode, getScanner])
   );
 
   // Stop scanning when component unmounts
   useEffect(() => {
     return () => {
+      if (scannerRef.current) {
+        scannerRef.current.stop();
+      }
       cleanupNfcManager();
     };
   }, []);
 
   // Start NFC scanning
   const startScan = async () => {
-    setIsScanning(true);
     setError('');
     setCardId('');
-
-    try {
-      // Register for tag events
-      const cleanupListener = await registerTagEvent(handleTagDetected);
-      
-      // Return cleanup function
-      return cleanupListener;
-    } catch (error) {
-      console.error('Error starting scan:', error);
-      setError('Failed to start NFC scan. Please try again.');
-      setIsScanning(false);
-    }
+    setTagTech('');
+    await getScanner().start();
   };
 
   // Stop NFC scanning
   const stopScan = () => {
-    cleanupNfcManager();
-    setIsScanning(false);
+    if (scannerRef.current) {
+      scannerRef.current.stop();
+    }
   };
 
   // Handle NFC tag detection
-  const handleTagDetected = async (detectedCardId) => {
-    if (!detectedCardId) {
-      setError('Invalid card. Please try again.');
+  const handleTagDetected = async (tag, auth) => {
+    if (!tag) {
+      setError(auth && auth.reason ? `Card refused: ${auth.reason}` : 'Invalid card. Please try again.');
       return;
     }
     
+    const detectedCardId = tag.uid;
+    setError('');
     setCardId(detectedCardId);
+    setTagTech(formatTagTech(tag));
     setIsProcessing(true);
     
     try {
       // Look up customer by card ID
       const customer = await customerAPI.getByCardId(detectedCardId);
       
-      // Stop scanning
-      stopScan();
+      // A single scan ends with the first card, kiosk mode keeps listening
+      if (!kioskMode) {
+        stopScan();
+      }
       
       if (customer) {
         // Navigate to customer details
@@ -103,11 +147,14 @@ export default function NFCScanScreen({ navigation }) {
       }
     } catch (error) {
       console.error('Error looking up customer:', error);
-      setError('Failed to look up customer. Please try again.');
+      setError(error instanceof CardBlockedError
+        ? error.message
+        : 'Failed to look up customer. Please try again.');
     } finally {
       setIsProcessing(false);
     }
   };
+  handleTagRef.current = handleTagDetected;
 
   // Manual card entry
   const handleManualEntry = () => {
@@ -125,6 +172,7 @@ export default function NFCScanScreen({ navigation }) {
             if (!manualCardId) return;
             
             setCardId(manualCardId);
+            setTagTech('');
             setIsProcessing(true);
             
             try {
@@ -155,7 +203,9 @@ export default function NFCScanScreen({ navigation }) {
               }
             } catch (error) {
               console.error('Error looking up customer:', error);
-              setError('Failed to look up customer. Please try again.');
+              setError(error instanceof CardBlockedError
+                ? error.message
+                : 'Failed to look up customer. Please try again.');
             } finally {
               setIsProcessing(false);
             }
@@ -180,22 +230,24 @@ export default function NFCScanScreen({ navigation }) {
       </View>
       
       <Text style={styles.instruction}>
-        {isScanning
-          ? 'Scanning for NFC Card...\nHold card near the back of your device'
-          : 'Tap "Start Scan" to begin scanning for NFC cards'}
+        {STATUS_MESSAGES[scannerStatus] || 'Tap "Start Scan" to begin scanning for NFC cards'}
       </Text>
+      {kioskMode && isScanning ? (
+        <Text style={styles.kioskText}>Continuous scan is on</Text>
+      ) : null}
       
       {cardId ? (
         <View style={styles.cardContainer}>
           <Text style={styles.cardLabel}>Card ID:</Text>
           <Text style={styles.cardId}>{formatCardId(cardId)}</Text>
+          {tagTech ? <Text style={styles.cardTech}>{tagTech}</Text> : null}
         </View>
       ) : null}
       
       {error ? <Text style={styles.errorText}>{error}</Text> : null}
       
       <View style={styles.buttonContainer}>
-        {isScanning ? (
+        {kioskMode ? null : isScanning ? (
           <TouchableOpacity
             style={[styles.button, styles.stopButton]}
             onPress={stopScan}
@@ -213,13 +265,27 @@ export default function NFCScanScreen({ navigation }) {
           </TouchableOpacity>
         )}
         
-        <TouchableOpacity
-          style={[styles.button, styles.manualButton]}
-          onPress={handleManualEntry}
-          disabled={isProcessing}
-        >
-          <Text style={styles.buttonText}>Manual Entry</Text>
-        </TouchableOpacity>
+        {/* Customers without their card can show a QR code */}
+        {settings.qrPaymentsEnabled && (
+          <TouchableOpacity
+            style={[styles.button, styles.qrButton]}
+            onPress={() => navigation.navigate('QrScan')}
+            disabled={isProcessing}
+          >
+            <Text style={styles.buttonText}>Scan QR Code</Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Typed card IDs cannot be authenticated */}
+        {!isStrictCardAuth() && (
+          <TouchableOpacity
+            style={[styles.button, styles.manualButton]}
+            onPress={handleManualEntry}
+            disabled={isProcessing}
+          >
+            <Text style={styles.buttonText}>Manual Entry</Text>
+          </TouchableOpacity>
+        )}
       </View>
       
       {isProcessing && (
@@ -256,6 +322,12 @@ const styles = StyleSheet.create({
     marginBottom: 30,
     color: '#333',
   },
+  kioskText: {
+    fontSize: 14,
+    color: '#34C759',
+    marginTop: -20,
+    marginBottom: 20,
+  },
   cardContainer: {
     backgroundColor: '#fff',
     padding: 15,
@@ -279,6 +351,11 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  cardTech: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
   errorText: {
     color: 'red',
     marginBottom: 20,
@@ -306,6 +383,9 @@ const styles = StyleSheet.create({
   manualButton: {
     backgroundColor: '#34C759',
   },
+  qrButton: {
+    backgroundColor: '#5856D6',
+  },
   buttonText: {
     color: 'white',
     fontSize: 16,
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { transactionAPI } from '../api/api';
+import {
+  OUTBOX_STATUS,
+  getOutboxEntries,
+  retryOutboxEntry,
+  discardOutboxEntry,
+  subscribeOutbox,
+} from '../api/outbox';
+import { getConnectivity, subscribeConnectivity } from '../api/connectivity';
+import { hasPermission } from '../api/auth';
+import { formatDate, formatTime } from '../utils/formatters';
+
+// Label, icon and colour for each entry status
+const STATUS_DISPLAY = {
+  [OUTBOX_STATUS.PENDING]: { label: 'Waiting', icon: 'time-outline', color: '#FF9500' },
+  [OUTBOX_STATUS.FAILED]: { label: 'Retrying', icon: 'refresh', color: '#FF9500' },
+  [OUTBOX_STATUS.DONE]: { label: 'Synced', icon: 'checkmark-circle', color: '#34C759' },
+  [OUTBOX_STATUS.DEAD]: { label: 'Failed', icon: 'alert-circle', color: '#FF3B30' },
+  [OUTBOX_STATUS.DISCARDED]: { label: 'Discarded', icon: 'close-circle', color: '#999' },
+};
+
+export default function OutboxScreen() {
+  const [entries, setEntries] = useState(null);
+  const [connectivity, setConnectivity] = useState(getConnectivity());
+  const [isSyncing, setIsSyncing] = useState(false);
+  const canManage = hasPermission('manageOutbox');
+
+  // Load entries and follow changes while the screen is open
+  useEffect(() => {
+    getOutboxEntries().then(setEntries);
+    return subscribeOutbox(setEntries);
+  }, []);
+
+  useEffect(() => subscribeConnectivity(setConnectivity), []);
+
+  // Replay the queue now
+  const handleSync = async () => {
+    setIsSyncing(true);
+    try {
+      const result = await transactionAPI.syncOfflineTransactions();
+      Alert.alert(
+        'Sync Complete',
+        `Synced ${result.success} of ${result.total} changes\n${result.failed} failed`
+      );
+    } catch (error) {
+      console.error('Failed to sync offline changes:', error);
+      Alert.alert('Error', 'Failed to sync: ' + error.message);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Put a failed entry back in the queue
+  const handleRetry = async (entry) => {
+    try {
+      await retryOutboxEntry(entry.id);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // Give up on a failed entry after confirmation
+  const handleDiscard = (entry) => {
+    Alert.alert(
+      'Discard Change',
+      `"${entry.description}" will never be sent to the server. Local records keep their failed state.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await discardOutboxEntry(entry.id);
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderEntry = ({ item }) => {
+    const display = STATUS_DISPLAY[item.status] || STATUS_DISPLAY[OUTBOX_STATUS.PENDING];
+    const blockedBy = item.dependsOn.length > 0 && item.status === OUTBOX_STATUS.PENDING
+      ? entries.filter(e => item.dependsOn.includes(e.id) && e.status !== OUTBOX_STATUS.DONE)
+      : [];
+
+    return (
+      <View style={styles.entry}>
+        <View style={styles.entryHeader}>
+          <Ionicons name={display.icon} size={20} color={display.color} />
+          <Text style={styles.entryTitle} numberOfLines={1}>
+            #{item.seq} {item.description}
+          </Text>
+          <Text style={[styles.entryStatus, { color: display.color }]}>{display.label}</Text>
+        </View>
+
+        <Text style={styles.entryDetail}>
+          Recorded {formatDate(item.createdAt)} {formatTime(item.createdAt)}
+          {item.attempts > 0 ? ` · ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}` : ''}
+        </Text>
+
+        {blockedBy.length > 0 && (
+          <Text style={styles.entryDetail}>
+            Waiting for #{blockedBy.map(e => e.seq).join(', #')}
+          </Text>
+        )}
+
+        {item.lastError && item.status !== OUTBOX_STATUS.DONE && (
+          <Text style={styles.entryError}>{item.lastError}</Text>
+        )}
+
+        {item.status === OUTBOX_STATUS.DEAD && canManage && (
+          <View style={styles.entryActions}>
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleRetry(item)}>
+              <Text style={styles.actionButtonText}>Retry</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.discardButton]}
+              onPress={() => handleDiscard(item)}
+            >
+              <Text style={[styles.actionButtonText, styles.discardButtonText]}>Discard</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  if (!entries) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  const openCount = entries.filter(
+    e => e.status === OUTBOX_STATUS.PENDING || e.status === OUTBOX_STATUS.FAILED
+  ).length;
+  const deadCount = entries.filter(e => e.status === OUTBOX_STATUS.DEAD).length;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.summaryText}>
+          {openCount} waiting · {deadCount} failed
+        </Text>
+        <TouchableOpacity
+          style={[styles.syncButton, (!connectivity.online || isSyncing) && styles.syncButtonDisabled]}
+          onPress={handleSync}
+          disabled={!connectivity.online || isSyncing}
+        >
+          {isSyncing ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <Text style={styles.syncButtonText}>Sync Now</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={[...entries].reverse()}
+        keyExtractor={item => item.id}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="cloud-done-outline" size={48} color="#ccc" />
+            <Text style={styles.emptyText}>No offline changes</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  summaryText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  syncButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 4,
+    minWidth: 100,
+    alignItems: 'center',
+  },
+  syncButtonDisabled: {
+    backgroundColor: '#99c9ff',
+  },
+  syncButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  listContent: {
+    padding: 16,
+  },
+  entry: {
+    backgroundColor: '#fff',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  entryTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+    marginHorizontal: 8,
+  },
+  entryStatus: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  entryDetail: {
+    fontSize: 13,
+    color: '#777',
+    marginTop: 4,
+  },
+  entryError: {
+    fontSize: 13,
+    color: '#FF3B30',
+    marginTop: 4,
+  },
+  entryActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  actionButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+  },
+  discardButton: {
+    borderColor: '#FF3B30',
+  },
+  discardButtonText: {
+    color: '#FF3B30',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+    marginTop: 10,
+  },
+});
@@ -0,0 +1,542 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { transactionAPI } from '../api/api';
+import { formatCurrency, centsToAmount, amountToCents, formatCardId } from '../utils/formatters';
+import { OfflineRiskError } from '../utils/offline-risk';
+import { StoredValueError } from '../utils/stored-value';
+import { getCachedSettings } from '../utils/settings';
+import { cleanupNfcManager } from '../utils/nfc-manager';
+import { CardAuthError } from '../utils/card-auth';
+import { QrPaymentError } from '../utils/qr-payment';
+import { issueTransactionReceipt } from '../utils/receipts';
+import SupervisorApprovalModal from '../components/SupervisorApprovalModal';
+
+export default function PaymentScreen({ route, navigation }) {
+  const { customer, qrToken } = route.params;
+  const [items, setItems] = useState([]);
+  const [description, setDescription] = useState('');
+  const [quantity, setQuantity] = useState('1');
+  const [unitPrice, setUnitPrice] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [riskError, setRiskError] = useState(null);
+  const [isWaitingForCard, setIsWaitingForCard] = useState(false);
+
+  // Stop waiting for the card if the screen is left mid-payment
+  useEffect(() => cleanupNfcManager, []);
+
+  // Balance is stored in cents, cart amounts are in pesos
+  const currentBalance = centsToAmount(customer.balance);
+  const subtotal = centsToAmount(
+    items.reduce((sum, item) => sum + amountToCents(item.amount), 0)
+  );
+  const remainingBalance = centsToAmount(amountToCents(currentBalance) - amountToCents(subtotal));
+  const hasInsufficientFunds = remainingBalance < 0;
+
+  // Add an item to the cart
+  const handleAddItem = () => {
+    const name = description.trim();
+    const qty = parseInt(quantity, 10);
+    const price = parseFloat(unitPrice);
+
+    if (!name) {
+      Alert.alert('Invalid Item', 'Please enter an item description');
+      return;
+    }
+
+    if (!Number.isInteger(qty) || qty <= 0) {
+      Alert.alert('Invalid Quantity', 'Quantity must be a whole number greater than zero');
+      return;
+    }
+
+    if (isNaN(price) || price <= 0) {
+      Alert.alert('Invalid Price', 'Please enter a price greater than zero');
+      return;
+    }
+
+    const item = {
+      id: `${Date.now()}-${items.length}`,
+      description: name,
+      quantity: qty,
+      unitPrice: price,
+      amount: centsToAmount(amountToCents(price) * qty),
+    };
+
+    setItems([...items, item]);
+    setDescription('');
+    setQuantity('1');
+    setUnitPrice('');
+  };
+
+  // Remove an item from the cart
+  const handleRemoveItem = (itemId) => {
+    setItems(items.filter(item => item.id !== itemId));
+  };
+
+  // Change the quantity of an item already in the cart
+  const handleChangeQuantity = (itemId, delta) => {
+    setItems(items
+      .map(item => {
+        if (item.id !== itemId) return item;
+        const qty = item.quantity + delta;
+        return {
+          ...item,
+          quantity: qty,
+          amount: centsToAmount(amountToCents(item.unitPrice) * qty),
+        };
+      })
+      .filter(item => item.quantity > 0));
+  };
+
+  // Confirm and submit the payment
+  const handleCheckout = () => {
+    if (items.length === 0) {
+      Alert.alert('Empty Cart', 'Please add at least one item before checking out');
+      return;
+    }
+
+    if (hasInsufficientFunds) {
+      Alert.alert(
+        'Insufficient Funds',
+        `The cart total of ${formatCurrency(subtotal)} exceeds the available balance of ${formatCurrency(currentBalance)}.`
+      );
+      return;
+    }
+
+    Alert.alert(
+      'Confirm Payment',
+      `Charge ${formatCurrency(subtotal)} to ${customer.name}?\n\nNew balance: ${formatCurrency(remainingBalance)}`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Pay',
+          onPress: () => submitPayment(),
+        },
+      ]
+    );
+  };
+
+  // Post the payment transaction, with a supervisor approval if the offline limits were overridden.
+  // With stored value the card is tapped to take the payment; a retry passes the key of the
+  // unconfirmed attempt so the card is not debited twice. A customer who showed a QR code
+  // pays from their account balance.
+  const submitPayment = async (riskOverride, idempotencyKey) => {
+    const useCard = getCachedSettings().storedValueEnabled && !qrToken;
+    setIsProcessing(true);
+    setIsWaitingForCard(useCard);
+    try {
+      const payment = {
+        riskOverride,
+        idempotencyKey,
+        customerId: customer.id,
+        cardId: customer.cardId,
+        // Spent once the payment is recorded, here and on the server
+        ...(qrToken ? { qrToken } : {}),
+        type: 'payment',
+        amount: subtotal,
+        items: items.map(({ description, quantity, unitPrice, amount }) => ({
+          description,
+          quantity,
+          unitPrice,
+          amount,
+        })),
+      };
+      const transaction = useCard
+        ? await transactionAPI.payWithCard(payment)
+        : await transactionAPI.create(payment);
+      const receipt = await issueTransactionReceipt(transaction, { customer, balanceBefore: customer.balance });
+
+      Alert.alert(
+        'Payment Successful',
+        transaction.offlineCreated
+          ? 'Payment recorded offline and will be synced when the connection is restored.'
+          : `Payment of ${formatCurrency(subtotal)} completed.`,
+        [
+          {
+            text: 'OK',
+            onPress: () => (receipt ? navigation.replace('Receipt', { receipt }) : navigation.goBack()),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Failed to process payment:', error);
+
+      if (error instanceof OfflineRiskError) {
+        Alert.alert(
+          'Offline Limit Reached',
+          error.message,
+          error.overridable
+            ? [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Supervisor Override', onPress: () => setRiskError(error) },
+            ]
+            : [{ text: 'OK' }]
+        );
+      } else if (error instanceof StoredValueError && error.code === 'uncertain') {
+        Alert.alert(
+          'Tap Card Again',
+          `${error.message}. The payment is only taken once.`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Retry', onPress: () => submitPayment(riskOverride, error.idempotencyKey) },
+          ]
+        );
+      } else if (error instanceof StoredValueError) {
+        Alert.alert('Card Error', error.message);
+      } else if (error instanceof CardAuthError) {
+        Alert.alert('Card Refused', error.message);
+      } else if (error instanceof QrPaymentError) {
+        Alert.alert('QR Code Refused', error.message);
+      } else {
+        Alert.alert('Error', 'Failed to process payment: ' + error.message);
+      }
+    } finally {
+      setIsProcessing(false);
+      setIsWaitingForCard(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {/* Customer Summary */}
+        <View style={styles.card}>
+          <Text style={styles.customerName}>{customer.name}</Text>
+          <Text style={styles.cardIdText}>
+            {qrToken ? 'Paying by QR code' : `Card: ${formatCardId(customer.cardId)}`}
+          </Text>
+        </View>
+
+        {/* Add Item */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Add Item</Text>
+
+          <TextInput
+            style={styles.input}
+            value={description}
+            onChangeText={setDescription}
+            placeholder="Item description"
+            editable={!isProcessing}
+          />
+
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.quantityInput]}
+              value={quantity}
+              onChangeText={setQuantity}
+              placeholder="Qty"
+              keyboardType="number-pad"
+              editable={!isProcessing}
+            />
+            <TextInput
+              style={[styles.input, styles.priceInput]}
+              value={unitPrice}
+              onChangeText={setUnitPrice}
+              placeholder="Unit price"
+              keyboardType="decimal-pad"
+              editable={!isProcessing}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.button, styles.addButton]}
+            onPress={handleAddItem}
+            disabled={isProcessing}
+          >
+            <Ionicons name="add" size={20} color="#fff" />
+            <Text style={styles.buttonText}>Add to Cart</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Cart */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Cart</Text>
+
+          {items.length > 0 ? (
+            items.map((item) => (
+              <View key={item.id} style={styles.itemRow}>
+                <View style={styles.itemInfo}>
+                  <Text style={styles.itemDescription}>{item.description}</Text>
+                  <Text style={styles.itemPrice}>
+                    {formatCurrency(item.unitPrice)} each
+                  </Text>
+                </View>
+
+                <View style={styles.quantityControls}>
+                  <TouchableOpacity
+                    onPress={() => handleChangeQuantity(item.id, -1)}
+                    disabled={isProcessing}
+                  >
+                    <Ionicons name="remove-circle-outline" size={24} color="#007AFF" />
+                  </TouchableOpacity>
+                  <Text style={styles.itemQuantity}>{item.quantity}</Text>
+                  <TouchableOpacity
+                    onPress={() => handleChangeQuantity(item.id, 1)}
+                    disabled={isProcessing}
+                  >
+                    <Ionicons name="add-circle-outline" size={24} color="#007AFF" />
+                  </TouchableOpacity>
+                </View>
+
+                <Text style={styles.itemAmount}>{formatCurrency(item.amount)}</Text>
+
+                <TouchableOpacity
+                  onPress={() => handleRemoveItem(item.id)}
+                  disabled={isProcessing}
+                >
+                  <Ionicons name="trash-outline" size={22} color="#FF3B30" />
+                </TouchableOpacity>
+              </View>
+            ))
+          ) : (
+            <Text style={styles.emptyCartText}>No items in cart</Text>
+          )}
+        </View>
+
+        {/* Totals */}
+        <View style={styles.card}>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Current Balance</Text>
+            <Text style={styles.totalValue}>{formatCurrency(currentBalance)}</Text>
+          </View>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Subtotal</Text>
+            <Text style={styles.totalValue}>-{formatCurrency(subtotal)}</Text>
+          </View>
+          <View style={[styles.totalRow, styles.remainingRow]}>
+            <Text style={styles.remainingLabel}>Remaining Balance</Text>
+            <Text
+              style={[
+                styles.remainingValue,
+                hasInsufficientFunds ? styles.negativeValue : styles.positiveValue,
+              ]}
+            >
+              {formatCurrency(remainingBalance)}
+            </Text>
+          </View>
+
+          {hasInsufficientFunds && (
+            <Text style={styles.errorText}>
+              Insufficient funds. Remove items or reload the account first.
+            </Text>
+          )}
+        </View>
+
+        <TouchableOpacity
+          style={[
+            styles.button,
+            styles.payButton,
+            (items.length === 0 || hasInsufficientFunds) && styles.disabledButton,
+          ]}
+          onPress={handleCheckout}
+          disabled={isProcessing || items.length === 0 || hasInsufficientFunds}
+        >
+          {isWaitingForCard ? (
+            <>
+              <ActivityIndicator color="#fff" size="small" />
+              <Text style={styles.buttonText}>Hold the card to the reader</Text>
+            </>
+          ) : isProcessing ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <>
+              <Ionicons name="cash-outline" size={24} color="#fff" />
+              <Text style={styles.buttonText}>Pay {formatCurrency(subtotal)}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+
+      <SupervisorApprovalModal
+        visible={Boolean(riskError)}
+        title="Override Offline Limit"
+        message={riskError ? riskError.message : ''}
+        permission="overrideRiskLimits"
+        onApproved={(approval) => {
+          setRiskError(null);
+          submitPayment(approval);
+        }}
+        onCancel={() => setRiskError(null)}
+      />
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  customerName: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cardIdText: {
+    fontSize: 14,
+    color: '#777',
+    marginTop: 4,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  quantityInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  priceInput: {
+    flex: 2,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+    borderRadius: 8,
+  },
+  addButton: {
+    backgroundColor: '#007AFF',
+  },
+  payButton: {
+    backgroundColor: '#FF3B30',
+    marginBottom: 24,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemDescription: {
+    fontSize: 16,
+    color: '#333',
+  },
+  itemPrice: {
+    fontSize: 13,
+    color: '#777',
+  },
+  quantityControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 8,
+  },
+  itemQuantity: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    minWidth: 28,
+    textAlign: 'center',
+  },
+  itemAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    minWidth: 80,
+    textAlign: 'right',
+    marginRight: 8,
+  },
+  emptyCartText: {
+    fontSize: 16,
+    color: '#777',
+    textAlign: 'center',
+    marginVertical: 16,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 16,
+    color: '#555',
+  },
+  totalValue: {
+    fontSize: 16,
+    color: '#333',
+  },
+  remainingRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    marginTop: 6,
+    paddingTop: 12,
+  },
+  remainingLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  remainingValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  positiveValue: {
+    color: '#34C759',
+  },
+  negativeValue: {
+    color: '#FF3B30',
+  },
+  errorText: {
+    color: '#FF3B30',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
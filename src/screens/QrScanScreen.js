@@ -0,0 +1,191 @@
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useIsFocused } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { Camera, CameraType } from 'expo-camera';
+import { customerAPI } from '../api/api';
+import { acceptQrPaymentToken, isQrPaymentToken, QrPaymentError } from '../utils/qr-payment';
+
+export default function QrScanScreen({ navigation }) {
+  const [permission, requestPermission] = Camera.useCameraPermissions();
+  const [error, setError] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const isHandlingRef = useRef(false);
+  const isFocused = useIsFocused();
+
+  // Scan again once the operator has dismissed the result
+  const resumeScanning = () => {
+    isHandlingRef.current = false;
+  };
+
+  // The camera reports the same code many times a second, handle one at a time
+  const handleBarCodeScanned = async ({ data }) => {
+    if (isHandlingRef.current) return;
+    if (!isQrPaymentToken(data)) {
+      setError('This is not a payment QR code');
+      return;
+    }
+
+    isHandlingRef.current = true;
+    setError('');
+    setIsProcessing(true);
+    try {
+      const token = await acceptQrPaymentToken(data);
+      const customer = await customerAPI.getById(token.accountRef);
+
+      if (customer) {
+        // Continue exactly as after a card tap
+        navigation.replace('CustomerDetails', { customer, qrToken: token });
+      } else {
+        Alert.alert(
+          'Customer Not Found',
+          'No customer has the account in this QR code.',
+          [{ text: 'OK', onPress: resumeScanning }]
+        );
+      }
+    } catch (scanError) {
+      console.error('Failed to accept QR code:', scanError);
+      Alert.alert(
+        scanError instanceof QrPaymentError ? 'QR Code Refused' : 'Error',
+        scanError instanceof QrPaymentError
+          ? scanError.message
+          : 'Failed to look up customer. Please try again.',
+        [{ text: 'OK', onPress: resumeScanning }]
+      );
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (!permission) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  if (!permission.granted) {
+    return (
+      <View style={styles.centered}>
+        <Ionicons name="camera-outline" size={80} color="#888" />
+        <Text style={styles.message}>
+          {permission.canAskAgain
+            ? 'Camera access is needed to scan payment QR codes'
+            : 'Camera access was denied. Allow it in the phone settings to scan payment QR codes'}
+        </Text>
+        {permission.canAskAgain && (
+          <TouchableOpacity style={styles.button} onPress={requestPermission}>
+            <Text style={styles.buttonText}>Allow Camera</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {isFocused && (
+        <Camera
+          style={styles.camera}
+          type={CameraType.back}
+          onBarCodeScanned={isProcessing ? undefined : handleBarCodeScanned}
+        />
+      )}
+
+      <View style={styles.overlay}>
+        <View style={styles.frame} />
+        <Text style={styles.instruction}>Point the camera at the customer's payment QR code</Text>
+        {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      </View>
+
+      {isProcessing && (
+        <View style={styles.processingContainer}>
+          <ActivityIndicator size="large" color="#fff" />
+          <Text style={styles.processingText}>Checking QR code...</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: '#f5f5f5',
+  },
+  message: {
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 20,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 15,
+    paddingHorizontal: 30,
+    borderRadius: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  camera: {
+    ...StyleSheet.absoluteFillObject,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  frame: {
+    width: 240,
+    height: 240,
+    borderWidth: 3,
+    borderColor: '#fff',
+    borderRadius: 16,
+    marginBottom: 24,
+  },
+  instruction: {
+    fontSize: 16,
+    color: '#fff',
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 15,
+    marginTop: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 4,
+  },
+  processingContainer: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  processingText: {
+    color: '#fff',
+    fontSize: 16,
+    marginTop: 10,
+  },
+});
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  Share,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { renderReceiptText, renderReceiptHtml } from '../utils/receipts';
+import { getPrinterTransport, printReceipt } from '../utils/receipt-printer';
+
+export default function ReceiptScreen({ route, navigation }) {
+  const { receipt } = route.params;
+  const text = renderReceiptText(receipt);
+  const [isPrinting, setIsPrinting] = useState(false);
+  const hasPrinter = getPrinterTransport() !== null;
+
+  // Print on the counter's thermal printer
+  const handlePrint = async () => {
+    setIsPrinting(true);
+    try {
+      await printReceipt(receipt);
+    } catch (error) {
+      console.error('Failed to print receipt:', error);
+      Alert.alert('Print Failed', 'Check that the printer is on and has paper, then try again.');
+    } finally {
+      setIsPrinting(false);
+    }
+  };
+
+  // Hand the receipt to the share sheet, e.g. to e-mail or message it to the customer
+  const handleShare = async () => {
+    try {
+      if (Platform.OS === 'web') {
+        // Browsers have no share sheet for documents, open it to print or save instead
+        const receiptWindow = window.open('', '_blank');
+        if (!receiptWindow) {
+          Alert.alert('Error', 'Allow pop-ups for this site to open the receipt');
+          return;
+        }
+        receiptWindow.document.write(renderReceiptHtml(receipt));
+        receiptWindow.document.close();
+        return;
+      }
+
+      await Share.share({
+        title: `Receipt ${receipt.receiptNumber}`,
+        message: text,
+      });
+    } catch (error) {
+      console.error('Failed to share receipt:', error);
+      Alert.alert('Error', 'Failed to share the receipt');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.paper}>
+          <Text style={styles.receiptText}>{text}</Text>
+        </View>
+      </ScrollView>
+
+      <View style={styles.actions}>
+        {hasPrinter && (
+          <TouchableOpacity
+            style={[styles.shareButton, isPrinting && styles.buttonDisabled]}
+            onPress={handlePrint}
+            disabled={isPrinting}
+          >
+            {isPrinting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <>
+                <Ionicons name="print-outline" size={20} color="#fff" />
+                <Text style={styles.shareButtonText}>Print</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.shareButton} onPress={handleShare}>
+          <Ionicons name="share-outline" size={20} color="#fff" />
+          <Text style={styles.shareButtonText}>Share</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.doneButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.doneButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContent: {
+    padding: 20,
+    alignItems: 'center',
+  },
+  paper: {
+    backgroundColor: '#fff',
+    paddingVertical: 20,
+    paddingHorizontal: 16,
+    borderRadius: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.15,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  receiptText: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    fontSize: 13,
+    color: '#333',
+  },
+  actions: {
+    flexDirection: 'row',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  shareButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 15,
+    marginRight: 8,
+  },
+  shareButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  doneButton: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 15,
+    marginLeft: 8,
+  },
+  doneButtonText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
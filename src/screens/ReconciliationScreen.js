@@ -0,0 +1,310 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { customerAPI } from '../api/api';
+import { getDiscrepancies, acknowledgeDiscrepancy } from '../api/reconciliation';
+import { hasPermission } from '../api/auth';
+import {
+  formatCurrency,
+  centsToAmount,
+  formatCardId,
+  formatDate,
+  formatTime,
+} from '../utils/formatters';
+
+export default function ReconciliationScreen({ navigation }) {
+  const [discrepancies, setDiscrepancies] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [note, setNote] = useState('');
+  const [showAcknowledged, setShowAcknowledged] = useState(false);
+  const canAcknowledge = hasPermission('reconcile');
+
+  // Reload whenever the screen is shown, a sync may have added entries
+  useFocusEffect(
+    useCallback(() => {
+      loadDiscrepancies();
+    }, [])
+  );
+
+  const loadDiscrepancies = async () => {
+    setDiscrepancies(await getDiscrepancies());
+  };
+
+  // Expand a row to acknowledge it
+  const handleToggle = (discrepancy) => {
+    setNote('');
+    setExpandedId(expandedId === discrepancy.id ? null : discrepancy.id);
+  };
+
+  // Mark a discrepancy as reviewed
+  const handleAcknowledge = async (discrepancy) => {
+    try {
+      await acknowledgeDiscrepancy(discrepancy.id, note);
+      setExpandedId(null);
+      setNote('');
+      await loadDiscrepancies();
+    } catch (error) {
+      console.error('Failed to acknowledge discrepancy:', error);
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // Open the customer the discrepancy belongs to
+  const handleViewCustomer = async (discrepancy) => {
+    const customer = await customerAPI.getById(discrepancy.customerId);
+    if (!customer) {
+      Alert.alert('Not Found', 'This customer is not available on this terminal');
+      return;
+    }
+    navigation.navigate('CustomerDetails', { customer });
+  };
+
+  const renderDiscrepancy = ({ item }) => {
+    const isExpanded = expandedId === item.id;
+
+    return (
+      <TouchableOpacity
+        style={[styles.row, item.acknowledgedAt && styles.rowAcknowledged]}
+        onPress={() => handleToggle(item)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.rowHeader}>
+          <View style={styles.rowTitle}>
+            <Text style={styles.customerName}>{item.customerName || `Customer ${item.customerId}`}</Text>
+            {item.cardId && <Text style={styles.cardText}>{formatCardId(item.cardId)}</Text>}
+          </View>
+          <Text style={[styles.difference, item.difference < 0 ? styles.negative : styles.positive]}>
+            {item.difference > 0 ? '+' : '-'}{formatCurrency(centsToAmount(Math.abs(item.difference)))}
+          </Text>
+        </View>
+
+        <View style={styles.balanceRow}>
+          <Text style={styles.balanceLabel}>Expected on terminal</Text>
+          <Text style={styles.balanceValue}>{formatCurrency(centsToAmount(item.expectedBalance))}</Text>
+        </View>
+        <View style={styles.balanceRow}>
+          <Text style={styles.balanceLabel}>Server balance</Text>
+          <Text style={styles.balanceValue}>{formatCurrency(centsToAmount(item.serverBalance))}</Text>
+        </View>
+
+        <Text style={styles.detailText}>
+          Found {formatDate(item.detectedAt)} {formatTime(item.detectedAt)}
+        </Text>
+        {item.acknowledgedAt && (
+          <Text style={styles.detailText}>
+            Reviewed by {item.acknowledgedBy || 'unknown'} on {formatDate(item.acknowledgedAt)}
+            {item.note ? `: ${item.note}` : ''}
+          </Text>
+        )}
+
+        {isExpanded && (
+          <View style={styles.actions}>
+            {!item.acknowledgedAt && canAcknowledge && (
+              <TextInput
+                style={styles.noteInput}
+                value={note}
+                onChangeText={setNote}
+                placeholder="Note (optional), e.g. card also used on Terminal 2"
+              />
+            )}
+            <View style={styles.actionButtons}>
+              <TouchableOpacity style={styles.actionButton} onPress={() => handleViewCustomer(item)}>
+                <Text style={styles.actionButtonText}>View Customer</Text>
+              </TouchableOpacity>
+              {!item.acknowledgedAt && canAcknowledge && (
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.acknowledgeButton]}
+                  onPress={() => handleAcknowledge(item)}
+                >
+                  <Text style={[styles.actionButtonText, styles.acknowledgeButtonText]}>Mark Reviewed</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  if (!discrepancies) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  const openCount = discrepancies.filter(d => !d.acknowledgedAt).length;
+  const visible = showAcknowledged ? discrepancies : discrepancies.filter(d => !d.acknowledgedAt);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.summaryText}>
+          {openCount} balance{openCount === 1 ? '' : 's'} to review
+        </Text>
+        <TouchableOpacity onPress={() => setShowAcknowledged(!showAcknowledged)}>
+          <Text style={styles.toggleText}>{showAcknowledged ? 'Hide Reviewed' : 'Show Reviewed'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={visible}
+        keyExtractor={item => item.id}
+        renderItem={renderDiscrepancy}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="checkmark-done-circle-outline" size={48} color="#ccc" />
+            <Text style={styles.emptyText}>Cached balances match the server</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  summaryText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  toggleText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  listContent: {
+    padding: 16,
+  },
+  row: {
+    backgroundColor: '#fff',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  rowAcknowledged: {
+    opacity: 0.6,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  rowTitle: {
+    flex: 1,
+  },
+  customerName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cardText: {
+    fontSize: 13,
+    color: '#777',
+  },
+  difference: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  negative: {
+    color: '#FF3B30',
+  },
+  positive: {
+    color: '#34C759',
+  },
+  balanceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 2,
+  },
+  balanceLabel: {
+    fontSize: 14,
+    color: '#555',
+  },
+  balanceValue: {
+    fontSize: 14,
+    color: '#333',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#777',
+    marginTop: 4,
+  },
+  actions: {
+    marginTop: 10,
+  },
+  noteInput: {
+    backgroundColor: '#f9f9f9',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  actionButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+  },
+  acknowledgeButton: {
+    backgroundColor: '#007AFF',
+  },
+  acknowledgeButtonText: {
+    color: '#fff',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+    marginTop: 10,
+  },
+});
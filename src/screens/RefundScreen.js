@@ -0,0 +1,486 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { transactionAPI } from '../api/api';
+import {
+  formatCurrency,
+  centsToAmount,
+  amountToCents,
+  formatCardId,
+  formatDate,
+  formatTime,
+  formatTransactionType,
+} from '../utils/formatters';
+import { getReversalSummary } from '../utils/refunds';
+import { OfflineRiskError } from '../utils/offline-risk';
+import SupervisorApprovalModal from '../components/SupervisorApprovalModal';
+
+// Reasons offered for a refund or void
+const REASONS = ['Wrong amount', 'Duplicate charge', 'Item returned', 'Customer complaint', 'Other'];
+
+export default function RefundScreen({ route, navigation }) {
+  const { transaction } = route.params;
+  const [reversals, setReversals] = useState(null);
+  const [mode, setMode] = useState('refund');
+  const [amountInput, setAmountInput] = useState('');
+  const [reason, setReason] = useState(REASONS[0]);
+  const [note, setNote] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [riskError, setRiskError] = useState(null);
+
+  // Load earlier refunds so the remaining amount is known
+  const loadReversals = useCallback(async () => {
+    setReversals(await transactionAPI.getReversals(transaction));
+  }, [transaction]);
+
+  useEffect(() => {
+    loadReversals();
+  }, [loadReversals]);
+
+  if (!reversals) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  const summary = getReversalSummary(transaction, reversals);
+  const canVoid = !summary.voided && summary.refunded === 0;
+  const amount = mode === 'void' ? centsToAmount(transaction.amount) : parseFloat(amountInput) || 0;
+  const isOverCap = amountToCents(amount) > summary.remaining;
+
+  // Validate and confirm the refund or void
+  const handleSubmit = () => {
+    if (mode === 'refund' && (!amount || amount <= 0)) {
+      Alert.alert('Invalid Amount', 'Please enter an amount greater than zero');
+      return;
+    }
+    if (isOverCap) {
+      Alert.alert(
+        'Amount Too High',
+        `Only ${formatCurrency(centsToAmount(summary.remaining))} of this payment can still be refunded`
+      );
+      return;
+    }
+    if (reason === 'Other' && !note.trim()) {
+      Alert.alert('Reason Required', 'Please describe why the payment is given back');
+      return;
+    }
+
+    Alert.alert(
+      mode === 'void' ? 'Confirm Void' : 'Confirm Refund',
+      `${mode === 'void' ? 'Void' : 'Refund'} ${formatCurrency(amount)} to the customer's card?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: mode === 'void' ? 'Void' : 'Refund',
+          style: 'destructive',
+          onPress: () => submitReversal(),
+        },
+      ]
+    );
+  };
+
+  // Record the refund or void, with a supervisor approval if the offline limits were overridden
+  const submitReversal = async (riskOverride) => {
+    setIsProcessing(true);
+    try {
+      const details = {
+        riskOverride,
+        reason,
+        note: note.trim() || null,
+      };
+      const reversal = mode === 'void'
+        ? await transactionAPI.voidPayment(transaction.transactionId, details)
+        : await transactionAPI.refundPayment(transaction.transactionId, amount, details);
+
+      Alert.alert(
+        mode === 'void' ? 'Payment Voided' : 'Refund Successful',
+        reversal.offlineCreated
+          ? `${formatTransactionType(reversal.type)} recorded offline and will be synced when the connection is restored.`
+          : `${formatCurrency(amount)} returned to the customer's card.`,
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Failed to record refund:', error);
+
+      if (error instanceof OfflineRiskError) {
+        Alert.alert(
+          'Offline Limit Reached',
+          error.message,
+          error.overridable
+            ? [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Supervisor Override', onPress: () => setRiskError(error) },
+            ]
+            : [{ text: 'OK' }]
+        );
+      } else {
+        Alert.alert('Error', error.message);
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {/* Original Payment */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Original Payment</Text>
+          <View style={styles.row}>
+            <Text style={styles.label}>Amount</Text>
+            <Text style={styles.value}>{formatCurrency(centsToAmount(transaction.amount))}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Date</Text>
+            <Text style={styles.value}>
+              {formatDate(transaction.createdAt)} {formatTime(transaction.createdAt)}
+            </Text>
+          </View>
+          {transaction.cardId && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Card</Text>
+              <Text style={styles.value}>{formatCardId(transaction.cardId)}</Text>
+            </View>
+          )}
+          <Text style={styles.transactionId}>{transaction.transactionId}</Text>
+
+          {reversals.map(reversal => (
+            <View key={reversal.transactionId} style={styles.row}>
+              <Text style={styles.label}>
+                {formatTransactionType(reversal.type)} {formatDate(reversal.createdAt)}
+              </Text>
+              <Text style={[styles.value, styles.creditText]}>
+                +{formatCurrency(centsToAmount(reversal.amount))}
+              </Text>
+            </View>
+          ))}
+
+          <View style={[styles.row, styles.remainingRow]}>
+            <Text style={styles.remainingLabel}>Can Be Refunded</Text>
+            <Text style={styles.remainingValue}>{formatCurrency(centsToAmount(summary.remaining))}</Text>
+          </View>
+        </View>
+
+        {summary.remaining > 0 && !summary.voided ? (
+          <>
+            {/* Refund or Void */}
+            <View style={styles.card}>
+              <View style={styles.modeRow}>
+                <TouchableOpacity
+                  style={[styles.modeButton, mode === 'refund' && styles.modeButtonSelected]}
+                  onPress={() => setMode('refund')}
+                  disabled={isProcessing}
+                >
+                  <Text style={[styles.modeText, mode === 'refund' && styles.modeTextSelected]}>Refund</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modeButton,
+                    mode === 'void' && styles.modeButtonSelected,
+                    !canVoid && styles.disabledButton,
+                  ]}
+                  onPress={() => setMode('void')}
+                  disabled={isProcessing || !canVoid}
+                >
+                  <Text style={[styles.modeText, mode === 'void' && styles.modeTextSelected]}>Void</Text>
+                </TouchableOpacity>
+              </View>
+
+              {mode === 'refund' ? (
+                <>
+                  <Text style={styles.inputLabel}>Refund Amount</Text>
+                  <View style={styles.amountRow}>
+                    <TextInput
+                      style={[styles.input, styles.amountInput]}
+                      value={amountInput}
+                      onChangeText={setAmountInput}
+                      placeholder="Enter amount"
+                      keyboardType="decimal-pad"
+                      editable={!isProcessing}
+                    />
+                    <TouchableOpacity
+                      style={styles.fullButton}
+                      onPress={() => setAmountInput(centsToAmount(summary.remaining).toFixed(2))}
+                      disabled={isProcessing}
+                    >
+                      <Text style={styles.fullButtonText}>Full</Text>
+                    </TouchableOpacity>
+                  </View>
+                  {isOverCap && (
+                    <Text style={styles.errorText}>
+                      Refunds are capped at {formatCurrency(centsToAmount(summary.remaining))}
+                    </Text>
+                  )}
+                </>
+              ) : (
+                <Text style={styles.hintText}>
+                  Voiding cancels the whole payment and returns {formatCurrency(amount)} to the card.
+                </Text>
+              )}
+
+              <Text style={styles.inputLabel}>Reason</Text>
+              <View style={styles.reasonContainer}>
+                {REASONS.map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[styles.reasonChip, reason === option && styles.reasonChipSelected]}
+                    onPress={() => setReason(option)}
+                    disabled={isProcessing}
+                  >
+                    <Text style={[styles.reasonText, reason === option && styles.reasonTextSelected]}>
+                      {option}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TextInput
+                style={styles.input}
+                value={note}
+                onChangeText={setNote}
+                placeholder={reason === 'Other' ? 'Describe the reason' : 'Note (optional)'}
+                editable={!isProcessing}
+              />
+            </View>
+
+            <TouchableOpacity
+              style={[styles.button, (amount <= 0 || isOverCap) && styles.disabledButton]}
+              onPress={handleSubmit}
+              disabled={isProcessing || amount <= 0 || isOverCap}
+            >
+              {isProcessing ? (
+                <ActivityIndicator color="#fff" size="small" />
+              ) : (
+                <>
+                  <Ionicons name="return-down-back" size={24} color="#fff" />
+                  <Text style={styles.buttonText}>
+                    {mode === 'void' ? 'Void Payment' : `Refund ${formatCurrency(amount)}`}
+                  </Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </>
+        ) : (
+          <View style={styles.card}>
+            <Text style={styles.hintText}>
+              {summary.voided ? 'This payment has been voided.' : 'This payment has been fully refunded.'}
+            </Text>
+          </View>
+        )}
+      </ScrollView>
+
+      <SupervisorApprovalModal
+        visible={Boolean(riskError)}
+        title="Override Offline Limit"
+        message={riskError ? riskError.message : ''}
+        permission="overrideRiskLimits"
+        onApproved={(approval) => {
+          setRiskError(null);
+          submitReversal(approval);
+        }}
+        onCancel={() => setRiskError(null)}
+      />
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  label: {
+    fontSize: 15,
+    color: '#555',
+  },
+  value: {
+    fontSize: 15,
+    color: '#333',
+  },
+  creditText: {
+    color: '#34C759',
+  },
+  transactionId: {
+    fontSize: 12,
+    color: '#999',
+    marginVertical: 6,
+  },
+  remainingRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    marginTop: 6,
+    paddingTop: 10,
+  },
+  remainingLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  remainingValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  modeRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    alignItems: 'center',
+  },
+  modeButtonSelected: {
+    backgroundColor: '#007AFF',
+  },
+  modeText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  modeTextSelected: {
+    color: '#fff',
+  },
+  inputLabel: {
+    fontSize: 16,
+    marginTop: 8,
+    marginBottom: 5,
+    color: '#555',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  amountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  amountInput: {
+    flex: 1,
+  },
+  fullButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginLeft: 8,
+  },
+  fullButtonText: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    marginTop: 6,
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  reasonContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  reasonChip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  reasonChipSelected: {
+    borderColor: '#007AFF',
+    backgroundColor: '#f0f7ff',
+  },
+  reasonText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  reasonTextSelected: {
+    color: '#007AFF',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+    borderRadius: 8,
+    backgroundColor: '#FF9500',
+    marginBottom: 24,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
@@ -0,0 +1,464 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { transactionAPI } from '../api/api';
+import { formatCurrency, centsToAmount, amountToCents, formatCardId } from '../utils/formatters';
+import { OfflineRiskError } from '../utils/offline-risk';
+import { StoredValueError } from '../utils/stored-value';
+import { getCachedSettings } from '../utils/settings';
+import { cleanupNfcManager } from '../utils/nfc-manager';
+import { CardAuthError } from '../utils/card-auth';
+import { issueTransactionReceipt } from '../utils/receipts';
+import SupervisorApprovalModal from '../components/SupervisorApprovalModal';
+
+// Preset reload amounts in pesos
+const PRESET_AMOUNTS = [50, 100, 200, 500, 1000];
+
+// Accepted payment methods for reloads
+const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash', icon: 'cash-outline', requiresReference: false },
+  { value: 'card', label: 'Card', icon: 'card-outline', requiresReference: true },
+  { value: 'ewallet', label: 'E-Wallet', icon: 'phone-portrait-outline', requiresReference: true },
+  { value: 'bank_transfer', label: 'Bank Transfer', icon: 'business-outline', requiresReference: true },
+];
+
+export default function ReloadAccountScreen({ route, navigation }) {
+  const { customer } = route.params;
+  const [selectedPreset, setSelectedPreset] = useState(null);
+  const [customAmount, setCustomAmount] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState(PAYMENT_METHODS[0].value);
+  const [referenceNumber, setReferenceNumber] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [riskError, setRiskError] = useState(null);
+  const [isWaitingForCard, setIsWaitingForCard] = useState(false);
+
+  // Stop waiting for the card if the screen is left mid-reload
+  useEffect(() => cleanupNfcManager, []);
+
+  const method = PAYMENT_METHODS.find(m => m.value === paymentMethod);
+  const amount = selectedPreset !== null ? selectedPreset : parseFloat(customAmount) || 0;
+  const currentBalance = centsToAmount(customer.balance);
+  const newBalance = centsToAmount(customer.balance + amountToCents(amount));
+
+  // Select a preset amount
+  const handleSelectPreset = (value) => {
+    setSelectedPreset(value);
+    setCustomAmount('');
+  };
+
+  // Enter a custom amount
+  const handleCustomAmountChange = (value) => {
+    setCustomAmount(value);
+    setSelectedPreset(null);
+  };
+
+  // Validate and confirm the reload
+  const handleReload = () => {
+    if (!amount || amount <= 0) {
+      Alert.alert('Invalid Amount', 'Please select or enter an amount greater than zero');
+      return;
+    }
+
+    if (method.requiresReference && !referenceNumber.trim()) {
+      Alert.alert('Reference Required', `Please enter the ${method.label} reference number`);
+      return;
+    }
+
+    Alert.alert(
+      'Confirm Reload',
+      `Add ${formatCurrency(amount)} to ${customer.name}'s account via ${method.label}?\n\nNew balance: ${formatCurrency(newBalance)}`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Reload',
+          onPress: () => submitReload(),
+        },
+      ]
+    );
+  };
+
+  // Post the reload transaction, with a supervisor approval if the offline limits were overridden.
+  // With stored value the card is tapped to be credited; a retry passes the key of the
+  // unconfirmed attempt so the card is not credited twice.
+  const submitReload = async (riskOverride, idempotencyKey) => {
+    const useCard = getCachedSettings().storedValueEnabled;
+    setIsProcessing(true);
+    setIsWaitingForCard(useCard);
+    try {
+      const reload = {
+        riskOverride,
+        idempotencyKey,
+        customerId: customer.id,
+        cardId: customer.cardId,
+        type: 'reload',
+        amount,
+        paymentMethod,
+        referenceNumber: referenceNumber.trim() || null,
+      };
+      const transaction = useCard
+        ? await transactionAPI.reloadWithCard(reload)
+        : await transactionAPI.create(reload);
+      const receipt = await issueTransactionReceipt(transaction, { customer, balanceBefore: customer.balance });
+
+      Alert.alert(
+        'Reload Successful',
+        transaction.offlineCreated
+          ? 'Reload recorded offline and will be synced when the connection is restored.'
+          : `${formatCurrency(amount)} added to the account.`,
+        [
+          {
+            text: 'OK',
+            onPress: () => (receipt ? navigation.replace('Receipt', { receipt }) : navigation.goBack()),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Failed to reload account:', error);
+
+      if (error instanceof OfflineRiskError) {
+        Alert.alert(
+          'Offline Limit Reached',
+          error.message,
+          error.overridable
+            ? [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Supervisor Override', onPress: () => setRiskError(error) },
+            ]
+            : [{ text: 'OK' }]
+        );
+      } else if (error instanceof StoredValueError && error.code === 'uncertain') {
+        Alert.alert(
+          'Tap Card Again',
+          `${error.message}. The reload is only added once.`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Retry', onPress: () => submitReload(riskOverride, error.idempotencyKey) },
+          ]
+        );
+      } else if (error instanceof StoredValueError) {
+        Alert.alert('Card Error', error.message);
+      } else if (error instanceof CardAuthError) {
+        Alert.alert('Card Refused', error.message);
+      } else {
+        Alert.alert('Error', 'Failed to reload account: ' + error.message);
+      }
+    } finally {
+      setIsProcessing(false);
+      setIsWaitingForCard(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {/* Customer Summary */}
+        <View style={styles.card}>
+          <Text style={styles.customerName}>{customer.name}</Text>
+          <Text style={styles.cardIdText}>Card: {formatCardId(customer.cardId)}</Text>
+          <View style={styles.balanceContainer}>
+            <Text style={styles.balanceLabel}>Current Balance</Text>
+            <Text style={styles.balanceValue}>{formatCurrency(currentBalance)}</Text>
+          </View>
+        </View>
+
+        {/* Amount */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Amount</Text>
+
+          <View style={styles.presetContainer}>
+            {PRESET_AMOUNTS.map((value) => (
+              <TouchableOpacity
+                key={value}
+                style={[
+                  styles.presetButton,
+                  selectedPreset === value && styles.presetButtonSelected,
+                ]}
+                onPress={() => handleSelectPreset(value)}
+                disabled={isProcessing}
+              >
+                <Text
+                  style={[
+                    styles.presetText,
+                    selectedPreset === value && styles.presetTextSelected,
+                  ]}
+                >
+                  {formatCurrency(value)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.label}>Custom Amount</Text>
+          <TextInput
+            style={styles.input}
+            value={customAmount}
+            onChangeText={handleCustomAmountChange}
+            placeholder="Enter amount"
+            keyboardType="decimal-pad"
+            editable={!isProcessing}
+          />
+        </View>
+
+        {/* Payment Method */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Payment Method</Text>
+
+          {PAYMENT_METHODS.map((m) => (
+            <TouchableOpacity
+              key={m.value}
+              style={[
+                styles.methodRow,
+                paymentMethod === m.value && styles.methodRowSelected,
+              ]}
+              onPress={() => setPaymentMethod(m.value)}
+              disabled={isProcessing}
+            >
+              <Ionicons
+                name={m.icon}
+                size={22}
+                color={paymentMethod === m.value ? '#007AFF' : '#555'}
+              />
+              <Text style={styles.methodText}>{m.label}</Text>
+              {paymentMethod === m.value && (
+                <Ionicons name="checkmark-circle" size={22} color="#007AFF" />
+              )}
+            </TouchableOpacity>
+          ))}
+
+          <Text style={styles.label}>
+            Reference Number{method.requiresReference ? '' : ' (optional)'}
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={referenceNumber}
+            onChangeText={setReferenceNumber}
+            placeholder="Receipt or transaction reference"
+            autoCapitalize="characters"
+            autoCorrect={false}
+            editable={!isProcessing}
+          />
+        </View>
+
+        {/* Summary */}
+        <View style={styles.card}>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Reload Amount</Text>
+            <Text style={styles.totalValue}>+{formatCurrency(amount)}</Text>
+          </View>
+          <View style={[styles.totalRow, styles.newBalanceRow]}>
+            <Text style={styles.newBalanceLabel}>New Balance</Text>
+            <Text style={styles.newBalanceValue}>{formatCurrency(newBalance)}</Text>
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, amount <= 0 && styles.disabledButton]}
+          onPress={handleReload}
+          disabled={isProcessing || amount <= 0}
+        >
+          {isWaitingForCard ? (
+            <>
+              <ActivityIndicator color="#fff" size="small" />
+              <Text style={styles.buttonText}>Hold the card to the reader</Text>
+            </>
+          ) : isProcessing ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <>
+              <Ionicons name="add-circle-outline" size={24} color="#fff" />
+              <Text style={styles.buttonText}>Reload {formatCurrency(amount)}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+
+      <SupervisorApprovalModal
+        visible={Boolean(riskError)}
+        title="Override Offline Limit"
+        message={riskError ? riskError.message : ''}
+        permission="overrideRiskLimits"
+        onApproved={(approval) => {
+          setRiskError(null);
+          submitReload(approval);
+        }}
+        onCancel={() => setRiskError(null)}
+      />
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  customerName: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cardIdText: {
+    fontSize: 14,
+    color: '#777',
+    marginTop: 4,
+  },
+  balanceContainer: {
+    backgroundColor: '#f8f9fa',
+    padding: 12,
+    borderRadius: 8,
+    marginTop: 12,
+    alignItems: 'center',
+  },
+  balanceLabel: {
+    fontSize: 14,
+    color: '#555',
+  },
+  balanceValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  presetContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  presetButton: {
+    width: '31%',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  presetButtonSelected: {
+    backgroundColor: '#007AFF',
+  },
+  presetText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  presetTextSelected: {
+    color: '#fff',
+  },
+  label: {
+    fontSize: 16,
+    marginTop: 8,
+    marginBottom: 5,
+    color: '#555',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  methodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#f0f0f0',
+    marginBottom: 8,
+  },
+  methodRowSelected: {
+    borderColor: '#007AFF',
+    backgroundColor: '#f0f7ff',
+  },
+  methodText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 16,
+    color: '#555',
+  },
+  totalValue: {
+    fontSize: 16,
+    color: '#34C759',
+  },
+  newBalanceRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    marginTop: 6,
+    paddingTop: 12,
+  },
+  newBalanceLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  newBalanceValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+    borderRadius: 8,
+    backgroundColor: '#34C759',
+    marginBottom: 24,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { cardAPI } from '../api/api';
+import { readNfcTag, cleanupNfcManager } from '../utils/nfc-manager';
+import { CardAuthError, isStrictCardAuth } from '../utils/card-auth';
+import { CARD_STATUS_REASONS, getCardStatusLabel } from '../utils/card-status';
+import { formatCurrency, centsToAmount, formatCardId, prepareCardIdForApi } from '../utils/formatters';
+import { validateCardId } from '../utils/validators';
+
+export default function ReplaceCardScreen({ route, navigation }) {
+  const { customer } = route.params;
+  const [newCardId, setNewCardId] = useState('');
+  const [reasonCode, setReasonCode] = useState(customer.cardStatus === 'lost' ? 'lost' : null);
+  const [error, setError] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  // Stop any pending NFC read when leaving the screen
+  useEffect(() => {
+    return () => {
+      cleanupNfcManager();
+    };
+  }, []);
+
+  // Scan the new card
+  const handleScanCard = async () => {
+    setIsScanning(true);
+    setError(null);
+    try {
+      const tag = await readNfcTag();
+      if (!tag) {
+        Alert.alert('Scan Failed', 'No card detected. Please try again.');
+        return;
+      }
+      setNewCardId(prepareCardIdForApi(tag.uid));
+    } catch (scanError) {
+      if (!(scanError instanceof CardAuthError)) throw scanError;
+      Alert.alert('Card Refused', `${scanError.message}. Only secure cards can be issued on this terminal.`);
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  // Confirm and move the customer to the new card
+  const handleReplace = () => {
+    const normalized = prepareCardIdForApi(newCardId);
+    const validationError = validateCardId(normalized);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    Alert.alert(
+      'Replace Card',
+      `Card ${formatCardId(customer.cardId)} will stop working on every terminal and ${customer.name}'s balance of ${formatCurrency(centsToAmount(customer.balance))} moves to card ${formatCardId(normalized)}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () => submitReplacement(normalized),
+        },
+      ]
+    );
+  };
+
+  // Record the replacement
+  const submitReplacement = async (cardId) => {
+    setIsProcessing(true);
+    try {
+      const updated = await cardAPI.replaceCard(customer.id, cardId, reasonCode);
+      Alert.alert(
+        'Card Replaced',
+        `${updated.name} now uses card ${formatCardId(updated.cardId)}.`,
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.navigate('CustomerDetails', { customer: updated }),
+          },
+        ]
+      );
+    } catch (replaceError) {
+      console.error('Failed to replace card:', replaceError);
+      setError(replaceError.message);
+      Alert.alert('Error', replaceError.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const isBusy = isScanning || isProcessing;
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {/* Current Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{customer.name}</Text>
+          <View style={styles.row}>
+            <Text style={styles.label}>Current Card</Text>
+            <Text style={styles.value}>{formatCardId(customer.cardId)}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Status</Text>
+            <Text style={styles.value}>{getCardStatusLabel(customer.cardStatus)}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Balance to Move</Text>
+            <Text style={styles.value}>{formatCurrency(centsToAmount(customer.balance))}</Text>
+          </View>
+        </View>
+
+        {/* New Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>New Card</Text>
+
+          <TouchableOpacity
+            style={[styles.button, styles.scanButton]}
+            onPress={handleScanCard}
+            disabled={isBusy}
+          >
+            {isScanning ? (
+              <>
+                <ActivityIndicator color="#fff" size="small" />
+                <Text style={styles.buttonText}>Hold new card near device...</Text>
+              </>
+            ) : (
+              <>
+                <Ionicons name="scan-circle-outline" size={22} color="#fff" />
+                <Text style={styles.buttonText}>Scan New Card</Text>
+              </>
+            )}
+          </TouchableOpacity>
+
+          <Text style={styles.inputLabel}>Card ID</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={newCardId}
+            onChangeText={(text) => {
+              setNewCardId(text);
+              setError(null);
+            }}
+            placeholder={isStrictCardAuth() ? 'Scan the new card' : 'Scan or enter card ID'}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            editable={!isBusy && !isStrictCardAuth()}
+          />
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+          <Text style={styles.inputLabel}>Reason</Text>
+          <View style={styles.reasonContainer}>
+            {CARD_STATUS_REASONS.map(option => (
+              <TouchableOpacity
+                key={option.code}
+                style={[styles.reasonChip, reasonCode === option.code && styles.reasonChipSelected]}
+                onPress={() => setReasonCode(option.code)}
+                disabled={isBusy}
+              >
+                <Text style={[styles.reasonText, reasonCode === option.code && styles.reasonTextSelected]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, styles.replaceButton, (!newCardId || !reasonCode) && styles.disabledButton]}
+          onPress={handleReplace}
+          disabled={isBusy || !newCardId || !reasonCode}
+        >
+          {isProcessing ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <>
+              <Ionicons name="swap-horizontal-outline" size={22} color="#fff" />
+              <Text style={styles.buttonText}>Replace Card</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  label: {
+    fontSize: 15,
+    color: '#555',
+  },
+  value: {
+    fontSize: 15,
+    color: '#333',
+  },
+  inputLabel: {
+    fontSize: 16,
+    marginTop: 8,
+    marginBottom: 5,
+    color: '#555',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    marginTop: 4,
+  },
+  reasonContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  reasonChip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  reasonChipSelected: {
+    borderColor: '#007AFF',
+    backgroundColor: '#f0f7ff',
+  },
+  reasonText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  reasonTextSelected: {
+    color: '#007AFF',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 15,
+    borderRadius: 8,
+  },
+  scanButton: {
+    backgroundColor: '#007AFF',
+    marginBottom: 8,
+  },
+  replaceButton: {
+    backgroundColor: '#FF9500',
+    marginBottom: 24,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
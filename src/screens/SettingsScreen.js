@@ -0,0 +1,1146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import Constants from 'expo-constants';
+import {
+  API_VERSION,
+  checkApiStatus,
+  setOfflineMode,
+  getOfflineCacheInfo,
+  clearOfflineData,
+  verifyLedger,
+} from '../api/api';
+import { formatCurrency, centsToAmount } from '../utils/formatters';
+import { getSettings, updateSettings, subscribeSettings, CURRENCIES } from '../utils/settings';
+import { getCurrentOperator, hasPermission, logout } from '../api/auth';
+import { getStoredValueKey, setStoredValueKey as saveStoredValueKey } from '../utils/stored-value';
+import { getSdmKeys, setSdmKey } from '../utils/card-auth';
+import { PAPER_WIDTHS } from '../utils/escpos';
+import { PRINTER_TRANSPORTS } from '../utils/receipt-printer';
+
+// Receipt printer connections offered; browsers cannot open sockets to a printer
+const PRINTER_OPTIONS = [
+  { value: PRINTER_TRANSPORTS.NONE, label: 'None' },
+  ...(Platform.OS === 'web' ? [] : [{ value: PRINTER_TRANSPORTS.NETWORK, label: 'Network' }]),
+];
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human readable size
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export default function SettingsScreen({ navigation }) {
+  const [settings, setSettings] = useState(null);
+  const [terminalName, setTerminalName] = useState('');
+  const [terminalId, setTerminalId] = useState('');
+  const [receiptHeader, setReceiptHeader] = useState('');
+  const [receiptFooter, setReceiptFooter] = useState('');
+  const [receiptPrinterHost, setReceiptPrinterHost] = useState('');
+  const [receiptPrinterPort, setReceiptPrinterPort] = useState('');
+  const [maxPaymentAmount, setMaxPaymentAmount] = useState('');
+  const [maxReloadAmount, setMaxReloadAmount] = useState('');
+  const [offlineTransactionLimit, setOfflineTransactionLimit] = useState('');
+  const [offlineCustomerSpendLimit, setOfflineCustomerSpendLimit] = useState('');
+  const [offlineTerminalLimit, setOfflineTerminalLimit] = useState('');
+  const [adjustmentApprovalThreshold, setAdjustmentApprovalThreshold] = useState('');
+  const [storedValueKey, setStoredValueKey] = useState('');
+  const [savedStoredValueKey, setSavedStoredValueKey] = useState('');
+  const [sdmMetaReadKey, setSdmMetaReadKey] = useState('');
+  const [sdmFileReadKey, setSdmFileReadKey] = useState('');
+  const [savedSdmKeys, setSavedSdmKeys] = useState({ metaReadKey: '', fileReadKey: '' });
+  const [qrPaymentPublicKey, setQrPaymentPublicKey] = useState('');
+  const [autoLockMinutes, setAutoLockMinutes] = useState('');
+  const [offlineLoginMaxDays, setOfflineLoginMaxDays] = useState('');
+  const [duplicateTapSeconds, setDuplicateTapSeconds] = useState('');
+  const [cacheInfo, setCacheInfo] = useState(null);
+  const [serverVersion, setServerVersion] = useState(null);
+  const [isCheckingServer, setIsCheckingServer] = useState(false);
+  const [isClearing, setIsClearing] = useState(false);
+
+  // Keep local state in sync with the settings store
+  useEffect(() => {
+    const applySettings = (current) => {
+      setSettings(current);
+      setTerminalName(current.terminalName);
+      setTerminalId(current.terminalId);
+      setReceiptHeader(current.receiptHeader);
+      setReceiptFooter(current.receiptFooter);
+      setReceiptPrinterHost(current.receiptPrinterHost);
+      setReceiptPrinterPort(String(current.receiptPrinterPort));
+      setMaxPaymentAmount(current.maxPaymentAmount ? String(current.maxPaymentAmount) : '');
+      setMaxReloadAmount(current.maxReloadAmount ? String(current.maxReloadAmount) : '');
+      setOfflineTransactionLimit(current.offlineTransactionLimit ? String(current.offlineTransactionLimit) : '');
+      setOfflineCustomerSpendLimit(current.offlineCustomerSpendLimit ? String(current.offlineCustomerSpendLimit) : '');
+      setOfflineTerminalLimit(current.offlineTerminalLimit ? String(current.offlineTerminalLimit) : '');
+      setAdjustmentApprovalThreshold(current.adjustmentApprovalThreshold ? String(current.adjustmentApprovalThreshold) : '');
+      setAutoLockMinutes(String(current.autoLockMinutes));
+      setOfflineLoginMaxDays(String(current.offlineLoginMaxDays));
+      setDuplicateTapSeconds(String(current.duplicateTapSeconds));
+      setQrPaymentPublicKey(current.qrPaymentPublicKey);
+    };
+
+    getSettings().then(applySettings);
+    return subscribeSettings(applySettings);
+  }, []);
+
+  // The stored value key is kept in secure storage, not with the settings
+  useEffect(() => {
+    getStoredValueKey()
+      .then((key) => {
+        setStoredValueKey(key);
+        setSavedStoredValueKey(key);
+      })
+      .catch(error => console.error('Failed to load the stored value key:', error));
+  }, []);
+
+  // So are the secure card keys
+  useEffect(() => {
+    getSdmKeys()
+      .then((keys) => {
+        setSdmMetaReadKey(keys.metaReadKey);
+        setSdmFileReadKey(keys.fileReadKey);
+        setSavedSdmKeys(keys);
+      })
+      .catch(error => console.error('Failed to load the secure card keys:', error));
+  }, []);
+
+  // Refresh cache and server info when the tab is focused
+  useFocusEffect(
+    useCallback(() => {
+      loadCacheInfo();
+      loadServerVersion();
+    }, [])
+  );
+
+  // Load offline cache sizes
+  const loadCacheInfo = async () => {
+    try {
+      setCacheInfo(await getOfflineCacheInfo());
+    } catch (error) {
+      console.error('Failed to load cache info:', error);
+    }
+  };
+
+  // Load server version
+  const loadServerVersion = async () => {
+    setIsCheckingServer(true);
+    try {
+      const status = await checkApiStatus();
+      setServerVersion(status.online ? status.version : null);
+    } finally {
+      setIsCheckingServer(false);
+    }
+  };
+
+  // Save a setting and report failures
+  const saveSetting = async (changes) => {
+    try {
+      await updateSettings(changes);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save settings: ' + error.message);
+    }
+  };
+
+  // Toggle offline mode
+  const handleToggleOffline = (value) => {
+    setOfflineMode(value);
+    if (!value) {
+      loadServerVersion();
+    }
+  };
+
+  // Save terminal name
+  const handleSaveTerminalName = () => {
+    const name = terminalName.trim();
+    if (!name) {
+      Alert.alert('Invalid Name', 'Terminal name cannot be empty');
+      setTerminalName(settings.terminalName);
+      return;
+    }
+    saveSetting({ terminalName: name });
+  };
+
+  // Save the terminal ID receipt numbers start with
+  const handleSaveTerminalId = () => {
+    const id = terminalId.trim().toUpperCase();
+    if (id === settings.terminalId) return;
+    if (!/^[A-Z0-9]{2,8}$/.test(id)) {
+      Alert.alert('Invalid Terminal ID', 'Use 2 to 8 letters and digits');
+      setTerminalId(settings.terminalId);
+      return;
+    }
+    saveSetting({ terminalId: id });
+  };
+
+  // Save the address of a network receipt printer
+  const handleSavePrinterAddress = () => {
+    const host = receiptPrinterHost.trim();
+    const port = parseInt(receiptPrinterPort, 10);
+    if (isNaN(port) || port < 1 || port > 65535) {
+      Alert.alert('Invalid Port', 'Enter a port from 1 to 65535, usually 9100');
+      setReceiptPrinterPort(String(settings.receiptPrinterPort));
+      return;
+    }
+    saveSetting({ receiptPrinterHost: host, receiptPrinterPort: port });
+  };
+
+  // Save a transaction or offline risk limit
+  const handleSaveLimit = (key, value) => {
+    const amount = value.trim() ? parseFloat(value) : 0;
+    if (isNaN(amount) || amount < 0) {
+      Alert.alert('Invalid Limit', 'Enter a positive amount, or leave empty for no limit');
+      return;
+    }
+    saveSetting({ [key]: amount });
+  };
+
+  // Turn card stored value on once a key is set; it is only kept on secure cards
+  const handleToggleStoredValue = (value) => {
+    if (value && !savedStoredValueKey) {
+      Alert.alert('Key Required', 'Enter the stored value key before turning this on');
+      return;
+    }
+    if (value && !settings.strictCardAuth) {
+      Alert.alert('Secure Cards Required', 'Turn on Secure Cards Only before keeping a balance on cards');
+      return;
+    }
+    saveSetting({ storedValueEnabled: value });
+  };
+
+  // Save the stored value master key in secure storage
+  const handleSaveStoredValueKey = async () => {
+    const key = storedValueKey.trim().toLowerCase();
+    if (key === savedStoredValueKey) return;
+    if (!/^[0-9a-f]{64}$/.test(key)) {
+      Alert.alert('Invalid Key', 'The key must be 64 hexadecimal characters');
+      setStoredValueKey(savedStoredValueKey);
+      return;
+    }
+    try {
+      await saveStoredValueKey(key);
+      setSavedStoredValueKey(key);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save the stored value key: ' + error.message);
+      setStoredValueKey(savedStoredValueKey);
+    }
+  };
+
+  // Turn strict card authentication on once the keys are set
+  const handleToggleStrictCardAuth = (value) => {
+    if (value && (!savedSdmKeys.metaReadKey || !savedSdmKeys.fileReadKey)) {
+      Alert.alert('Keys Required', 'Enter both secure card keys before refusing other cards');
+      return;
+    }
+    // Stored value needs secure cards, so it goes off with strict mode
+    saveSetting(value ? { strictCardAuth: true } : { strictCardAuth: false, storedValueEnabled: false });
+  };
+
+  // Save one of the secure card keys in secure storage
+  const handleSaveSdmKey = async (name, value, reset) => {
+    const key = value.trim().toUpperCase();
+    if (key === savedSdmKeys[name]) return;
+    if (!/^[0-9A-F]{32}$/.test(key)) {
+      Alert.alert('Invalid Key', 'Secure card keys are 32 hexadecimal characters');
+      reset(savedSdmKeys[name]);
+      return;
+    }
+    try {
+      await setSdmKey(name, key);
+      setSavedSdmKeys(keys => ({ ...keys, [name]: key }));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save the secure card key: ' + error.message);
+      reset(savedSdmKeys[name]);
+    }
+  };
+
+  // Turn QR payments on once the issuer's key is set
+  const handleToggleQrPayments = (value) => {
+    if (value && !settings.qrPaymentPublicKey) {
+      Alert.alert('Key Required', 'Enter the QR issuer public key before turning this on');
+      return;
+    }
+    saveSetting({ qrPaymentsEnabled: value });
+  };
+
+  // Save the public key QR codes are checked against
+  const handleSaveQrPaymentPublicKey = () => {
+    const key = qrPaymentPublicKey.trim().toLowerCase();
+    if (key === settings.qrPaymentPublicKey) return;
+    if (!/^[0-9a-f]{64}$/.test(key)) {
+      Alert.alert('Invalid Key', 'The public key must be 64 hexadecimal characters');
+      setQrPaymentPublicKey(settings.qrPaymentPublicKey);
+      return;
+    }
+    saveSetting({ qrPaymentPublicKey: key });
+  };
+
+  // Save the inactivity lock timeout
+  const handleSaveAutoLock = () => {
+    const minutes = parseInt(autoLockMinutes, 10);
+    if (isNaN(minutes) || minutes < 0) {
+      Alert.alert('Invalid Timeout', 'Enter the number of minutes, or 0 to never lock');
+      setAutoLockMinutes(String(settings.autoLockMinutes));
+      return;
+    }
+    saveSetting({ autoLockMinutes: minutes });
+  };
+
+  // Save how long cached credentials allow offline login
+  const handleSaveOfflineLoginMaxDays = () => {
+    const days = parseInt(offlineLoginMaxDays, 10);
+    if (isNaN(days) || days < 0) {
+      Alert.alert('Invalid Period', 'Enter the number of days, or 0 for no limit');
+      setOfflineLoginMaxDays(String(settings.offlineLoginMaxDays));
+      return;
+    }
+    saveSetting({ offlineLoginMaxDays: days });
+  };
+
+  // Save how long the card just handled is ignored
+  const handleSaveDuplicateTap = () => {
+    const seconds = parseInt(duplicateTapSeconds, 10);
+    if (isNaN(seconds) || seconds < 0) {
+      Alert.alert('Invalid Time', 'Enter the number of seconds, or 0 to accept every tap');
+      setDuplicateTapSeconds(String(settings.duplicateTapSeconds));
+      return;
+    }
+    saveSetting({ duplicateTapSeconds: seconds });
+  };
+
+  // Log out after confirmation
+  const handleLogout = () => {
+    Alert.alert(
+      'Log Out',
+      'Are you sure you want to log out?',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Log Out',
+          style: 'destructive',
+          onPress: logout,
+        },
+      ]
+    );
+  };
+
+  // Clear offline data after confirmation
+  // Compare cached balances with the ledger and report what differs
+  const handleCheckLedger = async () => {
+    try {
+      const result = await verifyLedger();
+      // Balances the server reported that no movement on this terminal explains
+      const discrepancyLines = result.discrepancies.slice(0, 5).map(discrepancy =>
+        `${discrepancy.customerName || `Customer ${discrepancy.customerId}`}: `
+        + `${formatCurrency(centsToAmount(discrepancy.amount))} not explained by movements on this terminal`
+      );
+      if (result.discrepancies.length > discrepancyLines.length) {
+        discrepancyLines.push(`...and ${result.discrepancies.length - discrepancyLines.length} more`);
+      }
+
+      if (result.ok) {
+        Alert.alert('Ledger OK', [
+          `${result.entries} entries balance and every cached balance matches the ledger.`,
+          ...discrepancyLines,
+        ].join('\n'));
+        return;
+      }
+
+      const lines = result.mismatches.slice(0, 5).map(mismatch =>
+        `${mismatch.customerName || `Customer ${mismatch.customerId}`}: cached ${formatCurrency(centsToAmount(mismatch.cachedBalance))}, `
+        + `ledger ${formatCurrency(centsToAmount(mismatch.ledgerBalance))}`
+      );
+      if (result.mismatches.length > lines.length) {
+        lines.push(`...and ${result.mismatches.length - lines.length} more`);
+      }
+      if (result.unbalancedEntries.length > 0) {
+        lines.push(`${result.unbalancedEntries.length} journal entries do not balance`);
+      }
+      Alert.alert('Ledger Mismatch', [...lines, ...discrepancyLines].join('\n'));
+    } catch (error) {
+      console.error('Failed to check ledger:', error);
+      Alert.alert('Error', 'Failed to check ledger: ' + error.message);
+    }
+  };
+
+  const handleClearOfflineData = () => {
+    const pending = cacheInfo ? cacheInfo.pendingChanges + cacheInfo.failedChanges : 0;
+    const warning = pending > 0
+      ? `\n\n${pending} offline change${pending === 1 ? ' has' : 's have'} not been synced and will be lost.`
+      : '';
+
+    Alert.alert(
+      'Clear Offline Data',
+      `This removes all cached customers, transactions and ledger entries from this device.${warning}`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            setIsClearing(true);
+            try {
+              await clearOfflineData();
+              await loadCacheInfo();
+              Alert.alert('Success', 'Offline data cleared');
+            } catch (error) {
+              Alert.alert('Error', 'Failed to clear offline data: ' + error.message);
+            } finally {
+              setIsClearing(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const operator = getCurrentOperator();
+  const canEdit = hasPermission('settings');
+
+  if (!settings) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {/* Operator */}
+        <Text style={styles.sectionTitle}>Operator</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <Ionicons name="person-circle-outline" size={40} color="#007AFF" />
+            <View style={[styles.rowText, styles.operatorText]}>
+              <Text style={styles.rowLabel}>{operator?.name || operator?.username}</Text>
+              <Text style={styles.rowHint}>{operator?.role}</Text>
+            </View>
+            <TouchableOpacity onPress={handleLogout}>
+              <Text style={styles.logoutText}>Log Out</Text>
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>Auto-Lock After (minutes)</Text>
+          <TextInput
+            style={styles.input}
+            value={autoLockMinutes}
+            onChangeText={setAutoLockMinutes}
+            onEndEditing={handleSaveAutoLock}
+            placeholder="0 to never lock"
+            keyboardType="number-pad"
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Offline Login Valid For (days)</Text>
+          <TextInput
+            style={styles.input}
+            value={offlineLoginMaxDays}
+            onChangeText={setOfflineLoginMaxDays}
+            onEndEditing={handleSaveOfflineLoginMaxDays}
+            placeholder="0 for no limit"
+            keyboardType="number-pad"
+            editable={canEdit}
+          />
+          <Text style={styles.hintText}>
+            Operators who have not logged in online for longer have to connect to the server to log in
+          </Text>
+        </View>
+
+        {/* Connection */}
+        <Text style={styles.sectionTitle}>Connection</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>Offline Mode</Text>
+              <Text style={styles.rowHint}>Record transactions locally and sync later</Text>
+            </View>
+            <Switch
+              value={settings.offlineMode}
+              onValueChange={handleToggleOffline}
+              disabled={!canEdit}
+            />
+          </View>
+
+          {hasPermission('apiSettings') && (
+            <TouchableOpacity style={styles.row} onPress={() => navigation.navigate('ApiSettings')}>
+              <View style={styles.rowText}>
+                <Text style={styles.rowLabel}>API Settings</Text>
+                <Text style={styles.rowHint} numberOfLines={1}>{settings.apiUrl}</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color="#999" />
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* Terminal */}
+        <Text style={styles.sectionTitle}>Terminal</Text>
+        <View style={styles.card}>
+          <Text style={styles.label}>Terminal Name</Text>
+          <TextInput
+            style={styles.input}
+            value={terminalName}
+            onChangeText={setTerminalName}
+            onEndEditing={handleSaveTerminalName}
+            placeholder="e.g. Canteen Counter 1"
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Terminal ID</Text>
+          <TextInput
+            style={styles.input}
+            value={terminalId}
+            onChangeText={setTerminalId}
+            onEndEditing={handleSaveTerminalId}
+            placeholder="e.g. POS1"
+            autoCapitalize="characters"
+            autoCorrect={false}
+            editable={canEdit}
+          />
+          <Text style={styles.hintText}>Starts every receipt number, must differ from other terminals</Text>
+
+          <Text style={styles.label}>Currency</Text>
+          <View style={styles.currencyContainer}>
+            {CURRENCIES.map((currency) => (
+              <TouchableOpacity
+                key={currency.code}
+                style={[
+                  styles.currencyButton,
+                  settings.currencyCode === currency.code && styles.currencyButtonSelected,
+                ]}
+                onPress={() => saveSetting({ currencyCode: currency.code, currencySymbol: currency.symbol })}
+                disabled={!canEdit}
+              >
+                <Text
+                  style={[
+                    styles.currencyText,
+                    settings.currencyCode === currency.code && styles.currencyTextSelected,
+                  ]}
+                >
+                  {currency.symbol} {currency.code}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Receipts */}
+        <Text style={styles.sectionTitle}>Receipts</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <Text style={[styles.rowLabel, styles.rowText]}>Issue Receipts</Text>
+            <Switch
+              value={settings.receiptEnabled}
+              onValueChange={(value) => saveSetting({ receiptEnabled: value })}
+              disabled={!canEdit}
+            />
+          </View>
+          <View style={styles.row}>
+            <Text style={[styles.rowLabel, styles.rowText]}>Show Remaining Balance</Text>
+            <Switch
+              value={settings.receiptShowBalance}
+              onValueChange={(value) => saveSetting({ receiptShowBalance: value })}
+              disabled={!canEdit}
+            />
+          </View>
+
+          <Text style={styles.label}>Receipt Header</Text>
+          <TextInput
+            style={styles.input}
+            value={receiptHeader}
+            onChangeText={setReceiptHeader}
+            onEndEditing={() => saveSetting({ receiptHeader: receiptHeader.trim() })}
+            placeholder="Business name and address, one per line"
+            multiline
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Receipt Footer</Text>
+          <TextInput
+            style={styles.input}
+            value={receiptFooter}
+            onChangeText={setReceiptFooter}
+            onEndEditing={() => saveSetting({ receiptFooter: receiptFooter.trim() })}
+            placeholder="Message printed at the bottom of receipts"
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Printer Paper Width</Text>
+          <View style={styles.currencyContainer}>
+            {Object.keys(PAPER_WIDTHS).map(Number).map(paperWidth => (
+              <TouchableOpacity
+                key={paperWidth}
+                style={[
+                  styles.currencyButton,
+                  settings.receiptPaperWidth === paperWidth && styles.currencyButtonSelected,
+                ]}
+                onPress={() => saveSetting({ receiptPaperWidth: paperWidth })}
+                disabled={!canEdit}
+              >
+                <Text
+                  style={[
+                    styles.currencyText,
+                    settings.receiptPaperWidth === paperWidth && styles.currencyTextSelected,
+                  ]}
+                >
+                  {paperWidth} mm
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.label}>Receipt Printer</Text>
+          <View style={styles.currencyContainer}>
+            {PRINTER_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[
+                  styles.currencyButton,
+                  settings.receiptPrinter === option.value && styles.currencyButtonSelected,
+                ]}
+                onPress={() => saveSetting({ receiptPrinter: option.value })}
+                disabled={!canEdit}
+              >
+                <Text
+                  style={[
+                    styles.currencyText,
+                    settings.receiptPrinter === option.value && styles.currencyTextSelected,
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {settings.receiptPrinter === PRINTER_TRANSPORTS.NETWORK && (
+            <>
+              <Text style={styles.label}>Printer Address</Text>
+              <TextInput
+                style={styles.input}
+                value={receiptPrinterHost}
+                onChangeText={setReceiptPrinterHost}
+                onEndEditing={handleSavePrinterAddress}
+                placeholder="e.g. 192.168.1.50"
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="numbers-and-punctuation"
+                editable={canEdit}
+              />
+
+              <Text style={styles.label}>Printer Port</Text>
+              <TextInput
+                style={styles.input}
+                value={receiptPrinterPort}
+                onChangeText={setReceiptPrinterPort}
+                onEndEditing={handleSavePrinterAddress}
+                placeholder="9100"
+                keyboardType="number-pad"
+                editable={canEdit}
+              />
+            </>
+          )}
+        </View>
+
+        {/* Limits */}
+        <Text style={styles.sectionTitle}>Transaction Limits</Text>
+        <View style={styles.card}>
+          <Text style={styles.label}>Maximum Payment ({settings.currencySymbol})</Text>
+          <TextInput
+            style={styles.input}
+            value={maxPaymentAmount}
+            onChangeText={setMaxPaymentAmount}
+            onEndEditing={() => handleSaveLimit('maxPaymentAmount', maxPaymentAmount)}
+            placeholder="No limit"
+            keyboardType="decimal-pad"
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Maximum Reload ({settings.currencySymbol})</Text>
+          <TextInput
+            style={styles.input}
+            value={maxReloadAmount}
+            onChangeText={setMaxReloadAmount}
+            onEndEditing={() => handleSaveLimit('maxReloadAmount', maxReloadAmount)}
+            placeholder="No limit"
+            keyboardType="decimal-pad"
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Adjustment Approval Above ({settings.currencySymbol})</Text>
+          <TextInput
+            style={styles.input}
+            value={adjustmentApprovalThreshold}
+            onChangeText={setAdjustmentApprovalThreshold}
+            onEndEditing={() => handleSaveLimit('adjustmentApprovalThreshold', adjustmentApprovalThreshold)}
+            placeholder="Never required"
+            keyboardType="decimal-pad"
+            editable={canEdit}
+          />
+        </View>
+
+        {/* Offline Risk Limits */}
+        <Text style={styles.sectionTitle}>Offline Risk Limits</Text>
+        <View style={styles.card}>
+          <Text style={styles.hintText}>
+            Apply while the server is unreachable. Payments that would overdraw the cached
+            balance are always refused; a supervisor can override these limits.
+          </Text>
+
+          <Text style={styles.label}>Per Transaction ({settings.currencySymbol})</Text>
+          <TextInput
+            style={styles.input}
+            value={offlineTransactionLimit}
+            onChangeText={setOfflineTransactionLimit}
+            onEndEditing={() => handleSaveLimit('offlineTransactionLimit', offlineTransactionLimit)}
+            placeholder="No limit"
+            keyboardType="decimal-pad"
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Spend per Customer Until Sync ({settings.currencySymbol})</Text>
+          <TextInput
+            style={styles.input}
+            value={offlineCustomerSpendLimit}
+            onChangeText={setOfflineCustomerSpendLimit}
+            onEndEditing={() => handleSaveLimit('offlineCustomerSpendLimit', offlineCustomerSpendLimit)}
+            placeholder="No limit"
+            keyboardType="decimal-pad"
+            editable={canEdit}
+          />
+
+          <Text style={styles.label}>Unsynced Total on Terminal ({settings.currencySymbol})</Text>
+          <TextInput
+            style={styles.input}
+            value={offlineTerminalLimit}
+            onChangeText={setOfflineTerminalLimit}
+            onEndEditing={() => handleSaveLimit('offlineTerminalLimit', offlineTerminalLimit)}
+            placeholder="No limit"
+            keyboardType="decimal-pad"
+            editable={canEdit}
+          />
+        </View>
+
+        {/* Stored Value */}
+        <Text style={styles.sectionTitle}>Stored Value Cards</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>Balance on Card</Text>
+              <Text style={styles.rowHint}>Keep a signed balance on each secure card and debit it on offline payments</Text>
+            </View>
+            <Switch
+              value={settings.storedValueEnabled}
+              onValueChange={handleToggleStoredValue}
+              disabled={!canEdit}
+            />
+          </View>
+
+          {hasPermission('apiSettings') && (
+            <>
+              <Text style={styles.label}>Stored Value Key</Text>
+              <TextInput
+                style={styles.input}
+                value={storedValueKey}
+                onChangeText={setStoredValueKey}
+                onEndEditing={handleSaveStoredValueKey}
+                placeholder="64 hex characters, the same on every terminal"
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+              />
+            </>
+          )}
+        </View>
+
+        {/* Card Authentication */}
+        <Text style={styles.sectionTitle}>Card Authentication</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>Secure Cards Only</Text>
+              <Text style={styles.rowHint}>Refuse cards without a valid NTAG 424 DNA secure message</Text>
+            </View>
+            <Switch
+              value={settings.strictCardAuth}
+              onValueChange={handleToggleStrictCardAuth}
+              disabled={!canEdit}
+            />
+          </View>
+
+          {hasPermission('apiSettings') && (
+            <>
+              <Text style={styles.label}>SDM Meta Read Key</Text>
+              <TextInput
+                style={styles.input}
+                value={sdmMetaReadKey}
+                onChangeText={setSdmMetaReadKey}
+                onEndEditing={() => handleSaveSdmKey('metaReadKey', sdmMetaReadKey, setSdmMetaReadKey)}
+                placeholder="32 hex characters"
+                autoCapitalize="characters"
+                autoCorrect={false}
+                secureTextEntry
+              />
+
+              <Text style={styles.label}>SDM File Read Key</Text>
+              <TextInput
+                style={styles.input}
+                value={sdmFileReadKey}
+                onChangeText={setSdmFileReadKey}
+                onEndEditing={() => handleSaveSdmKey('fileReadKey', sdmFileReadKey, setSdmFileReadKey)}
+                placeholder="32 hex characters"
+                autoCapitalize="characters"
+                autoCorrect={false}
+                secureTextEntry
+              />
+            </>
+          )}
+        </View>
+
+        {/* QR Payments */}
+        <Text style={styles.sectionTitle}>QR Payments</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>Accept QR Codes</Text>
+              <Text style={styles.rowHint}>Customers without their card can show a signed QR code instead</Text>
+            </View>
+            <Switch
+              value={settings.qrPaymentsEnabled}
+              onValueChange={handleToggleQrPayments}
+              disabled={!canEdit}
+            />
+          </View>
+
+          {hasPermission('apiSettings') && (
+            <>
+              <Text style={styles.label}>QR Issuer Public Key</Text>
+              <TextInput
+                style={styles.input}
+                value={qrPaymentPublicKey}
+                onChangeText={setQrPaymentPublicKey}
+                onEndEditing={handleSaveQrPaymentPublicKey}
+                placeholder="64 hex characters, Ed25519"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </>
+          )}
+        </View>
+
+        {/* Card Reader */}
+        <Text style={styles.sectionTitle}>Card Reader</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>Continuous Scan</Text>
+              <Text style={styles.rowHint}>Keep the scan screen listening for the next customer</Text>
+            </View>
+            <Switch
+              value={settings.continuousScan}
+              onValueChange={(value) => saveSetting({ continuousScan: value })}
+              disabled={!canEdit}
+            />
+          </View>
+
+          <Text style={styles.label}>Ignore Same Card For (seconds)</Text>
+          <TextInput
+            style={styles.input}
+            value={duplicateTapSeconds}
+            onChangeText={setDuplicateTapSeconds}
+            onEndEditing={handleSaveDuplicateTap}
+            placeholder="3"
+            keyboardType="number-pad"
+            editable={canEdit}
+          />
+
+          {__DEV__ && Platform.OS !== 'web' && (
+            <View style={styles.row}>
+              <View style={styles.rowText}>
+                <Text style={styles.rowLabel}>Simulated Reader</Text>
+                <Text style={styles.rowHint}>Tap virtual cards from an on-screen panel instead of the NFC reader</Text>
+              </View>
+              <Switch
+                value={settings.nfcSimulator}
+                onValueChange={(value) => saveSetting({ nfcSimulator: value })}
+                disabled={!canEdit}
+              />
+            </View>
+          )}
+        </View>
+
+        {/* Offline Data */}
+        <Text style={styles.sectionTitle}>Offline Data</Text>
+        <View style={styles.card}>
+          {cacheInfo ? (
+            <>
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>Cached Customers</Text>
+                <Text style={styles.infoValue}>{cacheInfo.customers}</Text>
+              </View>
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>Cached Transactions</Text>
+                <Text style={styles.infoValue}>{cacheInfo.transactions}</Text>
+              </View>
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>Unsynced Transactions</Text>
+                <Text style={[styles.infoValue, cacheInfo.pendingTransactions > 0 && styles.warningText]}>
+                  {cacheInfo.pendingTransactions}
+                </Text>
+              </View>
+              <TouchableOpacity style={styles.infoRow} onPress={() => navigation.navigate('Outbox')}>
+                <Text style={styles.infoLabel}>Sync Queue</Text>
+                <View style={styles.queueValue}>
+                  <Text style={[styles.infoValue, cacheInfo.failedChanges > 0 && styles.warningText]}>
+                    {cacheInfo.pendingChanges} waiting
+                    {cacheInfo.failedChanges > 0 ? `, ${cacheInfo.failedChanges} failed` : ''}
+                  </Text>
+                  <Ionicons name="chevron-forward" size={16} color="#999" />
+                </View>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.infoRow} onPress={() => navigation.navigate('Reconciliation')}>
+                <Text style={styles.infoLabel}>Balance Discrepancies</Text>
+                <View style={styles.queueValue}>
+                  <Text style={[styles.infoValue, cacheInfo.openDiscrepancies > 0 && styles.warningText]}>
+                    {cacheInfo.openDiscrepancies} to review
+                  </Text>
+                  <Ionicons name="chevron-forward" size={16} color="#999" />
+                </View>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.infoRow} onPress={handleCheckLedger}>
+                <Text style={styles.infoLabel}>Ledger</Text>
+                <View style={styles.queueValue}>
+                  <Text style={styles.infoValue}>{cacheInfo.ledgerEntries} entries, tap to check</Text>
+                  <Ionicons name="chevron-forward" size={16} color="#999" />
+                </View>
+              </TouchableOpacity>
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>Blocked Cards</Text>
+                <Text style={styles.infoValue}>{cacheInfo.blockedCards}</Text>
+              </View>
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>Storage Used</Text>
+                <Text style={styles.infoValue}>{formatBytes(cacheInfo.bytes)}</Text>
+              </View>
+            </>
+          ) : (
+            <ActivityIndicator size="small" color="#007AFF" />
+          )}
+
+          {hasPermission('clearOfflineData') && (
+            <TouchableOpacity
+              style={styles.clearButton}
+              onPress={handleClearOfflineData}
+              disabled={isClearing}
+            >
+              {isClearing ? (
+                <ActivityIndicator color="#fff" size="small" />
+              ) : (
+                <Text style={styles.clearButtonText}>Clear Offline Data</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* About */}
+        <Text style={styles.sectionTitle}>About</Text>
+        <View style={styles.card}>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>App Version</Text>
+            <Text style={styles.infoValue}>{Constants.expoConfig?.version || 'Unknown'}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Client API Version</Text>
+            <Text style={styles.infoValue}>{API_VERSION}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Server API Version</Text>
+            {isCheckingServer ? (
+              <ActivityIndicator size="small" color="#007AFF" />
+            ) : (
+              <Text
+                style={[
+                  styles.infoValue,
+                  serverVersion && serverVersion !== API_VERSION && styles.warningText,
+                ]}
+              >
+                {serverVersion || 'Unavailable'}
+              </Text>
+            )}
+          </View>
+          {serverVersion && serverVersion !== API_VERSION && (
+            <Text style={styles.warningText}>
+              Server and client API versions differ. Some features may not work as expected.
+            </Text>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#777',
+    textTransform: 'uppercase',
+    marginBottom: 8,
+    marginLeft: 4,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  operatorText: {
+    marginLeft: 12,
+  },
+  logoutText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  rowLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  rowHint: {
+    fontSize: 13,
+    color: '#777',
+  },
+  label: {
+    fontSize: 16,
+    marginTop: 8,
+    marginBottom: 5,
+    color: '#555',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  currencyContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  currencyButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  currencyButtonSelected: {
+    backgroundColor: '#007AFF',
+  },
+  currencyText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  currencyTextSelected: {
+    color: '#fff',
+  },
+  infoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  infoLabel: {
+    fontSize: 16,
+    color: '#555',
+  },
+  infoValue: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: 'bold',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#777',
+    marginBottom: 8,
+  },
+  queueValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  warningText: {
+    color: '#FF9500',
+    marginTop: 8,
+  },
+  clearButton: {
+    backgroundColor: '#FF3B30',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  clearButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,701 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  SectionList,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { customerAPI, transactionAPI } from '../api/api';
+import { getBalanceChange } from '../utils/balance-changes';
+import { hasPermission } from '../api/auth';
+import { getReversalSummary } from '../utils/refunds';
+import { getAdjustmentReasonLabel } from '../utils/adjustments';
+import { RECEIPT_TYPES, getReceiptForTransaction } from '../utils/receipts';
+import {
+  formatCurrency,
+  centsToAmount,
+  formatTime,
+  formatCardId,
+  normalizeCardId,
+  formatTransactionType,
+  formatTransactionStatus,
+} from '../utils/formatters';
+import {
+  isUnsynced,
+  indexTransactions,
+  filterTransactions,
+  getDailyTotals,
+  groupByDay,
+} from '../utils/transaction-filters';
+
+// Number of rows added each time the end of the list is reached
+const PAGE_SIZE = 50;
+
+// Delay before search text is applied
+const SEARCH_DEBOUNCE_MS = 300;
+
+const TYPE_OPTIONS = ['payment', 'reload', 'refund', 'void', 'adjustment'];
+const STATUS_OPTIONS = ['completed', 'pending', 'voided', 'failed', 'cancelled'];
+const DATE_RANGES = [
+  { value: 'all', label: 'All Time' },
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: '7 Days' },
+  { value: 'month', label: '30 Days' },
+  { value: 'custom', label: 'Custom' },
+];
+
+/**
+ * Parse a YYYY-MM-DD string into a local date
+ * @param {string} value - Date string
+ * @param {boolean} endOfDay - Whether to return the last millisecond of the day
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+const parseDateInput = (value, endOfDay) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (endOfDay) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Resolve a date range option into from/to dates
+ * @param {string} range - Date range option
+ * @param {string} customFrom - Custom start date (YYYY-MM-DD)
+ * @param {string} customTo - Custom end date (YYYY-MM-DD)
+ * @returns {{from: Date|null, to: Date|null}} Date bounds
+ */
+const getDateBounds = (range, customFrom, customTo) => {
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+
+  switch (range) {
+    case 'today':
+      return { from: startOfToday, to: null };
+    case 'week':
+      return { from: new Date(startOfToday.getTime() - 6 * 24 * 60 * 60 * 1000), to: null };
+    case 'month':
+      return { from: new Date(startOfToday.getTime() - 29 * 24 * 60 * 60 * 1000), to: null };
+    case 'custom':
+      return { from: parseDateInput(customFrom, false), to: parseDateInput(customTo, true) };
+    default:
+      return { from: null, to: null };
+  }
+};
+
+// Single transaction row, memoized so scrolling does not re-render visible rows
+const TransactionRow = React.memo(({ entry, onPress, onReceipt }) => {
+  const { transaction, customerName, reversals } = entry;
+  const unsynced = isUnsynced(transaction);
+  const summary = reversals.length > 0 ? getReversalSummary(transaction, reversals) : null;
+  let isDebit = false;
+  try {
+    isDebit = getBalanceChange(transaction) < 0;
+  } catch (error) {
+    // Unknown type, show as credit
+  }
+
+  return (
+    <TouchableOpacity
+      style={[styles.transactionItem, unsynced && styles.unsyncedItem]}
+      onPress={onPress ? () => onPress(transaction) : undefined}
+      disabled={!onPress}
+      activeOpacity={0.7}
+    >
+      <View style={styles.transactionHeader}>
+        <Text style={styles.transactionType}>{formatTransactionType(transaction.type)}</Text>
+        <Text style={[styles.transactionAmount, isDebit ? styles.debitAmount : styles.creditAmount]}>
+          {isDebit ? '-' : '+'}
+          {formatCurrency(centsToAmount(transaction.amount))}
+        </Text>
+      </View>
+
+      <Text style={styles.customerName} numberOfLines={1}>
+        {customerName || 'Unknown customer'}
+        {transaction.cardId ? `  •  ${formatCardId(transaction.cardId)}` : ''}
+      </Text>
+
+      <View style={styles.transactionDetails}>
+        <Text style={styles.transactionMeta} numberOfLines={1}>
+          {formatTime(transaction.createdAt)}  •  {transaction.transactionId}
+        </Text>
+        <Text style={styles.transactionStatus}>
+          {formatTransactionStatus(transaction.status)}
+        </Text>
+        {onReceipt && (
+          <TouchableOpacity style={styles.receiptButton} onPress={() => onReceipt(entry)}>
+            <Ionicons name="receipt-outline" size={18} color="#007AFF" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {transaction.originalTransactionId && (
+        <Text style={styles.transactionMeta} numberOfLines={1}>
+          {formatTransactionType(transaction.type)} of {transaction.originalTransactionId}
+        </Text>
+      )}
+
+      {transaction.reasonCode && (
+        <Text style={styles.transactionMeta} numberOfLines={2}>
+          {getAdjustmentReasonLabel(transaction.reasonCode)}: {transaction.note}
+          {transaction.approval ? `  •  approved by ${transaction.approval.approvedBy.username}` : ''}
+        </Text>
+      )}
+
+      {summary && (
+        <View style={styles.reversals}>
+          {reversals.map(reversal => (
+            <View key={reversal.transactionId} style={styles.reversalRow}>
+              <Ionicons name="return-down-forward" size={14} color="#777" />
+              <Text style={styles.reversalText} numberOfLines={1}>
+                {formatTransactionType(reversal.type)}  •  {formatTime(reversal.createdAt)}
+                {isUnsynced(reversal) ? '  •  not yet synced' : ''}
+              </Text>
+              <Text style={[styles.reversalAmount, styles.creditAmount]}>
+                +{formatCurrency(centsToAmount(reversal.amount))}
+              </Text>
+            </View>
+          ))}
+          <Text style={styles.reversalSummary}>
+            {summary.voided
+              ? 'Voided'
+              : `Refunded ${formatCurrency(centsToAmount(summary.refunded))}, ${formatCurrency(centsToAmount(summary.remaining))} left`}
+          </Text>
+        </View>
+      )}
+
+      {unsynced && (
+        <View style={styles.unsyncedBadge}>
+          <Ionicons name="cloud-offline-outline" size={14} color="#FF9500" />
+          <Text style={styles.unsyncedText}>
+            {transaction.syncError ? `Not synced: ${transaction.syncError}` : 'Offline - not yet synced'}
+          </Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+});
+
+export default function TransactionHistoryScreen({ navigation }) {
+  const canRefund = hasPermission('refund');
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [type, setType] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [dateRange, setDateRange] = useState('all');
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [cardId, setCardId] = useState('');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  // Reload transactions whenever the tab is focused
+  useFocusEffect(
+    useCallback(() => {
+      loadTransactions();
+    }, [])
+  );
+
+  // Debounce search input
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setSearch(searchInput), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [searchInput]);
+
+  // Start from the first page whenever filters change
+  useEffect(() => {
+    setVisibleCount(PAGE_SIZE);
+  }, [search, type, status, dateRange, customFrom, customTo, cardId]);
+
+  // Load transactions and customer names
+  const loadTransactions = async () => {
+    try {
+      const transactions = await transactionAPI.getAll();
+      const customers = await customerAPI.getAllOfflineCustomers();
+
+      const customerNames = {};
+      for (const customer of customers) {
+        customerNames[customer.id] = customer.name;
+      }
+
+      setEntries(indexTransactions(transactions, customerNames));
+    } catch (error) {
+      console.error('Failed to load transactions:', error);
+      Alert.alert('Error', 'Failed to load transactions');
+    } finally {
+      setIsLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  // Handle pull to refresh
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadTransactions();
+  };
+
+  // Apply filters to the full list
+  const filtered = useMemo(() => {
+    const { from, to } = getDateBounds(dateRange, customFrom, customTo);
+    return filterTransactions(entries, {
+      type,
+      status,
+      from,
+      to,
+      cardId: normalizeCardId(cardId),
+      search,
+    });
+  }, [entries, type, status, dateRange, customFrom, customTo, cardId, search]);
+
+  // Daily totals cover every matching row, not just the loaded page
+  const dailyTotals = useMemo(() => getDailyTotals(filtered), [filtered]);
+
+  // Only the visible page is grouped and rendered
+  const sections = useMemo(
+    () => groupByDay(filtered.slice(0, visibleCount), dailyTotals),
+    [filtered, visibleCount, dailyTotals]
+  );
+
+  const unsyncedCount = useMemo(
+    () => filtered.reduce((count, entry) => count + (isUnsynced(entry.transaction) ? 1 : 0), 0),
+    [filtered]
+  );
+
+  // Load the next page when the end of the list is reached
+  const handleEndReached = () => {
+    if (visibleCount < filtered.length) {
+      setVisibleCount(visibleCount + PAGE_SIZE);
+    }
+  };
+
+  // Open the refund screen for a payment
+  const handleOpenRefund = useCallback((transaction) => {
+    navigation.navigate('Refund', { transaction });
+  }, [navigation]);
+
+  // Reprint the receipt of a payment or reload
+  const handleOpenReceipt = useCallback(async ({ transaction, customerName }) => {
+    try {
+      const receipt = await getReceiptForTransaction(transaction, {
+        customer: customerName ? { name: customerName } : null,
+      });
+      navigation.navigate('Receipt', { receipt });
+    } catch (error) {
+      console.error('Failed to load receipt:', error);
+      Alert.alert('Error', 'Failed to load the receipt');
+    }
+  }, [navigation]);
+
+  // Clear all filters
+  const handleClearFilters = () => {
+    setSearchInput('');
+    setSearch('');
+    setType(null);
+    setStatus(null);
+    setDateRange('all');
+    setCustomFrom('');
+    setCustomTo('');
+    setCardId('');
+  };
+
+  const activeFilterCount = [type, status, dateRange !== 'all', cardId].filter(Boolean).length;
+
+  const renderChips = (options, selected, onSelect, getLabel) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      <TouchableOpacity
+        style={[styles.chip, !selected && styles.chipSelected]}
+        onPress={() => onSelect(null)}
+      >
+        <Text style={[styles.chipText, !selected && styles.chipTextSelected]}>All</Text>
+      </TouchableOpacity>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, selected === option && styles.chipSelected]}
+          onPress={() => onSelect(option)}
+        >
+          <Text style={[styles.chipText, selected === option && styles.chipTextSelected]}>
+            {getLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderSectionHeader = ({ section }) => (
+    <View style={styles.sectionHeader}>
+      <Text style={styles.sectionTitle}>{section.title}</Text>
+      <Text style={styles.sectionTotals}>
+        <Text style={styles.creditAmount}>+{formatCurrency(centsToAmount(section.totals.credits))}</Text>
+        {'  '}
+        <Text style={styles.debitAmount}>-{formatCurrency(centsToAmount(section.totals.debits))}</Text>
+      </Text>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+        <Text style={styles.loadingText}>Loading transactions...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Search */}
+      <View style={styles.searchBar}>
+        <Ionicons name="search" size={20} color="#777" />
+        <TextInput
+          style={styles.searchInput}
+          value={searchInput}
+          onChangeText={setSearchInput}
+          placeholder="Search customer name or transaction ID"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+        <TouchableOpacity onPress={() => setShowFilters(!showFilters)}>
+          <Ionicons
+            name={activeFilterCount > 0 ? 'filter' : 'filter-outline'}
+            size={22}
+            color="#007AFF"
+          />
+        </TouchableOpacity>
+      </View>
+
+      {/* Filters */}
+      {showFilters && (
+        <View style={styles.filtersContainer}>
+          <Text style={styles.filterLabel}>Type</Text>
+          {renderChips(TYPE_OPTIONS, type, setType, formatTransactionType)}
+
+          <Text style={styles.filterLabel}>Status</Text>
+          {renderChips(STATUS_OPTIONS, status, setStatus, formatTransactionStatus)}
+
+          <Text style={styles.filterLabel}>Date</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {DATE_RANGES.map((range) => (
+              <TouchableOpacity
+                key={range.value}
+                style={[styles.chip, dateRange === range.value && styles.chipSelected]}
+                onPress={() => setDateRange(range.value)}
+              >
+                <Text style={[styles.chipText, dateRange === range.value && styles.chipTextSelected]}>
+                  {range.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {dateRange === 'custom' && (
+            <View style={styles.dateInputs}>
+              <TextInput
+                style={[styles.input, styles.dateInput]}
+                value={customFrom}
+                onChangeText={setCustomFrom}
+                placeholder="From (YYYY-MM-DD)"
+                keyboardType="numbers-and-punctuation"
+              />
+              <TextInput
+                style={[styles.input, styles.dateInput]}
+                value={customTo}
+                onChangeText={setCustomTo}
+                placeholder="To (YYYY-MM-DD)"
+                keyboardType="numbers-and-punctuation"
+              />
+            </View>
+          )}
+
+          <Text style={styles.filterLabel}>Card ID</Text>
+          <TextInput
+            style={styles.input}
+            value={cardId}
+            onChangeText={setCardId}
+            placeholder="Card ID"
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+
+          <TouchableOpacity onPress={handleClearFilters}>
+            <Text style={styles.clearFiltersText}>Clear Filters</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Summary */}
+      <View style={styles.summaryBar}>
+        <Text style={styles.summaryText}>
+          {filtered.length} transaction{filtered.length === 1 ? '' : 's'}
+        </Text>
+        {unsyncedCount > 0 && (
+          <Text style={styles.summaryUnsynced}>{unsyncedCount} unsynced</Text>
+        )}
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(entry, index) => entry.transaction.transactionId || `row-${index}`}
+        renderItem={({ item }) => (
+          <TransactionRow
+            entry={item}
+            onPress={canRefund && item.transaction.type === 'payment' ? handleOpenRefund : null}
+            onReceipt={RECEIPT_TYPES.includes(item.transaction.type) ? handleOpenReceipt : null}
+          />
+        )}
+        renderSectionHeader={renderSectionHeader}
+        stickySectionHeadersEnabled
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={0.5}
+        initialNumToRender={20}
+        maxToRenderPerBatch={20}
+        windowSize={11}
+        removeClippedSubviews
+        refreshing={refreshing}
+        onRefresh={handleRefresh}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>No transactions found</Text>
+        }
+        ListFooterComponent={
+          visibleCount < filtered.length ? (
+            <ActivityIndicator size="small" color="#007AFF" style={styles.footerIndicator} />
+          ) : null
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#555',
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    margin: 12,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    fontSize: 16,
+  },
+  filtersContainer: {
+    backgroundColor: '#fff',
+    marginHorizontal: 12,
+    marginBottom: 8,
+    padding: 12,
+    borderRadius: 8,
+  },
+  filterLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#555',
+    marginTop: 6,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexGrow: 0,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginRight: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  chipTextSelected: {
+    color: '#fff',
+  },
+  dateInputs: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  dateInput: {
+    width: '48%',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+  },
+  clearFiltersText: {
+    color: '#FF3B30',
+    textAlign: 'center',
+    marginTop: 12,
+    fontSize: 14,
+  },
+  summaryBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#777',
+  },
+  summaryUnsynced: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#FF9500',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#e9ecef',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  sectionTotals: {
+    fontSize: 14,
+  },
+  transactionItem: {
+    backgroundColor: '#fff',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  unsyncedItem: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9500',
+    backgroundColor: '#fffaf0',
+  },
+  transactionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  transactionType: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  transactionAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  debitAmount: {
+    color: '#FF3B30',
+  },
+  creditAmount: {
+    color: '#34C759',
+  },
+  customerName: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 4,
+  },
+  transactionDetails: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  transactionMeta: {
+    flex: 1,
+    fontSize: 12,
+    color: '#777',
+    marginRight: 8,
+  },
+  transactionStatus: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  receiptButton: {
+    marginLeft: 12,
+  },
+  reversals: {
+    marginTop: 8,
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  reversalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  reversalText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#777',
+    marginLeft: 4,
+  },
+  reversalAmount: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  reversalSummary: {
+    fontSize: 12,
+    color: '#555',
+    marginTop: 2,
+  },
+  unsyncedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  unsyncedText: {
+    fontSize: 12,
+    color: '#FF9500',
+    marginLeft: 4,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#777',
+    textAlign: 'center',
+    marginVertical: 32,
+  },
+  footerIndicator: {
+    marginVertical: 16,
+  },
+});
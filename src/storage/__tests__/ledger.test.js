@@ -0,0 +1,78 @@
+import { offlineStore, setOfflineStoreBackend } from '../offline-store';
+import { createMemoryBackend } from '../backends';
+import {
+  ENTRY_TYPES,
+  customerAccount,
+  discrepancyAccount,
+  getAccountBalance,
+  postMovement,
+  syncCustomerAccount,
+  moveCustomerAccount,
+  checkLedgerIntegrity,
+} from '../ledger';
+
+const customer = { id: 1, name: 'Ana', balance: 1000 };
+
+/**
+ * Cache a customer record and account for its balance, as the API layer does
+ * @param {object} record - Customer record, balance in cents
+ * @returns {Promise<object|null>} Entry syncCustomerAccount posted
+ */
+const cacheCustomer = record => offlineStore.transaction(async (store) => {
+  await store.customers.put(record);
+  return syncCustomerAccount(store, record);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  setOfflineStoreBackend(createMemoryBackend());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('syncCustomerAccount', () => {
+  it('opens the account of a customer new to the ledger with the server balance', async () => {
+    const entry = await cacheCustomer(customer);
+
+    expect(entry.type).toBe(ENTRY_TYPES.OPENING);
+    expect(await getAccountBalance(offlineStore.collections, customerAccount(1))).toBe(1000);
+  });
+
+  it('posts nothing when local movements explain the server balance', async () => {
+    await cacheCustomer(customer);
+    await offlineStore.transaction(store => postMovement(store, { type: 'payment', customerId: 1, amount: -200 }));
+
+    expect(await cacheCustomer({ ...customer, balance: 800 })).toBeNull();
+  });
+
+  it('posts an unexplained difference as a discrepancy and leaves the customer account alone', async () => {
+    await cacheCustomer(customer);
+    await offlineStore.transaction(store => postMovement(store, { type: 'payment', customerId: 1, amount: -200 }));
+
+    const entry = await cacheCustomer({ ...customer, balance: 500 });
+    expect(entry.type).toBe(ENTRY_TYPES.DISCREPANCY);
+    expect(await getAccountBalance(offlineStore.collections, customerAccount(1))).toBe(800);
+    expect(await getAccountBalance(offlineStore.collections, discrepancyAccount(1))).toBe(-300);
+
+    // The same server balance again is already accounted for
+    expect(await cacheCustomer({ ...customer, balance: 500 })).toBeNull();
+
+    const result = await checkLedgerIntegrity(offlineStore.collections);
+    expect(result.ok).toBe(true);
+    expect(result.discrepancies).toEqual([{ customerId: 1, customerName: 'Ana', amount: -300 }]);
+  });
+});
+
+describe('moveCustomerAccount', () => {
+  it('moves the discrepancy account along with the customer account', async () => {
+    await cacheCustomer({ ...customer, id: 'offline-1' });
+    await cacheCustomer({ ...customer, id: 'offline-1', balance: 900 });
+
+    await offlineStore.transaction(store => moveCustomerAccount(store, 'offline-1', 1));
+    expect(await getAccountBalance(offlineStore.collections, customerAccount(1))).toBe(1000);
+    expect(await getAccountBalance(offlineStore.collections, discrepancyAccount(1))).toBe(-100);
+    expect(await getAccountBalance(offlineStore.collections, discrepancyAccount('offline-1'))).toBe(0);
+  });
+});
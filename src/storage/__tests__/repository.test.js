@@ -0,0 +1,266 @@
+import { createStore } from '../repository';
+import { createMemoryBackend } from '../backends';
+
+/**
+ * Wrap a memory backend to count the calls made to it
+ * @param {object} [initial] - Initial values by key
+ * @returns {object} Backend with a calls counter by method
+ */
+const createCountingBackend = (initial) => {
+  const backend = createMemoryBackend(initial);
+  const calls = { getAllKeys: 0, keysWritten: 0 };
+  return {
+    ...backend,
+    calls,
+    getAllKeys: () => {
+      calls.getAllKeys += 1;
+      return backend.getAllKeys();
+    },
+    multiSet: (pairs) => {
+      calls.keysWritten += pairs.length;
+      return backend.multiSet(pairs);
+    },
+  };
+};
+
+/**
+ * Create a store with a transactions collection, as the offline store has
+ * @param {object} backend - Storage backend
+ * @returns {{store: object, transactions: object}} Store and collection
+ */
+const createTestStore = (backend) => {
+  const store = createStore({ namespace: 'test', backend });
+  const transactions = store.collection('transactions', {
+    primaryKey: 'transactionId',
+    indexes: {
+      customerId: transaction => transaction.customerId,
+      status: transaction => transaction.status,
+      date: transaction => transaction.createdAt.slice(0, 10),
+    },
+    sort: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  });
+  return { store, transactions };
+};
+
+const makeTransaction = (number, changes = {}) => ({
+  transactionId: `tx-${number}`,
+  customerId: `c-${number % 10}`,
+  status: 'completed',
+  createdAt: new Date(Date.UTC(2026, 0, 1 + (number % 28), 0, 0, number % 60)).toISOString(),
+  amount: number,
+  ...changes,
+});
+
+describe('collections', () => {
+  it('finds records by index and moves them when the indexed value changes', async () => {
+    const { transactions } = createTestStore(createMemoryBackend());
+    await transactions.put(makeTransaction(1));
+    await transactions.put(makeTransaction(2, { status: 'pending' }));
+
+    expect((await transactions.findBy('status', 'completed')).map(t => t.transactionId)).toEqual(['tx-1']);
+
+    await transactions.update('tx-2', (transaction) => {
+      transaction.status = 'completed';
+    });
+    expect(await transactions.findBy('status', 'pending')).toEqual([]);
+    expect((await transactions.findBy('status', 'completed')).map(t => t.transactionId)).toEqual(['tx-1', 'tx-2']);
+    expect((await transactions.findOneBy('customerId', 'c-2')).amount).toBe(2);
+  });
+
+  it('treats numeric IDs and their strings as the same record', async () => {
+    const store = createStore({ namespace: 'test', backend: createMemoryBackend() });
+    const customers = store.collection('customers', { primaryKey: 'id', indexes: { cardId: c => c.cardId } });
+    await customers.put({ id: 7, cardId: 'AA' });
+    expect(await customers.get('7')).toEqual({ id: 7, cardId: 'AA' });
+
+    await customers.put({ id: 7, cardId: 'BB' });
+    expect(await customers.count()).toBe(1);
+    expect(await customers.findBy('cardId', 'AA')).toEqual([]);
+  });
+
+  it('moves a record whose primary key is changed by update', async () => {
+    const { transactions } = createTestStore(createMemoryBackend());
+    await transactions.put(makeTransaction(1, { transactionId: 'offline-1' }));
+    await transactions.update('offline-1', (transaction) => {
+      transaction.transactionId = 'server-1';
+    });
+
+    expect(await transactions.get('offline-1')).toBeNull();
+    expect((await transactions.findBy('customerId', 'c-1')).map(t => t.transactionId)).toEqual(['server-1']);
+  });
+
+  it('finds records in a range of index values', async () => {
+    const { transactions } = createTestStore(createMemoryBackend());
+    for (let number = 1; number <= 10; number++) {
+      await transactions.put(makeTransaction(number));
+    }
+
+    const found = await transactions.findInRange('date', '2026-01-03', '2026-01-05');
+    expect(found.map(t => t.transactionId)).toEqual(['tx-2', 'tx-3', 'tx-4']);
+  });
+
+  it('removes records with their index entries', async () => {
+    const backend = createMemoryBackend();
+    const { transactions } = createTestStore(backend);
+    await transactions.put(makeTransaction(1));
+    await transactions.put(makeTransaction(2));
+    await transactions.remove('tx-1');
+
+    expect(await transactions.count()).toBe(1);
+    expect(Object.keys(backend.dump()).filter(key => key.includes('tx-1'))).toEqual([]);
+
+    await transactions.clear();
+    expect(await transactions.getAll()).toEqual([]);
+    expect(Object.keys(backend.dump()).filter(key => key.startsWith('test:transactions:'))).toEqual([]);
+  });
+
+  it('writes only the new and changed records of a batch', async () => {
+    const { transactions } = createTestStore(createMemoryBackend());
+    expect(await transactions.putMany([makeTransaction(1), makeTransaction(2)])).toBe(2);
+    expect(await transactions.putMany([
+      makeTransaction(1),
+      makeTransaction(2, { status: 'voided' }),
+      makeTransaction(3),
+    ])).toBe(2);
+
+    expect((await transactions.findBy('status', 'voided')).map(t => t.transactionId)).toEqual(['tx-2']);
+    expect(await transactions.count()).toBe(3);
+  });
+
+  it('rejects lookups on an index the collection does not have', async () => {
+    const { transactions } = createTestStore(createMemoryBackend());
+    await expect(transactions.findBy('cardId', 'AA')).rejects.toThrow('no index "cardId"');
+  });
+});
+
+describe('transactions', () => {
+  it('see their own writes before committing them', async () => {
+    const { store } = createTestStore(createMemoryBackend());
+    const seen = await store.transaction(async ({ transactions }) => {
+      await transactions.put(makeTransaction(1));
+      await transactions.put(makeTransaction(2));
+      await transactions.remove('tx-1');
+      return {
+        count: await transactions.count(),
+        completed: (await transactions.findBy('status', 'completed')).map(t => t.transactionId),
+        days: (await transactions.findInRange('date')).length,
+      };
+    });
+
+    expect(seen).toEqual({ count: 1, completed: ['tx-2'], days: 1 });
+  });
+
+  it('write nothing when the function throws', async () => {
+    const backend = createMemoryBackend();
+    const { store, transactions } = createTestStore(backend);
+    await transactions.put(makeTransaction(1));
+    const before = backend.dump();
+
+    await expect(store.transaction(async (views) => {
+      await views.transactions.put(makeTransaction(2));
+      await views.transactions.remove('tx-1');
+      throw new Error('Declined');
+    })).rejects.toThrow('Declined');
+
+    expect(backend.dump()).toEqual(before);
+    expect(await transactions.count()).toBe(1);
+  });
+
+  it('run one at a time', async () => {
+    const store = createStore({ namespace: 'test', backend: createMemoryBackend() });
+    const counters = store.collection('counters', { primaryKey: 'name' });
+    await counters.put({ name: 'receipt', value: 0 });
+
+    await Promise.all(Array.from({ length: 20 }, () => store.transaction(async (views) => {
+      const counter = await views.counters.get('receipt');
+      await new Promise(resolve => setTimeout(resolve, 1));
+      await views.counters.put({ name: 'receipt', value: counter.value + 1 });
+    })));
+
+    expect((await counters.get('receipt')).value).toBe(20);
+  });
+
+  it('finish a commit cut short by the app being killed', async () => {
+    const journal = {
+      set: [
+        ['test:transactions:r:tx-1', JSON.stringify(makeTransaction(1))],
+        ['test:transactions:i:status:completed:tx-1', '"tx-1"'],
+      ],
+      remove: [],
+    };
+    const backend = createMemoryBackend({ 'test:journal': JSON.stringify(journal) });
+    const { transactions } = createTestStore(backend);
+
+    expect((await transactions.findBy('status', 'completed')).map(t => t.transactionId)).toEqual(['tx-1']);
+    expect(backend.dump()['test:journal']).toBeUndefined();
+  });
+});
+
+describe('storage layout', () => {
+  it('splits index lists written by older versions into one key per entry', async () => {
+    const backend = createMemoryBackend({
+      'test:transactions:r:tx-1': JSON.stringify(makeTransaction(1)),
+      'test:transactions:r:tx-2': JSON.stringify(makeTransaction(2)),
+      'test:transactions:i:status:completed': JSON.stringify(['tx-1', 'tx-2']),
+    });
+    const { transactions } = createTestStore(backend);
+
+    expect((await transactions.findBy('status', 'completed')).map(t => t.transactionId)).toEqual(['tx-1', 'tx-2']);
+    expect(Object.keys(backend.dump()).filter(key => key.includes(':i:status:'))).toEqual([
+      'test:transactions:i:status:completed:tx-1',
+      'test:transactions:i:status:completed:tx-2',
+    ]);
+  });
+
+  it('writes the same few keys per record however many records share an index value', async () => {
+    const backend = createCountingBackend();
+    const { transactions } = createTestStore(backend);
+    await transactions.replaceAll(Array.from({ length: 500 }, (_, number) => makeTransaction(number)));
+
+    const before = backend.calls.keysWritten;
+    await transactions.put(makeTransaction(1000));
+    // The record and its three index entries
+    expect(backend.calls.keysWritten - before).toBe(4);
+  });
+
+  it('scans the backend keys once, when the store is opened', async () => {
+    const backend = createCountingBackend();
+    const { transactions } = createTestStore(backend);
+    for (let number = 0; number < 20; number++) {
+      await transactions.put(makeTransaction(number));
+    }
+    await transactions.count();
+    await transactions.getAll();
+    await transactions.findInRange('date', '2026-01-01', '2026-01-10');
+    await transactions.findBy('customerId', 'c-1');
+
+    expect(backend.calls.getAllKeys).toBe(1);
+  });
+
+  it('writes nothing when a collection is replaced by the records it holds', async () => {
+    const backend = createCountingBackend();
+    const { transactions } = createTestStore(backend);
+    const records = Array.from({ length: 100 }, (_, number) => makeTransaction(number));
+    await transactions.replaceAll(records);
+
+    const before = backend.calls.keysWritten;
+    await transactions.replaceAll([...records.slice(1), makeTransaction(100)]);
+    // The new record and its index entries; the dropped one is removed, not written
+    expect(backend.calls.keysWritten - before).toBe(4);
+    expect(await transactions.get('tx-0')).toBeNull();
+  });
+
+  it('stays fast with tens of thousands of records', async () => {
+    const { transactions } = createTestStore(createMemoryBackend());
+    const records = Array.from({ length: 20000 }, (_, number) => makeTransaction(number));
+
+    const start = Date.now();
+    await transactions.replaceAll(records);
+    for (let number = 20000; number < 20100; number++) {
+      await transactions.put(makeTransaction(number));
+    }
+    expect(await transactions.count()).toBe(20100);
+    expect((await transactions.findBy('customerId', 'c-3')).length).toBe(2010);
+    expect(Date.now() - start).toBeLessThan(10000);
+  });
+});
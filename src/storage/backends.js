@@ -0,0 +1,60 @@
+/**
+ * Storage Backends
+ * Key-value stores the local repository can run on. Both take and return
+ * strings and follow the AsyncStorage method names.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Backend on the device's AsyncStorage
+ */
+export const asyncStorageBackend = {
+  name: 'asyncStorage',
+  getItem: key => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  removeItem: key => AsyncStorage.removeItem(key),
+  multiGet: keys => AsyncStorage.multiGet(keys),
+  multiSet: pairs => AsyncStorage.multiSet(pairs),
+  multiRemove: keys => AsyncStorage.multiRemove(keys),
+  getAllKeys: () => AsyncStorage.getAllKeys(),
+};
+
+/**
+ * Create a backend that keeps everything in memory
+ * Nothing survives a restart, meant for tests and the simulator
+ * @param {object} [initial={}] - Initial values by key
+ * @returns {object} Memory backend
+ */
+export const createMemoryBackend = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+
+  return {
+    name: 'memory',
+    getItem: async key => (data.has(key) ? data.get(key) : null),
+    setItem: async (key, value) => {
+      data.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      data.delete(key);
+    },
+    multiGet: async keys => keys.map(key => [key, data.has(key) ? data.get(key) : null]),
+    multiSet: async (pairs) => {
+      for (const [key, value] of pairs) {
+        data.set(key, String(value));
+      }
+    },
+    multiRemove: async (keys) => {
+      for (const key of keys) {
+        data.delete(key);
+      }
+    },
+    getAllKeys: async () => [...data.keys()],
+    // Copy of the stored values, for inspecting a test run
+    dump: () => Object.fromEntries(data),
+  };
+};
+
+export default {
+  asyncStorageBackend,
+  createMemoryBackend,
+};
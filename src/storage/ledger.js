@@ -0,0 +1,356 @@
+/**
+ * Ledger Module
+ * Double-entry journal of every balance movement on this terminal. Each
+ * journal entry has postings that add up to zero; a customer's balance is
+ * the sum of the postings on their account.
+ *
+ * Functions take the store collections to work on: views inside
+ * offlineStore.transaction so the postings are written together with the
+ * cached balance, or offlineStore.collections for reads.
+ */
+import 'react-native-get-random-values';
+import { v4 as uuidv4 } from 'uuid';
+
+// Accounts on the other side of customer postings
+export const LEDGER_ACCOUNTS = {
+  // Money taken in for reloads
+  FUNDING: 'funding',
+  // Value spent at the merchant, and given back by refunds
+  SALES: 'sales',
+  // Manual corrections
+  ADJUSTMENTS: 'adjustments',
+  // Balances taken from the server: opening balances and unexplained differences
+  SERVER: 'server',
+};
+
+// Journal entry types besides transaction types
+export const ENTRY_TYPES = {
+  OPENING: 'opening',
+  // Difference between the server balance and the local movements
+  DISCREPANCY: 'discrepancy',
+  // Posted by older versions, which moved differences straight onto the customer account
+  SERVER_SYNC: 'server_sync',
+  TRANSFER: 'transfer',
+};
+
+// Counter account for each transaction type
+const CONTRA_ACCOUNTS = {
+  payment: LEDGER_ACCOUNTS.SALES,
+  reload: LEDGER_ACCOUNTS.FUNDING,
+  refund: LEDGER_ACCOUNTS.SALES,
+  void: LEDGER_ACCOUNTS.SALES,
+  adjustment: LEDGER_ACCOUNTS.ADJUSTMENTS,
+  [ENTRY_TYPES.OPENING]: LEDGER_ACCOUNTS.SERVER,
+  [ENTRY_TYPES.SERVER_SYNC]: LEDGER_ACCOUNTS.SERVER,
+};
+
+/**
+ * A journal entry could not be posted
+ */
+export class LedgerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LedgerError';
+  }
+}
+
+/**
+ * Get the ledger account of a customer
+ * @param {number|string} customerId - Customer ID
+ * @returns {string} Account name
+ */
+export const customerAccount = customerId => `customer:${customerId}`;
+
+/**
+ * Get the account holding the part of a customer's server balance that no
+ * local movement explains, e.g. spending on another terminal
+ * @param {number|string} customerId - Customer ID
+ * @returns {string} Account name
+ */
+export const discrepancyAccount = customerId => `discrepancy:${customerId}`;
+
+/**
+ * Check that a journal entry can be posted
+ * @param {object} entry - Journal entry
+ */
+const assertBalanced = (entry) => {
+  if (!Array.isArray(entry.postings) || entry.postings.length < 2) {
+    throw new LedgerError('A journal entry needs at least two postings');
+  }
+
+  let total = 0;
+  for (const posting of entry.postings) {
+    if (!posting.account || !Number.isInteger(posting.amount)) {
+      throw new LedgerError('Postings need an account and an amount in whole cents');
+    }
+    total += posting.amount;
+  }
+
+  if (total !== 0) {
+    throw new LedgerError(`Journal entry is off by ${total} cents`);
+  }
+};
+
+/**
+ * Post a journal entry
+ * Entries with a key are posted once; posting the same key again returns the first entry
+ * @param {object} store - Collection views with journal and postings
+ * @param {object} entry - Entry to post
+ * @param {string} entry.type - Transaction or entry type
+ * @param {object[]} entry.postings - Postings as {account, amount} in cents, adding up to zero
+ * @param {string} [entry.key] - Idempotency key of the movement
+ * @param {string} [entry.transactionId] - Transaction the entry belongs to
+ * @param {string} [entry.description] - What happened
+ * @returns {Promise<object>} Posted entry
+ */
+export const postEntry = async (store, entry) => {
+  assertBalanced(entry);
+
+  if (entry.key) {
+    const existing = await store.journal.findOneBy('key', entry.key);
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const journalEntry = {
+    id: uuidv4(),
+    type: entry.type,
+    key: entry.key || null,
+    transactionId: entry.transactionId || null,
+    description: entry.description || null,
+    createdAt: entry.createdAt || new Date().toISOString(),
+    postings: entry.postings.map(({ account, amount }) => ({ account, amount })),
+  };
+
+  await store.journal.put(journalEntry);
+  for (const [index, posting] of journalEntry.postings.entries()) {
+    await store.postings.put({
+      id: `${journalEntry.id}:${index}`,
+      entryId: journalEntry.id,
+      account: posting.account,
+      amount: posting.amount,
+      createdAt: journalEntry.createdAt,
+    });
+  }
+
+  return journalEntry;
+};
+
+/**
+ * Post the movement a transaction causes on a customer balance
+ * @param {object} store - Collection views with journal and postings
+ * @param {object} movement - Balance movement
+ * @param {string} movement.type - Transaction type
+ * @param {number|string} movement.customerId - Customer ID
+ * @param {number} movement.amount - Signed balance change in cents
+ * @param {string} [movement.key] - Idempotency key of the transaction
+ * @param {string} [movement.transactionId] - Transaction ID
+ * @returns {Promise<object>} Posted entry
+ */
+export const postMovement = (store, { type, customerId, amount, key, transactionId, description }) => {
+  const contra = CONTRA_ACCOUNTS[type] || LEDGER_ACCOUNTS.ADJUSTMENTS;
+  return postEntry(store, {
+    type,
+    key,
+    transactionId,
+    description,
+    postings: [
+      { account: customerAccount(customerId), amount },
+      { account: contra, amount: -amount },
+    ],
+  });
+};
+
+/**
+ * Post a transfer of value between two customers
+ * @param {object} store - Collection views with journal and postings
+ * @param {object} transfer - Transfer
+ * @param {number|string} transfer.fromCustomerId - Customer giving the value
+ * @param {number|string} transfer.toCustomerId - Customer receiving the value
+ * @param {number} transfer.amount - Amount in cents
+ * @param {string} [transfer.key] - Idempotency key
+ * @param {string} [transfer.description] - What happened
+ * @returns {Promise<object>} Posted entry
+ */
+export const postTransfer = (store, { fromCustomerId, toCustomerId, amount, key, transactionId, description }) => {
+  if (!(amount > 0)) {
+    throw new LedgerError('Transfers need a positive amount');
+  }
+  return postEntry(store, {
+    type: ENTRY_TYPES.TRANSFER,
+    key,
+    transactionId,
+    description,
+    postings: [
+      { account: customerAccount(fromCustomerId), amount: -amount },
+      { account: customerAccount(toCustomerId), amount },
+    ],
+  });
+};
+
+/**
+ * Derive the balance of an account
+ * @param {object} store - Collections with postings
+ * @param {string} account - Account name
+ * @returns {Promise<number>} Balance in cents
+ */
+export const getAccountBalance = async (store, account) => {
+  const postings = await store.postings.findBy('account', account);
+  return postings.reduce((sum, posting) => sum + posting.amount, 0);
+};
+
+/**
+ * Get the journal entries that touch an account
+ * @param {object} store - Collections with journal and postings
+ * @param {string} account - Account name
+ * @returns {Promise<object[]>} Entries, newest first
+ */
+export const getAccountEntries = async (store, account) => {
+  const postings = await store.postings.findBy('account', account);
+  const entries = await store.journal.getMany([...new Set(postings.map(posting => posting.entryId))]);
+  return entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Account for the balance of a customer record from the server
+ * A customer new to the ledger gets an opening entry. After that the customer
+ * account holds only movements seen here; a server balance they do not explain
+ * is posted to the customer's discrepancy account instead, where it stays
+ * until reviewed, see checkLedgerIntegrity.
+ * @param {object} store - Collection views with journal and postings
+ * @param {object} customer - Customer record, balance in cents
+ * @returns {Promise<object|null>} Posted opening or discrepancy entry, or null if nothing differed
+ */
+export const syncCustomerAccount = async (store, customer) => {
+  if (!Number.isInteger(customer.balance)) return null;
+
+  const postings = [
+    ...await store.postings.findBy('account', customerAccount(customer.id)),
+    ...await store.postings.findBy('account', discrepancyAccount(customer.id)),
+  ];
+  const ledgerBalance = postings.reduce((sum, posting) => sum + posting.amount, 0);
+  const difference = customer.balance - ledgerBalance;
+  if (difference === 0) return null;
+
+  if (postings.length === 0) {
+    return postMovement(store, {
+      type: ENTRY_TYPES.OPENING,
+      customerId: customer.id,
+      amount: difference,
+      description: 'Opening balance',
+    });
+  }
+
+  console.log(`Server balance of customer ${customer.id} differs from the ledger by ${difference} cents`);
+  return postEntry(store, {
+    type: ENTRY_TYPES.DISCREPANCY,
+    description: `Server balance ${customer.balance} differs from the ledger balance ${ledgerBalance}`,
+    postings: [
+      { account: discrepancyAccount(customer.id), amount: difference },
+      { account: LEDGER_ACCOUNTS.SERVER, amount: -difference },
+    ],
+  });
+};
+
+/**
+ * Move everything on one customer account to another
+ * Used when a customer registered offline gets their server ID
+ * @param {object} store - Collection views with journal and postings
+ * @param {number|string} fromCustomerId - Old customer ID
+ * @param {number|string} toCustomerId - New customer ID
+ * @returns {Promise<object|null>} Posted entry, or null if the account was empty
+ */
+export const moveCustomerAccount = async (store, fromCustomerId, toCustomerId) => {
+  const balance = await getAccountBalance(store, customerAccount(fromCustomerId));
+  const discrepancy = await getAccountBalance(store, discrepancyAccount(fromCustomerId));
+  if (balance === 0 && discrepancy === 0) return null;
+
+  return postEntry(store, {
+    type: ENTRY_TYPES.TRANSFER,
+    description: `Customer ${fromCustomerId} registered as ${toCustomerId}`,
+    postings: [
+      { account: customerAccount(fromCustomerId), amount: -balance },
+      { account: customerAccount(toCustomerId), amount: balance },
+      { account: discrepancyAccount(fromCustomerId), amount: -discrepancy },
+      { account: discrepancyAccount(toCustomerId), amount: discrepancy },
+    ].filter(posting => posting.amount !== 0),
+  });
+};
+
+/**
+ * Check the ledger against itself and against the cached customer balances
+ * Cached balances are compared with the customer account plus its discrepancy
+ * account; what the discrepancy accounts hold is reported separately, as
+ * differences local movements do not explain.
+ * @param {object} store - Collections with customers, journal and postings
+ * @returns {Promise<{ok: boolean, entries: number, unbalancedEntries: string[], mismatches: object[], discrepancies: object[], checkedAt: string}>} Result
+ */
+export const checkLedgerIntegrity = async (store) => {
+  const [customers, entries, postings] = await Promise.all([
+    store.customers.getAll(),
+    store.journal.getAll(),
+    store.postings.getAll(),
+  ]);
+
+  // Every entry must add up to zero and have all its postings stored
+  const stored = {};
+  const balances = {};
+  for (const posting of postings) {
+    stored[posting.entryId] = (stored[posting.entryId] || 0) + 1;
+    balances[posting.account] = (balances[posting.account] || 0) + posting.amount;
+  }
+  const unbalancedEntries = entries
+    .filter(entry => entry.postings.reduce((sum, posting) => sum + posting.amount, 0) !== 0
+      || stored[entry.id] !== entry.postings.length)
+    .map(entry => entry.id);
+
+  // Every cached balance must match its accounts
+  const mismatches = [];
+  const discrepancies = [];
+  for (const customer of customers) {
+    const discrepancy = balances[discrepancyAccount(customer.id)] || 0;
+    const ledgerBalance = (balances[customerAccount(customer.id)] || 0) + discrepancy;
+    if (discrepancy !== 0) {
+      discrepancies.push({
+        customerId: customer.id,
+        customerName: customer.name || null,
+        amount: discrepancy,
+      });
+    }
+    if (customer.balance !== ledgerBalance) {
+      mismatches.push({
+        customerId: customer.id,
+        customerName: customer.name || null,
+        cachedBalance: customer.balance,
+        ledgerBalance,
+        difference: customer.balance - ledgerBalance,
+      });
+    }
+  }
+
+  return {
+    ok: unbalancedEntries.length === 0 && mismatches.length === 0,
+    entries: entries.length,
+    unbalancedEntries,
+    mismatches,
+    discrepancies,
+    checkedAt: new Date().toISOString(),
+  };
+};
+
+export default {
+  LEDGER_ACCOUNTS,
+  ENTRY_TYPES,
+  LedgerError,
+  customerAccount,
+  discrepancyAccount,
+  postEntry,
+  postMovement,
+  postTransfer,
+  getAccountBalance,
+  getAccountEntries,
+  syncCustomerAccount,
+  moveCustomerAccount,
+  checkLedgerIntegrity,
+};
@@ -0,0 +1,246 @@
+/**
+ * Offline Store
+ * Cached customers and transactions used while the terminal works offline
+ */
+import { createStore } from './repository';
+import { asyncStorageBackend } from './backends';
+import { syncCustomerAccount } from './ledger';
+
+// Whole-list keys used before the repository layer, migrated on first use
+const LEGACY_CUSTOMERS_KEY = 'offline_customers';
+const LEGACY_CUSTOMERS_BY_CARD_KEY = 'offline_customers_by_card';
+const LEGACY_TRANSACTIONS_KEY = 'offline_transactions';
+const LEGACY_OUTBOX_KEY = 'offline_outbox';
+const LEGACY_OUTBOX_ID_MAP_KEY = 'offline_outbox_id_map';
+const LEGACY_DISCREPANCIES_KEY = 'reconciliation_discrepancies';
+
+// Set once customers cached before the ledger existed have opening entries
+const LEDGER_OPENED_KEY = 'offline_store:ledger_opened';
+
+/**
+ * Day a transaction was created on, for the date index
+ * @param {object} transaction - Transaction
+ * @returns {string|null} Date as YYYY-MM-DD in UTC
+ */
+const getTransactionDay = (transaction) => {
+  const time = new Date(transaction.createdAt).getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+};
+
+/**
+ * Move the cached lists of older versions into the store
+ * @param {object} collections - Collection views
+ * @param {object} tx - Raw transaction
+ */
+const migrateLegacyLists = async (collections, tx) => {
+  const [[, customersStr], [, customersByCardStr], [, transactionsStr]] = await tx.readMany([
+    LEGACY_CUSTOMERS_KEY,
+    LEGACY_CUSTOMERS_BY_CARD_KEY,
+    LEGACY_TRANSACTIONS_KEY,
+  ]);
+  if (!customersStr && !customersByCardStr && !transactionsStr) {
+    return;
+  }
+
+  const customers = customersStr ? JSON.parse(customersStr) : [];
+  const transactions = transactionsStr ? JSON.parse(transactionsStr) : [];
+
+  // The card index duplicated the list, only customers missing from the list are kept
+  const listed = new Set(customers.map(customer => String(customer.id)));
+  const byCard = customersByCardStr ? Object.values(JSON.parse(customersByCardStr)) : [];
+  for (const customer of byCard) {
+    if (!listed.has(String(customer.id))) {
+      customers.push(customer);
+    }
+  }
+
+  for (const customer of customers) {
+    await collections.customers.put(customer);
+  }
+  for (const transaction of transactions) {
+    if (transaction.transactionId) {
+      await collections.transactions.put(transaction);
+    }
+  }
+
+  tx.remove(LEGACY_CUSTOMERS_KEY);
+  tx.remove(LEGACY_CUSTOMERS_BY_CARD_KEY);
+  tx.remove(LEGACY_TRANSACTIONS_KEY);
+  console.log(`Migrated ${customers.length} customers and ${transactions.length} transactions to the offline store`);
+};
+
+/**
+ * Move the outbox queue and ID map of older versions into the store
+ * @param {object} collections - Collection views
+ * @param {object} tx - Raw transaction
+ */
+const migrateLegacyOutbox = async (collections, tx) => {
+  const [[, entriesStr], [, idMapStr]] = await tx.readMany([LEGACY_OUTBOX_KEY, LEGACY_OUTBOX_ID_MAP_KEY]);
+  if (!entriesStr && !idMapStr) {
+    return;
+  }
+
+  const entries = entriesStr ? JSON.parse(entriesStr) : [];
+  const idMap = idMapStr ? JSON.parse(idMapStr) : {};
+  await collections.outbox.putMany(entries);
+  await collections.outboxIds.putMany(Object.entries(idMap).map(([tempId, id]) => ({ tempId, id })));
+
+  tx.remove(LEGACY_OUTBOX_KEY);
+  tx.remove(LEGACY_OUTBOX_ID_MAP_KEY);
+  console.log(`Migrated ${entries.length} outbox entries to the offline store`);
+};
+
+/**
+ * Move the balance discrepancies of older versions into the store
+ * @param {object} collections - Collection views
+ * @param {object} tx - Raw transaction
+ */
+const migrateLegacyDiscrepancies = async (collections, tx) => {
+  const discrepanciesStr = await tx.read(LEGACY_DISCREPANCIES_KEY);
+  if (!discrepanciesStr) {
+    return;
+  }
+
+  const discrepancies = JSON.parse(discrepanciesStr);
+  await collections.discrepancies.putMany(discrepancies);
+
+  tx.remove(LEGACY_DISCREPANCIES_KEY);
+  console.log(`Migrated ${discrepancies.length} balance discrepancies to the offline store`);
+};
+
+/**
+ * Give customers cached before the ledger existed an opening entry for their balance
+ * @param {object} collections - Collection views
+ * @param {object} tx - Raw transaction
+ */
+const openLedgerAccounts = async (collections, tx) => {
+  if (await tx.read(LEDGER_OPENED_KEY)) {
+    return;
+  }
+
+  for (const customer of await collections.customers.getAll()) {
+    await syncCustomerAccount(collections, customer);
+  }
+  tx.write(LEDGER_OPENED_KEY, 'true');
+};
+
+/**
+ * Bring data written by older versions up to date
+ * @param {object} collections - Collection views
+ * @param {object} tx - Raw transaction
+ */
+const upgradeStore = async (collections, tx) => {
+  await migrateLegacyLists(collections, tx);
+  await migrateLegacyOutbox(collections, tx);
+  await migrateLegacyDiscrepancies(collections, tx);
+  await openLedgerAccounts(collections, tx);
+};
+
+export const offlineStore = createStore({
+  namespace: 'offline_store',
+  backend: asyncStorageBackend,
+  onOpen: upgradeStore,
+});
+
+// Customers by ID, looked up by card
+export const customers = offlineStore.collection('customers', {
+  primaryKey: 'id',
+  indexes: {
+    cardId: customer => customer.cardId,
+  },
+});
+
+// Transactions by ID, looked up by customer, card, day, status and refunded payment, oldest first
+export const transactions = offlineStore.collection('transactions', {
+  primaryKey: 'transactionId',
+  indexes: {
+    customerId: transaction => transaction.customerId,
+    cardId: transaction => transaction.cardId,
+    date: getTransactionDay,
+    status: transaction => transaction.status,
+    originalTransactionId: transaction => transaction.originalTransactionId,
+  },
+  sort: (a, b) => (new Date(a.createdAt).getTime() || 0) - (new Date(b.createdAt).getTime() || 0),
+});
+
+// Ledger journal entries, looked up by idempotency key and transaction
+export const journal = offlineStore.collection('journal', {
+  primaryKey: 'id',
+  indexes: {
+    key: entry => entry.key,
+    transactionId: entry => entry.transactionId,
+  },
+  sort: (a, b) => (new Date(a.createdAt).getTime() || 0) - (new Date(b.createdAt).getTime() || 0),
+});
+
+// Ledger postings, looked up by account and entry
+export const postings = offlineStore.collection('postings', {
+  primaryKey: 'id',
+  indexes: {
+    account: posting => posting.account,
+    entryId: posting => posting.entryId,
+  },
+});
+
+// Last stored-value record seen on each card, to refuse older records copied back
+export const cards = offlineStore.collection('cards', {
+  primaryKey: 'cardId',
+});
+
+// Cards that must be refused, looked up by customer
+export const blocklist = offlineStore.collection('blocklist', {
+  primaryKey: 'cardId',
+  indexes: {
+    customerId: entry => entry.customerId,
+  },
+});
+
+// Nonces of the QR payment tokens accepted here, to refuse them when shown again
+export const qrTokens = offlineStore.collection('qrTokens', {
+  primaryKey: 'nonce',
+});
+
+// Mutations waiting to be sent to the server, in the order they were made
+export const outbox = offlineStore.collection('outbox', {
+  primaryKey: 'id',
+  indexes: {
+    status: entry => entry.status,
+  },
+  sort: (a, b) => a.seq - b.seq,
+});
+
+// Server IDs of records created offline, by temporary ID
+export const outboxIds = offlineStore.collection('outboxIds', {
+  primaryKey: 'tempId',
+});
+
+// Balances that differed from the server after a sync, looked up by status, newest first
+export const discrepancies = offlineStore.collection('discrepancies', {
+  primaryKey: 'id',
+  indexes: {
+    status: discrepancy => (discrepancy.acknowledgedAt ? 'acknowledged' : 'open'),
+  },
+  sort: (a, b) => (new Date(b.detectedAt).getTime() || 0) - (new Date(a.detectedAt).getTime() || 0),
+});
+
+/**
+ * Run the offline store on another backend, e.g. createMemoryBackend() in tests
+ * @param {object} backend - Storage backend
+ * @returns {Promise<void>}
+ */
+export const setOfflineStoreBackend = backend => offlineStore.setBackend(backend);
+
+export default {
+  offlineStore,
+  customers,
+  transactions,
+  journal,
+  postings,
+  cards,
+  blocklist,
+  qrTokens,
+  outbox,
+  outboxIds,
+  discrepancies,
+  setOfflineStoreBackend,
+};
@@ -0,0 +1,42 @@
+/**
+ * Receipt Store
+ * Receipts issued on this terminal, kept apart from the offline store so
+ * clearing offline data neither loses them nor restarts their numbering
+ */
+import { createStore } from './repository';
+import { asyncStorageBackend } from './backends';
+
+export const receiptStore = createStore({
+  namespace: 'receipt_store',
+  backend: asyncStorageBackend,
+});
+
+// Receipts by number, looked up by transaction ID and by idempotency key,
+// which stays the same when an offline transaction gets its server ID
+export const receipts = receiptStore.collection('receipts', {
+  primaryKey: 'receiptNumber',
+  indexes: {
+    transactionId: receipt => receipt.transactionId,
+    idempotencyKey: receipt => receipt.idempotencyKey,
+  },
+  sort: (a, b) => a.sequence - b.sequence,
+});
+
+// Last number handed out per sequence
+export const sequences = receiptStore.collection('sequences', {
+  primaryKey: 'name',
+});
+
+/**
+ * Run the receipt store on another backend, e.g. createMemoryBackend() in tests
+ * @param {object} backend - Storage backend
+ * @returns {Promise<void>}
+ */
+export const setReceiptStoreBackend = backend => receiptStore.setBackend(backend);
+
+export default {
+  receiptStore,
+  receipts,
+  sequences,
+  setReceiptStoreBackend,
+};
@@ -0,0 +1,788 @@
+/**
+ * Local Repository Module
+ * Stores each record under its own key with one key per index entry, so a
+ * write touches a handful of small keys instead of rewriting one large JSON
+ * array, however many records share an index value.
+ *
+ * Key layout inside a store namespace:
+ *   <namespace>:<collection>:r:<id>                    record
+ *   <namespace>:<collection>:i:<index>:<value>:<id>    index entry of a record
+ *   <namespace>:journal                                writes of a commit in progress
+ *
+ * The keys of each collection are listed once, when the store is opened, and
+ * kept in memory as commits change them. Counts and lookups by index read
+ * that list instead of scanning every key in the backend.
+ *
+ * All writes go through store.transaction, which runs one at a time and commits
+ * its changes together. Multi-key commits are journaled first so a commit cut
+ * short by the app being killed is finished the next time the store is used.
+ */
+
+/**
+ * Encode a value for use inside a key
+ * encodeURIComponent leaves no ':' in the result, so key parts split cleanly
+ * @param {any} value - ID or index value
+ * @returns {string} Encoded value
+ */
+const encodeKeyPart = value => encodeURIComponent(String(value));
+
+/**
+ * Parse a stored value
+ * @param {string|null} value - Stored string
+ * @returns {any} Parsed value, or null
+ */
+const parse = value => (value === null || value === undefined ? null : JSON.parse(value));
+
+// Shared empty list for lookups that match nothing
+const NO_IDS = new Set();
+
+/**
+ * Create the keys used by a collection
+ * IDs are kept encoded, as they appear in keys
+ * @param {string} namespace - Store namespace
+ * @param {string} name - Collection name
+ * @returns {object} Key helpers
+ */
+const createKeys = (namespace, name) => {
+  const base = `${namespace}:${name}:`;
+  return {
+    records: `${base}r:`,
+    record: id => `${base}r:${encodeKeyPart(id)}`,
+    recordOf: encodedId => `${base}r:${encodedId}`,
+    indexPrefix: index => `${base}i:${index}:`,
+    indexValuePrefix: (index, value) => `${base}i:${index}:${encodeKeyPart(value)}:`,
+    indexEntry: (index, value, id) => `${base}i:${index}:${encodeKeyPart(value)}:${encodeKeyPart(id)}`,
+  };
+};
+
+/**
+ * Work out what a key holds
+ * @param {string} prefix - Store namespace followed by ':'
+ * @param {string} key - Key
+ * @returns {object|null} Collection, kind ('record', 'index' or 'legacyIndex'),
+ *   encoded ID and index name and value; null for keys outside collections
+ */
+const parseKey = (prefix, key) => {
+  if (!key.startsWith(prefix)) return null;
+  const parts = key.slice(prefix.length).split(':');
+  const [collection, kind] = parts;
+
+  if (kind === 'r' && parts.length === 3) {
+    return { collection, kind: 'record', id: parts[2] };
+  }
+  if (kind === 'i' && parts.length === 5) {
+    return { collection, kind: 'index', index: parts[2], value: decodeURIComponent(parts[3]), id: parts[4] };
+  }
+  // Older versions kept every ID of an index value in one JSON array
+  if (kind === 'i' && parts.length === 4) {
+    return { collection, kind: 'legacyIndex', index: parts[2], value: decodeURIComponent(parts[3]) };
+  }
+  return null;
+};
+
+/**
+ * Create the in-memory list of a store's keys, grouped by collection
+ * @param {string} namespace - Store namespace
+ * @returns {object} Catalog
+ */
+const createCatalog = (namespace) => {
+  const prefix = `${namespace}:`;
+  // Collection name to { records: Set of IDs, indexes: Map of index to Map of value to Set of IDs }
+  const byCollection = new Map();
+
+  const entryFor = (name) => {
+    if (!byCollection.has(name)) {
+      byCollection.set(name, { records: new Set(), indexes: new Map() });
+    }
+    return byCollection.get(name);
+  };
+
+  const valuesFor = (name, index) => {
+    const { indexes } = entryFor(name);
+    if (!indexes.has(index)) {
+      indexes.set(index, new Map());
+    }
+    return indexes.get(index);
+  };
+
+  return {
+    parse: key => parseKey(prefix, key),
+
+    /**
+     * Note that a key was written
+     * @param {string} key - Key
+     */
+    add(key) {
+      const parsed = parseKey(prefix, key);
+      if (!parsed) return;
+      if (parsed.kind === 'record') {
+        entryFor(parsed.collection).records.add(parsed.id);
+      } else if (parsed.kind === 'index') {
+        const values = valuesFor(parsed.collection, parsed.index);
+        if (!values.has(parsed.value)) {
+          values.set(parsed.value, new Set());
+        }
+        values.get(parsed.value).add(parsed.id);
+      }
+    },
+
+    /**
+     * Note that a key was removed
+     * @param {string} key - Key
+     */
+    delete(key) {
+      const parsed = parseKey(prefix, key);
+      if (!parsed) return;
+      if (parsed.kind === 'record') {
+        entryFor(parsed.collection).records.delete(parsed.id);
+      } else if (parsed.kind === 'index') {
+        const values = valuesFor(parsed.collection, parsed.index);
+        const ids = values.get(parsed.value);
+        if (ids) {
+          ids.delete(parsed.id);
+          if (ids.size === 0) values.delete(parsed.value);
+        }
+      }
+    },
+
+    recordIds: name => entryFor(name).records,
+    indexIds: (name, index, value) => valuesFor(name, index).get(value) || NO_IDS,
+    indexValues: (name, index) => [...valuesFor(name, index).keys()],
+    indexNames: name => [...entryFor(name).indexes.keys()],
+
+    clear: () => byCollection.clear(),
+  };
+};
+
+/**
+ * Apply a transaction's staged writes to IDs listed under a key prefix
+ * @param {Set<string>} ids - Encoded IDs in the catalog
+ * @param {Map} staged - Staged writes, null for removals
+ * @param {string} keyPrefix - Prefix the ID follows
+ * @returns {Set<string>} Encoded IDs as the transaction sees them
+ */
+const overlayStaged = (ids, staged, keyPrefix) => {
+  let result = ids;
+  for (const [key, value] of staged) {
+    if (!key.startsWith(keyPrefix)) continue;
+    const id = key.slice(keyPrefix.length);
+    if (id.includes(':')) continue;
+    if (result === ids) result = new Set(ids);
+    if (value === null) {
+      result.delete(id);
+    } else {
+      result.add(id);
+    }
+  }
+  return result;
+};
+
+/**
+ * Get the values a record is indexed under
+ * @param {object} definition - Collection definition
+ * @param {object|null} record - Record
+ * @returns {object} Index value by index name, missing values are null
+ */
+const getIndexValues = (definition, record) => {
+  const values = {};
+  for (const [index, getValue] of Object.entries(definition.indexes)) {
+    const value = record ? getValue(record) : null;
+    values[index] = value === undefined || value === null || value === '' ? null : String(value);
+  }
+  return values;
+};
+
+/**
+ * Create a view of a collection over a key reader, and writer when in a transaction
+ * @param {object} definition - Collection definition
+ * @param {object} io - Key access: read, readMany, recordIds, indexIds, indexValues,
+ *   and write and remove for transactions
+ * @returns {object} Collection view
+ */
+const createCollectionView = (definition, io) => {
+  const { name, keys } = definition;
+  const sortRecords = records => (definition.sort ? records.sort(definition.sort) : records);
+
+  /**
+   * Read records by encoded ID
+   * @param {Iterable<string>} encodedIds - Encoded IDs
+   * @returns {Promise<object[]>} Records, sorted
+   */
+  const readRecords = async (encodedIds) => {
+    const recordKeys = Array.from(encodedIds, keys.recordOf);
+    if (recordKeys.length === 0) return [];
+    const entries = await io.readMany(recordKeys);
+    return sortRecords(entries.map(([, value]) => parse(value)).filter(Boolean));
+  };
+
+  const view = {
+    /**
+     * Get a record by ID
+     * @param {any} id - Record ID, numbers and numeric strings are the same ID
+     * @returns {Promise<object|null>} Record
+     */
+    async get(id) {
+      if (id === undefined || id === null) return null;
+      return parse(await io.read(keys.record(id)));
+    },
+
+    /**
+     * Get several records by ID, skipping missing ones
+     * @param {any[]} ids - Record IDs
+     * @returns {Promise<object[]>} Records
+     */
+    async getMany(ids) {
+      return readRecords(ids.map(encodeKeyPart));
+    },
+
+    /**
+     * Get every record
+     * @returns {Promise<object[]>} Records
+     */
+    async getAll() {
+      return readRecords(io.recordIds(name, keys));
+    },
+
+    /**
+     * Count the records
+     * @returns {Promise<number>} Number of records
+     */
+    async count() {
+      return io.recordIds(name, keys).size;
+    },
+
+    /**
+     * Get the records with a value in an index
+     * @param {string} index - Index name
+     * @param {any} value - Value to look up
+     * @returns {Promise<object[]>} Matching records
+     */
+    async findBy(index, value) {
+      assertIndex(definition, index);
+      if (value === undefined || value === null || value === '') return [];
+      return readRecords(io.indexIds(name, keys, index, String(value)));
+    },
+
+    /**
+     * Get the first record with a value in an index
+     * @param {string} index - Index name
+     * @param {any} value - Value to look up
+     * @returns {Promise<object|null>} Matching record
+     */
+    async findOneBy(index, value) {
+      const records = await view.findBy(index, value);
+      return records[0] || null;
+    },
+
+    /**
+     * Get the records whose index value lies in a range, compared as strings
+     * @param {string} index - Index name
+     * @param {string} [from] - Lowest value (inclusive)
+     * @param {string} [to] - Highest value (inclusive)
+     * @returns {Promise<object[]>} Matching records
+     */
+    async findInRange(index, from, to) {
+      assertIndex(definition, index);
+      const ids = new Set();
+      for (const value of io.indexValues(name, keys, index)) {
+        if ((from === undefined || from === null || value >= from)
+          && (to === undefined || to === null || value <= to)) {
+          io.indexIds(name, keys, index, value).forEach(id => ids.add(id));
+        }
+      }
+      return readRecords(ids);
+    },
+  };
+
+  if (!io.write) {
+    return view;
+  }
+
+  /**
+   * Add or remove the index entry of a record
+   * @param {string} index - Index name
+   * @param {string|null} value - Index value
+   * @param {any} id - Record ID
+   * @param {boolean} present - Whether the entry should exist
+   */
+  const setIndexEntry = (index, value, id, present) => {
+    if (value === null) return;
+    const key = keys.indexEntry(index, value, id);
+    if (present) {
+      io.write(key, JSON.stringify(id));
+    } else {
+      io.remove(key);
+    }
+  };
+
+  /**
+   * Stage a record and its index entries
+   * @param {object} record - Record with its primary key set
+   * @param {string|null} stored - What is stored under its ID now
+   * @returns {string} Serialized record
+   */
+  const writeRecord = (record, stored) => {
+    const id = record[definition.primaryKey];
+    const serialized = JSON.stringify(record);
+    if (stored === serialized) {
+      return serialized;
+    }
+
+    const previous = parse(stored);
+    const oldValues = getIndexValues(definition, previous);
+    const newValues = getIndexValues(definition, record);
+    for (const index of Object.keys(definition.indexes)) {
+      if (previous && oldValues[index] !== newValues[index]) {
+        setIndexEntry(index, oldValues[index], previous[definition.primaryKey], false);
+      }
+      if (!previous || oldValues[index] !== newValues[index]) {
+        setIndexEntry(index, newValues[index], id, true);
+      }
+    }
+
+    io.write(keys.record(id), serialized);
+    return serialized;
+  };
+
+  /**
+   * Throw if a record has no primary key
+   * @param {object} record - Record
+   */
+  const assertPrimaryKey = (record) => {
+    const id = record[definition.primaryKey];
+    if (id === undefined || id === null) {
+      throw new Error(`Cannot store a ${definition.name} record without ${definition.primaryKey}`);
+    }
+  };
+
+  return Object.assign(view, {
+    /**
+     * Add or replace a record
+     * Writes nothing when the record is unchanged
+     * @param {object} record - Record with its primary key set
+     * @returns {Promise<object>} Stored record
+     */
+    async put(record) {
+      assertPrimaryKey(record);
+      writeRecord(record, await io.read(keys.record(record[definition.primaryKey])));
+      return record;
+    },
+
+    /**
+     * Add or replace several records, reading what is stored in one go
+     * Only new and changed records are written
+     * @param {object[]} records - Records with their primary keys set
+     * @returns {Promise<number>} Number of records written
+     */
+    async putMany(records) {
+      records.forEach(assertPrimaryKey);
+      const recordKeys = records.map(record => keys.record(record[definition.primaryKey]));
+      const stored = new Map(recordKeys.length > 0 ? await io.readMany(recordKeys) : []);
+
+      let written = 0;
+      records.forEach((record, position) => {
+        const key = recordKeys[position];
+        const serialized = writeRecord(record, stored.get(key));
+        if (stored.get(key) !== serialized) {
+          written += 1;
+          stored.set(key, serialized);
+        }
+      });
+      return written;
+    },
+
+    /**
+     * Change a record in place
+     * The change may set a new primary key, the record then moves to it
+     * @param {any} id - Record ID
+     * @param {Function} change - Receives the record and changes it
+     * @returns {Promise<object|null>} Updated record, or null if there is none
+     */
+    async update(id, change) {
+      const record = await view.get(id);
+      if (!record) return null;
+
+      await change(record);
+      if (String(record[definition.primaryKey]) !== String(id)) {
+        await view.remove(id);
+      }
+      return view.put(record);
+    },
+
+    /**
+     * Remove a record
+     * @param {any} id - Record ID
+     * @returns {Promise<boolean>} Whether there was a record
+     */
+    async remove(id) {
+      const previous = await view.get(id);
+      if (!previous) return false;
+
+      const oldValues = getIndexValues(definition, previous);
+      for (const index of Object.keys(definition.indexes)) {
+        setIndexEntry(index, oldValues[index], previous[definition.primaryKey], false);
+      }
+      io.remove(keys.record(id));
+      return true;
+    },
+
+    /**
+     * Remove every record and index entry of the collection
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      for (const id of [...io.recordIds(name, keys)]) {
+        io.remove(keys.recordOf(id));
+      }
+      for (const index of new Set([...Object.keys(definition.indexes), ...io.indexNames(name)])) {
+        for (const value of io.indexValues(name, keys, index)) {
+          for (const id of [...io.indexIds(name, keys, index, value)]) {
+            io.remove(`${keys.indexValuePrefix(index, value)}${id}`);
+          }
+        }
+      }
+    },
+
+    /**
+     * Replace the whole collection
+     * Records that are unchanged are left alone, so replacing a collection
+     * with nearly the same records writes only the differences
+     * @param {object[]} records - New records
+     * @returns {Promise<void>}
+     */
+    async replaceAll(records) {
+      const kept = new Set(records.map(record => encodeKeyPart(record[definition.primaryKey])));
+      for (const id of [...io.recordIds(name, keys)]) {
+        if (!kept.has(id)) {
+          await view.remove(decodeURIComponent(id));
+        }
+      }
+      await view.putMany(records);
+    },
+  });
+};
+
+/**
+ * Throw if a collection has no such index
+ * @param {object} definition - Collection definition
+ * @param {string} index - Index name
+ */
+const assertIndex = (definition, index) => {
+  if (!definition.indexes[index]) {
+    throw new Error(`${definition.name} has no index "${index}"`);
+  }
+};
+
+/**
+ * Create a store of collections on a storage backend
+ * @param {object} options - Store options
+ * @param {string} options.namespace - Prefix of every key the store writes
+ * @param {object} options.backend - Storage backend, see ./backends
+ * @param {Function} [options.onOpen] - Runs once before first use with (collections, tx),
+ *   for migrating older data; its writes are committed together
+ * @returns {object} Store
+ */
+export const createStore = ({ namespace, backend, onOpen }) => {
+  const journalKey = `${namespace}:journal`;
+  const definitions = {};
+  const collections = {};
+  let currentBackend = backend;
+  let lock = Promise.resolve();
+  let openPromise = null;
+
+  /**
+   * Run a function once every earlier transaction has finished
+   * @param {Function} fn - Function to run
+   * @returns {Promise<any>} Result of fn
+   */
+  const withLock = (fn) => {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => {});
+    return run;
+  };
+
+  const catalog = createCatalog(namespace);
+
+  /**
+   * List the keys that start with a prefix
+   * Scans every key in the backend, only used when opening the store
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<string[]>} Matching keys
+   */
+  const listKeys = async prefix => (await currentBackend.getAllKeys()).filter(key => key.startsWith(prefix));
+
+  /**
+   * Create key access that sees the catalog with staged writes on top
+   * @param {Map} staged - Staged writes, null for removals; empty outside transactions
+   * @returns {object} Catalog lookups for collection views
+   */
+  const createLookups = staged => ({
+    recordIds: (name, keys) => overlayStaged(catalog.recordIds(name), staged, keys.records),
+    indexIds: (name, keys, index, value) =>
+      overlayStaged(catalog.indexIds(name, index, value), staged, keys.indexValuePrefix(index, value)),
+    // Indexes with entries, including ones older versions defined
+    indexNames: name => catalog.indexNames(name),
+    indexValues: (name, keys, index) => {
+      const values = new Set(catalog.indexValues(name, index));
+      const prefix = keys.indexPrefix(index);
+      for (const key of staged.keys()) {
+        if (!key.startsWith(prefix)) continue;
+        const parsed = catalog.parse(key);
+        if (parsed && parsed.kind === 'index') values.add(parsed.value);
+      }
+      return values;
+    },
+  });
+
+  // Key access outside transactions, sees committed data only
+  const reader = {
+    read: key => currentBackend.getItem(key),
+    readMany: keys => currentBackend.multiGet(keys),
+    ...createLookups(new Map()),
+  };
+
+  /**
+   * Start a transaction: writes are staged and read back until commit
+   * @returns {object} Transaction key access
+   */
+  const createTransaction = () => {
+    const staged = new Map();
+
+    return {
+      staged,
+      read: async key => (staged.has(key) ? staged.get(key) : currentBackend.getItem(key)),
+      readMany: async (keys) => {
+        const missing = keys.filter(key => !staged.has(key));
+        const stored = new Map(missing.length > 0 ? await currentBackend.multiGet(missing) : []);
+        return keys.map(key => [key, staged.has(key) ? staged.get(key) : stored.get(key)]);
+      },
+      ...createLookups(staged),
+      write: (key, value) => {
+        staged.set(key, value);
+      },
+      remove: (key) => {
+        staged.set(key, null);
+      },
+    };
+  };
+
+  /**
+   * Apply journaled writes
+   * @param {object} journal - Keys to set and remove
+   */
+  const applyWrites = async ({ set, remove }) => {
+    if (set.length > 0) {
+      await currentBackend.multiSet(set);
+    }
+    if (remove.length > 0) {
+      await currentBackend.multiRemove(remove);
+    }
+  };
+
+  /**
+   * Write a transaction's staged changes
+   * @param {object} tx - Transaction from createTransaction
+   */
+  const commit = async (tx) => {
+    const set = [];
+    const remove = [];
+    for (const [key, value] of tx.staged) {
+      if (value === null) {
+        remove.push(key);
+      } else {
+        set.push([key, value]);
+      }
+    }
+
+    if (set.length + remove.length === 0) return;
+    if (set.length + remove.length === 1) {
+      await applyWrites({ set, remove });
+    } else {
+      await currentBackend.setItem(journalKey, JSON.stringify({ set, remove }));
+      await applyWrites({ set, remove });
+      await currentBackend.removeItem(journalKey);
+    }
+
+    set.forEach(([key]) => catalog.add(key));
+    remove.forEach(key => catalog.delete(key));
+  };
+
+  /**
+   * Collection views for a transaction
+   * @param {object} io - Key access
+   * @returns {object} View by collection name
+   */
+  const createViews = (io) => {
+    const views = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+      views[name] = createCollectionView(definition, io);
+    }
+    return views;
+  };
+
+  /**
+   * List the store's keys in the catalog, splitting index arrays of older versions
+   * into one key per entry
+   * @returns {Promise<void>}
+   */
+  const loadCatalog = async () => {
+    catalog.clear();
+    const legacyKeys = [];
+    for (const key of await listKeys(`${namespace}:`)) {
+      const parsed = catalog.parse(key);
+      if (parsed && parsed.kind === 'legacyIndex') {
+        legacyKeys.push(key);
+      } else {
+        catalog.add(key);
+      }
+    }
+    if (legacyKeys.length === 0) return;
+
+    const tx = createTransaction();
+    for (const [key, value] of await currentBackend.multiGet(legacyKeys)) {
+      const { collection, index, value: indexValue } = catalog.parse(key);
+      const keys = createKeys(namespace, collection);
+      for (const id of parse(value) || []) {
+        tx.write(keys.indexEntry(index, indexValue, id), JSON.stringify(id));
+      }
+      tx.remove(key);
+    }
+    await commit(tx);
+    console.log(`Split ${legacyKeys.length} index lists in the ${namespace} store`);
+  };
+
+  /**
+   * Finish an interrupted commit, list the keys and run onOpen, once
+   * @returns {Promise<void>}
+   */
+  const open = () => {
+    if (!openPromise) {
+      openPromise = (async () => {
+        const journal = parse(await currentBackend.getItem(journalKey));
+        if (journal) {
+          console.log(`Finishing interrupted ${namespace} store commit`);
+          await applyWrites(journal);
+          await currentBackend.removeItem(journalKey);
+        }
+
+        await loadCatalog();
+
+        if (onOpen) {
+          const tx = createTransaction();
+          await onOpen(createViews(tx), tx);
+          await commit(tx);
+        }
+      })().catch((error) => {
+        // Try again on next use
+        openPromise = null;
+        throw error;
+      });
+    }
+    return openPromise;
+  };
+
+  /**
+   * Run a function with write access to every collection
+   * Transactions run one at a time; nothing is written if the function throws.
+   * The function must not start another transaction, it would wait forever.
+   * @param {Function} fn - Receives the collection views and the raw transaction
+   * @returns {Promise<any>} Result of fn
+   */
+  const transaction = fn => withLock(async () => {
+    await open();
+    const tx = createTransaction();
+    const result = await fn(createViews(tx), tx);
+    await commit(tx);
+    return result;
+  });
+
+  /**
+   * Define a collection
+   * @param {string} name - Collection name
+   * @param {object} options - Collection options
+   * @param {string} options.primaryKey - Field holding the record ID
+   * @param {object} [options.indexes={}] - Functions returning the value to index a record under, by index name
+   * @param {Function} [options.sort] - Compare function for returned lists
+   * @returns {object} Collection: reads run directly, writes each in their own transaction
+   */
+  const collection = (name, { primaryKey, indexes = {}, sort }) => {
+    definitions[name] = {
+      name,
+      primaryKey,
+      indexes,
+      sort,
+      keys: createKeys(namespace, name),
+    };
+
+    const directRead = method => async (...args) => {
+      await open();
+      return createCollectionView(definitions[name], reader)[method](...args);
+    };
+    const write = method => (...args) => transaction(views => views[name][method](...args));
+
+    collections[name] = {
+      get: directRead('get'),
+      getMany: directRead('getMany'),
+      getAll: directRead('getAll'),
+      count: directRead('count'),
+      findBy: directRead('findBy'),
+      findOneBy: directRead('findOneBy'),
+      findInRange: directRead('findInRange'),
+      put: write('put'),
+      putMany: write('putMany'),
+      update: write('update'),
+      remove: write('remove'),
+      clear: write('clear'),
+      replaceAll: write('replaceAll'),
+    };
+    return collections[name];
+  };
+
+  return {
+    namespace,
+    collection,
+    transaction,
+    // Defined collections by name, for functions that take collection views
+    collections,
+
+    /**
+     * Count the keys and characters the store holds
+     * @returns {Promise<{keys: number, bytes: number}>} Store size
+     */
+    async getStats() {
+      await open();
+      const keys = await listKeys(`${namespace}:`);
+      const entries = keys.length > 0 ? await currentBackend.multiGet(keys) : [];
+      return {
+        keys: keys.length,
+        bytes: entries.reduce((sum, [key, value]) => sum + key.length + (value ? value.length : 0), 0),
+      };
+    },
+
+    /**
+     * Remove everything in the store
+     * @returns {Promise<void>}
+     */
+    clear: () => transaction(async (views) => {
+      for (const view of Object.values(views)) {
+        await view.clear();
+      }
+    }),
+
+    /**
+     * Switch to another backend, e.g. an in-memory one in tests
+     * @param {object} nextBackend - Storage backend
+     * @returns {Promise<void>} Resolves once running transactions have finished
+     */
+    setBackend: nextBackend => withLock(async () => {
+      currentBackend = nextBackend;
+      openPromise = null;
+    }),
+
+    getBackend: () => currentBackend,
+  };
+};
+
+export default {
+  createStore,
+};
@@ -0,0 +1,157 @@
+import { Ndef, NfcTech } from 'react-native-nfc-manager';
+import { createSimulatedNfcProvider, SAMPLE_CARDS } from '../nfc-providers';
+import {
+  setNfcProvider,
+  initNfcManager,
+  readNfcTag,
+  writeNfcTag,
+  withTagSession,
+  registerTagEvent,
+} from '../nfc-manager';
+import { updateSettings } from '../settings';
+import { CardAuthError, setSdmKey } from '../card-auth';
+import { setOfflineStoreBackend } from '../../storage/offline-store';
+import { createMemoryBackend } from '../../storage/backends';
+
+const SECURE_CARD = SAMPLE_CARDS.find(card => card.label === 'NTAG 424 DNA secure card');
+const CLASSIC_CARD = SAMPLE_CARDS.find(card => card.label === 'Blank MIFARE Classic 1K');
+const READ_ONLY_CARD = SAMPLE_CARDS.find(card => card.label === 'ISO 15693 label, read-only');
+
+/**
+ * Run the NFC manager on a simulated reader
+ * @param {object} [options] - Simulator options
+ * @returns {Promise<object>} Simulated provider
+ */
+const useSimulator = async (options) => {
+  const simulator = createSimulatedNfcProvider(options);
+  setNfcProvider(simulator);
+  await initNfcManager();
+  return simulator;
+};
+
+const getText = card => Ndef.text.decodePayload(Uint8Array.from(card.records[0].payload));
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setOfflineStoreBackend(createMemoryBackend());
+  await updateSettings({ strictCardAuth: false });
+  await setSdmKey('metaReadKey', '');
+  await setSdmKey('fileReadKey', '');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('simulated reader', () => {
+  it('reads the scripted cards in turn', async () => {
+    await useSimulator({ script: ['04A1B2C3D4E580', CLASSIC_CARD] });
+
+    const sticker = await readNfcTag();
+    expect(sticker).toMatchObject({ uid: '04A1B2C3D4E580', ndef: true, ndefCapacity: 492, writable: true });
+
+    const classic = await readNfcTag();
+    expect(classic).toMatchObject({ uid: 'A1B2C3D4', ndef: false, writable: true });
+    expect(classic.techs).toContain('mifare-classic');
+  });
+
+  it('keeps what was written to a card for its next tap', async () => {
+    const simulator = await useSimulator({ script: ['04A1B2C3D4E580'] });
+    expect(await writeNfcTag('customer:42')).toBe(true);
+    expect(getText(simulator.getCard('04A1B2C3D4E580'))).toBe('customer:42');
+
+    simulator.tap('04a1b2c3d4e580');
+    const tag = await readNfcTag();
+    expect(tag.uid).toBe('04A1B2C3D4E580');
+    expect(getText(simulator.getCard(tag.uid))).toBe('customer:42');
+  });
+
+  it('formats a blank card on its first write', async () => {
+    const simulator = await useSimulator({ script: [CLASSIC_CARD] });
+
+    expect(await writeNfcTag('customer:7')).toBe(true);
+    const card = simulator.getCard(CLASSIC_CARD.uid);
+    expect(card.techs).toContain(NfcTech.Ndef);
+    expect(card.techs).not.toContain(NfcTech.NdefFormatable);
+    expect(getText(card)).toBe('customer:7');
+  });
+
+  it('leaves a card as it was when it is lost mid-write', async () => {
+    const simulator = await useSimulator({ script: [{ uid: '04A1B2C3D4E580', failOn: 'write' }] });
+
+    expect(await writeNfcTag('customer:42')).toBe(false);
+    expect(simulator.getCard('04A1B2C3D4E580').records).toEqual([]);
+  });
+
+  it('refuses to write a read-only card', async () => {
+    const simulator = await useSimulator({ script: [READ_ONLY_CARD] });
+
+    expect(await writeNfcTag('customer:42')).toBe(false);
+    expect(getText(simulator.getCard(READ_ONLY_CARD.uid))).toBe('Library label');
+  });
+
+  it('gives nothing back for a read error or a reader giving up', async () => {
+    await useSimulator({ script: [{ error: 'Transceive failed' }, { timeout: true, afterMs: 0 }] });
+
+    expect(await readNfcTag()).toBeNull();
+    expect(await readNfcTag()).toBeNull();
+  });
+
+  it('fails a waiting read when NFC is turned off', async () => {
+    const simulator = await useSimulator();
+    const read = readNfcTag();
+    simulator.setEnabled(false);
+
+    expect(await read).toBeNull();
+    expect(simulator.getState()).toMatchObject({ enabled: false, waiting: null });
+  });
+
+  it('reports taps to discovery and ends it on an error', async () => {
+    const simulator = await useSimulator();
+    const tags = [];
+    const closed = jest.fn();
+    const stop = await registerTagEvent(tag => tags.push(tag), closed);
+
+    simulator.play(['04A1B2C3D4E580', { error: 'Session invalidated' }]);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    stop();
+
+    expect(tags.map(tag => tag.uid)).toEqual(['04A1B2C3D4E580']);
+    expect(closed).toHaveBeenCalledWith(expect.objectContaining({ message: 'Session invalidated' }));
+    expect(simulator.getState().waiting).toBeNull();
+  });
+});
+
+describe('simulated secure card', () => {
+  beforeEach(async () => {
+    await updateSettings({ strictCardAuth: true });
+    await setSdmKey('metaReadKey', '0'.repeat(32));
+    await setSdmKey('fileReadKey', '0'.repeat(32));
+  });
+
+  it('authenticates with all-zero SDM keys, once', async () => {
+    await useSimulator({ script: [SECURE_CARD, SECURE_CARD.uid] });
+
+    const tag = await readNfcTag();
+    expect(tag.uid).toBe(SECURE_CARD.uid);
+    expect(tag.auth).toMatchObject({ authenticated: true, readCounter: 61 });
+
+    // The simulated card mirrors the same message on every tap, like a copy would
+    await expect(readNfcTag()).rejects.toBeInstanceOf(CardAuthError);
+  });
+
+  it('keeps its secure message when a session writes other records', async () => {
+    const simulator = await useSimulator({ script: [SECURE_CARD] });
+
+    const payloads = await withTagSession(async (session) => {
+      await session.writeExternal('nfcpay.app:sv', [Uint8Array.from([1, 2, 3])]);
+      return session.readExternal('nfcpay.app:sv');
+    });
+
+    expect(payloads.map(payload => Array.from(payload))).toEqual([[1, 2, 3]]);
+    const card = simulator.getCard(SECURE_CARD.uid);
+    expect(card.records).toHaveLength(2);
+    expect(Ndef.uri.decodePayload(Uint8Array.from(card.records[0].payload))).toContain('cmac=94EED9EE65337086');
+  });
+});
@@ -0,0 +1,20 @@
+import { getLegacyTagUid, getTagUid } from '../nfc-tag';
+
+describe('tag UIDs', () => {
+  it('are the hex ID the NFC manager reports', () => {
+    expect(getTagUid({ id: '04a1b2c3d4e580' })).toBe('04A1B2C3D4E580');
+    expect(getTagUid({ id: [0x04, 0xa1, 0xb2, 0xc3] })).toBe('04A1B2C3');
+  });
+
+  it('map to the IDs older versions got by reading them as base64', () => {
+    // As Buffer.from(uid, 'base64').toString('hex') gives them
+    expect(getLegacyTagUid('04A1B2C3')).toBe('D380350760B7');
+    expect(getLegacyTagUid('04A1B2C3D4E580')).toBe('D380350760B70F8139F3');
+    expect(getLegacyTagUid('E004010012345678')).toBe('134D38D35D34D76DF8E7AEFC');
+  });
+
+  it('have no legacy ID when they are not hex', () => {
+    expect(getLegacyTagUid(null)).toBeNull();
+    expect(getLegacyTagUid('04:A1')).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+import { bytesToHex, hexToBytes, aesEncryptBlock, aesDecryptBlock, aesCmac } from '../crypto';
+import { decryptPiccData, deriveSdmMacKey, verifySunMessage, SunError } from '../ntag424';
+
+// FIPS-197 appendix C.1
+const AES_VECTOR = {
+  key: '000102030405060708090a0b0c0d0e0f',
+  plaintext: '00112233445566778899aabbccddeeff',
+  ciphertext: '69c4e0d86a7b0430d8cdb78070b4c55a',
+};
+
+// RFC 4493 section 4, examples 1 to 4
+const CMAC_KEY = '2b7e151628aed2a6abf7158809cf4f3c';
+const CMAC_VECTORS = [
+  { message: '', mac: 'bb1d6929e95937287fa37d129b756746' },
+  { message: '6bc1bee22e409f96e93d7e117393172a', mac: '070a16b46b4d4144f79bdd9dd04a287c' },
+  {
+    message: '6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411',
+    mac: 'dfa66747de9ae63030ca32611497c827',
+  },
+  {
+    message: '6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51'
+      + '30c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710',
+    mac: '51f0bebf7e3b9d92fc49741779363cfe',
+  },
+];
+
+// NXP AN12196 section 3.4
+const SUN_KEYS = {
+  metaReadKey: '00000000000000000000000000000000',
+  fileReadKey: '00000000000000000000000000000000',
+};
+const SUN_MESSAGE = { piccData: 'EF963FF7828658A599F3041510671E88', cmac: '94EED9EE65337086' };
+const SUN_SESSION_KEY = '3fb5f6e3a807a03d5e3570ace393776f';
+const SUN_UID = '04DE5F1EACC040';
+const SUN_READ_COUNTER = 61;
+
+const OTHER_KEY = '0102030405060708090a0b0c0d0e0f10';
+
+describe('AES-128', () => {
+  it('encrypts and decrypts the FIPS-197 example', () => {
+    const key = hexToBytes(AES_VECTOR.key);
+    expect(bytesToHex(aesEncryptBlock(key, hexToBytes(AES_VECTOR.plaintext)))).toBe(AES_VECTOR.ciphertext);
+    expect(bytesToHex(aesDecryptBlock(key, hexToBytes(AES_VECTOR.ciphertext)))).toBe(AES_VECTOR.plaintext);
+  });
+});
+
+describe('AES-CMAC', () => {
+  it.each(CMAC_VECTORS.map((vector, index) => [index + 1, vector]))('matches RFC 4493 example %i', (number, vector) => {
+    expect(bytesToHex(aesCmac(hexToBytes(CMAC_KEY), hexToBytes(vector.message)))).toBe(vector.mac);
+  });
+});
+
+describe('SUN messages', () => {
+  it('decrypt to the UID and read counter of the AN12196 example', () => {
+    const picc = decryptPiccData(hexToBytes(SUN_KEYS.metaReadKey), hexToBytes(SUN_MESSAGE.piccData));
+    expect(bytesToHex(picc.uid).toUpperCase()).toBe(SUN_UID);
+    expect(picc.readCounter).toBe(SUN_READ_COUNTER);
+    expect(bytesToHex(deriveSdmMacKey(hexToBytes(SUN_KEYS.fileReadKey), picc.uid, picc.counter))).toBe(SUN_SESSION_KEY);
+  });
+
+  it('verify with the right keys', () => {
+    expect(verifySunMessage(SUN_MESSAGE, SUN_KEYS)).toEqual({ uid: SUN_UID, readCounter: SUN_READ_COUNTER });
+  });
+
+  it('are refused with a tampered CMAC', () => {
+    expect(() => verifySunMessage({ ...SUN_MESSAGE, cmac: '94EED9EE65337087' }, SUN_KEYS)).toThrow(SunError);
+  });
+
+  it('are refused with tampered PICCData', () => {
+    expect(() => verifySunMessage({ ...SUN_MESSAGE, piccData: 'EF963FF7828658A599F3041510671E89' }, SUN_KEYS))
+      .toThrow(SunError);
+  });
+
+  it('are refused with the wrong meta read key', () => {
+    expect(() => verifySunMessage(SUN_MESSAGE, { ...SUN_KEYS, metaReadKey: OTHER_KEY })).toThrow(SunError);
+  });
+
+  it('are refused with the wrong file read key', () => {
+    expect(() => verifySunMessage(SUN_MESSAGE, { ...SUN_KEYS, fileReadKey: OTHER_KEY })).toThrow(SunError);
+  });
+
+  it('are refused when malformed', () => {
+    expect(() => verifySunMessage({ piccData: 'EF96', cmac: SUN_MESSAGE.cmac }, SUN_KEYS)).toThrow(SunError);
+  });
+});
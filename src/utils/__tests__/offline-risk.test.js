@@ -0,0 +1,131 @@
+import { evaluateOfflineRisk, OfflineRiskError, RISK_RULES } from '../offline-risk';
+
+const SETTINGS = {
+  offlineTransactionLimit: 500,
+  offlineCustomerSpendLimit: 1000,
+  offlineTerminalLimit: 10000,
+};
+
+const NO_LIMITS = {
+  offlineTransactionLimit: 0,
+  offlineCustomerSpendLimit: 0,
+  offlineTerminalLimit: 0,
+};
+
+/**
+ * Build a cached transaction recorded offline and not synced yet
+ * @param {object} fields - Transaction fields, amount in cents
+ * @returns {object} Transaction
+ */
+const offline = fields => ({ customerId: 1, offlineCreated: true, synced: false, status: 'pending', ...fields });
+
+/**
+ * Check a payment by customer 1
+ * @param {number} amount - Amount in cents
+ * @param {object} [inputs] - Inputs to replace
+ * @returns {object[]} Violations
+ */
+const checkPayment = (amount, inputs = {}) => evaluateOfflineRisk({
+  transaction: { type: 'payment', customerId: 1, amount },
+  balanceChange: -amount,
+  customer: { id: 1, balance: 500000 },
+  transactions: [],
+  settings: SETTINGS,
+  ...inputs,
+});
+
+const rulesOf = violations => violations.map(violation => violation.rule);
+
+describe('offline risk', () => {
+  it('lets a payment within every limit through', () => {
+    expect(checkPayment(10000)).toEqual([]);
+  });
+
+  it('refuses a debit below zero, and no supervisor can override it', () => {
+    const violations = checkPayment(10000, { customer: { id: 1, balance: 5000 }, settings: NO_LIMITS });
+
+    expect(violations).toEqual([expect.objectContaining({ rule: RISK_RULES.NEGATIVE_BALANCE, overridable: false })]);
+  });
+
+  it('refuses a debit when the balance is not known offline', () => {
+    const violations = checkPayment(100, { customer: null, settings: NO_LIMITS });
+
+    expect(violations).toEqual([expect.objectContaining({ rule: RISK_RULES.UNKNOWN_BALANCE, overridable: false })]);
+  });
+
+  it('takes credits whatever the balance', () => {
+    const violations = evaluateOfflineRisk({
+      transaction: { type: 'reload', customerId: 1, amount: 10000 },
+      balanceChange: 10000,
+      customer: null,
+      transactions: [],
+      settings: SETTINGS,
+    });
+
+    expect(violations).toEqual([]);
+  });
+
+  it('limits a single transaction', () => {
+    expect(rulesOf(checkPayment(50000))).toEqual([]);
+    expect(checkPayment(50001)).toEqual([
+      expect.objectContaining({ rule: RISK_RULES.TRANSACTION_LIMIT, overridable: true }),
+    ]);
+  });
+
+  it('limits what a customer spends until the next sync', () => {
+    const transactions = [
+      offline({ type: 'payment', amount: 40000 }),
+      offline({ type: 'payment', amount: 40000 }),
+      // Synced, another customer's, failed and credits do not count
+      offline({ type: 'payment', amount: 40000, synced: true }),
+      offline({ type: 'payment', amount: 40000, customerId: 2 }),
+      offline({ type: 'payment', amount: 40000, status: 'failed' }),
+      offline({ type: 'reload', amount: 40000 }),
+    ];
+
+    expect(rulesOf(checkPayment(20000, { transactions }))).toEqual([]);
+    expect(checkPayment(20001, { transactions })).toEqual([
+      expect.objectContaining({ rule: RISK_RULES.CUSTOMER_SPEND_LIMIT, overridable: true }),
+    ]);
+  });
+
+  it('counts debit adjustments towards what a customer spends', () => {
+    const transactions = [
+      offline({ type: 'adjustment', direction: 'debit', amount: 45000 }),
+      offline({ type: 'adjustment', direction: 'debit', amount: 45000 }),
+      offline({ type: 'adjustment', direction: 'credit', amount: 45000 }),
+    ];
+
+    expect(rulesOf(checkPayment(20000, { transactions }))).toEqual([RISK_RULES.CUSTOMER_SPEND_LIMIT]);
+
+    // A debit adjustment is held to the limit itself
+    const violations = evaluateOfflineRisk({
+      transaction: { type: 'adjustment', direction: 'debit', customerId: 1, amount: 20000 },
+      balanceChange: -20000,
+      customer: { id: 1, balance: 500000 },
+      transactions,
+      settings: SETTINGS,
+    });
+    expect(rulesOf(violations)).toEqual([RISK_RULES.CUSTOMER_SPEND_LIMIT]);
+  });
+
+  it('limits the value this terminal holds unsynced, credits included', () => {
+    const transactions = [
+      offline({ type: 'reload', amount: 50000, customerId: 2 }),
+      ...Array.from({ length: 18 }, (_, index) => offline({ type: 'payment', amount: 50000, customerId: 10 + index })),
+    ];
+
+    expect(rulesOf(checkPayment(50000, { transactions }))).toEqual([]);
+    expect(rulesOf(checkPayment(50000, { transactions: [...transactions, offline({ type: 'refund', amount: 1, customerId: 3 })] })))
+      .toEqual([RISK_RULES.TERMINAL_LIMIT]);
+  });
+
+  it('lists every rule that failed, and a hard rule makes them all final', () => {
+    const violations = checkPayment(60000, { customer: { id: 1, balance: 100 } });
+
+    expect(rulesOf(violations)).toEqual([RISK_RULES.NEGATIVE_BALANCE, RISK_RULES.TRANSACTION_LIMIT]);
+    expect(violations.find(violation => violation.rule === RISK_RULES.TRANSACTION_LIMIT).overridable).toBe(true);
+    expect(new OfflineRiskError(violations).overridable).toBe(false);
+    expect(new OfflineRiskError(checkPayment(60000)).overridable).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+import nacl from 'tweetnacl';
+import { setOfflineStoreBackend } from '../../storage/offline-store';
+import { createMemoryBackend } from '../../storage/backends';
+import { updateSettings } from '../settings';
+import { bytesToHex, utf8ToBytes } from '../crypto';
+import {
+  acceptQrPaymentToken,
+  consumeQrPaymentToken,
+  verifyQrPaymentToken,
+  QrPaymentError,
+} from '../qr-payment';
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+const issuer = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(7));
+const publicKey = bytesToHex(issuer.publicKey);
+
+/**
+ * Mint a token as the issuer does; terminals cannot, they have no private key
+ * @param {object} [options] - Token fields to change
+ * @returns {string} Token
+ */
+const mintToken = ({
+  accountRef = '1',
+  issuedAt = Math.floor(NOW / 1000),
+  ttlSeconds = 60,
+  nonce = 'ab'.repeat(16),
+  secretKey = issuer.secretKey,
+} = {}) => {
+  const payload = ['NFCPAY', '2', encodeURIComponent(accountRef), issuedAt, issuedAt + ttlSeconds, nonce].join(':');
+  return `${payload}:${bytesToHex(nacl.sign.detached(utf8ToBytes(payload), secretKey))}`;
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  setOfflineStoreBackend(createMemoryBackend());
+  await updateSettings({ qrPaymentsEnabled: true, qrPaymentPublicKey: publicKey });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('QR payment tokens', () => {
+  it('verify with the issuer public key', () => {
+    expect(verifyQrPaymentToken(mintToken({ accountRef: 'C-7' }), publicKey, NOW)).toMatchObject({
+      accountRef: 'C-7',
+      nonce: 'ab'.repeat(16),
+    });
+  });
+
+  it('are refused when altered or signed with another key', () => {
+    const altered = mintToken().replace('NFCPAY:2:1:', 'NFCPAY:2:2:');
+    const forged = mintToken({ secretKey: nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(8)).secretKey });
+
+    for (const token of [altered, forged]) {
+      expect(() => verifyQrPaymentToken(token, publicKey, NOW)).toThrow(QrPaymentError);
+    }
+  });
+
+  it('are refused once expired', () => {
+    expect(() => verifyQrPaymentToken(mintToken(), publicKey, NOW + 120000))
+      .toThrow(expect.objectContaining({ code: 'expired' }));
+  });
+
+  it('can be shown again until a payment spends them', async () => {
+    const text = mintToken();
+    const token = await acceptQrPaymentToken(text, NOW);
+    await acceptQrPaymentToken(text, NOW);
+
+    await consumeQrPaymentToken(token, NOW);
+    await expect(acceptQrPaymentToken(text, NOW)).rejects.toMatchObject({ code: 'replayed' });
+  });
+});
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_SETTINGS } from '../settings';
+import { buildReceipt } from '../receipts';
+import {
+  createFileTransport,
+  createTransportFromSettings,
+  printReceipt,
+  PRINTER_TRANSPORTS,
+} from '../receipt-printer';
+
+// Printed receipts to compare against; run with UPDATE_GOLDEN=1 to rewrite them after a deliberate change
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Times in local time, so the printed dates do not depend on the time zone of the machine
+const TAKEN_AT = new Date(2026, 0, 15, 9, 30).toISOString();
+
+const receipt = buildReceipt({
+  transactionId: 'tx-1042',
+  idempotencyKey: 'key-1042',
+  type: 'payment',
+  customerId: 1,
+  cardId: '04A1B2C3D4E580',
+  amount: 23550,
+  createdAt: TAKEN_AT,
+  items: [
+    { description: 'Chicken adobo with rice', quantity: 2, unitPrice: 9500, amount: 19000 },
+    { description: 'Calamansi juice', quantity: 1, unitPrice: 4550, amount: 4550 },
+  ],
+}, {
+  sequence: 42,
+  customer: { name: 'Ana Peña' },
+  balanceBefore: 150000,
+  settings: {
+    ...DEFAULT_SETTINGS,
+    terminalId: 'POS1',
+    terminalName: 'Canteen Counter 1',
+    receiptHeader: 'Canteen\n1 Main Street',
+  },
+  operator: { name: 'Maria' },
+  issuedAt: TAKEN_AT,
+});
+
+describe('printed receipts', () => {
+  it.each([58, 80])('match the %i mm golden file byte for byte', async (paperWidth) => {
+    const file = path.join(FIXTURES, `receipt-${paperWidth}mm.bin`);
+    let printed = null;
+    await printReceipt(receipt, {
+      transport: createFileTransport((bytes) => {
+        printed = Buffer.from(bytes);
+      }),
+      paperWidth,
+    });
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(file, printed);
+    }
+    expect(printed.toString('hex')).toBe(fs.readFileSync(file).toString('hex'));
+  });
+});
+
+describe('printer settings', () => {
+  it('give no transport unless a network printer has an address', () => {
+    const createConnection = jest.fn();
+    expect(createTransportFromSettings(DEFAULT_SETTINGS, { createConnection })).toBeNull();
+    expect(createTransportFromSettings({
+      ...DEFAULT_SETTINGS,
+      receiptPrinter: PRINTER_TRANSPORTS.NETWORK,
+    }, { createConnection })).toBeNull();
+  });
+
+  it('send the print job to the network printer set', async () => {
+    const written = [];
+    const socket = {
+      on: () => {},
+      write: (bytes, callback) => {
+        written.push(bytes);
+        callback();
+      },
+      end: jest.fn(),
+    };
+    const createConnection = jest.fn((options, onConnect) => {
+      setTimeout(onConnect, 0);
+      return socket;
+    });
+
+    const transport = createTransportFromSettings({
+      ...DEFAULT_SETTINGS,
+      receiptPrinter: PRINTER_TRANSPORTS.NETWORK,
+      receiptPrinterHost: '192.168.1.50',
+    }, { createConnection });
+    await printReceipt(receipt, { transport, paperWidth: 58 });
+
+    expect(createConnection).toHaveBeenCalledWith({ host: '192.168.1.50', port: 9100 }, expect.any(Function));
+    expect(Buffer.from(written[0]).equals(fs.readFileSync(path.join(FIXTURES, 'receipt-58mm.bin')))).toBe(true);
+    expect(socket.end).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,45 @@
+import { setReceiptStoreBackend } from '../../storage/receipt-store';
+import { createMemoryBackend } from '../../storage/backends';
+import { updateSettings } from '../settings';
+import { issueReceipt } from '../receipts';
+
+const makePayment = number => ({
+  transactionId: `tx-${number}`,
+  idempotencyKey: `key-${number}`,
+  type: 'payment',
+  customerId: 1,
+  amount: 250,
+  createdAt: '2026-01-01T12:00:00.000Z',
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await setReceiptStoreBackend(createMemoryBackend());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('receipt numbers', () => {
+  it('start with the terminal ID, so two terminals never hand out the same number', async () => {
+    await updateSettings({ terminalId: 'POS1' });
+    const first = await issueReceipt(makePayment(1));
+
+    // A second terminal, with its own store and count
+    await setReceiptStoreBackend(createMemoryBackend());
+    await updateSettings({ terminalId: 'POS2' });
+    const second = await issueReceipt(makePayment(2));
+
+    expect(first.receiptNumber).toBe('POS1-000001');
+    expect(second.receiptNumber).toBe('POS2-000001');
+  });
+
+  it('keep the number of a receipt already issued for the transaction', async () => {
+    await updateSettings({ terminalId: 'POS1' });
+    const issued = await issueReceipt(makePayment(1));
+    await issueReceipt(makePayment(2));
+
+    expect((await issueReceipt(makePayment(1))).receiptNumber).toBe(issued.receiptNumber);
+  });
+});
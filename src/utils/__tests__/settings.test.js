@@ -0,0 +1,45 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadSettings } from '../settings';
+import { getStoredValueKey } from '../stored-value';
+import { getSdmKeys } from '../card-auth';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('settings', () => {
+  it('move the stored value and secure card keys saved by older versions into secure storage', async () => {
+    const key = 'ab'.repeat(32);
+    await AsyncStorage.setItem('terminal_settings', JSON.stringify({
+      storedValueEnabled: true,
+      storedValueKey: key,
+      strictCardAuth: true,
+      sdmMetaReadKey: '11'.repeat(16),
+      sdmFileReadKey: '22'.repeat(16),
+      qrPaymentKey: 'cd'.repeat(32),
+    }));
+
+    const settings = await loadSettings();
+    expect(settings.storedValueEnabled).toBe(true);
+    expect(settings.strictCardAuth).toBe(true);
+    const saved = JSON.parse(await AsyncStorage.getItem('terminal_settings'));
+    for (const name of ['storedValueKey', 'sdmMetaReadKey', 'sdmFileReadKey']) {
+      expect(settings).not.toHaveProperty(name);
+      expect(saved).not.toHaveProperty(name);
+    }
+    // The shared QR signing key is dropped, terminals now hold only the issuer's public key
+    expect(saved).not.toHaveProperty('qrPaymentKey');
+    expect(await getStoredValueKey()).toBe(key);
+    expect(await getSdmKeys()).toEqual({ metaReadKey: '11'.repeat(16), fileReadKey: '22'.repeat(16) });
+  });
+
+  it('give the terminal an ID for its receipt numbers once', async () => {
+    const { terminalId } = await loadSettings();
+    expect(terminalId).toMatch(/^[0-9A-F]{6}$/);
+    expect(JSON.parse(await AsyncStorage.getItem('terminal_settings')).terminalId).toBe(terminalId);
+  });
+});
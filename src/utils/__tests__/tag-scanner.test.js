@@ -0,0 +1,181 @@
+import { NfcEvents } from 'react-native-nfc-manager';
+import { createSimulatedNfcProvider } from '../nfc-providers';
+import { setNfcProvider, initNfcManager } from '../nfc-manager';
+import { createTagScanner, SCANNER_STATUS } from '../tag-scanner';
+import { setOfflineStoreBackend } from '../../storage/offline-store';
+import { createMemoryBackend } from '../../storage/backends';
+
+const CARD = '04A1B2C3D4E580';
+const OTHER_CARD = 'A1B2C3D4';
+
+let simulator;
+let scanner;
+
+/**
+ * Start a scanner on a simulated reader
+ * @param {object} [options] - Scanner options, onTag defaults to recording the UIDs seen
+ * @returns {Promise<string[]>} UIDs of the cards reported, filled in as they come
+ */
+const startScanner = async (options = {}) => {
+  const seen = [];
+  scanner = createTagScanner({
+    onTag: tag => seen.push(tag.uid),
+    duplicateWindowMs: 3000,
+    ...options,
+  });
+  await scanner.start();
+  return seen;
+};
+
+/**
+ * Put a card on the reader and let the scanner handle it
+ * @param {string|object} step - Card UID or simulator script step
+ */
+const tap = async (step) => {
+  simulator.tap(step);
+  await jest.advanceTimersByTimeAsync(0);
+};
+
+beforeEach(async () => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setOfflineStoreBackend(createMemoryBackend());
+  simulator = createSimulatedNfcProvider();
+  setNfcProvider(simulator);
+  await initNfcManager();
+});
+
+afterEach(() => {
+  scanner.stop();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('tag scanner', () => {
+  it('reports a card left on the reader once, and again once it was away long enough', async () => {
+    const seen = await startScanner();
+
+    await tap(CARD);
+    await jest.advanceTimersByTimeAsync(1000);
+    // Still on the reader, which extends the window
+    await tap(CARD);
+    await jest.advanceTimersByTimeAsync(2500);
+    await tap(CARD);
+    expect(seen).toEqual([CARD]);
+
+    await jest.advanceTimersByTimeAsync(3000);
+    await tap(CARD);
+    expect(seen).toEqual([CARD, CARD]);
+  });
+
+  it('reports the next customer\'s card right away', async () => {
+    const seen = await startScanner();
+
+    await tap(CARD);
+    await tap(OTHER_CARD);
+    expect(seen).toEqual([CARD, OTHER_CARD]);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.SCANNING);
+  });
+
+  it('ignores taps while a customer is served', async () => {
+    let finish;
+    const seen = [];
+    await startScanner({
+      onTag: (tag) => {
+        seen.push(tag.uid);
+        return new Promise((resolve) => {
+          finish = resolve;
+        });
+      },
+    });
+
+    await tap(CARD);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.PROCESSING);
+    await tap(OTHER_CARD);
+    expect(seen).toEqual([CARD]);
+
+    finish();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.SCANNING);
+    await tap(OTHER_CARD);
+    expect(seen).toEqual([CARD, OTHER_CARD]);
+  });
+
+  it('follows a new duplicate window', async () => {
+    const seen = await startScanner();
+    scanner.setDuplicateWindow(0);
+
+    await tap(CARD);
+    await tap(CARD);
+    expect(seen).toEqual([CARD, CARD]);
+  });
+
+  it('re-arms after the reader ends discovery', async () => {
+    const statuses = [];
+    const seen = await startScanner({ onStatus: status => statuses.push(status) });
+
+    await tap({ error: 'Reader session invalidated' });
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.RECOVERING);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(statuses).toEqual([SCANNER_STATUS.SCANNING, SCANNER_STATUS.RECOVERING, SCANNER_STATUS.SCANNING]);
+    await tap(CARD);
+    expect(seen).toEqual([CARD]);
+  });
+
+  it('backs off while discovery keeps failing to start', async () => {
+    const register = jest.spyOn(simulator, 'registerTagEvent')
+      .mockRejectedValueOnce(new Error('Reader busy'))
+      .mockRejectedValueOnce(new Error('Reader busy'));
+    await startScanner();
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.RECOVERING);
+    expect(register).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(register).toHaveBeenCalledTimes(2);
+    // Twice as long after the second failure in a row
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(register).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(register).toHaveBeenCalledTimes(3);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.SCANNING);
+  });
+
+  it('waits while NFC is off and scans again once it is turned back on', async () => {
+    const seen = await startScanner();
+
+    simulator.setEnabled(false);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.NFC_OFF);
+    await tap(CARD);
+    expect(seen).toEqual([]);
+
+    simulator.setEnabled(true);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.SCANNING);
+    // The card queued while NFC was off is read now
+    expect(seen).toEqual([CARD]);
+  });
+
+  it('checks again by itself when the platform does not report NFC being turned on', async () => {
+    simulator.setEnabled(false);
+    await startScanner();
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.NFC_OFF);
+
+    simulator.setEventListener(NfcEvents.StateChanged, null);
+    simulator.setEnabled(true);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.SCANNING);
+  });
+
+  it('stops listening when stopped', async () => {
+    const seen = await startScanner();
+    scanner.stop();
+
+    await tap(CARD);
+    expect(seen).toEqual([]);
+    expect(scanner.getStatus()).toBe(SCANNER_STATUS.STOPPED);
+    expect(simulator.getState().waiting).toBeNull();
+  });
+});
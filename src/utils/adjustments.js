@@ -0,0 +1,89 @@
+/**
+ * Adjustments Module
+ * Rules for manual balance corrections
+ */
+import { amountToCents, centsToAmount, formatCurrency } from './formatters';
+
+// Why a balance was adjusted, every adjustment needs one
+export const ADJUSTMENT_REASONS = [
+  { code: 'correction', label: 'Correction' },
+  { code: 'card_malfunction', label: 'Card Malfunction' },
+  { code: 'system_error', label: 'System Error' },
+  { code: 'goodwill', label: 'Goodwill' },
+  { code: 'fraud_recovery', label: 'Fraud Recovery' },
+  { code: 'other', label: 'Other' },
+];
+
+// Directions an adjustment can move a balance
+export const ADJUSTMENT_DIRECTIONS = ['credit', 'debit'];
+
+/**
+ * An adjustment is incomplete or not allowed
+ */
+export class AdjustmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AdjustmentError';
+  }
+}
+
+/**
+ * Get the label of a reason code
+ * @param {string} code - Reason code
+ * @returns {string} Label, or the code itself if unknown
+ */
+export const getAdjustmentReasonLabel = (code) => {
+  const reason = ADJUSTMENT_REASONS.find(r => r.code === code);
+  return reason ? reason.label : code;
+};
+
+/**
+ * Check if an adjustment needs a second operator's approval
+ * @param {number} amount - Amount in pesos
+ * @param {object} settings - Terminal settings, threshold in pesos
+ * @returns {boolean} Whether approval is needed
+ */
+export const requiresApproval = (amount, settings) => {
+  const threshold = settings.adjustmentApprovalThreshold;
+  return threshold > 0 && amountToCents(amount) > amountToCents(threshold);
+};
+
+/**
+ * Check that an adjustment is complete
+ * @param {object} adjustment - Requested adjustment
+ * @param {string} adjustment.direction - 'credit' or 'debit'
+ * @param {number} adjustment.amount - Amount in pesos
+ * @param {string} adjustment.reasonCode - One of ADJUSTMENT_REASONS
+ * @param {string} adjustment.note - Free-text explanation
+ * @param {object|null} customer - Customer being adjusted, balance in cents
+ * @throws {AdjustmentError} If the adjustment is not allowed
+ */
+export const validateAdjustment = ({ direction, amount, reasonCode, note }, customer) => {
+  if (!ADJUSTMENT_DIRECTIONS.includes(direction)) {
+    throw new AdjustmentError('Choose whether to credit or debit the balance');
+  }
+  if (!(amount > 0)) {
+    throw new AdjustmentError('Adjustment amount must be greater than zero');
+  }
+  if (!ADJUSTMENT_REASONS.some(reason => reason.code === reasonCode)) {
+    throw new AdjustmentError('Select a reason for the adjustment');
+  }
+  if (!note || !note.trim()) {
+    throw new AdjustmentError('Add a note explaining the adjustment');
+  }
+  if (direction === 'debit' && customer && Number.isInteger(customer.balance)
+    && amountToCents(amount) > customer.balance) {
+    throw new AdjustmentError(
+      `Debit exceeds the balance of ${formatCurrency(centsToAmount(customer.balance))}`
+    );
+  }
+};
+
+export default {
+  ADJUSTMENT_REASONS,
+  ADJUSTMENT_DIRECTIONS,
+  AdjustmentError,
+  getAdjustmentReasonLabel,
+  requiresApproval,
+  validateAdjustment,
+};
@@ -0,0 +1,31 @@
+/**
+ * Balance Changes Module
+ * How each transaction type moves the customer balance
+ */
+
+/**
+ * Get the signed balance change a transaction causes for its customer
+ * Payments debit, reloads, refunds and voids credit, adjustments follow their direction
+ * @param {object} transaction - Transaction with amount in cents
+ * @returns {number} Balance change in cents (positive to add, negative to subtract)
+ */
+export const getBalanceChange = (transaction) => {
+  const amount = Math.abs(transaction.amount || 0);
+
+  switch ((transaction.type || '').toLowerCase()) {
+    case 'payment':
+      return -amount;
+    case 'reload':
+    case 'refund':
+    case 'void':
+      return amount;
+    case 'adjustment':
+      return transaction.direction === 'debit' ? -amount : amount;
+    default:
+      throw new Error(`Unknown transaction type: ${transaction.type}`);
+  }
+};
+
+export default {
+  getBalanceChange,
+};
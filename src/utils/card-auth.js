@@ -0,0 +1,169 @@
+/**
+ * Card Authentication Module
+ * Decides whether a tapped card can be trusted. A card is authenticated when
+ * its NDEF URL carries an NTAG 424 DNA SUN message that verifies and has a
+ * read counter this terminal has not seen before; anything else is known
+ * only by its UID, which can be cloned. With strict card authentication on,
+ * such cards are refused.
+ */
+import { getCachedSettings } from './settings';
+import { verifySunMessage, SunError } from './ntag424';
+import { SECRETS, getSecret, setSecret } from './secure-storage';
+import { cards as cachedCards } from '../storage/offline-store';
+
+// How a card was identified
+export const CARD_AUTH_METHODS = {
+  UID: 'uid',
+  SUN: 'ntag424-sun',
+};
+
+// Secure storage entry of each SDM key
+const SDM_KEY_SECRETS = {
+  metaReadKey: SECRETS.SDM_META_READ_KEY,
+  fileReadKey: SECRETS.SDM_FILE_READ_KEY,
+};
+
+// URL parameters the tag mirrors PICCData and the MAC into, in order of preference
+const PICC_DATA_PARAMS = ['picc_data', 'e'];
+const CMAC_PARAMS = ['cmac', 'c'];
+
+/**
+ * A card was refused by strict card authentication
+ */
+export class CardAuthError extends Error {
+  constructor(message, result = null) {
+    super(message);
+    this.name = 'CardAuthError';
+    this.result = result;
+  }
+}
+
+/**
+ * Check if strict card authentication is on
+ * @returns {boolean} Whether unauthenticated cards are refused
+ */
+export const isStrictCardAuth = () => Boolean(getCachedSettings().strictCardAuth);
+
+/**
+ * Get the SDM keys of the secure cards
+ * @returns {Promise<{metaReadKey: string, fileReadKey: string}>} Keys as hex, '' where not set
+ */
+export const getSdmKeys = async () => ({
+  metaReadKey: await getSecret(SDM_KEY_SECRETS.metaReadKey),
+  fileReadKey: await getSecret(SDM_KEY_SECRETS.fileReadKey),
+});
+
+/**
+ * Set one of the SDM keys of the secure cards
+ * @param {string} name - 'metaReadKey' or 'fileReadKey'
+ * @param {string} key - Key as 32 hex characters, or '' to clear it
+ * @returns {Promise<void>}
+ */
+export const setSdmKey = (name, key) => {
+  if (!SDM_KEY_SECRETS[name]) {
+    throw new Error(`Unknown SDM key: ${name}`);
+  }
+  return setSecret(SDM_KEY_SECRETS[name], key);
+};
+
+/**
+ * Take the SUN message out of a tag's NDEF URL
+ * @param {string} url - URL read from the tag
+ * @returns {{piccData: string, cmac: string}|null} Message, or null if the URL has none
+ */
+export const parseSunUrl = (url) => {
+  const query = (url || '').split('?')[1];
+  if (!query) return null;
+
+  const params = {};
+  for (const pair of query.split('#')[0].split('&')) {
+    const [name, value = ''] = pair.split('=');
+    params[decodeURIComponent(name).toLowerCase()] = decodeURIComponent(value);
+  }
+
+  const piccData = PICC_DATA_PARAMS.map(name => params[name]).find(Boolean);
+  const cmac = CMAC_PARAMS.map(name => params[name]).find(Boolean);
+  return piccData && cmac ? { piccData, cmac } : null;
+};
+
+/**
+ * Refuse a read counter at or below the last one seen for the card, and remember it
+ * @param {string} cardId - Card UID
+ * @param {number} readCounter - SDM read counter from the message
+ * @throws {CardAuthError} If the message was seen before
+ */
+const acceptReadCounter = async (cardId, readCounter) => {
+  const seen = await cachedCards.get(cardId);
+  if (seen && Number.isInteger(seen.sunReadCounter) && readCounter <= seen.sunReadCounter) {
+    throw new CardAuthError('This secure message was already used, the card may have been copied');
+  }
+
+  await cachedCards.put({
+    ...(seen || { cardId }),
+    sunReadCounter: readCounter,
+    sunSeenAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Authenticate a tapped card
+ * @param {object} tag - What was read from the card
+ * @param {string|null} tag.uid - UID as uppercase hex
+ * @param {string|null} [tag.url] - URL of the first NDEF URI record
+ * @returns {Promise<{cardId: string|null, authenticated: boolean, accepted: boolean, method: string, readCounter?: number, reason: string|null}>} Result
+ */
+export const authenticateTag = async ({ uid, url = null }) => {
+  const settings = getCachedSettings();
+  const result = {
+    cardId: uid,
+    authenticated: false,
+    accepted: false,
+    method: CARD_AUTH_METHODS.UID,
+    reason: null,
+  };
+
+  const message = parseSunUrl(url);
+  if (!message) {
+    result.reason = 'The card does not carry a secure message';
+  } else {
+    try {
+      const { metaReadKey, fileReadKey } = await getSdmKeys();
+      if (!metaReadKey || !fileReadKey) {
+        throw new CardAuthError('Secure card keys are not set on this terminal');
+      }
+      const verified = verifySunMessage(message, { metaReadKey, fileReadKey });
+      if (uid && uid !== verified.uid) {
+        throw new CardAuthError('The card UID does not match its secure message');
+      }
+
+      await acceptReadCounter(verified.uid, verified.readCounter);
+      Object.assign(result, {
+        cardId: verified.uid,
+        authenticated: true,
+        method: CARD_AUTH_METHODS.SUN,
+        readCounter: verified.readCounter,
+      });
+    } catch (error) {
+      if (!(error instanceof SunError) && !(error instanceof CardAuthError)) {
+        throw error;
+      }
+      result.reason = error.message;
+    }
+  }
+
+  result.accepted = result.authenticated || !settings.strictCardAuth;
+  if (!result.accepted) {
+    console.log(`Card ${uid || 'without UID'} refused: ${result.reason}`);
+  }
+  return result;
+};
+
+export default {
+  CARD_AUTH_METHODS,
+  CardAuthError,
+  isStrictCardAuth,
+  getSdmKeys,
+  setSdmKey,
+  parseSunUrl,
+  authenticateTag,
+};
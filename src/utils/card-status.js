@@ -0,0 +1,108 @@
+/**
+ * Card Status Module
+ * Lifecycle of a customer's card: active until it is blocked, reported lost
+ * or replaced by a new card. Only active cards can pay or be reloaded.
+ */
+
+// States a card can be in
+export const CARD_STATUS = {
+  ACTIVE: 'active',
+  BLOCKED: 'blocked',
+  LOST: 'lost',
+  REPLACED: 'replaced',
+};
+
+const STATUS_LABELS = {
+  [CARD_STATUS.ACTIVE]: 'Active',
+  [CARD_STATUS.BLOCKED]: 'Blocked',
+  [CARD_STATUS.LOST]: 'Reported Lost',
+  [CARD_STATUS.REPLACED]: 'Replaced',
+};
+
+// Why a card was taken out of use
+export const CARD_STATUS_REASONS = [
+  { code: 'lost', label: 'Lost' },
+  { code: 'stolen', label: 'Stolen' },
+  { code: 'damaged', label: 'Damaged' },
+  { code: 'suspected_fraud', label: 'Suspected Fraud' },
+  { code: 'customer_request', label: 'Customer Request' },
+  { code: 'other', label: 'Other' },
+];
+
+// Changes allowed from each state. A lost card may have been copied, so it
+// is never reactivated; a replaced card is retired for good.
+const TRANSITIONS = {
+  [CARD_STATUS.ACTIVE]: [CARD_STATUS.BLOCKED, CARD_STATUS.LOST, CARD_STATUS.REPLACED],
+  [CARD_STATUS.BLOCKED]: [CARD_STATUS.ACTIVE, CARD_STATUS.LOST, CARD_STATUS.REPLACED],
+  [CARD_STATUS.LOST]: [CARD_STATUS.REPLACED],
+  [CARD_STATUS.REPLACED]: [],
+};
+
+/**
+ * A card that is not active was used
+ */
+export class CardBlockedError extends Error {
+  constructor(cardId, status) {
+    super(`This card is ${getCardStatusLabel(status).toLowerCase()} and cannot be used`);
+    this.name = 'CardBlockedError';
+    this.cardId = cardId;
+    this.status = status;
+  }
+}
+
+/**
+ * A card status change is not allowed
+ */
+export class CardStatusError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CardStatusError';
+  }
+}
+
+/**
+ * Get the display label of a card status
+ * @param {string} [status] - Card status, active if missing
+ * @returns {string} Label
+ */
+export const getCardStatusLabel = (status) => {
+  return STATUS_LABELS[status || CARD_STATUS.ACTIVE] || status;
+};
+
+/**
+ * Get the label of a reason code
+ * @param {string} code - Reason code
+ * @returns {string} Label, or the code itself if unknown
+ */
+export const getCardStatusReasonLabel = (code) => {
+  const reason = CARD_STATUS_REASONS.find(r => r.code === code);
+  return reason ? reason.label : code;
+};
+
+/**
+ * Check if a card can pay and be reloaded
+ * @param {string} [status] - Card status, active if missing
+ * @returns {boolean} Whether the card is usable
+ */
+export const isCardUsable = status => !status || status === CARD_STATUS.ACTIVE;
+
+/**
+ * Check if a card may move from one status to another
+ * @param {string} [from] - Current status, active if missing
+ * @param {string} to - New status
+ * @returns {boolean} Whether the change is allowed
+ */
+export const canChangeCardStatus = (from, to) => {
+  return (TRANSITIONS[from || CARD_STATUS.ACTIVE] || []).includes(to);
+};
+
+export default {
+  CARD_STATUS,
+  CARD_STATUS_REASONS,
+  CardBlockedError,
+  CardStatusError,
+  getCardStatusLabel,
+  getCardStatusReasonLabel,
+  isCardUsable,
+  canChangeCardStatus,
+};
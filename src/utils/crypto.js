@@ -0,0 +1,548 @@
+/**
+ * Cryptographic helpers in plain JavaScript
+ * SHA-256, HMAC-SHA256, PBKDF2, AES-128 and AES-CMAC that run the same on device, web and Node
+ */
+
+// SHA-256 round constants
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export const utf8ToBytes = (text) => {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+
+    // Combine surrogate pairs
+    if (code >= 0xd800 && code < 0xdc00 && i + 1 < text.length) {
+      const next = text.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next < 0xe000) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Decode UTF-8 bytes into a string
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+export const bytesToUtf8 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[++i] & 0x3f);
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+    } else {
+      code = ((byte & 0x07) << 18) | ((bytes[++i] & 0x3f) << 12)
+        | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+    }
+    text += String.fromCodePoint(code);
+  }
+  return text;
+};
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} Hex string
+ */
+export const bytesToHex = (bytes) => {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string (spaces are ignored)
+ * @returns {Uint8Array} Bytes
+ */
+export const hexToBytes = (hex) => {
+  const clean = hex.replace(/\s+/g, '');
+  if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+    throw new Error('Invalid hex string');
+  }
+
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+// Alphabet of standard base64
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Convert bytes to a base64 string
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} Base64 string, padded
+ */
+export const bytesToBase64 = (bytes) => {
+  let base64 = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const triple = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    base64 += BASE64_ALPHABET[(triple >> 18) & 0x3f] + BASE64_ALPHABET[(triple >> 12) & 0x3f];
+    base64 += i + 1 < bytes.length ? BASE64_ALPHABET[(triple >> 6) & 0x3f] : '=';
+    base64 += i + 2 < bytes.length ? BASE64_ALPHABET[triple & 0x3f] : '=';
+  }
+  return base64;
+};
+
+/**
+ * Convert a base64 string to bytes
+ * Padding is optional; bits left over after the last whole byte are dropped
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+export const base64ToBytes = (base64) => {
+  const clean = base64.replace(/=+$/, '');
+  if (/[^A-Za-z0-9+/]/.test(clean)) {
+    throw new Error('Invalid base64 string');
+  }
+
+  const bytes = new Uint8Array(Math.floor((clean.length * 6) / 8));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  for (const char of clean) {
+    buffer = ((buffer << 6) | BASE64_ALPHABET.indexOf(char)) & 0xfff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[offset++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Concatenate byte arrays
+ * @param {...Uint8Array} arrays - Arrays to join
+ * @returns {Uint8Array} Joined bytes
+ */
+export const concatBytes = (...arrays) => {
+  const length = arrays.reduce((sum, array) => sum + array.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+};
+
+/**
+ * Compare two byte arrays without returning early on the first difference
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean} Whether the arrays are equal
+ */
+export const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+};
+
+/**
+ * Compute a SHA-256 digest
+ * @param {Uint8Array|string} data - Bytes, or a string hashed as UTF-8
+ * @returns {Uint8Array} 32-byte digest
+ */
+export const sha256 = (data) => {
+  const message = typeof data === 'string' ? utf8ToBytes(data) : data;
+  const h = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+
+  // Pad to a multiple of 64 bytes with the bit length at the end
+  const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  const bitLength = message.length * 8;
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = ((w[i - 15] >>> 7) | (w[i - 15] << 25))
+        ^ ((w[i - 15] >>> 18) | (w[i - 15] << 14)) ^ (w[i - 15] >>> 3);
+      const s1 = ((w[i - 2] >>> 17) | (w[i - 2] << 15))
+        ^ ((w[i - 2] >>> 19) | (w[i - 2] << 13)) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + S1 + ch + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    h[0] += a;
+    h[1] += b;
+    h[2] += c;
+    h[3] += d;
+    h[4] += e;
+    h[5] += f;
+    h[6] += g;
+    h[7] += hh;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  for (let i = 0; i < 8; i++) {
+    digestView.setUint32(i * 4, h[i]);
+  }
+  return digest;
+};
+
+/**
+ * Compute an HMAC-SHA256
+ * @param {Uint8Array|string} key - Secret key
+ * @param {Uint8Array|string} data - Message
+ * @returns {Uint8Array} 32-byte MAC
+ */
+export const hmacSha256 = (key, data) => {
+  let keyBytes = typeof key === 'string' ? utf8ToBytes(key) : key;
+  const message = typeof data === 'string' ? utf8ToBytes(data) : data;
+
+  if (keyBytes.length > 64) {
+    keyBytes = sha256(keyBytes);
+  }
+
+  const inner = new Uint8Array(64);
+  const outer = new Uint8Array(64);
+  for (let i = 0; i < 64; i++) {
+    const byte = i < keyBytes.length ? keyBytes[i] : 0;
+    inner[i] = byte ^ 0x36;
+    outer[i] = byte ^ 0x5c;
+  }
+
+  return sha256(concatBytes(outer, sha256(concatBytes(inner, message))));
+};
+
+/**
+ * Derive a key with PBKDF2-HMAC-SHA256
+ * @param {Uint8Array|string} password - Password
+ * @param {Uint8Array|string} salt - Salt
+ * @param {number} iterations - Iteration count
+ * @param {number} [length=32] - Key length in bytes
+ * @returns {Uint8Array} Derived key
+ */
+export const pbkdf2Sha256 = (password, salt, iterations, length = 32) => {
+  const passwordBytes = typeof password === 'string' ? utf8ToBytes(password) : password;
+  const saltBytes = typeof salt === 'string' ? utf8ToBytes(salt) : salt;
+  const result = new Uint8Array(length);
+
+  for (let block = 1, offset = 0; offset < length; block++) {
+    const counter = new Uint8Array([block >>> 24, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff]);
+    let u = hmacSha256(passwordBytes, concatBytes(saltBytes, counter));
+    const t = u.slice();
+
+    for (let i = 1; i < iterations; i++) {
+      u = hmacSha256(passwordBytes, u);
+      for (let j = 0; j < t.length; j++) {
+        t[j] ^= u[j];
+      }
+    }
+
+    const take = Math.min(t.length, length - offset);
+    result.set(t.subarray(0, take), offset);
+    offset += take;
+  }
+
+  return result;
+};
+
+// AES S-box and its inverse, built once from the GF(2^8) inverse and affine transform
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+(() => {
+  let p = 1;
+  let q = 1;
+  do {
+    // Multiply p by 3, divide q by 3
+    p = p ^ ((p << 1) & 0xff) ^ (p & 0x80 ? 0x1b : 0);
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+
+    const x = q ^ ((q << 1) | (q >> 7)) ^ ((q << 2) | (q >> 6))
+      ^ ((q << 3) | (q >> 5)) ^ ((q << 4) | (q >> 4));
+    SBOX[p] = (x ^ 0x63) & 0xff;
+    INV_SBOX[SBOX[p]] = p;
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+  INV_SBOX[0x63] = 0;
+})();
+
+/**
+ * Multiply by x in GF(2^8)
+ * @param {number} b - Byte
+ * @returns {number} Product
+ */
+const xtime = b => ((b << 1) ^ (b & 0x80 ? 0x1b : 0)) & 0xff;
+
+/**
+ * Multiply two bytes in GF(2^8)
+ * @param {number} a - Byte
+ * @param {number} b - Byte
+ * @returns {number} Product
+ */
+const gmul = (a, b) => {
+  let product = 0;
+  for (let i = 0; i < 8; i++) {
+    if (b & 1) product ^= a;
+    a = xtime(a);
+    b >>= 1;
+  }
+  return product;
+};
+
+/**
+ * Expand an AES-128 key into the 11 round keys
+ * @param {Uint8Array} key - 16-byte key
+ * @returns {Uint8Array} 176 bytes of round keys
+ */
+const expandAesKey = (key) => {
+  if (!key || key.length !== 16) {
+    throw new Error('AES-128 needs a 16-byte key');
+  }
+
+  const w = new Uint8Array(176);
+  w.set(key);
+  let rcon = 1;
+  for (let i = 16; i < 176; i += 4) {
+    let t0 = w[i - 4];
+    let t1 = w[i - 3];
+    let t2 = w[i - 2];
+    let t3 = w[i - 1];
+    if (i % 16 === 0) {
+      [t0, t1, t2, t3] = [SBOX[t1] ^ rcon, SBOX[t2], SBOX[t3], SBOX[t0]];
+      rcon = xtime(rcon);
+    }
+    w[i] = w[i - 16] ^ t0;
+    w[i + 1] = w[i - 15] ^ t1;
+    w[i + 2] = w[i - 14] ^ t2;
+    w[i + 3] = w[i - 13] ^ t3;
+  }
+  return w;
+};
+
+/**
+ * Encrypt one block with AES-128
+ * @param {Uint8Array} key - 16-byte key
+ * @param {Uint8Array} block - 16-byte block
+ * @returns {Uint8Array} Encrypted block
+ */
+export const aesEncryptBlock = (key, block) => {
+  const w = expandAesKey(key);
+  const s = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) s[i] = block[i] ^ w[i];
+
+  for (let round = 1; round <= 10; round++) {
+    // SubBytes and ShiftRows
+    const t = new Uint8Array(16);
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) {
+        t[c * 4 + r] = SBOX[s[((c + r) % 4) * 4 + r]];
+      }
+    }
+    // MixColumns, skipped in the last round
+    for (let c = 0; c < 4; c++) {
+      const [a0, a1, a2, a3] = t.subarray(c * 4, c * 4 + 4);
+      if (round < 10) {
+        s[c * 4] = xtime(a0) ^ xtime(a1) ^ a1 ^ a2 ^ a3;
+        s[c * 4 + 1] = a0 ^ xtime(a1) ^ xtime(a2) ^ a2 ^ a3;
+        s[c * 4 + 2] = a0 ^ a1 ^ xtime(a2) ^ xtime(a3) ^ a3;
+        s[c * 4 + 3] = xtime(a0) ^ a0 ^ a1 ^ a2 ^ xtime(a3);
+      } else {
+        s.set([a0, a1, a2, a3], c * 4);
+      }
+    }
+    for (let i = 0; i < 16; i++) s[i] ^= w[round * 16 + i];
+  }
+  return s;
+};
+
+/**
+ * Decrypt one block with AES-128
+ * @param {Uint8Array} key - 16-byte key
+ * @param {Uint8Array} block - 16-byte block
+ * @returns {Uint8Array} Decrypted block
+ */
+export const aesDecryptBlock = (key, block) => {
+  const w = expandAesKey(key);
+  const s = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) s[i] = block[i] ^ w[160 + i];
+
+  for (let round = 9; round >= 0; round--) {
+    // InvShiftRows and InvSubBytes
+    const t = new Uint8Array(16);
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) {
+        t[((c + r) % 4) * 4 + r] = INV_SBOX[s[c * 4 + r]];
+      }
+    }
+    for (let i = 0; i < 16; i++) t[i] ^= w[round * 16 + i];
+    // InvMixColumns, skipped after the last round key
+    for (let c = 0; c < 4; c++) {
+      const [a0, a1, a2, a3] = t.subarray(c * 4, c * 4 + 4);
+      if (round > 0) {
+        s[c * 4] = gmul(a0, 14) ^ gmul(a1, 11) ^ gmul(a2, 13) ^ gmul(a3, 9);
+        s[c * 4 + 1] = gmul(a0, 9) ^ gmul(a1, 14) ^ gmul(a2, 11) ^ gmul(a3, 13);
+        s[c * 4 + 2] = gmul(a0, 13) ^ gmul(a1, 9) ^ gmul(a2, 14) ^ gmul(a3, 11);
+        s[c * 4 + 3] = gmul(a0, 11) ^ gmul(a1, 13) ^ gmul(a2, 9) ^ gmul(a3, 14);
+      } else {
+        s.set([a0, a1, a2, a3], c * 4);
+      }
+    }
+  }
+  return s;
+};
+
+/**
+ * Decrypt AES-128 in CBC mode, without padding
+ * @param {Uint8Array} key - 16-byte key
+ * @param {Uint8Array} iv - 16-byte initialization vector
+ * @param {Uint8Array} data - Ciphertext, a multiple of 16 bytes
+ * @returns {Uint8Array} Plaintext
+ */
+export const aesCbcDecrypt = (key, iv, data) => {
+  if (data.length % 16 !== 0) {
+    throw new Error('AES-CBC data must be a multiple of 16 bytes');
+  }
+
+  const result = new Uint8Array(data.length);
+  let previous = iv;
+  for (let offset = 0; offset < data.length; offset += 16) {
+    const block = data.subarray(offset, offset + 16);
+    const plain = aesDecryptBlock(key, block);
+    for (let i = 0; i < 16; i++) result[offset + i] = plain[i] ^ previous[i];
+    previous = block;
+  }
+  return result;
+};
+
+/**
+ * Shift a block one bit left and fold in the CMAC constant, for the subkeys
+ * @param {Uint8Array} block - 16-byte block
+ * @returns {Uint8Array} Shifted block
+ */
+const cmacSubkey = (block) => {
+  const result = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    result[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xff;
+  }
+  if (block[0] & 0x80) result[15] ^= 0x87;
+  return result;
+};
+
+/**
+ * Compute an AES-CMAC (RFC 4493)
+ * @param {Uint8Array} key - 16-byte key
+ * @param {Uint8Array} message - Message
+ * @returns {Uint8Array} 16-byte MAC
+ */
+export const aesCmac = (key, message) => {
+  const k1 = cmacSubkey(aesEncryptBlock(key, new Uint8Array(16)));
+  const k2 = cmacSubkey(k1);
+
+  const blocks = Math.max(1, Math.ceil(message.length / 16));
+  const complete = message.length > 0 && message.length % 16 === 0;
+  const last = new Uint8Array(16);
+  last.set(message.subarray((blocks - 1) * 16));
+  if (!complete) last[message.length - (blocks - 1) * 16] = 0x80;
+  const subkey = complete ? k1 : k2;
+  for (let i = 0; i < 16; i++) last[i] ^= subkey[i];
+
+  let x = new Uint8Array(16);
+  for (let b = 0; b < blocks; b++) {
+    const block = b === blocks - 1 ? last : message.subarray(b * 16, b * 16 + 16);
+    const y = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) y[i] = x[i] ^ block[i];
+    x = aesEncryptBlock(key, y);
+  }
+  return x;
+};
+
+export default {
+  utf8ToBytes,
+  bytesToUtf8,
+  bytesToHex,
+  hexToBytes,
+  bytesToBase64,
+  base64ToBytes,
+  concatBytes,
+  constantTimeEqual,
+  sha256,
+  hmacSha256,
+  pbkdf2Sha256,
+  aesEncryptBlock,
+  aesDecryptBlock,
+  aesCbcDecrypt,
+  aesCmac,
+};
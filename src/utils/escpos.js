@@ -0,0 +1,198 @@
+/**
+ * ESC/POS Module
+ * Turns receipts into the byte stream thermal receipt printers take. The
+ * output depends only on the receipt and the options, so the same receipt
+ * always gives the same bytes and can be compared with a golden file.
+ * Text is sent in code page 437, the one printers start up with.
+ */
+import { layoutReceipt } from './receipts';
+import { formatCurrency, centsToAmount } from './formatters';
+import { utf8ToBytes, concatBytes } from './crypto';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Characters per line in the printer's standard font, by paper width in millimetres
+export const PAPER_WIDTHS = {
+  58: 32,
+  80: 48,
+};
+
+// Values of the ESC a justification command
+const ALIGNMENTS = {
+  left: 0,
+  center: 1,
+  right: 2,
+};
+
+// Characters beyond ASCII that code page 437 has, as used in names and currencies
+const CP437_CHARACTERS = {
+  'Ç': 0x80, 'ü': 0x81, 'é': 0x82, 'â': 0x83, 'ä': 0x84, 'à': 0x85, 'ç': 0x87,
+  'ê': 0x88, 'ë': 0x89, 'è': 0x8a, 'ï': 0x8b, 'î': 0x8c, 'ì': 0x8d, 'Ä': 0x8e,
+  'É': 0x90, 'ô': 0x93, 'ö': 0x94, 'ò': 0x95, 'û': 0x96, 'ù': 0x97, 'Ö': 0x99,
+  'Ü': 0x9a, '¢': 0x9b, '£': 0x9c, '¥': 0x9d, 'á': 0xa0, 'í': 0xa1, 'ó': 0xa2,
+  'ú': 0xa3, 'ñ': 0xa4, 'Ñ': 0xa5,
+};
+
+// Most data a QR code holds in byte mode
+const MAX_QR_DATA_LENGTH = 7089;
+
+/**
+ * Check if text can be printed as it is
+ * @param {string} text - Text
+ * @returns {boolean} Whether every character is in code page 437
+ */
+export const canEncode = text => Array.from(text).every((character) => {
+  const code = character.codePointAt(0);
+  return (code >= 0x20 && code < 0x7f) || CP437_CHARACTERS[character] !== undefined;
+});
+
+/**
+ * Encode text in code page 437
+ * Control characters are replaced as well, so text such as a customer name
+ * cannot slip commands to the printer.
+ * @param {string} text - Text
+ * @returns {Uint8Array} Bytes, '?' for characters the printer does not have
+ */
+export const encodeText = (text) => {
+  const bytes = [];
+  for (const character of Array.from(String(text))) {
+    const code = character.codePointAt(0);
+    if (code >= 0x20 && code < 0x7f) {
+      bytes.push(code);
+    } else {
+      bytes.push(CP437_CHARACTERS[character] !== undefined ? CP437_CHARACTERS[character] : 0x3f);
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Create a builder for an ESC/POS byte stream
+ * Each method adds to the stream and returns the builder, for chaining.
+ * @returns {object} Builder
+ */
+export const createEscPosBuilder = () => {
+  const chunks = [];
+  const push = (...bytes) => chunks.push(Uint8Array.from(bytes));
+
+  const builder = {
+    // Reset the printer and select code page 437
+    initialize: () => {
+      push(ESC, 0x40);
+      push(ESC, 0x74, 0);
+      return builder;
+    },
+    align: (alignment) => {
+      push(ESC, 0x61, ALIGNMENTS[alignment] || 0);
+      return builder;
+    },
+    bold: (on) => {
+      push(ESC, 0x45, on ? 1 : 0);
+      return builder;
+    },
+    text: (text) => {
+      chunks.push(encodeText(text));
+      return builder;
+    },
+    line: (text = '') => {
+      chunks.push(encodeText(text));
+      push(LF);
+      return builder;
+    },
+    feed: (lines = 1) => {
+      push(ESC, 0x64, lines);
+      return builder;
+    },
+    // Print a QR code, model 2 with medium error correction
+    qrCode: (data, { size = 6 } = {}) => {
+      const bytes = utf8ToBytes(data);
+      if (bytes.length === 0 || bytes.length > MAX_QR_DATA_LENGTH) {
+        throw new Error(`QR code data must be 1 to ${MAX_QR_DATA_LENGTH} bytes`);
+      }
+      const storeLength = bytes.length + 3;
+      push(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0);
+      push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, Math.min(Math.max(size, 1), 16));
+      push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31);
+      push(GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30);
+      chunks.push(bytes);
+      push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);
+      return builder;
+    },
+    // Feed the paper up to the cutter and cut it, leaving a hinge
+    cut: () => {
+      push(GS, 0x56, 0x42, 0);
+      return builder;
+    },
+    toBytes: () => concatBytes(...chunks),
+  };
+
+  return builder;
+};
+
+/**
+ * Render a receipt as ESC/POS
+ * @param {object} receipt - Receipt from buildReceipt
+ * @param {object} [options={}] - Print options
+ * @param {number} [options.paperWidth=58] - Paper width in millimetres, see PAPER_WIDTHS
+ * @param {boolean} [options.qrCode=true] - Print a QR code of the transaction ID
+ * @param {boolean} [options.cut=true] - Cut the paper at the end
+ * @returns {Uint8Array} Bytes for the printer
+ */
+export const renderReceiptEscPos = (receipt, { paperWidth = 58, qrCode = true, cut = true } = {}) => {
+  const width = PAPER_WIDTHS[paperWidth];
+  if (!width) {
+    throw new Error(`Unsupported paper width: ${paperWidth} mm`);
+  }
+
+  // Printers lack most currency signs, such as the peso's; use the code instead
+  const symbol = receipt.currencySymbol || '';
+  const printedSymbol = canEncode(symbol) ? symbol : (receipt.currencyCode ? `${receipt.currencyCode} ` : '');
+  const lines = layoutReceipt(receipt, {
+    width,
+    formatAmount: cents => formatCurrency(centsToAmount(cents), printedSymbol),
+  });
+
+  const builder = createEscPosBuilder().initialize();
+  // Send formatting only when it changes, the printer keeps it from line to line
+  let alignment = 'left';
+  let bold = false;
+  const setFormat = (nextAlignment, nextBold) => {
+    if (nextAlignment !== alignment) builder.align(nextAlignment);
+    if (nextBold !== bold) builder.bold(nextBold);
+    alignment = nextAlignment;
+    bold = nextBold;
+  };
+
+  for (const line of lines) {
+    if (line.rule) {
+      setFormat('left', false);
+      builder.line('-'.repeat(width));
+    } else {
+      setFormat(line.align || 'left', Boolean(line.bold));
+      builder.line(line.text);
+    }
+  }
+
+  if (qrCode && receipt.transactionId) {
+    setFormat('center', false);
+    builder.feed(1).qrCode(receipt.transactionId).line();
+  }
+
+  setFormat('left', false);
+  if (cut) {
+    builder.cut();
+  } else {
+    builder.feed(3);
+  }
+  return builder.toBytes();
+};
+
+export default {
+  PAPER_WIDTHS,
+  canEncode,
+  encodeText,
+  createEscPosBuilder,
+  renderReceiptEscPos,
+};
@@ -2,6 +2,7 @@
  * Utility functions for formatting and processing data
  */
 import { format } from 'date-fns';
+import { getCachedSettings } from './settings';
 
 /**
  * Format date to display format (YYYY-MM-DD)
@@ -78,10 +79,10 @@ export const amountToCents = (amount) => {
 /**
  * Format amount as currency
  * @param {number} amount - Amount to format
- * @param {string} [currencySymbol='₱'] - Currency symbol to use
+ * @param {string} [currencySymbol] - Currency symbol to use, defaults to the terminal currency
  * @returns {string} Formatted currency
  */
-export const formatCurrency = (amount, currencySymbol = '₱') => {
+export const formatCurrency = (amount, currencySymbol = getCachedSettings().currencySymbol) => {
   try {
     return `${currencySymbol}${parseFloat(amount).toFixed(2)}`;
   } catch (error) {
@@ -100,7 +101,7 @@ export const parseCurrency = (currencyString) => {
   
   try {
     // Remove currency symbol and commas
-    const numericString = currencyString.replace(/[₱$,]/g, '');
+    const numericString = currencyString.replace(/[₱$€¥,]/g, '');
     return parseFloat(numericString);
   } catch (error) {
     console.error('Failed to parse currency:', error);
@@ -165,6 +166,7 @@ export const formatTransactionType = (type) => {
     'payment': 'Payment',
     'reload': 'Account Reload',
     'refund': 'Refund',
+    'void': 'Void',
     'adjustment': 'Balance Adjustment',
   };
   
@@ -184,6 +186,7 @@ export const formatTransactionStatus = (status) => {
     'pending': 'Pending',
     'failed': 'Failed',
     'cancelled': 'Cancelled',
+    'voided': 'Voided',
   };
   
   return statuses[status.toLowerCase()] || status;
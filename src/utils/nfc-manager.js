@@ -1,12 +1,81 @@
 /**
  * NFC Manager for React Native
  * Handles NFC card reading and writing functionality
+ * Calls go to an NFC provider, the device reader unless another is set.
  */
-import NfcManager, { NfcTech, Ndef } from 'react-native-nfc-manager';
+import { NfcTech, NfcEvents, NfcAdapter, Ndef, NdefStatus } from 'react-native-nfc-manager';
+import { authenticateTag, CardAuthError } from './card-auth';
+import { describeTag } from './nfc-tag';
+import { deviceNfcProvider } from './nfc-providers';
 
 // Flag to track if NFC is supported
 let isNfcSupported = false;
 
+// Reader the NFC calls go to, see ./nfc-providers
+let provider = deviceNfcProvider;
+
+// Technologies asked for when reading a card, in order of preference. The tag
+// is connected with the first one both it and the phone support, so a MIFARE
+// Classic card on a phone without a MIFARE reader still reads as NfcA.
+const READ_TECHS = [NfcTech.Ndef, NfcTech.MifareClassic, NfcTech.NfcA, NfcTech.IsoDep, NfcTech.NfcV];
+
+// Technologies for writing: NDEF tags, or blank tags that can be formatted
+const WRITE_TECHS = [NfcTech.Ndef, NfcTech.NdefFormatable];
+
+// Tag discovery on Android uses reader mode so tags without NDEF are reported
+// too; iOS only reports NDEF tags this way, use readNfcTag for the others
+const TAG_EVENT_OPTIONS = {
+  isReaderModeEnabled: true,
+  readerModeFlags: NfcAdapter.FLAG_READER_NFC_A | NfcAdapter.FLAG_READER_NFC_B | NfcAdapter.FLAG_READER_NFC_V,
+};
+
+/**
+ * Get the URL of the first NDEF URI record of a tag
+ * @param {object} tag - Tag from the NFC manager
+ * @returns {string|null} URL
+ */
+const getTagUrl = (tag) => {
+  const record = ((tag && tag.ndefMessage) || []).find(r => r.tnf === Ndef.TNF_WELL_KNOWN
+    && Buffer.from(r.type).toString('utf8') === 'U');
+  return record ? Ndef.uri.decodePayload(record.payload) : null;
+};
+
+/**
+ * Connect to the tag on the reader and describe it
+ * Must be followed by cancelTechnologyRequest
+ * @param {string[]} techs - Technologies in order of preference
+ * @returns {Promise<object>} Tag descriptor, see describeTag
+ */
+const connectTag = async (techs) => {
+  const connectedTech = await provider.requestTechnology(techs);
+  let tag = await provider.getTag();
+  const details = { connectedTech: typeof connectedTech === 'string' ? connectedTech : null };
+
+  // Android reports NDEF capacity and writability with the tag, iOS through the NDEF status
+  if (!Number.isInteger(tag.maxSize)) {
+    try {
+      details.ndefStatus = await provider.getNdefStatus();
+      if (!tag.ndefMessage && details.ndefStatus.status !== NdefStatus.NotSupported) {
+        const message = await provider.getNdefMessage();
+        tag = { ...tag, ndefMessage: (message && message.ndefMessage) || [] };
+      }
+    } catch (error) {
+      console.log('Tag has no readable NDEF:', error.message || error);
+    }
+  }
+
+  if (details.connectedTech === NfcTech.MifareClassic) {
+    try {
+      details.sectorCount = await provider.getMifareClassicSectorCount();
+    } catch (error) {
+      console.log('Could not read the MIFARE Classic size:', error.message || error);
+    }
+  }
+
+  details.url = getTagUrl(tag);
+  return describeTag(tag, details);
+};
+
 /**
  * Initialize NFC manager and check if NFC is supported
  * @returns {Promise<boolean>} Whether NFC is supported
@@ -14,10 +83,10 @@ let isNfcSupported = false;
 export const initNfcManager = async () => {
   try {
     // Check if NFC is supported
-    const supported = await NfcManager.isSupported();
+    const supported = await provider.isSupported();
     
     if (supported) {
-      await NfcManager.start();
+      await provider.start();
       isNfcSupported = true;
       console.log('NFC Manager initialized successfully');
     } else {
@@ -31,13 +100,30 @@ export const initNfcManager = async () => {
   }
 };
 
+/**
+ * Run NFC on another provider, e.g. createSimulatedNfcProvider() in development
+ * Call initNfcManager again afterwards
+ * @param {object} nextProvider - NFC provider
+ */
+export const setNfcProvider = (nextProvider) => {
+  cleanupNfcManager();
+  provider = nextProvider;
+  isNfcSupported = false;
+};
+
+/**
+ * Get the NFC provider in use
+ * @returns {object} NFC provider
+ */
+export const getNfcProvider = () => provider;
+
 /**
  * Clean up NFC manager
  * Should be called when component unmounts
  */
 export const cleanupNfcManager = () => {
   try {
-    NfcManager.cancelTechnologyRequest().catch(() => {});
+    provider.cancelTechnologyRequest().catch(() => {});
     console.log('NFC Manager cleaned up');
   } catch (error) {
     console.error('Error cleaning up NFC Manager:', error);
@@ -45,8 +131,12 @@ export const cleanupNfcManager = () => {
 };
 
 /**
- * Read NFC tag and get its ID
- * @returns {Promise<string>} Card ID
+ * Read the tag on the reader
+ * NDEF, MIFARE Classic, NfcA, IsoDep and ISO 15693 tags are read, blank or not.
+ * With strict card authentication on, cards that do not authenticate are refused.
+ * @returns {Promise<object|null>} Tag descriptor from describeTag, with `uid` as the
+ *   card ID and the authentication result as `auth`, or null if no card was read
+ * @throws {CardAuthError} If the card was refused
  */
 export const readNfcTag = async () => {
   if (!isNfcSupported) {
@@ -55,29 +145,33 @@ export const readNfcTag = async () => {
   }
   
   try {
-    // Register for NFC tag reading
-    await NfcManager.requestTechnology(NfcTech.Ndef);
-    
-    // Get tag info including ID
-    const tag = await NfcManager.getTag();
+    // Connect with the first technology the tag supports
+    const tag = await connectTag(READ_TECHS);
     console.log('Tag found:', tag);
     
-    // Extract ID in hex format
-    const tagId = tag.id ? Buffer.from(tag.id, 'base64').toString('hex').toUpperCase() : null;
+    // Check the card's secure message before trusting its ID
+    const auth = await authenticateTag({ uid: tag.uid, url: tag.url });
     
     // Clean up
-    NfcManager.cancelTechnologyRequest();
+    provider.cancelTechnologyRequest();
     
-    return tagId;
+    if (!auth.accepted) {
+      throw new CardAuthError(auth.reason, auth);
+    }
+    return auth.cardId ? { ...tag, uid: auth.cardId, auth } : null;
   } catch (error) {
+    provider.cancelTechnologyRequest().catch(() => {});
+    if (error instanceof CardAuthError) {
+      throw error;
+    }
     console.error('Error reading NFC tag:', error);
-    NfcManager.cancelTechnologyRequest().catch(() => {});
     return null;
   }
 };
 
 /**
  * Write data to NFC tag
+ * Blank tags that can hold NDEF are formatted with the data
  * @param {string} data - Data to write to tag
  * @returns {Promise<boolean>} Whether write was successful
  */
@@ -89,32 +183,107 @@ export const writeNfcTag = async (data) => {
   
   try {
     // Register for NFC tag tech
-    await NfcManager.requestTechnology(NfcTech.Ndef);
+    const tag = await connectTag(WRITE_TECHS);
+    if (!tag.writable) {
+      throw new Error('Tag is read-only');
+    }
     
     // Prepare data
     const bytes = Ndef.encodeMessage([Ndef.textRecord(data)]);
     
     // Write data to tag
-    await NfcManager.ndefHandler.writeNdefMessage(bytes);
+    if (tag.ndef) {
+      await provider.writeNdefMessage(bytes);
+    } else {
+      await provider.formatNdef(bytes);
+    }
     console.log('Data written to tag successfully');
     
     // Clean up
-    NfcManager.cancelTechnologyRequest();
+    provider.cancelTechnologyRequest();
     
     return true;
   } catch (error) {
     console.error('Error writing to NFC tag:', error);
-    NfcManager.cancelTechnologyRequest().catch(() => {});
+    provider.cancelTechnologyRequest().catch(() => {});
     return false;
   }
 };
 
+/**
+ * Get the payload of every NDEF record of an external type
+ * @param {object[]} records - NDEF records as returned by the tag
+ * @param {string} type - External type, e.g. 'example.com:kind'
+ * @returns {Uint8Array[]} Payloads in card order
+ */
+const getExternalPayloads = (records, type) => {
+  return (records || [])
+    .filter(record => record.tnf === Ndef.TNF_EXTERNAL_TYPE
+      && Buffer.from(record.type).toString('utf8') === type)
+    .map(record => Uint8Array.from(record.payload));
+};
+
+/**
+ * Keep a tag connected while several reads and writes are made on it
+ * The callback gets a session with the card ID, the tag descriptor, its
+ * authentication result and methods to read and replace the NDEF records of
+ * one external type, leaving other records as they are.
+ * @param {Function} fn - Called with the session, may be async
+ * @returns {Promise<any>} What the callback returns
+ * @throws {CardAuthError} If the card was refused by strict card authentication
+ */
+export const withTagSession = async (fn) => {
+  if (!isNfcSupported) {
+    throw new Error('NFC is not supported on this device');
+  }
+
+  try {
+    const tag = await connectTag([NfcTech.Ndef]);
+    const message = await provider.getNdefMessage();
+    let records = (message && message.ndefMessage) || [];
+
+    const auth = await authenticateTag({ uid: tag.uid, url: tag.url });
+    if (!auth.accepted) {
+      throw new CardAuthError(auth.reason, auth);
+    }
+
+    const session = {
+      uid: auth.cardId,
+      tag,
+      auth,
+      readExternal: async (type) => {
+        const current = await provider.getNdefMessage();
+        records = (current && current.ndefMessage) || [];
+        return getExternalPayloads(records, type);
+      },
+      writeExternal: async (type, payloads) => {
+        const others = records.filter(record => record.tnf !== Ndef.TNF_EXTERNAL_TYPE
+          || Buffer.from(record.type).toString('utf8') !== type);
+        const message = [
+          ...others.map(record => Ndef.record(record.tnf, record.type, record.id || [], record.payload)),
+          ...payloads.map(payload => Ndef.record(Ndef.TNF_EXTERNAL_TYPE, type, [], Array.from(payload))),
+        ];
+        await provider.writeNdefMessage(Ndef.encodeMessage(message));
+      },
+    };
+
+    return await fn(session);
+  } finally {
+    provider.cancelTechnologyRequest().catch(() => {});
+  }
+};
+
 /**
  * Register for NFC tag discovery
+ * The callback gets the tag descriptor as readNfcTag returns it, or null for a
+ * card refused by strict card authentication, and the authentication result.
  * @param {Function} onTagDetected - Callback when tag is detected
+ * @param {Function} [onSessionClosed] - Called with the error, or null, when the
+ *   platform ends discovery on its own, e.g. the iOS reader session timing out
  * @returns {Promise<Function>} Cleanup function to cancel tag registration
+ * @throws {Error} If discovery could not be started
  */
-export const registerTagEvent = async (onTagDetected) => {
+export const registerTagEvent = async (onTagDetected, onSessionClosed) => {
   if (!isNfcSupported) {
     console.log('NFC not supported');
     return () => {};
@@ -122,34 +291,69 @@ export const registerTagEvent = async (onTagDetected) => {
   
   try {
     // Set event listener
-    NfcManager.setEventListener(NfcTech.Ndef, event => {
-      if (event.type === 'tag' && event.tag) {
-        // Extract ID in hex format
-        const tagId = event.tag.id 
-          ? Buffer.from(event.tag.id, 'base64').toString('hex').toUpperCase() 
-          : null;
-        
-        // Call callback with tag ID
-        onTagDetected(tagId);
-      }
+    provider.setEventListener(NfcEvents.DiscoverTag, (event) => {
+      if (!event) return;
+      const tag = describeTag(event, { url: getTagUrl(event) });
+
+      // Call callback with the tag once its secure message is checked
+      authenticateTag({ uid: tag.uid, url: tag.url })
+        .then(auth => onTagDetected(auth.accepted && auth.cardId ? { ...tag, uid: auth.cardId, auth } : null, auth))
+        .catch((error) => {
+          console.error('Error authenticating NFC tag:', error);
+          onTagDetected(null, null);
+        });
     });
+    if (onSessionClosed) {
+      provider.setEventListener(NfcEvents.SessionClosed, onSessionClosed);
+    }
     
     // Start tag discovery
-    await NfcManager.registerTagEvent();
+    await provider.registerTagEvent(TAG_EVENT_OPTIONS);
     console.log('Registered for NFC tag discovery');
     
     // Return cleanup function
     return () => {
-      NfcManager.setEventListener(NfcTech.Ndef, null);
-      NfcManager.unregisterTagEvent().catch(() => {});
+      provider.setEventListener(NfcEvents.DiscoverTag, null);
+      provider.setEventListener(NfcEvents.SessionClosed, null);
+      provider.unregisterTagEvent().catch(() => {});
       console.log('Unregistered NFC tag discovery');
     };
   } catch (error) {
     console.error('Error registering for NFC tag discovery:', error);
+    provider.setEventListener(NfcEvents.DiscoverTag, null);
+    provider.setEventListener(NfcEvents.SessionClosed, null);
+    throw error;
+  }
+};
+
+/**
+ * Follow NFC being turned on and off in the phone settings
+ * Only Android reports this; on iOS NFC cannot be turned off.
+ * @param {Function} callback - Called with 'on', 'off', 'turning_on' or 'turning_off'
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeNfcState = (callback) => {
+  if (!isNfcSupported) {
     return () => {};
   }
+
+  try {
+    provider.setEventListener(NfcEvents.StateChanged, (event) => {
+      callback(event && event.state ? event.state : event);
+    });
+  } catch (error) {
+    console.error('Error subscribing to NFC state:', error);
+    return () => {};
+  }
+  return () => provider.setEventListener(NfcEvents.StateChanged, null);
 };
 
+/**
+ * Check if this device has an NFC reader that was started
+ * @returns {boolean} Whether NFC is supported
+ */
+export const isNfcAvailable = () => isNfcSupported;
+
 /**
  * Check if NFC is enabled
  * @returns {Promise<boolean>} Whether NFC is enabled
@@ -160,7 +364,7 @@ export const isNfcEnabled = async () => {
   }
   
   try {
-    return await NfcManager.isEnabled();
+    return await provider.isEnabled();
   } catch (error) {
     console.error('Error checking if NFC is enabled:', error);
     return false;
@@ -169,9 +373,14 @@ export const isNfcEnabled = async () => {
 
 export default {
   initNfcManager,
+  setNfcProvider,
+  getNfcProvider,
   cleanupNfcManager,
   readNfcTag,
   writeNfcTag,
+  withTagSession,
   registerTagEvent,
+  subscribeNfcState,
+  isNfcAvailable,
   isNfcEnabled,
 };
\ No newline at end of file
@@ -0,0 +1,405 @@
+/**
+ * NFC Providers
+ * Readers the NFC manager can run on. Both follow the react-native-nfc-manager
+ * method names, with its tech handlers flattened: the device provider passes
+ * calls to the phone's reader, the simulated one plays back virtual cards so
+ * NFC works in the web build, in an emulator and in tests.
+ */
+import NfcManager, { NfcTech, NfcEvents, Ndef, NdefStatus } from 'react-native-nfc-manager';
+
+/**
+ * Provider on the device's NFC reader
+ */
+export const deviceNfcProvider = {
+  name: 'device',
+  isSupported: () => NfcManager.isSupported(),
+  start: () => NfcManager.start(),
+  isEnabled: () => NfcManager.isEnabled(),
+  requestTechnology: techs => NfcManager.requestTechnology(techs),
+  cancelTechnologyRequest: () => NfcManager.cancelTechnologyRequest(),
+  getTag: () => NfcManager.getTag(),
+  getNdefStatus: () => NfcManager.ndefHandler.getNdefStatus(),
+  getNdefMessage: () => NfcManager.ndefHandler.getNdefMessage(),
+  writeNdefMessage: bytes => NfcManager.ndefHandler.writeNdefMessage(bytes),
+  formatNdef: bytes => NfcManager.ndefFormatableHandlerAndroid.formatNdef(bytes),
+  getMifareClassicSectorCount: () => NfcManager.mifareClassicHandlerAndroid.mifareClassicGetSectorCount(),
+  setEventListener: (event, listener) => NfcManager.setEventListener(event, listener),
+  registerTagEvent: options => NfcManager.registerTagEvent(options),
+  unregisterTagEvent: () => NfcManager.unregisterTagEvent(),
+};
+
+// How long a scripted timeout keeps the reader waiting unless the step says otherwise
+const SIMULATED_TIMEOUT_MS = 5000;
+
+// A card with no technologies given is an NTAG 215 sticker
+const DEFAULT_CARD = {
+  techs: [NfcTech.NfcA, NfcTech.MifareUltralight, NfcTech.Ndef],
+  type: 'NFC Forum Type 2',
+  capacity: 492,
+  writable: true,
+  sectorCount: null,
+  records: [],
+};
+
+// Card fields a step can set, kept between taps of the same card
+const CARD_FIELDS = ['techs', 'type', 'capacity', 'writable', 'sectorCount'];
+
+// SUN message of the NXP AN12196 example tag, which verifies with all-zero SDM keys
+const SAMPLE_SUN_MESSAGE = {
+  uid: '04DE5F1EACC040',
+  piccData: 'EF963FF7828658A599F3041510671E88',
+  cmac: '94EED9EE65337086',
+};
+
+// Virtual cards offered by the developer panel
+export const SAMPLE_CARDS = [
+  {
+    label: 'NTAG 215 sticker',
+    uid: '04A1B2C3D4E580',
+  },
+  {
+    label: 'NTAG 424 DNA secure card',
+    hint: 'Verifies with all-zero SDM keys, once',
+    uid: SAMPLE_SUN_MESSAGE.uid,
+    techs: [NfcTech.NfcA, NfcTech.IsoDep, NfcTech.Ndef],
+    type: 'NFC Forum Type 4',
+    capacity: 256,
+    records: [{ uri: `https://example.com/tap?picc_data=${SAMPLE_SUN_MESSAGE.piccData}&cmac=${SAMPLE_SUN_MESSAGE.cmac}` }],
+  },
+  {
+    label: 'Blank MIFARE Classic 1K',
+    uid: 'A1B2C3D4',
+    techs: [NfcTech.NfcA, NfcTech.MifareClassic, NfcTech.NdefFormatable],
+    type: 'com.nxp.ndef.mifareclassic',
+    capacity: 716,
+    sectorCount: 16,
+  },
+  {
+    label: 'ISO 15693 label, read-only',
+    uid: 'E004010012345678',
+    techs: [NfcTech.NfcV, NfcTech.Ndef],
+    type: 'NFC Forum Type 5',
+    capacity: 112,
+    writable: false,
+    records: [{ text: 'Library label' }],
+  },
+];
+
+/**
+ * Turn a scripted NDEF record into a record as the NFC manager reports it
+ * @param {object} record - `{text}`, `{uri}`, `{type, payload}` for an external type, or a record with `tnf`
+ * @returns {object} NDEF record
+ */
+const toNdefRecord = (record) => {
+  if (record.tnf !== undefined) return record;
+  if (record.text !== undefined) return Ndef.textRecord(record.text);
+  if (record.uri !== undefined) return Ndef.uriRecord(record.uri);
+  return Ndef.record(Ndef.TNF_EXTERNAL_TYPE, record.type, [], Array.from(record.payload || []));
+};
+
+/**
+ * Create a provider that plays back virtual cards
+ * Every read or tag discovery takes the next step of the script. A step is a
+ * card UID, a card `{uid, techs, records, writable, capacity, type, sectorCount}`
+ * with an optional `failOn: 'read'|'write'` to lose the card mid-operation,
+ * `{error}` for a read error or `{timeout: true}` for a reader giving up; any
+ * step can wait `afterMs` first. Cards remember what was written to them.
+ * @param {object} [options={}] - Simulator options
+ * @param {Array} [options.script=[]] - Steps to play back
+ * @param {object[]} [options.cards=[]] - Cards known up front, tapped later by UID alone
+ * @param {boolean} [options.supported=true] - Whether the simulated phone has NFC
+ * @param {boolean} [options.enabled=true] - Whether NFC starts turned on
+ * @returns {object} Simulated provider
+ */
+export const createSimulatedNfcProvider = ({ script = [], cards = [], supported = true, enabled = true } = {}) => {
+  const knownCards = new Map();
+  const queue = [];
+  const listeners = {};
+  const watchers = new Set();
+  let nfcEnabled = enabled;
+  let request = null;
+  let discovering = false;
+  let connected = null;
+  let timer = null;
+
+  const toStep = step => (typeof step === 'string' ? { uid: step } : step);
+
+  const getState = () => ({
+    enabled: nfcEnabled,
+    waiting: request ? 'read' : discovering ? 'discovery' : null,
+    connected: connected ? connected.card.uid : null,
+    queued: queue.length,
+  });
+
+  const notify = () => {
+    const state = getState();
+    watchers.forEach((watcher) => {
+      try {
+        watcher(state);
+      } catch (error) {
+        console.error('NFC simulator listener failed:', error);
+      }
+    });
+  };
+
+  const emit = (event, payload) => {
+    if (listeners[event]) {
+      listeners[event](payload);
+    }
+  };
+
+  // Card as last written, with what the step changes
+  const rememberCard = (step) => {
+    const uid = String(step.uid).toUpperCase();
+    const card = { ...DEFAULT_CARD, ...knownCards.get(uid), uid };
+    for (const field of CARD_FIELDS) {
+      if (step[field] !== undefined) card[field] = step[field];
+    }
+    if (step.records) {
+      card.records = step.records.map(toNdefRecord);
+    }
+    knownCards.set(uid, card);
+    return card;
+  };
+  cards.forEach(rememberCard);
+
+  // Tag as the Android NFC manager reports it
+  const toTag = card => ({
+    id: card.uid,
+    techTypes: card.techs.map(tech => `android.nfc.tech.${tech}`),
+    ...(card.techs.includes(NfcTech.Ndef)
+      ? { maxSize: card.capacity, isWritable: card.writable, type: card.type, ndefMessage: card.records }
+      : {}),
+  });
+
+  const connectedCard = (operation) => {
+    if (!connected) {
+      throw new Error('No tag connected');
+    }
+    if (connected.failOn === operation) {
+      connected = null;
+      throw new Error('Tag was lost');
+    }
+    return connected.card;
+  };
+
+  // Hand the step to whatever is waiting for a card
+  const present = (step) => {
+    const failure = step.error
+      ? new Error(step.error)
+      : step.timeout ? new Error('Timed out waiting for a tag') : null;
+
+    if (request) {
+      const { techs, resolve, reject } = request;
+      request = null;
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      const card = rememberCard(step);
+      const tech = techs.find(name => card.techs.includes(name));
+      if (!tech) {
+        reject(new Error('Tag does not support the requested technology'));
+        return;
+      }
+      connected = { card, failOn: step.failOn || null };
+      resolve(tech);
+    } else if (failure) {
+      // Like an iOS reader session, discovery ends on an error
+      discovering = false;
+      emit(NfcEvents.SessionClosed, failure);
+    } else {
+      emit(NfcEvents.DiscoverTag, toTag(rememberCard(step)));
+    }
+  };
+
+  // Play the next step once something waits for a card
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (nfcEnabled && (request || discovering) && queue.length > 0) {
+      const step = queue[0];
+      const delay = step.afterMs !== undefined ? step.afterMs : step.timeout ? SIMULATED_TIMEOUT_MS : 0;
+      timer = setTimeout(() => {
+        timer = null;
+        queue.shift();
+        present(step);
+        schedule();
+      }, delay);
+    }
+    notify();
+  };
+
+  queue.push(...script.map(toStep));
+
+  return {
+    name: 'simulator',
+    isSupported: async () => supported,
+    start: async () => {},
+    isEnabled: async () => nfcEnabled,
+
+    requestTechnology: techs => new Promise((resolve, reject) => {
+      if (!nfcEnabled) {
+        reject(new Error('NFC is turned off'));
+        return;
+      }
+      if (request) {
+        reject(new Error('Another technology request is pending'));
+        return;
+      }
+      request = { techs: [].concat(techs), resolve, reject };
+      schedule();
+    }),
+
+    cancelTechnologyRequest: async () => {
+      connected = null;
+      if (request) {
+        const { reject } = request;
+        request = null;
+        reject(new Error('Technology request cancelled'));
+      }
+      schedule();
+    },
+
+    getTag: async () => toTag(connectedCard('read')),
+
+    getNdefStatus: async () => {
+      const card = connectedCard('read');
+      if (!card.techs.includes(NfcTech.Ndef)) {
+        return { status: NdefStatus.NotSupported, capacity: 0 };
+      }
+      return { status: card.writable ? NdefStatus.ReadWrite : NdefStatus.ReadOnly, capacity: card.capacity };
+    },
+
+    getNdefMessage: async () => {
+      const card = connectedCard('read');
+      if (!card.techs.includes(NfcTech.Ndef)) {
+        throw new Error('Tag is not NDEF formatted');
+      }
+      return { ...toTag(card), ndefMessage: card.records };
+    },
+
+    writeNdefMessage: async (bytes) => {
+      const card = connectedCard('write');
+      if (!card.techs.includes(NfcTech.Ndef)) {
+        throw new Error('Tag is not NDEF formatted');
+      }
+      if (!card.writable) {
+        throw new Error('Tag is read-only');
+      }
+      if (bytes.length > card.capacity) {
+        throw new Error('NDEF message is too large for the tag');
+      }
+      card.records = Ndef.decodeMessage(Array.from(bytes));
+      notify();
+    },
+
+    formatNdef: async (bytes) => {
+      const card = connectedCard('write');
+      if (!card.techs.includes(NfcTech.NdefFormatable)) {
+        throw new Error('Tag cannot be formatted');
+      }
+      card.techs = [...card.techs.filter(tech => tech !== NfcTech.NdefFormatable), NfcTech.Ndef];
+      card.records = Ndef.decodeMessage(Array.from(bytes));
+      notify();
+    },
+
+    getMifareClassicSectorCount: async () => {
+      const card = connectedCard('read');
+      if (!card.techs.includes(NfcTech.MifareClassic)) {
+        throw new Error('Tag is not MIFARE Classic');
+      }
+      return card.sectorCount || 16;
+    },
+
+    setEventListener: (event, listener) => {
+      listeners[event] = listener || null;
+    },
+
+    registerTagEvent: async () => {
+      if (!nfcEnabled) {
+        throw new Error('NFC is turned off');
+      }
+      discovering = true;
+      schedule();
+    },
+
+    unregisterTagEvent: async () => {
+      discovering = false;
+      schedule();
+    },
+
+    /**
+     * Put a card on the reader, or queue it until something reads
+     * @param {string|object} step - Script step
+     */
+    tap(step) {
+      queue.push(toStep(step));
+      schedule();
+    },
+
+    /**
+     * Queue script steps after the ones already waiting
+     * @param {Array} steps - Script steps
+     */
+    play(steps) {
+      queue.push(...steps.map(toStep));
+      schedule();
+    },
+
+    /**
+     * Drop every queued step
+     */
+    clear() {
+      queue.length = 0;
+      schedule();
+    },
+
+    /**
+     * Turn NFC on or off as in the phone settings
+     * @param {boolean} value - Whether NFC is on
+     */
+    setEnabled(value) {
+      nfcEnabled = Boolean(value);
+      if (!nfcEnabled) {
+        discovering = false;
+        connected = null;
+        if (request) {
+          const { reject } = request;
+          request = null;
+          reject(new Error('NFC is turned off'));
+        }
+      }
+      emit(NfcEvents.StateChanged, { state: nfcEnabled ? 'on' : 'off' });
+      schedule();
+    },
+
+    /**
+     * Get a virtual card as last written
+     * @param {string} uid - Card UID
+     * @returns {object|null} Card
+     */
+    getCard(uid) {
+      const card = knownCards.get(String(uid).toUpperCase());
+      return card ? { ...card, records: [...card.records] } : null;
+    },
+
+    getState,
+
+    /**
+     * Follow the simulated reader
+     * @param {Function} watcher - Called with the state on every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(watcher) {
+      watchers.add(watcher);
+      return () => watchers.delete(watcher);
+    },
+  };
+};
+
+export default {
+  deviceNfcProvider,
+  createSimulatedNfcProvider,
+  SAMPLE_CARDS,
+};
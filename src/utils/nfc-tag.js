@@ -0,0 +1,210 @@
+/**
+ * NFC Tag Module
+ * Turns what the NFC manager reports about a tag into one descriptor, the
+ * same whichever technology was used to read it and on either platform.
+ * Android names technologies by class ('android.nfc.tech.NfcA'), iOS by
+ * family ('mifare', 'iso7816'); both map to TAG_TECH.
+ */
+import { base64ToBytes, bytesToHex } from './crypto';
+
+// Tag technologies, as used in descriptors
+export const TAG_TECH = {
+  NDEF: 'ndef',
+  NDEF_FORMATABLE: 'ndef-formatable',
+  NFC_A: 'nfca',
+  NFC_B: 'nfcb',
+  NFC_F: 'nfcf',
+  NFC_V: 'nfcv',
+  ISO_DEP: 'isodep',
+  MIFARE_CLASSIC: 'mifare-classic',
+  MIFARE_ULTRALIGHT: 'mifare-ultralight',
+};
+
+// Names used by the NFC manager and the platforms
+const TECH_NAMES = {
+  ndef: TAG_TECH.NDEF,
+  ndefformatable: TAG_TECH.NDEF_FORMATABLE,
+  nfca: TAG_TECH.NFC_A,
+  nfcb: TAG_TECH.NFC_B,
+  nfcf: TAG_TECH.NFC_F,
+  nfcv: TAG_TECH.NFC_V,
+  isodep: TAG_TECH.ISO_DEP,
+  mifareclassic: TAG_TECH.MIFARE_CLASSIC,
+  mifareultralight: TAG_TECH.MIFARE_ULTRALIGHT,
+  // iOS tag families
+  mifare: TAG_TECH.NFC_A,
+  iso7816: TAG_TECH.ISO_DEP,
+  iso15693: TAG_TECH.NFC_V,
+  felica: TAG_TECH.NFC_F,
+};
+
+// NDEF status codes of the NFC manager
+const NDEF_READ_WRITE = 2;
+const NDEF_READ_ONLY = 3;
+
+// ATQA and SAK of MIFARE Classic cards by sector count. Android does not pass
+// these on for NfcA, so for MIFARE Classic they follow from the card size.
+const MIFARE_CLASSIC_TYPES = {
+  5: { atqa: '0004', sak: '09' },
+  16: { atqa: '0004', sak: '08' },
+  32: { atqa: '0004', sak: '19' },
+  40: { atqa: '0002', sak: '18' },
+};
+
+/**
+ * Map a technology name to TAG_TECH
+ * @param {string} name - Name from the NFC manager or platform
+ * @returns {string|null} Technology, or null if unknown
+ */
+export const normalizeTech = (name) => {
+  if (!name) return null;
+  const short = String(name).split('.').pop().toLowerCase();
+  return TECH_NAMES[short] || null;
+};
+
+/**
+ * Convert a byte value to uppercase hex
+ * Accepts a hex string, a byte array or a number, as the platforms report them
+ * @param {string|number[]|number} value - Value
+ * @param {number} [length] - Bytes to pad a number to
+ * @returns {string|null} Hex, or null if the value is missing or not bytes
+ */
+const toHex = (value, length = 1) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) {
+    return value.map(byte => (byte & 0xff).toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+  if (typeof value === 'number') {
+    return value.toString(16).padStart(length * 2, '0').toUpperCase();
+  }
+  const hex = String(value).replace(/[\s:]/g, '');
+  return /^([0-9a-f]{2})+$/i.test(hex) ? hex.toUpperCase() : null;
+};
+
+/**
+ * Get the UID of a tag
+ * The NFC manager reports it as hex on both platforms
+ * @param {object} tag - Tag from the NFC manager
+ * @returns {string|null} UID as uppercase hex
+ */
+export const getTagUid = tag => (tag ? toHex(tag.id) : null);
+
+/**
+ * Get the ID older versions gave a card
+ * They decoded the hex UID the NFC manager reports as if it were base64, so
+ * cards enrolled with them are known by that ID until they are tapped again
+ * @param {string} uid - UID as uppercase hex, from getTagUid
+ * @returns {string|null} Legacy ID as uppercase hex, or null if there is none
+ */
+export const getLegacyTagUid = (uid) => {
+  if (!/^([0-9A-F]{2})+$/.test(uid || '')) return null;
+  const legacy = bytesToHex(base64ToBytes(uid)).toUpperCase();
+  return legacy && legacy !== uid ? legacy : null;
+};
+
+/**
+ * Build the descriptor of a tag
+ * @param {object} tag - Tag from the NFC manager
+ * @param {object} [details={}] - What was learned while connected
+ * @param {string} [details.connectedTech] - Technology the tag was connected with
+ * @param {object} [details.ndefStatus] - NDEF status: `status` code and `capacity` in bytes
+ * @param {number} [details.sectorCount] - Sectors of a MIFARE Classic card
+ * @param {string} [details.url] - URL of the first NDEF URI record
+ * @returns {{uid: string|null, techs: string[], connectedTech: string|null, atqa: string|null, sak: string|null, ndef: boolean, ndefType: string|null, ndefCapacity: number|null, writable: boolean, url: string|null}} Descriptor
+ */
+export const describeTag = (tag, details = {}) => {
+  const techs = [];
+  for (const name of [...((tag && tag.techTypes) || []), tag && tag.tech]) {
+    const tech = normalizeTech(name);
+    if (tech && !techs.includes(tech)) techs.push(tech);
+  }
+
+  const connectedTech = normalizeTech(details.connectedTech);
+  if (connectedTech && !techs.includes(connectedTech)) {
+    techs.push(connectedTech);
+  }
+
+  // Android reports NDEF details with the tag, iOS only through the NDEF status
+  const status = details.ndefStatus;
+  const hasNdef = techs.includes(TAG_TECH.NDEF)
+    || Boolean(status && (status.status === NDEF_READ_WRITE || status.status === NDEF_READ_ONLY));
+  if (hasNdef && !techs.includes(TAG_TECH.NDEF)) {
+    techs.push(TAG_TECH.NDEF);
+  }
+
+  let ndefCapacity = null;
+  let writable = false;
+  if (tag && Number.isInteger(tag.maxSize)) {
+    ndefCapacity = tag.maxSize;
+    writable = Boolean(tag.isWritable);
+  } else if (hasNdef && status) {
+    ndefCapacity = Number.isInteger(status.capacity) ? status.capacity : null;
+    writable = status.status === NDEF_READ_WRITE;
+  }
+  // A blank card can be formatted and written
+  if (!hasNdef && techs.includes(TAG_TECH.NDEF_FORMATABLE)) {
+    writable = true;
+  }
+
+  const classic = techs.includes(TAG_TECH.MIFARE_CLASSIC) ? MIFARE_CLASSIC_TYPES[details.sectorCount] : null;
+
+  return {
+    uid: getTagUid(tag),
+    techs,
+    connectedTech,
+    atqa: toHex(tag && tag.atqa, 2) || (classic ? classic.atqa : null),
+    sak: toHex(tag && tag.sak) || (classic ? classic.sak : null),
+    ndef: hasNdef,
+    ndefType: hasNdef && tag && tag.type ? tag.type : null,
+    ndefCapacity,
+    writable,
+    url: details.url || null,
+  };
+};
+
+/**
+ * Check if a tag supports a technology
+ * @param {object} descriptor - Tag descriptor
+ * @param {string} tech - One of TAG_TECH
+ * @returns {boolean} Whether the tag supports it
+ */
+export const hasTech = (descriptor, tech) => Boolean(descriptor && descriptor.techs.includes(tech));
+
+/**
+ * Describe a tag's technology for display
+ * @param {object} descriptor - Tag descriptor
+ * @returns {string} Description, e.g. 'MIFARE Classic, NDEF 716 bytes'
+ */
+export const formatTagTech = (descriptor) => {
+  if (!descriptor) return '';
+
+  const labels = {
+    [TAG_TECH.MIFARE_CLASSIC]: 'MIFARE Classic',
+    [TAG_TECH.MIFARE_ULTRALIGHT]: 'MIFARE Ultralight',
+    [TAG_TECH.ISO_DEP]: 'ISO 14443-4',
+    [TAG_TECH.NFC_V]: 'ISO 15693',
+    [TAG_TECH.NFC_F]: 'FeliCa',
+    [TAG_TECH.NFC_B]: 'ISO 14443-B',
+    [TAG_TECH.NFC_A]: 'ISO 14443-A',
+  };
+  const family = Object.keys(labels).find(tech => hasTech(descriptor, tech));
+  const parts = [family ? labels[family] : 'Unknown tag'];
+
+  if (descriptor.ndef) {
+    parts.push(descriptor.ndefCapacity !== null ? `NDEF ${descriptor.ndefCapacity} bytes` : 'NDEF');
+    if (!descriptor.writable) parts.push('read-only');
+  } else if (hasTech(descriptor, TAG_TECH.NDEF_FORMATABLE)) {
+    parts.push('blank');
+  }
+  return parts.join(', ');
+};
+
+export default {
+  TAG_TECH,
+  normalizeTech,
+  getTagUid,
+  getLegacyTagUid,
+  describeTag,
+  hasTech,
+  formatTagTech,
+};
@@ -0,0 +1,126 @@
+/**
+ * NTAG 424 DNA Module
+ * Verifies the Secure Unique NFC (SUN) message an NTAG 424 DNA mirrors into
+ * its NDEF URL on every read. With Secure Dynamic Messaging (SDM) the tag
+ * encrypts its UID and read counter (PICCData) and appends a CMAC, so a
+ * copied UID or a replayed URL does not pass.
+ * Follows NXP AN12196; plain JavaScript so it runs the same on device and in Node.
+ */
+import {
+  bytesToHex,
+  hexToBytes,
+  concatBytes,
+  constantTimeEqual,
+  aesCbcDecrypt,
+  aesCmac,
+} from './crypto';
+
+// PICCData tag byte flags, its low four bits give the UID length
+const UID_MIRRORED = 0x80;
+const COUNTER_MIRRORED = 0x40;
+
+// Prefix of the session vector for the SDM MAC key
+const SV2_PREFIX = hexToBytes('3CC300010080');
+
+const ZERO_BLOCK = new Uint8Array(16);
+
+/**
+ * A SUN message did not verify
+ */
+export class SunError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SunError';
+  }
+}
+
+/**
+ * Decrypt the PICCData of a SUN message
+ * @param {Uint8Array} metaReadKey - SDMMetaReadKey, 16 bytes
+ * @param {Uint8Array} piccData - Encrypted PICCData, 16 bytes
+ * @returns {{uid: Uint8Array, counter: Uint8Array, readCounter: number}} UID and the 3-byte little-endian read counter
+ * @throws {SunError} If the data does not decrypt to PICCData
+ */
+export const decryptPiccData = (metaReadKey, piccData) => {
+  if (!piccData || piccData.length !== 16) {
+    throw new SunError('PICCData must be 16 bytes');
+  }
+
+  const plain = aesCbcDecrypt(metaReadKey, ZERO_BLOCK, piccData);
+  const tag = plain[0];
+  if (!(tag & UID_MIRRORED) || !(tag & COUNTER_MIRRORED) || (tag & 0x0f) !== 7) {
+    throw new SunError('PICCData did not decrypt, wrong key or not a SUN message');
+  }
+
+  const uid = plain.slice(1, 8);
+  const counter = plain.slice(8, 11);
+  return {
+    uid,
+    counter,
+    readCounter: counter[0] | (counter[1] << 8) | (counter[2] << 16),
+  };
+};
+
+/**
+ * Derive the session key for the SDM MAC
+ * @param {Uint8Array} fileReadKey - SDMFileReadKey, 16 bytes
+ * @param {Uint8Array} uid - 7-byte UID
+ * @param {Uint8Array} counter - 3-byte little-endian read counter
+ * @returns {Uint8Array} KSesSDMFileReadMAC
+ */
+export const deriveSdmMacKey = (fileReadKey, uid, counter) => {
+  return aesCmac(fileReadKey, concatBytes(SV2_PREFIX, uid, counter));
+};
+
+/**
+ * Compute the 8-byte SDM MAC: the odd bytes of the CMAC over the MAC input
+ * @param {Uint8Array} sessionKey - KSesSDMFileReadMAC
+ * @param {Uint8Array} [macInput] - Mirrored data the MAC covers, empty when the MAC follows the PICCData directly
+ * @returns {Uint8Array} 8-byte MAC
+ */
+export const computeSdmMac = (sessionKey, macInput = new Uint8Array(0)) => {
+  return aesCmac(sessionKey, macInput).filter((_, i) => i % 2 === 1);
+};
+
+/**
+ * Verify a SUN message
+ * @param {object} message - Values taken from the tag's URL
+ * @param {string} message.piccData - Encrypted PICCData as hex
+ * @param {string} message.cmac - SDM MAC as hex
+ * @param {string} [message.macInput] - Data the MAC covers as ASCII, empty by default
+ * @param {object} keys - Keys as hex
+ * @param {string} keys.metaReadKey - SDMMetaReadKey
+ * @param {string} keys.fileReadKey - SDMFileReadKey
+ * @returns {{uid: string, readCounter: number}} UID as uppercase hex and the read counter
+ * @throws {SunError} If the message does not verify
+ */
+export const verifySunMessage = ({ piccData, cmac, macInput = '' }, { metaReadKey, fileReadKey }) => {
+  let picc;
+  let mac;
+  try {
+    picc = decryptPiccData(hexToBytes(metaReadKey), hexToBytes(piccData));
+    mac = hexToBytes(cmac);
+  } catch (error) {
+    if (error instanceof SunError) throw error;
+    throw new SunError(`Malformed SUN message: ${error.message}`);
+  }
+
+  const sessionKey = deriveSdmMacKey(hexToBytes(fileReadKey), picc.uid, picc.counter);
+  const input = Uint8Array.from(macInput, char => char.charCodeAt(0));
+  if (mac.length !== 8 || !constantTimeEqual(computeSdmMac(sessionKey, input), mac)) {
+    throw new SunError('SDM MAC does not match, the card is not genuine or the message was altered');
+  }
+
+  return {
+    uid: bytesToHex(picc.uid).toUpperCase(),
+    readCounter: picc.readCounter,
+  };
+};
+
+export default {
+  SunError,
+  decryptPiccData,
+  deriveSdmMacKey,
+  computeSdmMac,
+  verifySunMessage,
+};
@@ -0,0 +1,135 @@
+/**
+ * Offline Risk Module
+ * Limits how much value a terminal can move while it cannot reach the server
+ */
+import { centsToAmount, amountToCents, formatCurrency } from './formatters';
+import { getBalanceChange } from './balance-changes';
+
+// Rules checked before an offline transaction is recorded
+export const RISK_RULES = {
+  NEGATIVE_BALANCE: 'negative_balance',
+  UNKNOWN_BALANCE: 'unknown_balance',
+  TRANSACTION_LIMIT: 'transaction_limit',
+  CUSTOMER_SPEND_LIMIT: 'customer_spend_limit',
+  TERMINAL_LIMIT: 'terminal_limit',
+};
+
+// Rules a supervisor cannot override
+const HARD_RULES = [RISK_RULES.NEGATIVE_BALANCE, RISK_RULES.UNKNOWN_BALANCE];
+
+/**
+ * An offline transaction was refused by the risk limits
+ * `violations` lists every rule that failed; `overridable` tells if a
+ * supervisor may approve the transaction anyway
+ */
+export class OfflineRiskError extends Error {
+  constructor(violations) {
+    super(violations.map(violation => violation.message).join('\n'));
+    this.name = 'OfflineRiskError';
+    this.violations = violations;
+    this.overridable = violations.every(violation => violation.overridable);
+  }
+}
+
+/**
+ * Check if an offline transaction has not reached the server yet
+ * @param {object} transaction - Cached transaction
+ * @returns {boolean} Whether the transaction still counts against the limits
+ */
+const isUnsyncedOffline = (transaction) => {
+  return transaction.offlineCreated && !transaction.synced && transaction.status !== 'failed';
+};
+
+/**
+ * Get how much a transaction takes off its customer's balance
+ * @param {object} transaction - Cached transaction
+ * @returns {number} Debit in cents, 0 for a credit
+ */
+const getDebit = (transaction) => {
+  try {
+    return Math.max(0, -getBalanceChange(transaction));
+  } catch (error) {
+    // A type this version does not know cannot be counted
+    return 0;
+  }
+};
+
+/**
+ * Check an offline transaction against the risk limits
+ * @param {object} params - Check inputs
+ * @param {object} params.transaction - Transaction with amount in cents
+ * @param {number} params.balanceChange - Signed balance change in cents
+ * @param {object|null} params.customer - Cached customer, balance in cents
+ * @param {object[]} params.transactions - Cached transactions
+ * @param {object} params.settings - Terminal settings, limits in pesos
+ * @returns {object[]} Violations, each {rule, message, overridable}
+ */
+export const evaluateOfflineRisk = ({ transaction, balanceChange, customer, transactions, settings }) => {
+  const violations = [];
+  const add = (rule, message) => violations.push({
+    rule,
+    message,
+    overridable: !HARD_RULES.includes(rule),
+  });
+
+  const amount = Math.abs(transaction.amount || 0);
+  const unsynced = transactions.filter(isUnsyncedOffline);
+
+  // Debits need a known balance that stays at or above zero
+  if (balanceChange < 0) {
+    if (!customer) {
+      add(RISK_RULES.UNKNOWN_BALANCE, 'The customer balance is not available offline');
+    } else if (customer.balance + balanceChange < 0) {
+      add(
+        RISK_RULES.NEGATIVE_BALANCE,
+        `Insufficient offline balance: ${formatCurrency(centsToAmount(customer.balance))} available`
+      );
+    }
+  }
+
+  if (settings.offlineTransactionLimit > 0 && amount > amountToCents(settings.offlineTransactionLimit)) {
+    add(
+      RISK_RULES.TRANSACTION_LIMIT,
+      `Offline transactions are limited to ${formatCurrency(settings.offlineTransactionLimit)}`
+    );
+  }
+
+  // Spending by this customer that the server has not seen yet: payments,
+  // debit adjustments and anything else that takes value off the balance
+  if (balanceChange < 0 && settings.offlineCustomerSpendLimit > 0) {
+    const spent = unsynced
+      .filter(t => t.customerId === transaction.customerId)
+      .reduce((sum, t) => sum + getDebit(t), 0);
+    const limit = amountToCents(settings.offlineCustomerSpendLimit);
+
+    if (spent - balanceChange > limit) {
+      add(
+        RISK_RULES.CUSTOMER_SPEND_LIMIT,
+        `Customer offline spending would reach ${formatCurrency(centsToAmount(spent - balanceChange))}, `
+          + `over the limit of ${formatCurrency(settings.offlineCustomerSpendLimit)} until the next sync`
+      );
+    }
+  }
+
+  // Value of everything this terminal has not synced
+  if (settings.offlineTerminalLimit > 0) {
+    const total = unsynced.reduce((sum, t) => sum + Math.abs(t.amount || 0), 0);
+    const limit = amountToCents(settings.offlineTerminalLimit);
+
+    if (total + amount > limit) {
+      add(
+        RISK_RULES.TERMINAL_LIMIT,
+        `Unsynced transactions on this terminal would reach ${formatCurrency(centsToAmount(total + amount))}, `
+          + `over the limit of ${formatCurrency(settings.offlineTerminalLimit)}`
+      );
+    }
+  }
+
+  return violations;
+};
+
+export default {
+  RISK_RULES,
+  OfflineRiskError,
+  evaluateOfflineRisk,
+};
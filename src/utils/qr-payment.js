@@ -0,0 +1,197 @@
+/**
+ * QR Payment Module
+ * Lets a customer without their card show a QR code instead. The code names
+ * their account and carries a short-lived token signed by the issuer. Tokens
+ * are signed with Ed25519: the issuer alone holds the private key, terminals
+ * only the public key, so a terminal cannot be made to mint codes. Each token
+ * pays once; the nonce is spent when the payment is recorded, here and by the
+ * server, which sees the nonces of every terminal.
+ *
+ * Token format, colon separated:
+ *   NFCPAY:2:<account>:<issued at>:<expires at>:<nonce>:<signature>
+ * The account is URI encoded, times are seconds since the epoch, the nonce is
+ * 32 hex characters and the signature the Ed25519 signature of everything
+ * before it, 128 hex characters.
+ */
+import nacl from 'tweetnacl';
+import { hexToBytes, utf8ToBytes } from './crypto';
+import { getCachedSettings } from './settings';
+import { offlineStore, qrTokens } from '../storage/offline-store';
+
+// First fields of every token
+const TOKEN_PREFIX = 'NFCPAY';
+const TOKEN_VERSION = '2';
+
+// Tokens valid for longer than this are refused whoever signed them
+export const MAX_TOKEN_LIFETIME_SECONDS = 300;
+
+// Allowed difference between the issuer's clock and the terminal's
+const CLOCK_SKEW_SECONDS = 30;
+
+/**
+ * A QR code was refused
+ */
+export class QrPaymentError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QrPaymentError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check if scanned text looks like a payment token
+ * @param {string} text - Scanned text
+ * @returns {boolean} Whether it starts like a token
+ */
+export const isQrPaymentToken = text => typeof text === 'string' && text.startsWith(`${TOKEN_PREFIX}:`);
+
+/**
+ * Split a token into its fields
+ * @param {string} text - Scanned text
+ * @returns {{payload: string, accountRef: string, issuedAt: number, expiresAt: number, nonce: string, signature: string}} Fields
+ * @throws {QrPaymentError} If the text is not a token
+ */
+export const parseQrPaymentToken = (text) => {
+  const fields = isQrPaymentToken(text) ? text.trim().split(':') : [];
+  const [prefix, version, account, issuedAt, expiresAt, nonce, signature] = fields;
+
+  if (fields.length !== 7 || prefix !== TOKEN_PREFIX) {
+    throw new QrPaymentError('This is not a payment QR code', 'malformed');
+  }
+  if (version !== TOKEN_VERSION) {
+    throw new QrPaymentError('This payment QR code is from an unsupported version', 'malformed');
+  }
+  if (!/^\d+$/.test(issuedAt) || !/^\d+$/.test(expiresAt)
+    || !/^[0-9a-f]{32}$/i.test(nonce) || !/^[0-9a-f]{128}$/i.test(signature)) {
+    throw new QrPaymentError('This payment QR code is damaged', 'malformed');
+  }
+
+  let accountRef;
+  try {
+    accountRef = decodeURIComponent(account);
+  } catch (error) {
+    throw new QrPaymentError('This payment QR code is damaged', 'malformed');
+  }
+  if (!accountRef) {
+    throw new QrPaymentError('This payment QR code has no account', 'malformed');
+  }
+
+  return {
+    payload: fields.slice(0, 6).join(':'),
+    accountRef,
+    issuedAt: Number(issuedAt),
+    expiresAt: Number(expiresAt),
+    nonce: nonce.toLowerCase(),
+    signature: signature.toLowerCase(),
+  };
+};
+
+/**
+ * Verify the signature and validity period of a token
+ * Does not check for replays, see acceptQrPaymentToken
+ * @param {string} text - Scanned text
+ * @param {string} publicKey - Issuer's Ed25519 public key as hex
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {{accountRef: string, issuedAt: number, expiresAt: number, nonce: string}} Token
+ * @throws {QrPaymentError} If the token does not verify
+ */
+export const verifyQrPaymentToken = (text, publicKey, now = Date.now()) => {
+  const token = parseQrPaymentToken(text);
+  const signed = nacl.sign.detached.verify(
+    utf8ToBytes(token.payload),
+    hexToBytes(token.signature),
+    hexToBytes(publicKey)
+  );
+  if (!signed) {
+    throw new QrPaymentError('The QR code signature does not match, it was altered or not issued by us', 'signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (token.expiresAt <= token.issuedAt || token.expiresAt - token.issuedAt > MAX_TOKEN_LIFETIME_SECONDS) {
+    throw new QrPaymentError('The QR code is valid for too long to be accepted', 'lifetime');
+  }
+  if (token.issuedAt > nowSeconds + CLOCK_SKEW_SECONDS) {
+    throw new QrPaymentError('The QR code is not valid yet, check the clock of this terminal', 'not_yet_valid');
+  }
+  if (nowSeconds > token.expiresAt + CLOCK_SKEW_SECONDS) {
+    throw new QrPaymentError('The QR code has expired, ask the customer to show a new one', 'expired');
+  }
+
+  return {
+    accountRef: token.accountRef,
+    issuedAt: token.issuedAt,
+    expiresAt: token.expiresAt,
+    nonce: token.nonce,
+  };
+};
+
+/**
+ * Refuse a token whose nonce was spent on this terminal
+ * @param {string} nonce - Token nonce
+ * @throws {QrPaymentError} If a payment was already made with the token
+ */
+export const assertQrTokenUnused = async (nonce) => {
+  if (await qrTokens.get(nonce)) {
+    throw new QrPaymentError('This QR code was already used, ask the customer to show a new one', 'replayed');
+  }
+};
+
+/**
+ * Accept a scanned token: verify it and refuse one already paid with on this terminal
+ * The nonce is not spent yet, see consumeQrPaymentToken
+ * @param {string} text - Scanned text
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{accountRef: string, issuedAt: number, expiresAt: number, nonce: string}>} Token
+ * @throws {QrPaymentError} If QR payments are off or the token is refused
+ */
+export const acceptQrPaymentToken = async (text, now = Date.now()) => {
+  const settings = getCachedSettings();
+  if (!settings.qrPaymentsEnabled) {
+    throw new QrPaymentError('QR payments are turned off on this terminal', 'disabled');
+  }
+  if (!settings.qrPaymentPublicKey) {
+    throw new QrPaymentError('The QR payment key is not set on this terminal', 'no_key');
+  }
+
+  const token = verifyQrPaymentToken(text, settings.qrPaymentPublicKey, now);
+  await assertQrTokenUnused(token.nonce);
+  return token;
+};
+
+/**
+ * Spend a token once the payment made with it is recorded
+ * @param {object} token - Token from acceptQrPaymentToken
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export const consumeQrPaymentToken = async (token, now = Date.now()) => {
+  const nowSeconds = Math.floor(now / 1000);
+
+  await offlineStore.transaction(async (store) => {
+    // Expired tokens are refused anyway, their nonces need not be kept
+    const expired = (await store.qrTokens.getAll())
+      .filter(entry => entry.expiresAt + CLOCK_SKEW_SECONDS < nowSeconds);
+    for (const entry of expired) {
+      await store.qrTokens.remove(entry.nonce);
+    }
+
+    await store.qrTokens.put({
+      nonce: token.nonce,
+      accountRef: token.accountRef,
+      expiresAt: token.expiresAt,
+      usedAt: new Date(now).toISOString(),
+    });
+  });
+};
+
+export default {
+  MAX_TOKEN_LIFETIME_SECONDS,
+  QrPaymentError,
+  isQrPaymentToken,
+  parseQrPaymentToken,
+  verifyQrPaymentToken,
+  assertQrTokenUnused,
+  acceptQrPaymentToken,
+  consumeQrPaymentToken,
+};
@@ -0,0 +1,219 @@
+/**
+ * Receipt Printer Module
+ * Sends receipts to a thermal printer as ESC/POS. How the bytes reach the
+ * printer is up to a transport, an object with connect(), write(bytes) and
+ * disconnect(), each returning a promise. Transports for Bluetooth, a network
+ * socket and a file are below; the libraries they drive are passed in, so
+ * the app only needs the one its printers use.
+ */
+import { renderReceiptEscPos } from './escpos';
+import { getCachedSettings } from './settings';
+import { bytesToBase64, concatBytes } from './crypto';
+
+// Port raw print jobs go to on network printers
+const DEFAULT_PRINTER_PORT = 9100;
+
+// Bytes per write over Bluetooth LE, the smallest payload every printer accepts
+const DEFAULT_BLUETOOTH_CHUNK_SIZE = 20;
+
+// Printer connections the settings can choose
+export const PRINTER_TRANSPORTS = {
+  NONE: 'none',
+  NETWORK: 'network',
+};
+
+// Transport receipts are printed on, none until the app sets one
+let transport = null;
+
+/**
+ * Transport to a printer on the network
+ * Works with the createConnection of react-native-tcp-socket, or of Node's
+ * net module, which has the same shape.
+ * @param {object} options - Transport options
+ * @param {string} options.host - Printer address
+ * @param {number} [options.port=9100] - Printer port
+ * @param {Function} options.createConnection - Opens a TCP socket
+ * @param {number} [options.timeoutMs=10000] - How long to wait for the printer to answer
+ * @returns {object} Transport
+ */
+export const createNetworkTransport = ({
+  host,
+  port = DEFAULT_PRINTER_PORT,
+  createConnection,
+  timeoutMs = 10000,
+}) => {
+  let socket = null;
+
+  return {
+    name: 'network',
+    connect: () => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.destroy();
+        socket = null;
+        reject(new Error(`Printer at ${host}:${port} did not answer`));
+      }, timeoutMs);
+
+      socket = createConnection({ host, port }, () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        console.error('Printer connection error:', error);
+        reject(error);
+      });
+    }),
+    write: bytes => new Promise((resolve, reject) => {
+      if (!socket) {
+        reject(new Error('Printer is not connected'));
+        return;
+      }
+      socket.write(bytes, error => (error ? reject(error) : resolve()));
+    }),
+    disconnect: async () => {
+      if (socket) {
+        socket.end();
+        socket = null;
+      }
+    },
+  };
+};
+
+/**
+ * Transport to a Bluetooth LE printer
+ * Works with a react-native-ble-plx device; writes go in small chunks, as
+ * the printer's characteristic takes little at a time.
+ * @param {object} options - Transport options
+ * @param {object} options.device - Printer, as found by a scan
+ * @param {string} options.serviceUUID - Service of the print characteristic
+ * @param {string} options.characteristicUUID - Characteristic print data is written to
+ * @param {number} [options.chunkSize=20] - Bytes per write
+ * @returns {object} Transport
+ */
+export const createBluetoothTransport = ({
+  device,
+  serviceUUID,
+  characteristicUUID,
+  chunkSize = DEFAULT_BLUETOOTH_CHUNK_SIZE,
+}) => {
+  let connected = null;
+
+  return {
+    name: 'bluetooth',
+    connect: async () => {
+      connected = await device.connect();
+      await connected.discoverAllServicesAndCharacteristics();
+    },
+    write: async (bytes) => {
+      if (!connected) {
+        throw new Error('Printer is not connected');
+      }
+      for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        await connected.writeCharacteristicWithResponseForService(
+          serviceUUID,
+          characteristicUUID,
+          bytesToBase64(bytes.slice(offset, offset + chunkSize))
+        );
+      }
+    },
+    disconnect: async () => {
+      if (connected) {
+        await connected.cancelConnection();
+        connected = null;
+      }
+    },
+  };
+};
+
+/**
+ * Transport to a file
+ * Collects what would be printed and saves it on disconnect, e.g. with
+ * fs.writeFileSync to compare against a golden file.
+ * @param {Function} writeFile - Saves the bytes of one print job
+ * @returns {object} Transport
+ */
+export const createFileTransport = (writeFile) => {
+  let chunks = [];
+
+  return {
+    name: 'file',
+    connect: async () => {
+      chunks = [];
+    },
+    write: async (bytes) => {
+      chunks.push(bytes);
+    },
+    disconnect: async () => {
+      await writeFile(concatBytes(...chunks));
+      chunks = [];
+    },
+  };
+};
+
+/**
+ * Create the transport the printer settings ask for
+ * @param {object} settings - Terminal settings
+ * @param {object} [libraries={}] - Libraries the transports drive
+ * @param {Function} [libraries.createConnection] - Opens a TCP socket, for network printers
+ * @returns {object|null} Transport, or null if no printer is set up
+ */
+export const createTransportFromSettings = (settings, { createConnection } = {}) => {
+  if (settings.receiptPrinter === PRINTER_TRANSPORTS.NETWORK && settings.receiptPrinterHost && createConnection) {
+    return createNetworkTransport({
+      host: settings.receiptPrinterHost,
+      port: settings.receiptPrinterPort || DEFAULT_PRINTER_PORT,
+      createConnection,
+    });
+  }
+  return null;
+};
+
+/**
+ * Print receipts on another transport
+ * @param {object|null} nextTransport - Transport, or null for no printer
+ */
+export const setPrinterTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Get the transport receipts are printed on
+ * @returns {object|null} Transport, or null if there is no printer
+ */
+export const getPrinterTransport = () => transport;
+
+/**
+ * Print a receipt
+ * @param {object} receipt - Receipt from buildReceipt
+ * @param {object} [options={}] - Print options, see renderReceiptEscPos
+ * @param {object} [options.transport] - Transport to use instead of the one set
+ * @returns {Promise<void>}
+ */
+export const printReceipt = async (receipt, { transport: target = transport, ...options } = {}) => {
+  if (!target) {
+    throw new Error('No receipt printer is set up');
+  }
+
+  const bytes = renderReceiptEscPos(receipt, {
+    paperWidth: getCachedSettings().receiptPaperWidth,
+    ...options,
+  });
+
+  await target.connect();
+  try {
+    await target.write(bytes);
+  } finally {
+    await target.disconnect();
+  }
+};
+
+export default {
+  PRINTER_TRANSPORTS,
+  createNetworkTransport,
+  createBluetoothTransport,
+  createFileTransport,
+  createTransportFromSettings,
+  setPrinterTransport,
+  getPrinterTransport,
+  printReceipt,
+};
@@ -0,0 +1,413 @@
+/**
+ * Receipts Module
+ * Builds the receipt of a payment or reload, numbers it and keeps it for
+ * reprinting. A receipt is plain data, rendered as text for sharing and
+ * printing or as HTML; amounts are in cents, as in the transaction.
+ */
+import { receiptStore, receipts as storedReceipts } from '../storage/receipt-store';
+import { getBalanceChange } from './balance-changes';
+import { getCurrentOperator } from '../api/auth';
+import { getCachedSettings } from './settings';
+import { formatCurrency, centsToAmount, normalizeCardId, formatTransactionType } from './formatters';
+
+// Transaction types a receipt is issued for
+export const RECEIPT_TYPES = ['payment', 'reload'];
+
+// Characters per line of a text receipt, as on 58 mm paper
+export const DEFAULT_RECEIPT_WIDTH = 32;
+
+// How a reload was paid for, as the reload screen offers it
+const RELOAD_METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  ewallet: 'E-Wallet',
+  bank_transfer: 'Bank Transfer',
+};
+
+// Sequence the receipt numbers come from
+const RECEIPT_SEQUENCE = 'receipt';
+
+/**
+ * Format a receipt number
+ * Each terminal counts its own receipts, the terminal ID in front keeps the
+ * numbers of different terminals apart.
+ * @param {number} sequence - Position in the terminal's receipt sequence
+ * @param {string} [terminalId] - Terminal ID, see the terminalId setting
+ * @returns {string} Receipt number, e.g. '3FA91C-000042'
+ */
+export const formatReceiptNumber = (sequence, terminalId) => {
+  const number = String(sequence).padStart(6, '0');
+  return terminalId ? `${terminalId}-${number}` : number;
+};
+
+/**
+ * Hide all but the last four characters of a card ID
+ * A receipt may be shared, and in some setups the card ID is all it takes to pay
+ * @param {string} cardId - Card ID
+ * @returns {string} Masked card ID, e.g. '**** 1A2B'
+ */
+export const maskCardId = (cardId) => {
+  const normalized = normalizeCardId(cardId || '');
+  return normalized ? `**** ${normalized.slice(-4)}` : '';
+};
+
+/**
+ * Describe how the customer paid
+ * @param {object} transaction - Transaction
+ * @returns {string} Payment method
+ */
+const describePaymentMethod = (transaction) => {
+  if (transaction.paymentMethod) {
+    return RELOAD_METHOD_LABELS[transaction.paymentMethod] || transaction.paymentMethod;
+  }
+  return transaction.qrTokenNonce ? 'QR code' : 'Card';
+};
+
+/**
+ * Format a date the same way whatever the device locale
+ * @param {string} iso - ISO date
+ * @returns {string} Date as YYYY-MM-DD HH:mm in local time
+ */
+const formatReceiptDate = (iso) => {
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return '';
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Build the receipt of a transaction
+ * @param {object} transaction - Created transaction, amounts in cents
+ * @param {object} context - What the transaction does not carry
+ * @param {number} context.sequence - Position in the receipt sequence
+ * @param {object} [context.customer] - Customer, for the name
+ * @param {number} [context.balanceBefore] - Balance in cents before the transaction
+ * @param {object} [context.settings] - Terminal settings
+ * @param {object} [context.operator] - Operator who took the transaction
+ * @param {string} [context.issuedAt] - ISO time of issue
+ * @returns {object} Receipt
+ */
+export const buildReceipt = (transaction, {
+  sequence,
+  customer = null,
+  balanceBefore = null,
+  settings = getCachedSettings(),
+  operator = getCurrentOperator(),
+  issuedAt = new Date().toISOString(),
+}) => {
+  // Stored value payments know the balance the card held
+  const before = transaction.storedValue ? transaction.storedValue.balanceBefore : balanceBefore;
+  const showBalance = Boolean(settings.receiptShowBalance) && Number.isInteger(before);
+
+  return {
+    receiptNumber: formatReceiptNumber(sequence, settings.terminalId),
+    sequence,
+    transactionId: transaction.transactionId,
+    idempotencyKey: transaction.idempotencyKey || null,
+    type: (transaction.type || '').toLowerCase(),
+    issuedAt,
+    transactionAt: transaction.createdAt || issuedAt,
+    merchant: (settings.receiptHeader || '').split('\n').map(line => line.trim()).filter(Boolean),
+    terminal: settings.terminalName,
+    operator: operator ? operator.name || operator.username : null,
+    customerName: customer ? customer.name : transaction.customerName || null,
+    card: maskCardId(transaction.cardId),
+    paidBy: describePaymentMethod(transaction),
+    reference: transaction.referenceNumber || null,
+    items: (transaction.items || []).map(({ description, quantity, unitPrice, amount }) => ({
+      description,
+      quantity,
+      unitPrice,
+      amount,
+    })),
+    total: Math.abs(transaction.amount || 0),
+    balanceBefore: showBalance ? before : null,
+    balanceAfter: showBalance ? before + getBalanceChange(transaction) : null,
+    offline: Boolean(transaction.offlineCreated),
+    currencySymbol: settings.currencySymbol,
+    currencyCode: settings.currencyCode,
+    footer: settings.receiptFooter || '',
+    reprint: false,
+  };
+};
+
+/**
+ * Split text into lines of at most the given width, breaking words only when they do not fit
+ * @param {string} text - Text
+ * @param {number} width - Characters per line
+ * @returns {string[]} Lines
+ */
+export const wrapText = (text, width) => {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    if (line && line.length + 1 + rest.length <= width) {
+      line = `${line} ${rest}`;
+      continue;
+    }
+    if (line) lines.push(line);
+    while (rest.length > width) {
+      lines.push(rest.slice(0, width));
+      rest = rest.slice(width);
+    }
+    line = rest;
+  }
+  if (line) lines.push(line);
+  return lines.length > 0 ? lines : [''];
+};
+
+/**
+ * Lay out a receipt as lines for a fixed-width medium
+ * Each line has its text, already fitted to the width, and how to show it.
+ * A line `{rule: true}` separates sections.
+ * @param {object} receipt - Receipt from buildReceipt
+ * @param {object} [options={}] - Layout options
+ * @param {number} [options.width=DEFAULT_RECEIPT_WIDTH] - Characters per line
+ * @param {Function} [options.formatAmount] - Formats cents, for media without the currency symbol
+ * @returns {{text?: string, align?: string, bold?: boolean, rule?: boolean}[]} Lines
+ */
+export const layoutReceipt = (receipt, {
+  width = DEFAULT_RECEIPT_WIDTH,
+  formatAmount = cents => formatCurrency(centsToAmount(cents), receipt.currencySymbol),
+} = {}) => {
+  const lines = [];
+  const rule = () => lines.push({ rule: true });
+  const center = (text, bold = false) => wrapText(text, width)
+    .forEach(part => lines.push({ text: part, align: 'center', bold }));
+  const left = text => wrapText(text, width).forEach(part => lines.push({ text: part, align: 'left' }));
+  // Label on the left and value on the right, on two lines if they do not fit on one
+  const pair = (label, value, bold = false) => {
+    if (label.length + 1 + value.length <= width) {
+      lines.push({ text: label + value.padStart(width - label.length), align: 'left', bold });
+    } else {
+      wrapText(label, width).forEach(part => lines.push({ text: part, align: 'left', bold }));
+      wrapText(value, width).forEach(part => lines.push({ text: part.padStart(width), align: 'left', bold }));
+    }
+  };
+
+  receipt.merchant.forEach(line => center(line, true));
+  if (receipt.merchant.length > 0) rule();
+
+  center(`${formatTransactionType(receipt.type)} Receipt`.toUpperCase(), true);
+  if (receipt.reprint) center('** REPRINT **');
+  pair('Receipt No.', receipt.receiptNumber);
+  pair('Date', formatReceiptDate(receipt.transactionAt));
+  if (receipt.terminal) pair('Terminal', receipt.terminal);
+  if (receipt.operator) pair('Cashier', receipt.operator);
+  if (receipt.customerName) pair('Customer', receipt.customerName);
+  if (receipt.card) pair('Card', receipt.card);
+  rule();
+
+  if (receipt.items.length > 0) {
+    for (const item of receipt.items) {
+      left(item.description);
+      pair(`  ${item.quantity} x ${formatAmount(item.unitPrice)}`, formatAmount(item.amount));
+    }
+  } else {
+    pair(formatTransactionType(receipt.type), formatAmount(receipt.total));
+  }
+  rule();
+
+  pair('TOTAL', formatAmount(receipt.total), true);
+  pair('Paid by', receipt.paidBy);
+  if (receipt.reference) pair('Reference', receipt.reference);
+  if (receipt.balanceBefore !== null) {
+    pair('Balance before', formatAmount(receipt.balanceBefore));
+    pair('Balance after', formatAmount(receipt.balanceAfter));
+  }
+  rule();
+
+  left('Transaction ID');
+  left(receipt.transactionId);
+  if (receipt.offline) left('Recorded offline, pending sync');
+
+  if (receipt.footer) {
+    rule();
+    center(receipt.footer);
+  }
+  return lines;
+};
+
+/**
+ * Render a receipt as plain text
+ * @param {object} receipt - Receipt from buildReceipt
+ * @param {object} [options] - Layout options, see layoutReceipt
+ * @returns {string} Receipt text
+ */
+export const renderReceiptText = (receipt, options = {}) => {
+  const width = options.width || DEFAULT_RECEIPT_WIDTH;
+  return layoutReceipt(receipt, options).map((line) => {
+    if (line.rule) return '-'.repeat(width);
+    if (line.align === 'center') {
+      return `${' '.repeat(Math.floor((width - line.text.length) / 2))}${line.text}`;
+    }
+    return line.align === 'right' ? line.text.padStart(width) : line.text;
+  }).join('\n');
+};
+
+/**
+ * Escape text for HTML
+ * @param {any} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a receipt as an HTML document, e.g. for e-mail
+ * @param {object} receipt - Receipt from buildReceipt
+ * @returns {string} HTML
+ */
+export const renderReceiptHtml = (receipt) => {
+  const amount = cents => escapeHtml(formatCurrency(centsToAmount(cents), receipt.currencySymbol));
+  const row = (label, value, style = '') =>
+    `<tr${style ? ` style="${style}"` : ''}><td>${escapeHtml(label)}</td><td class="r">${value}</td></tr>`;
+
+  const details = [
+    row('Receipt No.', escapeHtml(receipt.receiptNumber)),
+    row('Date', escapeHtml(formatReceiptDate(receipt.transactionAt))),
+    receipt.terminal ? row('Terminal', escapeHtml(receipt.terminal)) : '',
+    receipt.operator ? row('Cashier', escapeHtml(receipt.operator)) : '',
+    receipt.customerName ? row('Customer', escapeHtml(receipt.customerName)) : '',
+    receipt.card ? row('Card', escapeHtml(receipt.card)) : '',
+  ].join('');
+
+  const items = receipt.items.length > 0
+    ? receipt.items.map(item => row(
+      `${item.description} (${item.quantity} x ${formatCurrency(centsToAmount(item.unitPrice), receipt.currencySymbol)})`,
+      amount(item.amount)
+    )).join('')
+    : row(formatTransactionType(receipt.type), amount(receipt.total));
+
+  const totals = [
+    row('Total', amount(receipt.total), 'font-weight:bold'),
+    row('Paid by', escapeHtml(receipt.paidBy)),
+    receipt.reference ? row('Reference', escapeHtml(receipt.reference)) : '',
+    receipt.balanceBefore !== null ? row('Balance before', amount(receipt.balanceBefore)) : '',
+    receipt.balanceBefore !== null ? row('Balance after', amount(receipt.balanceAfter)) : '',
+  ].join('');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>`,
+    '<style>body{font-family:sans-serif;max-width:360px;margin:0 auto;padding:16px;color:#333}'
+      + 'h1,h2,p{text-align:center;margin:4px 0}h1{font-size:18px}h2{font-size:15px}'
+      + 'table{width:100%;border-collapse:collapse;margin:8px 0;border-top:1px dashed #999}'
+      + 'td{padding:3px 0;vertical-align:top}.r{text-align:right;white-space:nowrap}'
+      + '.muted{color:#777;font-size:12px}</style>',
+    '</head><body>',
+    ...receipt.merchant.map(line => `<h1>${escapeHtml(line)}</h1>`),
+    `<h2>${escapeHtml(`${formatTransactionType(receipt.type)} Receipt`)}</h2>`,
+    receipt.reprint ? '<p class="muted">Reprint</p>' : '',
+    `<table>${details}</table>`,
+    `<table>${items}</table>`,
+    `<table>${totals}</table>`,
+    `<p class="muted">Transaction ID ${escapeHtml(receipt.transactionId)}</p>`,
+    receipt.offline ? '<p class="muted">Recorded offline, pending sync</p>' : '',
+    receipt.footer ? `<p>${escapeHtml(receipt.footer)}</p>` : '',
+    '</body></html>',
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Find the receipt issued for a transaction
+ * @param {object} transaction - Transaction
+ * @returns {Promise<object|null>} Receipt
+ */
+export const findReceipt = async (transaction) => {
+  if (transaction.idempotencyKey) {
+    const receipt = await storedReceipts.findOneBy('idempotencyKey', transaction.idempotencyKey);
+    if (receipt) return receipt;
+  }
+  return transaction.transactionId
+    ? storedReceipts.findOneBy('transactionId', transaction.transactionId)
+    : null;
+};
+
+/**
+ * Issue the receipt of a transaction with the next receipt number
+ * A transaction that already has a receipt keeps it.
+ * @param {object} transaction - Created transaction
+ * @param {object} [context={}] - Customer and balance before, see buildReceipt
+ * @returns {Promise<object>} Receipt
+ */
+export const issueReceipt = async (transaction, context = {}) => {
+  return receiptStore.transaction(async (store) => {
+    const existing = (transaction.idempotencyKey
+      && await store.receipts.findOneBy('idempotencyKey', transaction.idempotencyKey))
+      || await store.receipts.findOneBy('transactionId', transaction.transactionId);
+    if (existing) return existing;
+
+    const counter = await store.sequences.get(RECEIPT_SEQUENCE);
+    const sequence = (counter ? counter.value : 0) + 1;
+    const receipt = buildReceipt(transaction, { ...context, sequence });
+    await store.sequences.put({ name: RECEIPT_SEQUENCE, value: sequence });
+    await store.receipts.put(receipt);
+    return receipt;
+  });
+};
+
+/**
+ * Issue the receipt of a transaction just taken, if receipts are on
+ * A receipt that cannot be issued does not undo the transaction; it can
+ * still be printed from the transaction history.
+ * @param {object} transaction - Created transaction
+ * @param {object} [context={}] - Customer, balance before and how it was paid, see buildReceipt
+ * @returns {Promise<object|null>} Receipt, or null if none was issued
+ */
+export const issueTransactionReceipt = async (transaction, context = {}) => {
+  if (!getCachedSettings().receiptEnabled || !RECEIPT_TYPES.includes((transaction.type || '').toLowerCase())) {
+    return null;
+  }
+  try {
+    return await issueReceipt(transaction, context);
+  } catch (error) {
+    console.error('Failed to issue receipt:', error);
+    return null;
+  }
+};
+
+/**
+ * Get a receipt to reprint from the transaction history
+ * The receipt issued at the time is marked as a reprint; a transaction
+ * without one, e.g. taken before receipts were on, gets one now.
+ * @param {object} transaction - Transaction
+ * @param {object} [context={}] - Customer, see buildReceipt
+ * @returns {Promise<object>} Receipt
+ */
+export const getReceiptForTransaction = async (transaction, context = {}) => {
+  const stored = await findReceipt(transaction);
+  if (!stored) {
+    return issueReceipt(transaction, context);
+  }
+
+  // An offline transaction has its server ID once synced
+  const synced = !transaction.offlineCreated || transaction.status !== 'pending';
+  if (stored.transactionId !== transaction.transactionId || (stored.offline && synced)) {
+    await storedReceipts.put({ ...stored, transactionId: transaction.transactionId, offline: !synced });
+  }
+  return { ...stored, transactionId: transaction.transactionId, offline: !synced, reprint: true };
+};
+
+export default {
+  RECEIPT_TYPES,
+  DEFAULT_RECEIPT_WIDTH,
+  formatReceiptNumber,
+  maskCardId,
+  buildReceipt,
+  wrapText,
+  layoutReceipt,
+  renderReceiptText,
+  renderReceiptHtml,
+  findReceipt,
+  issueReceipt,
+  issueTransactionReceipt,
+  getReceiptForTransaction,
+};
@@ -0,0 +1,92 @@
+/**
+ * Refunds Module
+ * Rules for refunding and voiding payments
+ */
+import { centsToAmount, formatCurrency } from './formatters';
+
+// Transaction types that give back (part of) an earlier payment
+export const REVERSAL_TYPES = ['refund', 'void'];
+
+/**
+ * A refund or void is not allowed for the original transaction
+ */
+export class RefundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefundError';
+  }
+}
+
+/**
+ * Check if a transaction refunds or voids another one
+ * @param {object} transaction - Transaction
+ * @returns {boolean} Whether the transaction is a reversal
+ */
+export const isReversal = (transaction) => {
+  return REVERSAL_TYPES.includes((transaction.type || '').toLowerCase());
+};
+
+/**
+ * Total what has already been given back for a payment
+ * Failed reversals do not count
+ * @param {object} original - Original payment, amount in cents
+ * @param {object[]} reversals - Refunds and voids linked to it
+ * @returns {{refunded: number, voided: boolean, remaining: number, count: number}} Amounts in cents
+ */
+export const getReversalSummary = (original, reversals) => {
+  const counted = reversals.filter(reversal => reversal.status !== 'failed');
+  const refunded = counted.reduce((sum, reversal) => sum + Math.abs(reversal.amount || 0), 0);
+  // The server may know about refunds made on other terminals
+  const total = Math.max(refunded, original.refundedAmount || 0);
+
+  return {
+    refunded: total,
+    voided: original.status === 'voided' || counted.some(reversal => reversal.type === 'void'),
+    remaining: Math.max(Math.abs(original.amount || 0) - total, 0),
+    count: counted.length,
+  };
+};
+
+/**
+ * Check that a refund or void may be made against a payment
+ * @param {object} original - Original payment, amount in cents
+ * @param {object[]} reversals - Refunds and voids already linked to it
+ * @param {object} reversal - Requested reversal
+ * @param {string} reversal.type - 'refund' or 'void'
+ * @param {number} reversal.amount - Amount in cents
+ * @throws {RefundError} If the reversal is not allowed
+ */
+export const validateReversal = (original, reversals, { type, amount }) => {
+  if ((original.type || '').toLowerCase() !== 'payment') {
+    throw new RefundError('Only payments can be refunded or voided');
+  }
+  if (original.status === 'failed' || original.status === 'cancelled') {
+    throw new RefundError('This payment did not go through and cannot be refunded');
+  }
+
+  const summary = getReversalSummary(original, reversals);
+  if (summary.voided) {
+    throw new RefundError('This payment has already been voided');
+  }
+  if (type === 'void' && summary.refunded > 0) {
+    throw new RefundError(
+      `${formatCurrency(centsToAmount(summary.refunded))} has already been refunded, refund the rest instead of voiding`
+    );
+  }
+  if (!(amount > 0)) {
+    throw new RefundError('Refund amount must be greater than zero');
+  }
+  if (amount > summary.remaining) {
+    throw new RefundError(
+      `Refunds are capped at the original amount, ${formatCurrency(centsToAmount(summary.remaining))} can still be refunded`
+    );
+  }
+};
+
+export default {
+  REVERSAL_TYPES,
+  RefundError,
+  isReversal,
+  getReversalSummary,
+  validateReversal,
+};
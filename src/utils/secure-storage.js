@@ -0,0 +1,79 @@
+/**
+ * Secure Storage Module
+ * Keeps secrets such as signing keys in the platform keystore (the Keychain
+ * on iOS, Keystore-encrypted storage on Android) rather than AsyncStorage,
+ * which is plain text on the device. Where there is no keystore, as in the
+ * web build, secrets are kept in memory only and must be entered again after
+ * a restart.
+ */
+import * as SecureStore from 'expo-secure-store';
+
+// Prefix of the keystore entries, which may only hold letters, digits, '.', '-' and '_'
+const SECRET_PREFIX = 'terminal.';
+
+// Names of the secrets the app keeps
+export const SECRETS = {
+  STORED_VALUE_KEY: 'storedValueKey',
+  SDM_META_READ_KEY: 'sdmMetaReadKey',
+  SDM_FILE_READ_KEY: 'sdmFileReadKey',
+};
+
+// Secrets of this session where the platform has no keystore
+const memorySecrets = new Map();
+let availablePromise = null;
+
+/**
+ * Check once whether the platform has a keystore
+ * @returns {Promise<boolean>} Whether secrets persist
+ */
+export const isSecureStorageAvailable = () => {
+  if (!availablePromise) {
+    availablePromise = SecureStore.isAvailableAsync().catch((error) => {
+      console.error('Failed to check for secure storage:', error);
+      return false;
+    });
+  }
+  return availablePromise;
+};
+
+/**
+ * Get a secret
+ * @param {string} name - Secret name, see SECRETS
+ * @returns {Promise<string>} Secret, or '' if it is not set
+ */
+export const getSecret = async (name) => {
+  if (!(await isSecureStorageAvailable())) {
+    return memorySecrets.get(name) || '';
+  }
+  return (await SecureStore.getItemAsync(`${SECRET_PREFIX}${name}`)) || '';
+};
+
+/**
+ * Set or clear a secret
+ * @param {string} name - Secret name, see SECRETS
+ * @param {string} value - Secret, '' to clear it
+ * @returns {Promise<void>}
+ */
+export const setSecret = async (name, value) => {
+  if (!(await isSecureStorageAvailable())) {
+    if (value) {
+      memorySecrets.set(name, value);
+    } else {
+      memorySecrets.delete(name);
+    }
+    return;
+  }
+
+  if (value) {
+    await SecureStore.setItemAsync(`${SECRET_PREFIX}${name}`, value);
+  } else {
+    await SecureStore.deleteItemAsync(`${SECRET_PREFIX}${name}`);
+  }
+};
+
+export default {
+  SECRETS,
+  isSecureStorageAvailable,
+  getSecret,
+  setSecret,
+};
@@ -0,0 +1,235 @@
+/**
+ * Terminal Settings Module
+ * Single place to read and persist terminal configuration
+ */
+import 'react-native-get-random-values';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { v4 as uuidv4 } from 'uuid';
+import { SECRETS, setSecret } from './secure-storage';
+
+// Storage key for all settings
+const SETTINGS_KEY = 'terminal_settings';
+
+// Keys used before settings were consolidated, migrated on first load
+const LEGACY_API_URL_KEY = 'api_url';
+const LEGACY_OFFLINE_MODE_KEY = 'offline_mode';
+
+// Supported currencies
+export const CURRENCIES = [
+  { code: 'PHP', symbol: '₱', label: 'Philippine Peso' },
+  { code: 'USD', symbol: '$', label: 'US Dollar' },
+  { code: 'EUR', symbol: '€', label: 'Euro' },
+  { code: 'JPY', symbol: '¥', label: 'Japanese Yen' },
+];
+
+// Default settings (used for any value that has not been saved)
+export const DEFAULT_SETTINGS = {
+  apiUrl: 'http://10.0.2.2:5000/api',
+  offlineMode: false,
+  terminalName: 'Terminal 1',
+  // Code that starts this terminal's receipt numbers, set once per terminal so they differ
+  terminalId: '',
+  currencyCode: 'PHP',
+  currencySymbol: '₱',
+  receiptEnabled: true,
+  // Business name and address at the top of receipts, one line each
+  receiptHeader: 'NFC Payment System',
+  receiptShowBalance: true,
+  receiptFooter: 'Thank you!',
+  // Paper width of the receipt printer in millimetres, 58 or 80
+  receiptPaperWidth: 58,
+  // How receipts reach the printer, see PRINTER_TRANSPORTS; a network printer needs its address
+  receiptPrinter: 'none',
+  receiptPrinterHost: '',
+  receiptPrinterPort: 9100,
+  // Per-transaction limits in pesos, 0 means no limit
+  maxPaymentAmount: 0,
+  maxReloadAmount: 0,
+  // Offline risk limits in pesos, 0 means no limit
+  offlineTransactionLimit: 500,
+  offlineCustomerSpendLimit: 1000,
+  offlineTerminalLimit: 10000,
+  // Balance adjustments above this many pesos need a second operator, 0 means never
+  adjustmentApprovalThreshold: 100,
+  // Keep a signed balance on each card for payments with no connection,
+  // signed with a master key kept in secure storage (see getStoredValueKey)
+  storedValueEnabled: false,
+  // Refuse cards that do not authenticate with an NTAG 424 DNA SUN message,
+  // checked with the SDM keys kept in secure storage (see getSdmKeys)
+  strictCardAuth: false,
+  // Accept signed QR codes from customers without their card
+  qrPaymentsEnabled: false,
+  // Ed25519 public key of the QR code issuer, 64 hex characters
+  qrPaymentPublicKey: '',
+  // Keep the reader listening on the scan screen between customers, for kiosk counters
+  continuousScan: false,
+  // Seconds a card just handled is ignored while it stays near the reader
+  duplicateTapSeconds: 3,
+  // Read virtual cards instead of the NFC reader, for development; the web build always does
+  nfcSimulator: false,
+  // Minutes of inactivity before the operator session locks, 0 disables
+  autoLockMinutes: 5,
+  // Days after an operator's last online login that offline login keeps working, 0 means no limit
+  offlineLoginMaxDays: 7,
+};
+
+// In-memory copy so settings can be read synchronously once loaded
+let settings = { ...DEFAULT_SETTINGS };
+let loadPromise = null;
+const listeners = new Set();
+
+/**
+ * Notify subscribers of a settings change
+ */
+const notifyListeners = () => {
+  for (const listener of listeners) {
+    try {
+      listener(settings);
+    } catch (error) {
+      console.error('Settings listener failed:', error);
+    }
+  }
+};
+
+/**
+ * Create a code for a terminal that has none
+ * @returns {string} Six random hex digits, e.g. '3FA91C'
+ */
+const createTerminalId = () => uuidv4().replace(/-/g, '').slice(0, 6).toUpperCase();
+
+/**
+ * Load settings from storage, migrating legacy keys if needed
+ * Only reads storage once; later calls return the cached settings
+ * @returns {Promise<object>} Current settings
+ */
+export const loadSettings = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+        if (stored) {
+          const { storedValueKey, sdmMetaReadKey, sdmFileReadKey, qrPaymentKey, ...saved } = JSON.parse(stored);
+          settings = { ...DEFAULT_SETTINGS, ...saved };
+          // Older versions kept the stored value and SDM keys here in plain text, and a shared
+          // QR signing key that the public key replaces; the codes it signed are refused
+          const legacySecrets = [
+            [SECRETS.STORED_VALUE_KEY, storedValueKey],
+            [SECRETS.SDM_META_READ_KEY, sdmMetaReadKey],
+            [SECRETS.SDM_FILE_READ_KEY, sdmFileReadKey],
+          ].filter(([, value]) => value !== undefined);
+          if (legacySecrets.length > 0 || qrPaymentKey !== undefined) {
+            for (const [name, value] of legacySecrets) {
+              await setSecret(name, value);
+            }
+            await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+          }
+        } else {
+          // Carry over values saved by older versions
+          const [[, apiUrl], [, offlineMode]] = await AsyncStorage.multiGet([
+            LEGACY_API_URL_KEY,
+            LEGACY_OFFLINE_MODE_KEY,
+          ]);
+          settings = {
+            ...DEFAULT_SETTINGS,
+            ...(apiUrl ? { apiUrl } : {}),
+            offlineMode: offlineMode === 'true',
+          };
+          await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+          await AsyncStorage.multiRemove([LEGACY_API_URL_KEY, LEGACY_OFFLINE_MODE_KEY]);
+        }
+        if (!settings.terminalId) {
+          settings = { ...settings, terminalId: createTerminalId() };
+          await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        }
+        console.log('Settings loaded');
+      } catch (error) {
+        console.error('Failed to load settings:', error);
+      }
+      notifyListeners();
+      return settings;
+    })();
+  }
+  return loadPromise;
+};
+
+/**
+ * Get all settings
+ * @returns {Promise<object>} Current settings
+ */
+export const getSettings = async () => {
+  await loadSettings();
+  return settings;
+};
+
+/**
+ * Get a single setting
+ * @param {string} key - Setting name
+ * @returns {Promise<any>} Setting value
+ */
+export const getSetting = async (key) => {
+  await loadSettings();
+  return settings[key];
+};
+
+/**
+ * Get settings without waiting for storage
+ * Returns defaults until loadSettings has finished
+ * @returns {object} Current settings
+ */
+export const getCachedSettings = () => settings;
+
+/**
+ * Update and persist one or more settings
+ * @param {object} changes - Settings to change
+ * @returns {Promise<object>} Updated settings
+ */
+export const updateSettings = async (changes) => {
+  await loadSettings();
+
+  const unknown = Object.keys(changes).filter(key => !(key in DEFAULT_SETTINGS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown settings: ${unknown.join(', ')}`);
+  }
+
+  settings = { ...settings, ...changes };
+  try {
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    throw error;
+  } finally {
+    notifyListeners();
+  }
+  return settings;
+};
+
+/**
+ * Reset one setting to its default value
+ * @param {string} key - Setting name
+ * @returns {Promise<object>} Updated settings
+ */
+export const resetSetting = (key) => updateSettings({ [key]: DEFAULT_SETTINGS[key] });
+
+/**
+ * Subscribe to settings changes
+ * @param {Function} listener - Called with the new settings after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSettings = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export default {
+  CURRENCIES,
+  DEFAULT_SETTINGS,
+  loadSettings,
+  getSettings,
+  getSetting,
+  getCachedSettings,
+  updateSettings,
+  resetSetting,
+  subscribeSettings,
+};
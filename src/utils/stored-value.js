@@ -0,0 +1,321 @@
+/**
+ * Stored Value Module
+ * Signed balance record kept on the customer's card so a payment can be
+ * taken with no connection and no up-to-date cache.
+ *
+ * The card holds two fixed-size slots. Every write goes to the slot that does
+ * not hold the current record, so a write torn by the card leaving the field
+ * leaves the previous record intact: reading picks the valid slot with the
+ * highest counter, which rolls the card back to its state before the tap.
+ *
+ * Slot layout (48 bytes, integers big-endian):
+ *   0      version
+ *   1      reserved
+ *   2-5    counter, raised by one on every write
+ *   6-9    balance in cents
+ *   10-25  hash of the last transaction, chained to the one before
+ *   26-29  time of the write in seconds since the epoch
+ *   30-31  reserved
+ *   32-47  MAC over the card UID and bytes 0-31
+ *
+ * Stored value is only used on secure cards, NTAG 424 DNA chips that
+ * authenticate with a SUN message on the tap. The MAC stops a record being
+ * forged or moved to another card, and the SUN message stops the card being
+ * cloned, but nothing on the card stops its own earlier record being written
+ * back to it. A terminal refuses a record older than one it saw on the card
+ * itself; across terminals a rolled-back card forks the transaction chain,
+ * which the server finds when the payments sync, as each carries the hash of
+ * the record it started from.
+ */
+import {
+  utf8ToBytes,
+  bytesToHex,
+  hexToBytes,
+  concatBytes,
+  constantTimeEqual,
+  sha256,
+  hmacSha256,
+} from './crypto';
+import { SECRETS, getSecret, setSecret } from './secure-storage';
+
+// NDEF external type of the slot records
+export const STORED_VALUE_RECORD_TYPE = 'nfcpay.app:sv';
+
+// Record format written by this version
+export const STORED_VALUE_VERSION = 1;
+
+// Slots kept on the card
+export const SLOT_COUNT = 2;
+
+const SLOT_LENGTH = 48;
+const SIGNED_LENGTH = 32;
+const HASH_LENGTH = 16;
+const MAX_BALANCE = 0xffffffff;
+
+// Hash of the first record on a card
+const GENESIS_HASH = '00'.repeat(HASH_LENGTH);
+
+/**
+ * The stored value on a card could not be used
+ * `code` tells callers what happened:
+ *   invalid       no slot carries a valid signature
+ *   not_secure    the card did not authenticate as a secure card
+ *   not_issued    the card has no stored value yet
+ *   wrong_card    the card is not the customer's
+ *   replayed      the card carries an older record than this terminal has seen
+ *   insufficient  the card balance does not cover the payment
+ *   write_failed  the card was not changed, the payment can be tried again
+ *   uncertain     the card left before the write could be checked, tap it again
+ */
+export class StoredValueError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'StoredValueError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Get the master key the card keys are derived from
+ * @returns {Promise<string>} Key as hex, or '' if it is not set
+ */
+export const getStoredValueKey = () => getSecret(SECRETS.STORED_VALUE_KEY);
+
+/**
+ * Set the master key the card keys are derived from
+ * @param {string} masterKey - Key as 64 hex characters, or '' to clear it
+ * @returns {Promise<void>}
+ */
+export const setStoredValueKey = (masterKey) => setSecret(SECRETS.STORED_VALUE_KEY, masterKey);
+
+/**
+ * Derive the key that signs one card's records
+ * Each card gets its own key so a record copied to another card does not verify
+ * @param {string} masterKey - Terminal master key as hex
+ * @param {string} uid - Card UID as hex
+ * @returns {Uint8Array} 32-byte card key
+ */
+export const deriveCardKey = (masterKey, uid) => {
+  return hmacSha256(hexToBytes(masterKey), `stored-value:${uid.toUpperCase()}`);
+};
+
+/**
+ * Compute the MAC of a slot
+ * @param {Uint8Array} cardKey - Card key
+ * @param {string} uid - Card UID as hex
+ * @param {Uint8Array} signed - Bytes 0-31 of the slot
+ * @returns {Uint8Array} 16-byte MAC
+ */
+const slotMac = (cardKey, uid, signed) => {
+  return hmacSha256(cardKey, concatBytes(hexToBytes(uid), signed)).slice(0, HASH_LENGTH);
+};
+
+/**
+ * Encode and sign a record for one slot
+ * @param {object} record - Record with counter, balance (cents), lastTxHash (hex) and updatedAt
+ * @param {Uint8Array} cardKey - Card key
+ * @param {string} uid - Card UID as hex
+ * @returns {Uint8Array} Slot bytes
+ */
+export const encodeSlot = (record, cardKey, uid) => {
+  if (!Number.isInteger(record.balance) || record.balance < 0 || record.balance > MAX_BALANCE) {
+    throw new StoredValueError('Card balance is out of range', 'invalid');
+  }
+
+  const bytes = new Uint8Array(SLOT_LENGTH);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = STORED_VALUE_VERSION;
+  view.setUint32(2, record.counter);
+  view.setUint32(6, record.balance);
+  bytes.set(hexToBytes(record.lastTxHash), 10);
+  view.setUint32(26, Math.floor(new Date(record.updatedAt).getTime() / 1000));
+  bytes.set(slotMac(cardKey, uid, bytes.subarray(0, SIGNED_LENGTH)), SIGNED_LENGTH);
+  return bytes;
+};
+
+/**
+ * Decode a slot and check its signature
+ * @param {Uint8Array} bytes - Slot bytes
+ * @param {Uint8Array} cardKey - Card key
+ * @param {string} uid - Card UID as hex
+ * @returns {object|null} Record, or null if the slot is empty, torn or forged
+ */
+export const decodeSlot = (bytes, cardKey, uid) => {
+  if (!bytes || bytes.length !== SLOT_LENGTH || bytes[0] !== STORED_VALUE_VERSION) {
+    return null;
+  }
+
+  const signed = bytes.subarray(0, SIGNED_LENGTH);
+  if (!constantTimeEqual(slotMac(cardKey, uid, signed), bytes.subarray(SIGNED_LENGTH))) {
+    return null;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  return {
+    counter: view.getUint32(2),
+    balance: view.getUint32(6),
+    lastTxHash: bytesToHex(bytes.subarray(10, 10 + HASH_LENGTH)),
+    updatedAt: new Date(view.getUint32(26) * 1000).toISOString(),
+  };
+};
+
+/**
+ * Find the current record among the slots read from a card
+ * @param {Uint8Array[]} slots - Slot payloads in card order
+ * @param {Uint8Array} cardKey - Card key
+ * @param {string} uid - Card UID as hex
+ * @returns {{record: object|null, slot: number, invalidSlots: number[]}} Current record and the slot holding it
+ */
+export const selectRecord = (slots, cardKey, uid) => {
+  let record = null;
+  let slot = -1;
+  const invalidSlots = [];
+
+  for (let i = 0; i < SLOT_COUNT; i++) {
+    const decoded = decodeSlot(slots[i], cardKey, uid);
+    if (!decoded) {
+      if (slots[i]) invalidSlots.push(i);
+      continue;
+    }
+    if (!record || decoded.counter > record.counter) {
+      record = decoded;
+      slot = i;
+    }
+  }
+
+  return { record, slot, invalidSlots };
+};
+
+/**
+ * Hash a balance change into the chain of card transactions
+ * @param {string} previousHash - Hash of the previous transaction as hex
+ * @param {object} change - Balance change
+ * @param {number} change.counter - Counter of the new record
+ * @param {number} change.balance - Balance after the change in cents
+ * @param {number} change.amount - Signed change in cents
+ * @param {string} change.key - Idempotency key of the transaction
+ * @returns {string} Hash as hex
+ */
+export const hashTransaction = (previousHash, { counter, balance, amount, key }) => {
+  return bytesToHex(sha256(concatBytes(
+    hexToBytes(previousHash),
+    utf8ToBytes(`${counter}|${balance}|${amount}|${key}`)
+  )).slice(0, HASH_LENGTH));
+};
+
+/**
+ * Build the record that follows the current one
+ * @param {object|null} current - Current record, null for a card without stored value
+ * @param {object} change - Balance change
+ * @param {number} [change.amount] - Signed change in cents
+ * @param {number} [change.balance] - New balance in cents, instead of an amount
+ * @param {string} change.key - Idempotency key of the transaction
+ * @returns {object} Next record
+ * @throws {StoredValueError} If the card balance does not cover a debit
+ */
+export const nextRecord = (current, { amount, balance, key }) => {
+  const previousBalance = current ? current.balance : 0;
+  const newBalance = balance !== undefined ? balance : previousBalance + amount;
+  if (newBalance < 0) {
+    throw new StoredValueError(
+      'The card balance does not cover this payment',
+      'insufficient',
+      { balance: previousBalance }
+    );
+  }
+
+  const counter = (current ? current.counter : 0) + 1;
+  return {
+    counter,
+    balance: newBalance,
+    lastTxHash: hashTransaction(current ? current.lastTxHash : GENESIS_HASH, {
+      counter,
+      balance: newBalance,
+      amount: newBalance - previousBalance,
+      key,
+    }),
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Read and verify the stored value on a card
+ * @param {object} session - Open card session from withTagSession
+ * @param {Uint8Array} cardKey - Card key
+ * @returns {Promise<{uid: string, record: object|null, slot: number, slots: Uint8Array[]}>} Card state
+ * @throws {StoredValueError} If the card has slots but none verifies
+ */
+export const readCard = async (session, cardKey) => {
+  const slots = await session.readExternal(STORED_VALUE_RECORD_TYPE);
+  const { record, slot, invalidSlots } = selectRecord(slots, cardKey, session.uid);
+
+  if (!record && invalidSlots.length > 0) {
+    throw new StoredValueError('The stored value on this card could not be verified', 'invalid');
+  }
+  return { uid: session.uid, record, slot, slots };
+};
+
+/**
+ * Write the next record over the slot that does not hold the current one, then read it back
+ * If the write fails the card is read again: a card still showing the current
+ * record has not been changed, a card showing the new record has.
+ * @param {object} session - Open card session from withTagSession
+ * @param {Uint8Array} cardKey - Card key
+ * @param {object} card - Card state from readCard
+ * @param {object} record - Record to write
+ * @returns {Promise<object>} Written record
+ * @throws {StoredValueError} 'write_failed' if the card kept the current record, 'uncertain' if it could not be read back
+ */
+export const writeCard = async (session, cardKey, card, record) => {
+  const target = card.slot === 0 ? 1 : 0;
+  const slots = [];
+  for (let i = 0; i < SLOT_COUNT; i++) {
+    slots.push(i === target ? encodeSlot(record, cardKey, card.uid) : (card.slots[i] || new Uint8Array(SLOT_LENGTH)));
+  }
+
+  let writeError = null;
+  try {
+    await session.writeExternal(STORED_VALUE_RECORD_TYPE, slots);
+  } catch (error) {
+    console.error('Stored value write failed:', error);
+    writeError = error;
+  }
+
+  let written;
+  try {
+    written = await readCard(session, cardKey);
+  } catch (error) {
+    throw new StoredValueError(
+      'The card was removed before the payment could be confirmed, tap it again',
+      'uncertain',
+      { expected: record, previous: card.record }
+    );
+  }
+
+  if (written.record && written.record.counter === record.counter
+    && written.record.lastTxHash === record.lastTxHash) {
+    return written.record;
+  }
+  throw new StoredValueError(
+    writeError ? `The card could not be written: ${writeError.message}` : 'The card did not keep the new balance',
+    'write_failed'
+  );
+};
+
+export default {
+  STORED_VALUE_RECORD_TYPE,
+  STORED_VALUE_VERSION,
+  SLOT_COUNT,
+  StoredValueError,
+  getStoredValueKey,
+  setStoredValueKey,
+  deriveCardKey,
+  encodeSlot,
+  decodeSlot,
+  selectRecord,
+  hashTransaction,
+  nextRecord,
+  readCard,
+  writeCard,
+};
@@ -0,0 +1,213 @@
+/**
+ * Tag Scanner Module
+ * Keeps the reader listening for cards without anyone pressing a button, for
+ * kiosk counters. Discovery is re-armed after every customer, a card that
+ * stays on the reader is only reported once, and the scanner comes back by
+ * itself after NFC is turned off and on again or the reader fails.
+ */
+import {
+  registerTagEvent,
+  subscribeNfcState,
+  isNfcAvailable,
+  isNfcEnabled,
+} from './nfc-manager';
+
+// What the scanner is doing
+export const SCANNER_STATUS = {
+  STOPPED: 'stopped',
+  SCANNING: 'scanning',
+  PROCESSING: 'processing',
+  NFC_OFF: 'nfc_off',
+  RECOVERING: 'recovering',
+  UNSUPPORTED: 'unsupported',
+};
+
+// Wait before re-arming after a failure, doubled on every failure in a row
+const MIN_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Create a continuous tag scanner
+ * @param {object} options - Scanner options
+ * @param {Function} options.onTag - Called with the tag and authentication result
+ *   as from registerTagEvent; may be async, taps are ignored until it settles
+ * @param {Function} [options.onStatus] - Called with SCANNER_STATUS and the last error when the status changes
+ * @param {number} [options.duplicateWindowMs=3000] - Ignore the card just handled for this long after it was last seen
+ * @returns {{start: Function, stop: Function, getStatus: Function, setDuplicateWindow: Function}} Scanner
+ */
+export const createTagScanner = ({ onTag, onStatus = () => {}, duplicateWindowMs = 3000 }) => {
+  let status = SCANNER_STATUS.STOPPED;
+  let running = false;
+  let processing = false;
+  let duplicateWindow = duplicateWindowMs;
+  let lastTag = { key: null, seenAt: 0 };
+  let unregister = null;
+  let unsubscribeState = null;
+  let retryTimer = null;
+  let retryDelay = MIN_RETRY_DELAY_MS;
+  let lastError = null;
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    try {
+      onStatus(status, lastError);
+    } catch (error) {
+      console.error('Scanner status listener failed:', error);
+    }
+  };
+
+  const disarm = () => {
+    if (unregister) {
+      unregister();
+      unregister = null;
+    }
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(arm, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+  };
+
+  /**
+   * Check if a tap is the card just handled, still on the reader or tapped again
+   * @param {string|null} key - Card ID, or the reason for a refused card
+   * @returns {boolean} Whether to ignore it
+   */
+  const isDuplicate = (key) => {
+    const now = Date.now();
+    const duplicate = key === lastTag.key && now - lastTag.seenAt < duplicateWindow;
+    // Every sighting extends the window, so a card left on the reader stays ignored
+    lastTag = { key, seenAt: now };
+    return duplicate;
+  };
+
+  const handleTag = async (tag, auth) => {
+    const key = tag ? tag.uid : (auth && (auth.cardId || auth.reason)) || null;
+    if (!running || processing || isDuplicate(key)) {
+      return;
+    }
+
+    processing = true;
+    setStatus(SCANNER_STATUS.PROCESSING);
+    try {
+      await onTag(tag, auth);
+    } catch (error) {
+      console.error('Failed to handle scanned card:', error);
+    } finally {
+      processing = false;
+      // Anything seen while the customer was served does not count
+      lastTag = { key, seenAt: Date.now() };
+    }
+    if (running) {
+      await arm();
+    }
+  };
+
+  // The platform ended discovery, e.g. the iOS session timed out or the reader failed
+  const handleSessionClosed = (error) => {
+    if (!running) return;
+    unregister = null;
+    lastError = error || null;
+    if (error) {
+      console.error('NFC discovery ended:', error);
+    }
+    setStatus(SCANNER_STATUS.RECOVERING);
+    scheduleRetry();
+  };
+
+  const handleNfcState = (state) => {
+    if (!running) return;
+    if (state === 'off' || state === 'turning_off') {
+      clearTimeout(retryTimer);
+      disarm();
+      setStatus(SCANNER_STATUS.NFC_OFF);
+    } else if (state === 'on') {
+      retryDelay = MIN_RETRY_DELAY_MS;
+      arm();
+    }
+  };
+
+  // Start, or restart, discovery
+  async function arm() {
+    clearTimeout(retryTimer);
+    if (!running) return;
+
+    if (!isNfcAvailable()) {
+      setStatus(SCANNER_STATUS.UNSUPPORTED);
+      return;
+    }
+    if (!(await isNfcEnabled())) {
+      disarm();
+      setStatus(SCANNER_STATUS.NFC_OFF);
+      // Not every platform reports NFC being turned back on
+      scheduleRetry();
+      return;
+    }
+
+    disarm();
+    try {
+      const cleanup = await registerTagEvent(handleTag, handleSessionClosed);
+      if (!running) {
+        cleanup();
+        return;
+      }
+      unregister = cleanup;
+      retryDelay = MIN_RETRY_DELAY_MS;
+      lastError = null;
+      setStatus(processing ? SCANNER_STATUS.PROCESSING : SCANNER_STATUS.SCANNING);
+    } catch (error) {
+      lastError = error;
+      setStatus(SCANNER_STATUS.RECOVERING);
+      scheduleRetry();
+    }
+  }
+
+  return {
+    /**
+     * Start listening for cards
+     * @returns {Promise<void>}
+     */
+    async start() {
+      if (running) return;
+      running = true;
+      retryDelay = MIN_RETRY_DELAY_MS;
+      unsubscribeState = subscribeNfcState(handleNfcState);
+      await arm();
+    },
+
+    /**
+     * Stop listening for cards
+     */
+    stop() {
+      running = false;
+      clearTimeout(retryTimer);
+      disarm();
+      if (unsubscribeState) {
+        unsubscribeState();
+        unsubscribeState = null;
+      }
+      setStatus(SCANNER_STATUS.STOPPED);
+    },
+
+    /**
+     * Get what the scanner is doing
+     * @returns {string} SCANNER_STATUS
+     */
+    getStatus: () => status,
+
+    /**
+     * Change how long the card just handled is ignored
+     * @param {number} ms - Window in milliseconds
+     */
+    setDuplicateWindow(ms) {
+      duplicateWindow = ms;
+    },
+  };
+};
+
+export default {
+  SCANNER_STATUS,
+  createTagScanner,
+};
@@ -0,0 +1,156 @@
+/**
+ * Transaction filtering and grouping helpers
+ * Used by the history screen to work through large cached transaction lists
+ */
+import { formatDate } from './formatters';
+import { getBalanceChange } from './balance-changes';
+import { isReversal } from './refunds';
+
+/**
+ * Check whether a transaction was created offline and not yet synced
+ * @param {object} transaction - Transaction data
+ * @returns {boolean} Whether the transaction is still unsynced
+ */
+export const isUnsynced = (transaction) => {
+  return Boolean(transaction.offlineCreated && !transaction.synced);
+};
+
+/**
+ * Group refunds and voids by the payment they belong to
+ * @param {object[]} transactions - Transactions
+ * @returns {Object<string, object[]>} Reversals by original transaction ID, oldest first
+ */
+const groupReversals = (transactions) => {
+  const byOriginal = {};
+  for (const transaction of transactions) {
+    if (isReversal(transaction) && transaction.originalTransactionId) {
+      (byOriginal[transaction.originalTransactionId] = byOriginal[transaction.originalTransactionId] || []).push(transaction);
+    }
+  }
+  for (const reversals of Object.values(byOriginal)) {
+    reversals.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+  return byOriginal;
+};
+
+/**
+ * Build a search index for a list of transactions
+ * Day keys, timestamps and lowercase search text are computed once so
+ * filtering does not repeat the work on every keystroke. Payments carry the
+ * refunds and voids made against them so they can be shown together.
+ * @param {object[]} transactions - Transactions to index
+ * @param {object} [customerNames={}] - Map of customer ID to customer name
+ * @returns {object[]} Indexed entries sorted newest first
+ */
+export const indexTransactions = (transactions, customerNames = {}) => {
+  const reversalsByOriginal = groupReversals(transactions);
+
+  const entries = transactions.map((transaction) => {
+    const customerName = transaction.customerName || customerNames[transaction.customerId] || '';
+    return {
+      transaction,
+      customerName,
+      time: new Date(transaction.createdAt).getTime() || 0,
+      dayKey: formatDate(transaction.createdAt),
+      searchText: `${customerName} ${transaction.transactionId || ''} ${transaction.originalTransactionId || ''}`.toLowerCase(),
+      cardId: (transaction.cardId || '').toUpperCase(),
+      // Refunds made before the payment synced still point at its offline ID
+      reversals: [
+        ...(reversalsByOriginal[transaction.transactionId] || []),
+        ...(transaction.offlineTransactionId ? reversalsByOriginal[transaction.offlineTransactionId] || [] : []),
+      ],
+    };
+  });
+
+  return entries.sort((a, b) => b.time - a.time);
+};
+
+/**
+ * Filter indexed transactions
+ * @param {object[]} entries - Entries from indexTransactions
+ * @param {object} filters - Filter options
+ * @param {string} [filters.type] - Transaction type
+ * @param {string} [filters.status] - Transaction status
+ * @param {Date} [filters.from] - Earliest creation date (inclusive)
+ * @param {Date} [filters.to] - Latest creation date (inclusive)
+ * @param {string} [filters.cardId] - Normalized card ID
+ * @param {string} [filters.search] - Customer name or transaction ID fragment
+ * @returns {object[]} Matching entries
+ */
+export const filterTransactions = (entries, filters) => {
+  const { type, status, from, to, cardId, search } = filters;
+  const fromTime = from ? from.getTime() : null;
+  const toTime = to ? to.getTime() : null;
+  const searchText = search ? search.trim().toLowerCase() : '';
+
+  return entries.filter((entry) => {
+    const { transaction } = entry;
+
+    if (type && transaction.type !== type) return false;
+    if (status && transaction.status !== status) return false;
+    if (fromTime !== null && entry.time < fromTime) return false;
+    if (toTime !== null && entry.time > toTime) return false;
+    if (cardId && !entry.cardId.includes(cardId)) return false;
+    if (searchText && !entry.searchText.includes(searchText)) return false;
+
+    return true;
+  });
+};
+
+/**
+ * Total the credits and debits of filtered entries per day
+ * @param {object[]} entries - Filtered entries
+ * @returns {Object<string, {credits: number, debits: number, count: number}>} Totals in cents by day key
+ */
+export const getDailyTotals = (entries) => {
+  const totals = {};
+
+  for (const entry of entries) {
+    const day = totals[entry.dayKey] || (totals[entry.dayKey] = { credits: 0, debits: 0, count: 0 });
+    let change = 0;
+    try {
+      change = getBalanceChange(entry.transaction);
+    } catch (error) {
+      // Unknown types do not count towards the totals
+    }
+
+    if (change < 0) {
+      day.debits += -change;
+    } else {
+      day.credits += change;
+    }
+    day.count++;
+  }
+
+  return totals;
+};
+
+/**
+ * Group entries into day sections, newest day first
+ * Entries must already be sorted newest first
+ * @param {object[]} entries - Entries to group
+ * @param {object} dailyTotals - Totals from getDailyTotals
+ * @returns {{title: string, totals: object, data: object[]}[]} Sections for a SectionList
+ */
+export const groupByDay = (entries, dailyTotals) => {
+  const sections = [];
+  let current = null;
+
+  for (const entry of entries) {
+    if (!current || current.title !== entry.dayKey) {
+      current = { title: entry.dayKey, totals: dailyTotals[entry.dayKey], data: [] };
+      sections.push(current);
+    }
+    current.data.push(entry);
+  }
+
+  return sections;
+};
+
+export default {
+  isUnsynced,
+  indexTransactions,
+  filterTransactions,
+  getDailyTotals,
+  groupByDay,
+};
@@ -0,0 +1,64 @@
+/**
+ * Validation helpers for customer and form input
+ * Each validator returns an error message, or null when the value is valid
+ */
+
+/**
+ * Validate customer name
+ * @param {string} name - Customer name
+ * @returns {string|null} Error message
+ */
+export const validateName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Name is required';
+  if (trimmed.length < 2) return 'Name must be at least 2 characters';
+  if (trimmed.length > 100) return 'Name must be at most 100 characters';
+  return null;
+};
+
+/**
+ * Validate email address (optional field)
+ * @param {string} email - Email address
+ * @returns {string|null} Error message
+ */
+export const validateEmail = (email) => {
+  const trimmed = (email || '').trim();
+  if (!trimmed) return null;
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) return 'Enter a valid email address';
+  return null;
+};
+
+/**
+ * Validate phone number (optional field)
+ * Accepts digits with an optional leading + and common separators
+ * @param {string} phone - Phone number
+ * @returns {string|null} Error message
+ */
+export const validatePhone = (phone) => {
+  const trimmed = (phone || '').trim();
+  if (!trimmed) return null;
+  if (!/^\+?[\d\s()-]+$/.test(trimmed)) return 'Phone number may only contain digits';
+
+  const digits = trimmed.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return 'Enter a valid phone number';
+  return null;
+};
+
+/**
+ * Validate NFC card ID
+ * @param {string} cardId - Normalized card ID
+ * @returns {string|null} Error message
+ */
+export const validateCardId = (cardId) => {
+  if (!cardId) return 'Card is required';
+  if (!/^[0-9A-F]+$/.test(cardId)) return 'Card ID must be hexadecimal';
+  if (cardId.length < 8) return 'Card ID is too short';
+  return null;
+};
+
+export default {
+  validateName,
+  validateEmail,
+  validatePhone,
+  validateCardId,
+};